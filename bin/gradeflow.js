@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+/**
+ * GradeFlow Command Line
+ * Averages of CSV or JSON transcripts, computed by the same engine as the
+ * app, for scripts and batch processing.
+ *
+ *   gradeflow [--format table|json|csv] [--lang fr|en|ar] [file ...]
+ *
+ * Each file is one transcript; with no file (or "-") stdin is read. CSV files
+ * use the app's import columns (Matière, CC, TP, Projet, Examen, Coef,
+ * Pondération); JSON files hold a list of subjects or a profile exported from
+ * the app. Invalid rows are reported on stderr and skipped.
+ *
+ * Exit codes: 0 success, 1 invalid input, 2 usage error.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { basename, extname } from 'node:path';
+import { parseArgs } from 'node:util';
+import { BUILT_IN_PROFILES, DEFAULT_PROFILE_ID } from '../src/utils/weightingProfiles.js';
+import { PASS_THRESHOLD, getSubjectAverage, isAdmitted, isPending, summarizeGrades } from '../src/utils/grading.js';
+import { DEFAULT_GRADING_SETTINGS, averageOnScale } from '../src/utils/gradingSettings.js';
+import { DEFAULT_MENTION_BANDS, getMention } from '../src/utils/mentions.js';
+import { detectSeparator, parseCsv, serializeCsv } from '../src/utils/csv.js';
+import { guessMapping, looksLikeHeader, mapRows } from '../src/utils/transcriptCsv.js';
+import { sanitizeData } from '../src/utils/storage.js';
+import { formatTerm, getTermGrades, sortTerms } from '../src/utils/terms.js';
+import { validateGrade } from '../src/utils/validation.js';
+import { DEFAULT_LOCALE, createTranslator, isLocale } from '../src/utils/i18n.js';
+
+const EXIT = { OK: 0, INVALID_INPUT: 1, USAGE: 2 };
+
+const FORMATS = ['table', 'json', 'csv'];
+
+// Message key of each field named in row errors
+const FIELD_LABELS = {
+    subject: 'common.subject',
+    coef: 'common.coef',
+    cc: 'components.cc',
+    tp: 'components.tp',
+    project: 'components.project',
+    exam: 'components.exam',
+    profile: 'form.profile'
+};
+
+/**
+ * Input problem attached to a source, reported on stderr
+ */
+class InputError extends Error {}
+
+// ============================================================================
+// INPUT
+// ============================================================================
+
+const readSource = async (source) => {
+    if (source !== '-') return readFile(source, 'utf8');
+    let text = '';
+    for await (const chunk of process.stdin) text += chunk;
+    return text;
+};
+
+const isJson = (source, text) =>
+    extname(source).toLowerCase() === '.json' || (source === '-' && /^\s*[[{]/.test(text));
+
+/**
+ * Subjects typed in a CSV file, checked like the app's CSV import
+ */
+const fromCsv = (text, check) => {
+    const rows = parseCsv(text, detectSeparator(text));
+    if (rows.length === 0 || !looksLikeHeader(rows[0])) throw new InputError('cli.errors.noHeader');
+    return mapRows(rows.slice(1), guessMapping(rows[0]), BUILT_IN_PROFILES, 2)
+        .map(row => check(row.line, row.errors, row.warnings, row.grade))
+        .filter(Boolean);
+};
+
+/**
+ * Subjects of a JSON list, each checked like the entry form
+ */
+const fromList = (list, check) => {
+    const accepted = [];
+    list.forEach((item, index) => {
+        const input = item !== null && typeof item === 'object' ? item : {};
+        const profileId = input.profileId
+            ?? BUILT_IN_PROFILES.find(profile => profile.name === input.profile)?.id
+            ?? DEFAULT_PROFILE_ID;
+        const text = (value) => (value === undefined || value === null ? '' : String(value));
+        const { grade, errors, warnings } = validateGrade({
+            subject: text(input.subject),
+            profileId,
+            cc: text(input.cc),
+            tp: text(input.tp),
+            project: text(input.project),
+            exam: text(input.exam),
+            coef: input.coef ?? 1
+        }, { others: accepted });
+        const toList = (messages) => Object.entries(messages).map(([field, message]) => ({ field, ...message }));
+        if (check(index + 1, toList(errors), toList(warnings), grade)) accepted.push(grade);
+    });
+    return accepted;
+};
+
+/**
+ * Transcripts of one source: one for a CSV file or a list of subjects, one
+ * per semester for a profile exported from the app
+ * Returns [{ label, grades, profiles, settings, bands }].
+ */
+const readTranscripts = (source, text, check) => {
+    const label = source === '-' ? 'stdin' : basename(source);
+    const defaults = { profiles: BUILT_IN_PROFILES, settings: DEFAULT_GRADING_SETTINGS, bands: DEFAULT_MENTION_BANDS };
+
+    if (!isJson(source, text)) return [{ label, grades: fromCsv(text, check), ...defaults }];
+
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch {
+        throw new InputError('cli.errors.invalidJson');
+    }
+    if (Array.isArray(json)) return [{ label, grades: fromList(json, check), ...defaults }];
+    if (Array.isArray(json?.grades)) return [{ label, grades: fromList(json.grades, check), ...defaults }];
+    if (json?.data === null || typeof json?.data !== 'object') throw new InputError('cli.errors.unknownJson');
+
+    // Exported profile: already validated by the app, reported by semester
+    const { data } = sanitizeData(json.data);
+    const profiles = [...BUILT_IN_PROFILES, ...data.customProfiles];
+    return sortTerms(data.terms)
+        .map(term => ({
+            label: `${label} · ${formatTerm(term)}`,
+            grades: getTermGrades(data.grades, term.id),
+            profiles,
+            settings: data.gradingSettings,
+            bands: data.mentionBands
+        }))
+        .filter(transcript => transcript.grades.length > 0);
+};
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+/**
+ * Averages, results and mention of one transcript, on its grading scale
+ */
+const buildReport = ({ label, grades, profiles, settings, bands }) => {
+    const summary = summarizeGrades(grades, profiles, settings);
+    const hasAverage = summary.totalCoef > 0;
+    const mention = hasAverage ? getMention(summary.generalAvg, bands) : null;
+
+    return {
+        source: label,
+        subjects: grades.map(grade => {
+            const pending = isPending(grade, profiles);
+            const average = pending ? null : getSubjectAverage(grade, profiles, settings);
+            return {
+                subject: grade.subject,
+                coef: Number(grade.coef),
+                average: pending ? null : averageOnScale(average, settings),
+                passed: pending ? null : average >= PASS_THRESHOLD
+            };
+        }),
+        generalAverage: hasAverage ? averageOnScale(summary.generalAvg, settings) : null,
+        admitted: hasAverage ? isAdmitted(summary.generalAvg) : null,
+        mention: mention?.label ?? null,
+        pending: summary.pendingCount
+    };
+};
+
+// ============================================================================
+// OUTPUT
+// ============================================================================
+
+const resultOf = (i18n, passed) => {
+    if (passed === null) return i18n.t('common.pending');
+    return i18n.t(passed ? 'cli.passed' : 'cli.failed');
+};
+
+const decisionOf = (i18n, report) => {
+    if (report.admitted === null) return i18n.t('common.pending');
+    return i18n.t(report.admitted ? 'common.admitted' : 'common.notAdmitted');
+};
+
+const formatAverage = (i18n, value) => (value === null ? '-' : i18n.formatNumber(value));
+
+/**
+ * Columns padded to their widest cell
+ */
+const alignColumns = (rows) => {
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => String(row[column]).length)));
+    return rows.map(row => row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd());
+};
+
+const toTable = (reports, i18n) =>
+    reports.map(report => [
+        report.source,
+        ...alignColumns([
+            [i18n.t('common.subject'), i18n.t('common.coef'), i18n.t('common.average'), i18n.t('cli.result')],
+            ...report.subjects.map(subject => [
+                subject.subject,
+                subject.coef,
+                formatAverage(i18n, subject.average),
+                resultOf(i18n, subject.passed)
+            ])
+        ]),
+        i18n.t('cli.general', {
+            average: formatAverage(i18n, report.generalAverage),
+            decision: decisionOf(i18n, report),
+            mention: report.mention ? i18n.t('summary.mention', { label: report.mention }) : '-'
+        })
+    ].join('\n')).join('\n\n') + '\n';
+
+// Without a BOM, which shell tools would read as part of the first column
+const toCsv = (reports, i18n) => serializeCsv([
+    [i18n.t('cli.source'), i18n.t('common.subject'), i18n.t('common.coef'), i18n.t('common.average'), i18n.t('cli.result'), i18n.t('cli.mention')],
+    ...reports.flatMap(report => [
+        ...report.subjects.map(subject => [
+            report.source,
+            subject.subject,
+            subject.coef,
+            formatAverage(i18n, subject.average),
+            resultOf(i18n, subject.passed),
+            ''
+        ]),
+        [
+            report.source,
+            i18n.t('summary.title'),
+            '',
+            formatAverage(i18n, report.generalAverage),
+            decisionOf(i18n, report),
+            report.mention ?? ''
+        ]
+    ])
+], { bom: false });
+
+const toJson = (reports) => `${JSON.stringify(reports, null, 2)}\n`;
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+const main = async () => {
+    const envLocale = (process.env.LC_ALL || process.env.LANG || '').slice(0, 2).toLowerCase();
+    let options;
+    try {
+        options = parseArgs({
+            options: {
+                format: { type: 'string', short: 'f', default: 'table' },
+                lang: { type: 'string', short: 'l', default: isLocale(envLocale) ? envLocale : DEFAULT_LOCALE },
+                help: { type: 'boolean', short: 'h' }
+            },
+            allowPositionals: true
+        });
+    } catch (error) {
+        process.stderr.write(`${error.message}\n${createTranslator(DEFAULT_LOCALE).t('cli.usage')}\n`);
+        return EXIT.USAGE;
+    }
+
+    const { values, positionals } = options;
+    const i18n = createTranslator(isLocale(values.lang) ? values.lang : DEFAULT_LOCALE);
+    const fail = (key, params) => process.stderr.write(`${i18n.t(key, params)}\n`);
+
+    if (values.help) {
+        process.stdout.write(`${i18n.t('cli.usage')}\n`);
+        return EXIT.OK;
+    }
+    if (!isLocale(values.lang)) {
+        fail('cli.errors.unknownLanguage', { value: values.lang });
+        return EXIT.USAGE;
+    }
+    if (!FORMATS.includes(values.format)) {
+        fail('cli.errors.unknownFormat', { value: values.format });
+        return EXIT.USAGE;
+    }
+
+    const sources = positionals.length > 0 ? positionals : ['-'];
+    if (sources.includes('-') && process.stdin.isTTY) {
+        process.stderr.write(`${i18n.t('cli.usage')}\n`);
+        return EXIT.USAGE;
+    }
+
+    let invalid = false;
+    const reports = [];
+
+    for (const source of sources) {
+        const name = source === '-' ? 'stdin' : source;
+
+        // Row problems: errors skip the row and fail the run, warnings are only shown
+        const check = (line, errors, warnings, grade) => {
+            const describe = ({ field, key, params }) =>
+                i18n.t('csvImport.fieldMessage', { field: i18n.t(FIELD_LABELS[field] ?? field), message: i18n.t(key, params) });
+            errors.forEach(error => fail('cli.rowError', { source: name, line, message: describe(error) }));
+            warnings.forEach(warning => fail('cli.rowWarning', { source: name, line, message: describe(warning) }));
+            if (errors.length > 0) invalid = true;
+            return errors.length === 0 ? grade : null;
+        };
+
+        try {
+            const text = await readSource(source);
+            reports.push(...readTranscripts(source, text, check).map(buildReport));
+        } catch (error) {
+            invalid = true;
+            if (error instanceof InputError) fail(error.message, { source: name });
+            else fail('cli.errors.unreadable', { source: name, reason: error.code ?? error.message });
+        }
+    }
+
+    if (reports.length > 0) {
+        const output = { table: toTable, json: toJson, csv: toCsv }[values.format];
+        process.stdout.write(output(reports, i18n));
+    }
+    return invalid ? EXIT.INVALID_INPUT : EXIT.OK;
+};
+
+process.exitCode = await main();
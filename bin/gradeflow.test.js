@@ -0,0 +1,29 @@
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { describe, expect, it } from 'vitest';
+
+const CLI = fileURLToPath(new URL('./gradeflow.js', import.meta.url));
+
+const run = (args, input) => spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8' });
+
+const TRANSCRIPT = 'Matière;CC;Examen;Coef\nAnalyse;12;14;2\nRéseaux;;9;1\n';
+
+describe('gradeflow', () => {
+    it('writes CSV without a BOM', () => {
+        const { status, stdout } = run(['--format', 'csv', '--lang', 'fr'], TRANSCRIPT);
+        expect(status).toBe(0);
+        expect(stdout.charCodeAt(0)).not.toBe(0xFEFF);
+        expect(stdout.split('\r\n')[0]).toBe('Source;Matière;Coef;Moyenne;Résultat;Mention');
+        expect(stdout.split('\r\n')[1]).toBe('stdin;Analyse;2;13,20;Validée;');
+    });
+
+    it('reports invalid rows on stderr', () => {
+        const { status, stderr } = run(['--format', 'json'], 'Matière;Examen;Coef\nAnalyse;25;2\n');
+        expect(status).toBe(1);
+        expect(stderr).not.toBe('');
+    });
+
+    it('rejects unknown formats', () => {
+        expect(run(['--format', 'xml'], TRANSCRIPT).status).toBe(2);
+    });
+});
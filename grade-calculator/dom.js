@@ -0,0 +1,67 @@
+/**
+ * Safe DOM Building
+ * Every piece of the page built from data goes through `h`, which only
+ * creates elements and text nodes: strings are never parsed as HTML, so a
+ * subject named `<img src=x onerror=alert(1)>` is shown as typed.
+ *
+ * Inline handlers and `javascript:` URLs are refused as well; events are
+ * attached with `delegate`, which keeps the page compatible with a
+ * Content-Security-Policy that forbids inline script.
+ */
+
+// Attributes holding a URL, checked for script schemes
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'xlink:href', 'poster', 'cite'];
+
+const SCRIPT_URL = /^(?:javascript|vbscript):/i;
+
+/**
+ * Whether a URL runs script, once the spaces and control characters that
+ * browsers ignore ("java\tscript:", " javascript:") are removed
+ */
+const isScriptUrl = (value) => SCRIPT_URL.test([...String(value)].filter(char => char > ' ').join(''));
+
+/**
+ * Create an element
+ * `props` sets attributes, except `className`, `dataset` and `text`
+ * (the element's text content). `children` are nodes or strings, nested
+ * arrays are flattened and null, undefined or false are skipped.
+ */
+export function h(tag, props = {}, ...children) {
+    const el = document.createElement(tag);
+
+    Object.entries(props).forEach(([name, value]) => {
+        if (value === null || value === undefined || value === false) return;
+        if (/^on/i.test(name)) throw new Error(`Inline handler "${name}" refused, use delegate()`);
+        if (URL_ATTRIBUTES.includes(name.toLowerCase()) && isScriptUrl(value)) throw new Error(`Script URL refused in "${name}"`);
+        if (name === 'className') el.className = value;
+        else if (name === 'dataset') Object.assign(el.dataset, value);
+        else if (name === 'text') el.textContent = value;
+        else el.setAttribute(name, value === true ? '' : String(value));
+    });
+
+    el.append(...children.flat(Infinity).filter(child => child !== null && child !== undefined && child !== false).map(child =>
+        (child instanceof Node ? child : document.createTextNode(String(child)))
+    ));
+    return el;
+}
+
+/**
+ * Replace the content of `parent` with `children`
+ */
+export function render(parent, ...children) {
+    parent.replaceChildren(...children.flat(Infinity).filter(Boolean));
+}
+
+/**
+ * Listen on `root` for events from descendants carrying `data-action`
+ * `handlers` maps an action name to a function receiving the element that
+ * carries the action and the event.
+ */
+export function delegate(root, type, handlers) {
+    root.addEventListener(type, (e) => {
+        const target = e.target.closest('[data-action]');
+        if (!target || !root.contains(target)) return;
+        const handler = handlers[target.dataset.action];
+        if (handler) handler(target, e);
+    });
+}
@@ -0,0 +1,65 @@
+// @vitest-environment jsdom
+import { describe, expect, it, vi } from 'vitest';
+import { delegate, h, render } from './dom.js';
+
+describe('h', () => {
+    it('shows markup in text and children as typed', () => {
+        const el = h('td', { text: '<img src=x onerror=alert(1)>' });
+        const parent = h('div', {}, '"><script>alert(1)</script>', el);
+
+        expect(parent.querySelector('img, script')).toBeNull();
+        expect(el.textContent).toBe('<img src=x onerror=alert(1)>');
+        expect(parent.textContent).toBe('"><script>alert(1)</script><img src=x onerror=alert(1)>');
+    });
+
+    it('keeps quotes inside attribute values', () => {
+        const el = h('button', { 'aria-label': 'Supprimer "><img src=x onerror=alert(1)>', title: "O'Brien" });
+        expect(el.getAttribute('aria-label')).toBe('Supprimer "><img src=x onerror=alert(1)>');
+        expect(el.getAttribute('title')).toBe("O'Brien");
+        expect(el.attributes).toHaveLength(2);
+    });
+
+    it.each(['onclick', 'onerror', 'ONMOUSEOVER', 'onFocus'])('refuses the %s attribute', (name) => {
+        expect(() => h('img', { [name]: 'alert(1)' })).toThrow(/Inline handler/);
+    });
+
+    it.each([
+        ['href', 'javascript:alert(1)'],
+        ['href', 'JavaScript:alert(1)'],
+        ['href', '  javascript:alert(1)'],
+        ['href', 'java\tscript:alert(1)'],
+        ['href', '\u0001javascript:alert(1)'],
+        ['src', 'vbscript:msgbox(1)'],
+        ['action', 'javascript:void(0)'],
+        ['formaction', 'javascript:void(0)'],
+        ['HREF', 'javascript:alert(1)']
+    ])('refuses the script URL of %s="%s"', (name, value) => {
+        expect(() => h('a', { [name]: value })).toThrow(/Script URL/);
+    });
+
+    it('accepts ordinary URLs', () => {
+        expect(h('a', { href: 'https://esprit.tn/javascript:notes' }).getAttribute('href')).toBe('https://esprit.tn/javascript:notes');
+        expect(h('a', { href: '/grade-calculator/' }).getAttribute('href')).toBe('/grade-calculator/');
+        expect(h('img', { src: 'data:image/png;base64,AAAA' }).getAttribute('src')).toBe('data:image/png;base64,AAAA');
+    });
+
+    it('skips empty props and children', () => {
+        const el = h('input', { disabled: false, required: true, title: null }, null, undefined, false, ['a', ['b']]);
+        expect(el.hasAttribute('disabled')).toBe(false);
+        expect(el.getAttribute('required')).toBe('');
+        expect(el.textContent).toBe('ab');
+    });
+});
+
+describe('render and delegate', () => {
+    it('replace the children and route actions to their handlers', () => {
+        const root = h('div', {}, 'old');
+        const remove = vi.fn();
+        delegate(root, 'click', { remove });
+        render(root, [h('button', { dataset: { action: 'remove', index: 2 } }, h('span', { text: '✖' }))]);
+
+        root.querySelector('span').click();
+        expect(root.textContent).toBe('✖');
+        expect(remove).toHaveBeenCalledWith(root.querySelector('button'), expect.any(Event));
+    });
+});
@@ -1,5 +1,37 @@
+import {
+    getSubjectAverage,
+    summarizeGrades,
+    EXCELLENT_THRESHOLD,
+    PASS_THRESHOLD,
+    DANGER_THRESHOLD
+} from '../src/utils/grading.js';
+import { downloadFile } from '../src/utils/download.js';
+import { SCALES, averageOnScale, scaleComponent, toScale } from '../src/utils/gradingSettings.js';
+import { buildTranscriptHtml, printHtml } from '../src/utils/transcriptDocument.js';
+import { gradesToCsv } from '../src/utils/transcriptCsv.js';
+import { LEGACY_KEYS, STORAGE_KEY, fromVanillaGrade, loadStore, readJson, saveStore } from '../src/utils/storage.js';
+import { checkPin, updateStudent } from '../src/utils/students.js';
+import { stampGrade } from '../src/utils/timeline.js';
+import { BUILT_IN_PROFILES } from '../src/utils/weightingProfiles.js';
+import { validateGrade } from '../src/utils/validation.js';
+import { LOCALES, applyDocumentLocale, createTranslator, loadLocale, saveLocale } from '../src/utils/i18n.js';
+import { delegate, h, render } from './dom.js';
+
 // State
-let grades = JSON.parse(localStorage.getItem('gradeData')) || [];
+// The app edits the current semester of the active student profile, in the
+// document shared with the React app (see storage.js)
+let store = loadStore().data;
+let grades = [];
+
+// Profile opened with its PIN on this page, and whether the active one is locked
+let unlockedId = null;
+let isLocked = false;
+
+// Language shared with the React app through the same saved preference
+let i18n = createTranslator(loadLocale());
+
+// Row whose deletion waits for confirmation, null when none
+let confirmingIndex = null;
 
 // DOM Elements
 const form = document.getElementById('gradeForm');
@@ -11,74 +43,120 @@ const dangerCountEl = document.getElementById('dangerCount');
 const resetBtn = document.getElementById('resetBtn');
 const exportCsvBtn = document.getElementById('exportCsvBtn');
 const printBtn = document.getElementById('printBtn');
+const languageSelect = document.getElementById('languageSelect');
+const gradesTitle = document.getElementById('gradesTitle');
+const announcer = document.getElementById('announcer');
+
+// Input of each field checked by the shared validation rules
+const FIELD_INPUTS = { subject: 'subject', coef: 'coef', cc: 'noteCC', tp: 'noteTP', exam: 'noteExam' };
+
+// Grade inputs, typed on the profile's scale
+const GRADE_INPUTS = ['noteCC', 'noteTP', 'noteExam'];
 
 // Formulas
+// Averaging rules live in the shared grading engine; this app only formats them.
+// Subject averages are on /20, rounded first when the profile's policy says so
 function calculerMoyenne(notes) {
-    const { cc, tp, exam } = notes;
-    const hasCC = cc !== null && cc !== undefined && !isNaN(cc) && cc !== '';
-    const hasTP = tp !== null && tp !== undefined && !isNaN(tp) && tp !== '';
-    
-    const valCC = hasCC ? parseFloat(cc) : 0;
-    const valTP = hasTP ? parseFloat(tp) : 0;
-    const valExam = parseFloat(exam);
+    return getSubjectAverage(notes, getProfiles(), getSettings());
+}
 
-    // 3 notes: note1 * 0.2 + note2 * 0.3 + note_exam * 0.5
-    if (hasCC && hasTP) {
-        return (valCC * 0.3 + valTP * 0.2 + valExam * 0.5).toFixed(2);
-    }
-    
-    // 2 notes: note1 * 0.4 + note_exam * 0.6
-    // We treat the existing one as note1
-    if (hasCC || hasTP) {
-        const note1 = hasCC ? valCC : valTP;
-        return (note1 * 0.4 + valExam * 0.6).toFixed(2);
-    }
+// An average as the React app shows it: rounded, on the profile's scale
+function formatMoyenne(moyenne) {
+    return i18n.formatNumber(averageOnScale(moyenne, getSettings()));
+}
+
+function formatComponent(value) {
+    const scaled = scaleComponent(value, getSettings());
+    return scaled !== '' ? scaled : '-';
+}
+
+// The label is shown with the colour so the status never relies on it alone
+function getStyleMoyenne(moy) {
+    if (moy >= EXCELLENT_THRESHOLD) return { class: 'grade-excellent', icon: '🟢', label: 'vanilla.statusExcellent' };
+    if (moy >= PASS_THRESHOLD) return { class: 'grade-good', icon: '🟡', label: 'vanilla.statusPass' };
+    if (moy >= DANGER_THRESHOLD) return { class: 'grade-warning', icon: '🔴', label: 'vanilla.statusResit' };
+    return { class: 'grade-danger', icon: '🔴⚠️', label: 'vanilla.statusDanger' };
+}
 
-    // 1 note: retourne la note d'examen
-    return valExam.toFixed(2);
+// Translation
+// Static text carries its message key in data-i18n attributes; the legend
+// and the danger count name the thresholds on the profile's scale
+function applyTranslations() {
+    const settings = getSettings();
+    const thresholds = Object.fromEntries(Object.entries({
+        excellent: EXCELLENT_THRESHOLD,
+        pass: PASS_THRESHOLD,
+        danger: DANGER_THRESHOLD
+    }).map(([name, value]) => [name, i18n.formatNumber(toScale(value, settings), 0)]));
+
+    applyDocumentLocale(i18n.locale);
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = i18n.t(el.dataset.i18n, thresholds);
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+        el.placeholder = i18n.t(el.dataset.i18nPlaceholder);
+    });
+    document.querySelectorAll('[data-i18n-label]').forEach(el => {
+        el.setAttribute('aria-label', i18n.t(el.dataset.i18nLabel));
+    });
+    GRADE_INPUTS.forEach(id => {
+        const input = document.getElementById(id);
+        input.placeholder = SCALES[settings.scale].suffix;
+        input.max = SCALES[settings.scale].max;
+    });
 }
 
-function getStyleMoyenne(moyenne) {
-    const moy = parseFloat(moyenne);
-    if (moy >= 16) return { class: 'grade-excellent', icon: '🟢' };
-    if (moy >= 10) return { class: 'grade-good', icon: '🟡' };
-    if (moy >= 8) return { class: 'grade-warning', icon: '🔴' };
-    return { class: 'grade-danger', icon: '🔴⚠️' };
+function setLanguage(locale) {
+    saveLocale(locale);
+    i18n = createTranslator(locale);
+    applyTranslations();
+    renderTable();
 }
 
 // Render Functions
+// Rows are built with the safe element builder (dom.js), never from HTML strings
+function renderRow(grade, index) {
+    const avg = calculerMoyenne(grade);
+    const style = getStyleMoyenne(avg);
+
+    return h('tr', {},
+        h('td', { text: grade.subject }),
+        h('td', { text: formatComponent(grade.cc) }),
+        h('td', { text: formatComponent(grade.tp) }),
+        h('td', { text: formatComponent(grade.exam) }),
+        h('td', { text: grade.coef }),
+        h('td', {},
+            h('span', { className: `grade-badge ${style.class}` },
+                `${formatMoyenne(avg)} `,
+                h('span', { 'aria-hidden': 'true', text: style.icon })
+            ),
+            h('span', { className: 'grade-status', text: i18n.t(style.label) })
+        ),
+        h('td', {}, index === confirmingIndex ? renderDeleteConfirmation(index) : h('button', {
+            type: 'button',
+            className: 'btn-delete',
+            dataset: { action: 'delete', index },
+            title: i18n.t('common.delete'),
+            'aria-label': `${i18n.t('common.delete')} ${grade.subject}`,
+            text: '✖'
+        }))
+    );
+}
+
+// Deleting asks in the row itself instead of a blocking confirm()
+function renderDeleteConfirmation(index) {
+    return h('span', { className: 'delete-confirm' },
+        h('span', { text: i18n.t('vanilla.confirmDelete') }),
+        h('button', { type: 'button', className: 'btn-confirm', dataset: { action: 'confirm-delete', index }, text: i18n.t('common.delete') }),
+        h('button', { type: 'button', className: 'btn-cancel', dataset: { action: 'cancel-delete' }, text: i18n.t('common.cancel') })
+    );
+}
+
 function renderTable() {
-    gradesTableBody.innerHTML = '';
-    
-    if (grades.length === 0) {
-        emptyState.style.display = 'block';
-        updateStats();
-        return;
-    }
-    
-    emptyState.style.display = 'none';
-
-    grades.forEach((grade, index) => {
-        const avg = calculerMoyenne({ cc: grade.cc, tp: grade.tp, exam: grade.exam });
-        const style = getStyleMoyenne(avg);
-        
-        const tr = document.createElement('tr');
-        tr.innerHTML = `
-            <td>${grade.subject}</td>
-            <td>${grade.cc !== '' ? grade.cc : '-'}</td>
-            <td>${grade.tp !== '' ? grade.tp : '-'}</td>
-            <td>${grade.exam}</td>
-            <td>${grade.coef}</td>
-            <td><span class="grade-badge ${style.class}">${avg} ${style.icon}</span></td>
-            <td>
-                <button class="btn-delete" onclick="deleteGrade(${index})" title="Supprimer">✖</button>
-            </td>
-        `;
-        gradesTableBody.appendChild(tr);
-    });
+    render(gradesTableBody, grades.map(renderRow));
+    emptyState.hidden = grades.length > 0;
 
     updateStats();
-    saveData();
 }
 
 function updateStats() {
@@ -89,110 +167,198 @@ function updateStats() {
         return;
     }
 
-    let totalPoints = 0;
-    let totalCoef = 0;
-    let validated = 0;
-    let danger = 0;
-
-    grades.forEach(grade => {
-        const avg = parseFloat(calculerMoyenne({ cc: grade.cc, tp: grade.tp, exam: grade.exam }));
-        const coef = parseFloat(grade.coef);
-        
-        totalPoints += avg * coef;
-        totalCoef += coef;
-
-        if (avg >= 10) validated++;
-        if (avg < 8) danger++;
-    });
-
-    const generalAvg = totalCoef > 0 ? (totalPoints / totalCoef).toFixed(2) : '0.00';
+    const summary = summarizeGrades(grades, getProfiles(), getSettings());
+    const validated = summary.validatedCount;
+    const danger = summary.dangerCount;
     
-    generalAverageEl.textContent = generalAvg;
+    generalAverageEl.textContent = formatMoyenne(summary.generalAvg);
     validatedCountEl.textContent = validated;
     dangerCountEl.textContent = danger;
     
     // Style general average
-    const style = getStyleMoyenne(generalAvg);
-    generalAverageEl.style.color = style.class === 'grade-excellent' ? '#d4edda' : 'white';
+    const style = getStyleMoyenne(summary.generalAvg);
+    generalAverageEl.classList.toggle('stat-excellent', style.class === 'grade-excellent');
 }
 
 // Data Management
+function getActiveStudent() {
+    return store.students.find(student => student.id === store.activeStudentId) ?? store.students[0];
+}
+
+// Custom weighting profiles created in the React app apply here too
+function getProfiles() {
+    return [...BUILT_IN_PROFILES, ...getActiveStudent().data.customProfiles];
+}
+
+// Scale and rounding chosen in the React app's "Barème & Arrondi" panel
+function getSettings() {
+    return getActiveStudent().data.gradingSettings;
+}
+
+function readGrades() {
+    const { data } = getActiveStudent();
+    return data.grades.filter(grade => grade.termId === data.activeTermId);
+}
+
+// Only the current semester is replaced; the rest of the profile is kept
 function saveData() {
-    localStorage.setItem('gradeData', JSON.stringify(grades));
+    const student = getActiveStudent();
+    const otherTerms = student.data.grades.filter(grade => grade.termId !== student.data.activeTermId);
+    store = {
+        ...store,
+        students: updateStudent(store.students, student.id, { data: { ...student.data, grades: [...otherTerms, ...grades] } })
+    };
+    saveStore(store);
+}
+
+// Grades saved by earlier versions of this app under their own key move into
+// the current semester, except subjects it already has
+function importLegacyGrades() {
+    const legacy = readJson(LEGACY_KEYS.vanillaGrades, null);
+    localStorage.removeItem(LEGACY_KEYS.vanillaGrades);
+    if (!Array.isArray(legacy)) return;
+
+    const { data } = getActiveStudent();
+    const known = new Set(grades.map(grade => grade.subject.trim().toLowerCase()));
+    const added = legacy
+        .filter(grade => grade && typeof grade === 'object' && String(grade.subject ?? '').trim() !== '')
+        .filter(grade => !known.has(String(grade.subject).trim().toLowerCase()))
+        .map(grade => stampGrade(fromVanillaGrade(grade, data.activeTermId)));
+    grades = [...grades, ...added];
+    saveData();
+}
+
+// A PIN-protected profile is asked for its PIN once per page
+async function openActiveStudent() {
+    const student = getActiveStudent();
+    if (student.pin && student.id !== unlockedId) {
+        const pin = prompt(i18n.t('vanilla.pinPrompt', { name: student.name }));
+        if (pin !== null && await checkPin(student, pin)) unlockedId = student.id;
+    }
+    isLocked = Boolean(student.pin) && student.id !== unlockedId;
+    grades = isLocked ? [] : readGrades();
+    confirmingIndex = null;
+
+    document.querySelectorAll('#gradeForm :is(input, button), .list-actions button').forEach(el => {
+        el.disabled = isLocked;
+    });
+    emptyState.dataset.i18n = isLocked ? 'vanilla.locked' : 'vanilla.empty';
 }
 
 function addGrade(e) {
     e.preventDefault();
     
-    const subject = document.getElementById('subject').value;
-    const coef = document.getElementById('coef').value;
-    const cc = document.getElementById('noteCC').value;
-    const tp = document.getElementById('noteTP').value;
-    const exam = document.getElementById('noteExam').value;
-
-    const newGrade = {
-        subject,
-        coef,
-        cc,
-        tp,
-        exam
-    };
+    const input = Object.fromEntries(
+        Object.entries(FIELD_INPUTS).map(([field, id]) => [field, document.getElementById(id).value])
+    );
+    const { grade: newGrade, errors, warnings } = validateGrade(input, { profiles: getProfiles(), others: grades, settings: getSettings() });
+
+    // Errors block the subject through the browser's own validation bubbles
+    Object.entries(FIELD_INPUTS).forEach(([field, id]) => {
+        const error = errors[field];
+        document.getElementById(id).setCustomValidity(error ? i18n.t(error.key, error.params) : '');
+    });
+    if (!newGrade) return form.reportValidity();
+
+    // Warnings (duplicate subject, unusual coefficient total) only ask first
+    const notes = Object.values(warnings).map(warning => i18n.t(warning.key, warning.params));
+    if (notes.length > 0 && !confirm(notes.join('\n'))) return;
 
-    grades.push(newGrade);
+    grades.push(stampGrade(fromVanillaGrade(newGrade, getActiveStudent().data.activeTermId)));
+    confirmingIndex = null;
+    saveData();
     renderTable();
     form.reset();
     document.getElementById('subject').focus();
 }
 
-// Global scope for delete function (called from HTML)
-window.deleteGrade = function(index) {
-    if(confirm('Voulez-vous vraiment supprimer cette matière ?')) {
-        grades.splice(index, 1);
-        renderTable();
-    }
-};
+function askDelete(index) {
+    confirmingIndex = index;
+    renderTable();
+    gradesTableBody.querySelector('[data-action="confirm-delete"]').focus();
+}
+
+function cancelDelete() {
+    const index = confirmingIndex;
+    confirmingIndex = null;
+    renderTable();
+    gradesTableBody.querySelector(`[data-action="delete"][data-index="${index}"]`)?.focus();
+}
+
+// The removed row took the focus with it: it moves to the table title
+function deleteGrade(index) {
+    const [removed] = grades.splice(index, 1);
+    confirmingIndex = null;
+    saveData();
+    renderTable();
+    announcer.textContent = i18n.t('vanilla.deleted', { subject: removed.subject });
+    gradesTitle.focus();
+}
 
 // Event Listeners
+// Row buttons are handled once on the table body instead of inline handlers
+delegate(gradesTableBody, 'click', {
+    delete: (button) => askDelete(Number(button.dataset.index)),
+    'confirm-delete': (button) => deleteGrade(Number(button.dataset.index)),
+    'cancel-delete': cancelDelete
+});
+
+// Escape leaves a pending deletion
+gradesTableBody.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && confirmingIndex !== null) cancelDelete();
+});
+
 form.addEventListener('submit', addGrade);
+form.addEventListener('input', (e) => e.target.setCustomValidity(''));
 
 resetBtn.addEventListener('click', () => {
-    if(confirm('Tout effacer ?')) {
+    if(confirm(i18n.t('vanilla.confirmReset'))) {
         grades = [];
+        confirmingIndex = null;
+        saveData();
         renderTable();
     }
 });
 
 printBtn.addEventListener('click', () => {
-    window.print();
+    if(grades.length === 0) return alert(i18n.t('vanilla.nothingToPrint'));
+    
+    // Only the current semester is shown here, so only it is printed
+    const { data } = getActiveStudent();
+    printHtml(buildTranscriptHtml({
+        student: data.student,
+        terms: data.terms.filter(term => term.id === data.activeTermId),
+        grades,
+        units: data.units,
+        profiles: getProfiles(),
+        rules: data.compensationRules,
+        settings: getSettings(),
+        locale: i18n.locale
+    }));
 });
 
 exportCsvBtn.addEventListener('click', () => {
-    if(grades.length === 0) return alert('Aucune donnée à exporter.');
-    
-    let csvContent = "data:text/csv;charset=utf-8,";
-    csvContent += "Matière,Note CC,Note TP,Note Exam,Coef,Moyenne\n";
-    
-    grades.forEach(grade => {
-        const avg = calculerMoyenne({ cc: grade.cc, tp: grade.tp, exam: grade.exam });
-        const row = [
-            `"${grade.subject}"`,
-            grade.cc || '',
-            grade.tp || '',
-            grade.exam,
-            grade.coef,
-            avg.replace('.', ',') // French format often uses comma
-        ].join(",");
-        csvContent += row + "\n";
-    });
+    if(grades.length === 0) return alert(i18n.t('vanilla.nothingToExport'));
     
-    const encodedUri = encodeURI(csvContent);
-    const link = document.createElement("a");
-    link.setAttribute("href", encodedUri);
-    link.setAttribute("download", "releve_notes.csv");
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+    // Same columns, scale and rounding as the React app's export
+    downloadFile(gradesToCsv(grades, getProfiles(), getSettings()), 'releve_notes.csv', 'text/csv;charset=utf-8');
+});
+
+languageSelect.append(...Object.entries(LOCALES).map(([key, { label }]) => new Option(label, key)));
+languageSelect.value = i18n.locale;
+languageSelect.addEventListener('change', () => setLanguage(languageSelect.value));
+
+// Changes saved by the React app or another tab are read back
+window.addEventListener('storage', async (e) => {
+    if (e.key !== STORAGE_KEY) return;
+    store = loadStore().data;
+    await openActiveStudent();
+    applyTranslations();
+    renderTable();
 });
 
 // Initial Render
+await openActiveStudent();
+if (!isLocked) importLegacyGrades();
+applyTranslations();
 renderTable();
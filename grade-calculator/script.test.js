@@ -0,0 +1,318 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { LEGACY_KEYS, STORAGE_KEY, loadStore, saveStore } from '../src/utils/storage.js';
+import { createPin, createStudent } from '../src/utils/students.js';
+import { parseCsv } from '../src/utils/csv.js';
+import { saveLocale } from '../src/utils/i18n.js';
+import { createTerm } from '../src/utils/terms.js';
+import PAGE from './index.html?raw';
+
+/**
+ * Load the page and run its script, as a browser would
+ */
+const openApp = async () => {
+    document.body.innerHTML = new DOMParser().parseFromString(PAGE, 'text/html').body.innerHTML;
+    vi.resetModules();
+    await import('./script.js');
+};
+
+const shownSubjects = () => [...document.querySelectorAll('#gradesTable tbody tr')].map(row => row.cells[0].textContent);
+
+/**
+ * One profile with a grade in each of two semesters, the second one current
+ */
+const storeTwoTerms = async ({ pin } = {}) => {
+    const student = createStudent({ name: 'Amal' });
+    const first = createTerm('2025-2026', 'S1');
+    const second = createTerm('2025-2026', 'S2');
+    student.data = {
+        ...student.data,
+        terms: [first, second],
+        activeTermId: second.id,
+        grades: [
+            { id: 'a', subject: 'Analyse', coef: 2, cc: '12', tp: '', project: '', exam: '14', profileId: 'standard', termId: first.id },
+            { id: 'b', subject: 'Réseaux', coef: 1, cc: '', tp: '', project: '', exam: '9', profileId: 'standard', termId: second.id }
+        ]
+    };
+    if (pin) student.pin = await createPin(pin);
+    saveStore({ students: [student], activeStudentId: student.id });
+    return { student, first, second };
+};
+
+const addSubject = (fields) => {
+    Object.entries(fields).forEach(([id, value]) => {
+        document.getElementById(id).value = value;
+    });
+    document.getElementById('gradeForm').requestSubmit();
+};
+
+// Messages are checked in French, the reference catalogue
+beforeEach(() => {
+    localStorage.clear();
+    saveLocale('fr');
+    vi.stubGlobal('confirm', () => true);
+});
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+// ============================================================================
+// SHARED STORAGE
+// ============================================================================
+
+describe('storage shared with the React app', () => {
+    it('shows the current semester of the active profile', async () => {
+        await storeTwoTerms();
+        await openApp();
+        expect(shownSubjects()).toEqual(['Réseaux']);
+        expect(document.getElementById('generalAverage').textContent).toBe('9,00');
+    });
+
+    it('saves new subjects in the current semester and keeps the others', async () => {
+        const { first, second } = await storeTwoTerms();
+        await openApp();
+        addSubject({ subject: 'Probabilités', coef: '3', noteExam: '15' });
+
+        expect(shownSubjects()).toEqual(['Réseaux', 'Probabilités']);
+        const { grades } = loadStore().data.students[0].data;
+        expect(grades.map(grade => [grade.subject, grade.termId])).toEqual([
+            ['Analyse', first.id],
+            ['Réseaux', second.id],
+            ['Probabilités', second.id]
+        ]);
+        expect(grades[2].history).toHaveLength(1);
+        expect(localStorage.getItem(LEGACY_KEYS.vanillaGrades)).toBeNull();
+    });
+
+    it('deletes subjects from the shared document', async () => {
+        await storeTwoTerms();
+        await openApp();
+        document.querySelector('[data-action="delete"]').click();
+        document.querySelector('[data-action="confirm-delete"]').click();
+
+        expect(shownSubjects()).toEqual([]);
+        expect(loadStore().data.students[0].data.grades.map(grade => grade.subject)).toEqual(['Analyse']);
+    });
+
+    it('moves grades saved by older versions into the current semester once', async () => {
+        await storeTwoTerms();
+        localStorage.setItem(LEGACY_KEYS.vanillaGrades, JSON.stringify([
+            { subject: 'Réseaux', coef: 1, cc: '', tp: '', exam: '9' },
+            { subject: 'Algèbre', coef: 2, cc: '10', tp: '', exam: '12' }
+        ]));
+        await openApp();
+
+        expect(shownSubjects()).toEqual(['Réseaux', 'Algèbre']);
+        expect(localStorage.getItem(LEGACY_KEYS.vanillaGrades)).toBeNull();
+        await openApp();
+        expect(shownSubjects()).toEqual(['Réseaux', 'Algèbre']);
+    });
+
+    it('saves grades migrated from an older version on first load', async () => {
+        localStorage.setItem(LEGACY_KEYS.vanillaGrades, JSON.stringify([{ subject: 'Algèbre', coef: 2, cc: '', tp: '', exam: '12' }]));
+        await openApp();
+
+        expect(shownSubjects()).toEqual(['Algèbre']);
+        expect(localStorage.getItem(STORAGE_KEY)).not.toBeNull();
+        expect(loadStore().data.students[0].data.grades.map(grade => grade.subject)).toEqual(['Algèbre']);
+    });
+
+    it('does not bring back subjects deleted after the React app migrated them', async () => {
+        localStorage.setItem(LEGACY_KEYS.vanillaGrades, JSON.stringify([
+            { subject: 'Algèbre', coef: 2, cc: '', tp: '', exam: '12' },
+            { subject: 'Réseaux', coef: 1, cc: '', tp: '', exam: '9' }
+        ]));
+        localStorage.setItem(LEGACY_KEYS.grades, JSON.stringify([]));
+
+        // The React app loads the old keys, then the student deletes a subject
+        const { data } = loadStore();
+        expect(Object.values(LEGACY_KEYS).map(key => localStorage.getItem(key))).toEqual(Object.values(LEGACY_KEYS).map(() => null));
+        const [student] = data.students;
+        const grades = student.data.grades.filter(grade => grade.subject !== 'Algèbre');
+        saveStore({ ...data, students: [{ ...student, data: { ...student.data, grades } }] });
+
+        await openApp();
+        expect(shownSubjects()).toEqual(['Réseaux']);
+        expect(loadStore().data.students[0].data.grades.map(grade => grade.subject)).toEqual(['Réseaux']);
+    });
+
+    it('reads back changes saved in another tab', async () => {
+        const { student, second } = await storeTwoTerms();
+        await openApp();
+
+        const grades = [...student.data.grades, { id: 'c', subject: 'Java', coef: 1, cc: '', tp: '', project: '', exam: '17', profileId: 'standard', termId: second.id }];
+        saveStore({ students: [{ ...student, data: { ...student.data, grades } }], activeStudentId: student.id });
+        window.dispatchEvent(new StorageEvent('storage', { key: STORAGE_KEY }));
+
+        await vi.waitFor(() => expect(shownSubjects()).toEqual(['Réseaux', 'Java']));
+    });
+});
+
+// ============================================================================
+// GRADING SETTINGS
+// ============================================================================
+
+describe('grading settings of the profile', () => {
+    const storeWithSettings = () => {
+        const student = createStudent({ name: 'Amal' });
+        const term = createTerm('2025-2026', 'S1');
+        student.data = {
+            ...student.data,
+            terms: [term],
+            activeTermId: term.id,
+            gradingSettings: { scale: '100', mode: 'truncate', step: 0.25, stage: 'subject' },
+            grades: [{ id: 'a', subject: 'Analyse', coef: 1, cc: '12.3', tp: '', project: '', exam: '13.9', profileId: 'standard', termId: term.id }]
+        };
+        saveStore({ students: [student], activeStudentId: student.id });
+    };
+
+    const shownCells = () => [...document.querySelectorAll('#gradesTable tbody tr')].map(row =>
+        [...row.cells].slice(0, 4).map(cell => cell.textContent).concat(row.querySelector('.grade-badge').textContent.trim()));
+
+    it('shows grades, averages and thresholds on the scale, rounded by the policy', async () => {
+        storeWithSettings();
+        await openApp();
+        addSubject({ subject: 'Réseaux', coef: '1', noteExam: '47' });
+
+        // 66.3/100 truncated to the quarter point; 47/100 is 9.4/20, a resit
+        expect(shownCells()).toEqual([
+            ['Analyse', '61.5', '-', '69.5', '66,25 🟡'],
+            ['Réseaux', '-', '-', '47', '47,00 🔴']
+        ]);
+        expect([...document.querySelectorAll('.grade-status')].map(el => el.textContent)).toEqual(['Validée', 'Rattrapage']);
+        expect(document.getElementById('generalAverage').textContent).toBe('56,50');
+        expect(document.getElementById('validatedCount').textContent).toBe('1');
+        expect(document.querySelector('[data-i18n="vanilla.legendPass"]').textContent).toBe('Validé (≥ 50)');
+        expect(document.getElementById('noteExam').placeholder).toBe('/100');
+        expect(loadStore().data.students[0].data.grades[1].exam).toBe('9.4');
+    });
+
+    it('checks grades against the scale', async () => {
+        storeWithSettings();
+        await openApp();
+        addSubject({ subject: 'Réseaux', coef: '1', noteExam: '120' });
+        expect(shownSubjects()).toEqual(['Analyse']);
+        expect(document.getElementById('noteExam').validationMessage).not.toBe('');
+
+        addSubject({ subject: 'Réseaux', coef: '1', noteExam: '85' });
+        expect(shownSubjects()).toEqual(['Analyse', 'Réseaux']);
+    });
+
+    it('prints and exports the same averages as the React app', async () => {
+        storeWithSettings();
+        await openApp();
+
+        document.getElementById('printBtn').click();
+        const frame = document.querySelector('iframe');
+        frame.remove();
+        const printed = new DOMParser().parseFromString(frame.srcdoc, 'text/html');
+        expect(printed.querySelector('th:last-child').textContent).toBe('Moyenne (/100)');
+        expect([...printed.querySelectorAll('tbody td')].map(cell => cell.textContent).at(-1)).toBe('66.25');
+
+        const files = [];
+        vi.stubGlobal('URL', { ...URL, createObjectURL: (blob) => { files.push(blob); return 'blob:csv'; }, revokeObjectURL: () => {} });
+        const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        document.getElementById('exportCsvBtn').click();
+        click.mockRestore();
+
+        const [header, row] = parseCsv(await files[0].text(), ';');
+        expect(header.at(-1)).toBe('Moyenne');
+        expect(row.at(-1)).toBe('66,25');
+    });
+});
+
+// ============================================================================
+// PIN
+// ============================================================================
+
+describe('PIN-protected profiles', () => {
+    it('shows the grades once the PIN is given', async () => {
+        await storeTwoTerms({ pin: '2468' });
+        vi.stubGlobal('prompt', () => '2468');
+        await openApp();
+        expect(shownSubjects()).toEqual(['Réseaux']);
+    });
+
+    it('keeps the grades hidden and the form disabled without the PIN', async () => {
+        await storeTwoTerms({ pin: '2468' });
+        vi.stubGlobal('prompt', () => '0000');
+        await openApp();
+
+        expect(shownSubjects()).toEqual([]);
+        expect(document.getElementById('subject').disabled).toBe(true);
+        expect(document.getElementById('exportCsvBtn').disabled).toBe(true);
+        expect(document.getElementById('emptyState').hidden).toBe(false);
+    });
+});
+
+// ============================================================================
+// HOSTILE SUBJECT NAMES
+// ============================================================================
+
+describe('hostile subject names', () => {
+    const NAMES = [
+        '<img src=x onerror=alert(1)>',
+        '"><script>alert(1)</script>',
+        'O\'Brien "Réseaux" ; <b>gras</b>'
+    ];
+
+    // Nothing typed by the student may become an element of the page
+    const expectNoInjectedMarkup = (root) => {
+        expect(root.querySelectorAll('img, script, b')).toHaveLength(0);
+        expect([...root.querySelectorAll('*')].flatMap(el => [...el.attributes]).filter(attr => /^on/i.test(attr.name))).toEqual([]);
+    };
+
+    const openWithNames = async () => {
+        await openApp();
+        NAMES.forEach((subject, i) => addSubject({ subject, coef: '1', noteExam: String(10 + i) }));
+    };
+
+    it('renders the rows as text', async () => {
+        await openWithNames();
+        expect(shownSubjects()).toEqual(NAMES);
+        expectNoInjectedMarkup(document.querySelector('.container'));
+        expect([...document.querySelectorAll('[data-action="delete"]')].map(button => button.getAttribute('aria-label')))
+            .toEqual(NAMES.map(name => `Supprimer ${name}`));
+    });
+
+    it('renders the delete confirmation and announcement as text', async () => {
+        await openWithNames();
+        NAMES.forEach(() => {
+            document.querySelector('[data-action="delete"]').click();
+            expectNoInjectedMarkup(document.querySelector('.container'));
+            document.querySelector('[data-action="confirm-delete"]').click();
+            expectNoInjectedMarkup(document.querySelector('.container'));
+        });
+        expect(document.getElementById('announcer').textContent).toBe(`« ${NAMES[2]} » supprimée.`);
+        expect(shownSubjects()).toEqual([]);
+    });
+
+    it('escapes the printed transcript', async () => {
+        await openWithNames();
+        document.getElementById('printBtn').click();
+
+        // The frame is read, then removed before it loads and prints
+        const frame = document.querySelector('iframe');
+        frame.remove();
+        const printed = new DOMParser().parseFromString(frame.srcdoc, 'text/html');
+        expect(printed.querySelectorAll('script, b')).toHaveLength(0);
+        expect([...printed.querySelectorAll('img')].map(img => img.getAttribute('alt'))).toEqual(['ESPRIT']);
+        expect([...printed.querySelectorAll('*')].flatMap(el => [...el.attributes]).filter(attr => /^on/i.test(attr.name))).toEqual([]);
+        NAMES.forEach(name => {
+            expect([...printed.querySelectorAll('td')].some(cell => cell.textContent === name)).toBe(true);
+        });
+    });
+
+    it('quotes the CSV export', async () => {
+        await openWithNames();
+        const files = [];
+        vi.stubGlobal('URL', { ...URL, createObjectURL: (blob) => { files.push(blob); return 'blob:csv'; }, revokeObjectURL: () => {} });
+        const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        document.getElementById('exportCsvBtn').click();
+        click.mockRestore();
+
+        const rows = parseCsv(await files[0].text(), ';');
+        expect(rows.slice(1).map(row => row[0])).toEqual(NAMES);
+    });
+});
@@ -0,0 +1,42 @@
+/**
+ * Service Worker Plugin
+ * Emits `sw.js` next to the build, with the list of files to precache:
+ * every page and generated asset plus the files copied from `public/`.
+ */
+
+import { createHash } from 'node:crypto'
+import { readdirSync, readFileSync } from 'node:fs'
+import { fileURLToPath } from 'node:url'
+
+const TEMPLATE = fileURLToPath(new URL('./sw.js', import.meta.url))
+const PUBLIC_DIR = fileURLToPath(new URL('../public', import.meta.url))
+
+// HTML pages are emitted after this plugin runs, so they are listed here
+const PAGES = ['/index.html', '/grade-calculator/index.html']
+
+export default function serviceWorkerPlugin() {
+  return {
+    name: 'gradeflow-service-worker',
+    apply: 'build',
+
+    generateBundle(_options, bundle) {
+      const files = [
+        ...PAGES,
+        ...Object.keys(bundle).filter((file) => !file.endsWith('.html')).map((file) => `/${file}`),
+        ...readdirSync(PUBLIC_DIR).map((file) => `/${file}`),
+      ]
+      // Asset names carry content hashes; public files are hashed by content
+      const hash = createHash('sha256').update(files.join('\n'))
+      readdirSync(PUBLIC_DIR).forEach((file) => hash.update(readFileSync(`${PUBLIC_DIR}/${file}`)))
+      const version = hash.digest('hex').slice(0, 12)
+
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: readFileSync(TEMPLATE, 'utf8')
+          .replace('__PRECACHE__', JSON.stringify(files, null, 2))
+          .replace('__VERSION__', version),
+      })
+    },
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * Service Worker
+ * Template completed at build time by `serviceWorkerPlugin`, which fills
+ * in the list of built files and a version hash of the build.
+ *
+ * - Built assets and public files are precached on install.
+ * - Navigations are served from the network, falling back offline to the
+ *   cached page (the React shell or the vanilla app). Other precached files
+ *   are served from the cache.
+ * - A new version waits until the page asks it to take over, so the app
+ *   can offer the update instead of swapping code under the student.
+ */
+
+const PRECACHE = __PRECACHE__;
+const CACHE_NAME = `gradeflow-__VERSION__`;
+const APP_SHELL = '/index.html';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key.startsWith('gradeflow-') && key !== CACHE_NAME).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request).catch(() => {
+                const { pathname } = new URL(request.url);
+                const page = pathname.endsWith('/') ? `${pathname}index.html` : pathname;
+                return caches.match(page, { cacheName: CACHE_NAME })
+                    .then(cached => cached || caches.match(APP_SHELL, { cacheName: CACHE_NAME }));
+            })
+        );
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request, { cacheName: CACHE_NAME }).then(cached => cached || fetch(request))
+    );
+});
@@ -1,8 +1,15 @@
-import GradeCalculator from './components/GradeCalculator'
+import StudentWorkspace from './components/StudentWorkspace'
+import I18nProvider from './components/I18nProvider'
+import UpdatePrompt from './components/UpdatePrompt'
 import './App.css'
 
 function App() {
-  return <GradeCalculator />
+  return (
+    <I18nProvider>
+      <StudentWorkspace />
+      <UpdatePrompt />
+    </I18nProvider>
+  )
 }
 
 export default App
@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { detectSeparator, parseCsv } from '../utils/csv';
+import { buildHistogram, extractAverageColumn, findBin, parseClassAverages, rankInClass } from '../utils/ranking';
+import useI18n from '../hooks/useI18n';
+import useGradingSettings from '../hooks/useGradingSettings';
+
+/**
+ * ClassRankingPanel Component
+ * Class simulation: the student pastes or imports the anonymised averages
+ * of their class and sees their rank, percentile and the distribution
+ */
+const ClassRankingPanel = ({ average, averages, onChange }) => {
+    const { t } = useI18n();
+    const { settings, toScale } = useGradingSettings();
+    const [text, setText] = useState('');
+    const [ignored, setIgnored] = useState([]);
+    const [includesSelf, setIncludesSelf] = useState(true);
+
+    const hasClass = averages.length > 0;
+    const ranking = rankInClass(average, averages, includesSelf);
+    const bins = buildHistogram(averages);
+    const studentBin = findBin(bins, average);
+    const tallest = Math.max(1, ...bins.map(bin => bin.count));
+
+    const handlePaste = (e) => {
+        e.preventDefault();
+        const parsed = parseClassAverages(text, settings);
+        setIgnored(parsed.ignored);
+        if (parsed.values.length === 0) return;
+        onChange(parsed.values);
+        setText('');
+    };
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const content = await file.text();
+        const values = extractAverageColumn(parseCsv(content, detectSeparator(content)), settings);
+        setIgnored(values.length === 0 ? [file.name] : []);
+        if (values.length > 0) onChange(values);
+        e.target.value = '';
+    };
+
+    return (
+        <div className="bg-white rounded-2xl shadow-lg border border-gray-200 overflow-hidden">
+            <div className="p-6 border-b border-gray-100 bg-gradient-to-r from-gray-50 to-white flex items-center justify-between">
+                <div>
+                    <h3 className="font-bold text-lg text-black">{t('ranking.title')}</h3>
+                    <p className="text-xs text-gray-400">
+                        {hasClass ? t('ranking.count', { count: averages.length }) : t('ranking.empty')}
+                    </p>
+                </div>
+                {hasClass && (
+                    <div className="text-end">
+                        <div className="text-3xl font-black text-black">
+                            {ranking.rank}
+                            <span className="text-lg text-gray-300"> / {ranking.size}</span>
+                        </div>
+                        <div className="text-[10px] font-bold uppercase tracking-wider text-gray-400">
+                            {t('ranking.percentile', { value: Math.round(ranking.percentile) })}
+                        </div>
+                    </div>
+                )}
+            </div>
+
+            {/* Distribution, read left to right in every language */}
+            {hasClass && (
+                <div className="p-6 border-b border-gray-100">
+                    <div dir="ltr" className="flex items-end gap-1 h-32" role="img" aria-label={t('ranking.distribution')}>
+                        {bins.map((bin, i) => (
+                            <div key={bin.from} className="flex-1 flex flex-col items-center justify-end h-full">
+                                <span className="text-[10px] font-mono text-gray-400">{bin.count || ''}</span>
+                                <div
+                                    className={`w-full rounded-t ${i === studentBin ? 'bg-[#CE0033]' : 'bg-gray-200'}`}
+                                    style={{ height: `${(bin.count / tallest) * 100}%` }}
+                                    title={`${toScale(bin.from)}-${toScale(bin.to)} : ${bin.count}`}
+                                ></div>
+                            </div>
+                        ))}
+                    </div>
+                    <div dir="ltr" className="flex gap-1 mt-1">
+                        {bins.map(bin => (
+                            <span key={bin.from} className="flex-1 text-center text-[10px] font-mono text-gray-400">{toScale(bin.from)}</span>
+                        ))}
+                    </div>
+                    <div className="mt-4 flex items-center justify-between text-xs">
+                        <label className="flex items-center gap-2 font-semibold text-gray-600">
+                            <input type="checkbox" checked={includesSelf} onChange={(e) => setIncludesSelf(e.target.checked)} />
+                            {t('ranking.includesSelf')}
+                        </label>
+                        <button type="button" onClick={() => onChange([])} className="font-semibold text-gray-400 hover:text-rose-600">
+                            {t('ranking.clear')}
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {/* Input */}
+            <form onSubmit={handlePaste} className="p-6 space-y-3">
+                <textarea
+                    value={text}
+                    onChange={(e) => setText(e.target.value)}
+                    rows={3}
+                    placeholder={t('ranking.placeholder')}
+                    aria-label={t('ranking.input')}
+                    className="w-full border border-gray-200 px-4 py-3 rounded-xl font-mono text-sm focus:border-[#CE0033] focus:outline-none"
+                />
+                {ignored.length > 0 && (
+                    <p className="text-xs font-semibold text-amber-700">{t('ranking.ignored', { values: ignored.slice(0, 5).join(', ') })}{ignored.length > 5 ? '…' : ''}</p>
+                )}
+                <div className="flex items-center gap-3">
+                    <button type="submit" className="px-4 py-2.5 text-sm font-semibold text-white bg-black hover:bg-neutral-800 rounded-xl transition">
+                        {t(hasClass ? 'ranking.replace' : 'ranking.compare')}
+                    </button>
+                    <label className="px-4 py-2.5 text-sm font-semibold text-gray-600 hover:bg-gray-100 rounded-xl cursor-pointer transition">
+                        {t('ranking.importCsv')}
+                        <input type="file" accept=".csv,text/csv,text/plain" onChange={handleFile} className="sr-only" />
+                    </label>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default ClassRankingPanel;
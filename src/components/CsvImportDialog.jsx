@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import { detectSeparator, parseCsv } from '../utils/csv';
+import { IMPORT_FIELDS, guessMapping, looksLikeHeader, mapRows } from '../utils/transcriptCsv';
+import Dialog from './Dialog';
+import useI18n from '../hooks/useI18n';
+import useGradingSettings from '../hooks/useGradingSettings';
+import useColumnMapping from '../hooks/useColumnMapping';
+
+const SEPARATORS = { ';': 'semicolon', ',': 'comma', '\t': 'tab' };
+
+/**
+ * CsvImportDialog Component
+ * Reads a CSV file, lets the student map its columns and previews every row
+ * with its errors and warnings before importing the valid ones
+ */
+const CsvImportDialog = ({ profiles, existing, onImport, onClose }) => {
+    const { t } = useI18n();
+    const { settings } = useGradingSettings();
+    const [fileName, setFileName] = useState('');
+    const [text, setText] = useState('');
+    const [separator, setSeparator] = useState(';');
+    const [hasHeader, setHasHeader] = useState(true);
+
+    const rows = text ? parseCsv(text, separator) : [];
+    const columnCount = Math.max(0, ...rows.map(row => row.length));
+    const { mapping, setMapping, changeMapping, describeMessage } = useColumnMapping(columnCount);
+    const dataRows = hasHeader ? rows.slice(1) : rows;
+    const results = mapRows(dataRows, mapping, profiles, hasHeader ? 2 : 1, existing, settings);
+    const validGrades = results.filter(result => result.grade).map(result => result.grade);
+    const hasSubjectColumn = mapping.includes('subject');
+
+    // Guess separator, header and mapping from the file content
+    const loadText = (content, sep) => {
+        const parsed = parseCsv(content, sep);
+        const header = parsed.length > 0 && looksLikeHeader(parsed[0]);
+        const width = Math.max(0, ...parsed.map(row => row.length));
+        setText(content);
+        setSeparator(sep);
+        setHasHeader(header);
+        setMapping(header
+            ? guessMapping(parsed[0])
+            : IMPORT_FIELDS.slice(0, width).map(field => field.key));
+    };
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const content = await file.text();
+        setFileName(file.name);
+        loadText(content, detectSeparator(content));
+    };
+
+    return (
+        <Dialog labelledBy="csv-import-title" onClose={onClose} className="max-w-4xl max-h-[90vh] flex flex-col overflow-hidden">
+            {/* Header */}
+            <div className="p-6 border-b border-gray-100 flex items-center justify-between">
+                <div>
+                    <h3 id="csv-import-title" className="font-bold text-lg text-black">{t('csvImport.title')}</h3>
+                    <p className="text-xs text-gray-400">{t('csvImport.subtitle')}</p>
+                </div>
+                <button type="button" onClick={onClose} aria-label={t('common.close')} className="w-9 h-9 rounded-xl text-gray-400 hover:bg-gray-100">✕</button>
+            </div>
+
+            {/* File & Parsing Options */}
+            <div className="p-6 border-b border-gray-100 flex flex-wrap items-center gap-4 text-sm">
+                <label className="px-4 py-2 rounded-xl bg-black text-white font-semibold cursor-pointer hover:bg-neutral-800 transition">
+                    {t('csvImport.chooseFile')}
+                    <input type="file" accept=".csv,text/csv,text/plain" onChange={handleFile} className="sr-only" />
+                </label>
+                <span className="font-mono text-xs text-gray-500">{fileName || t('csvImport.noFile')}</span>
+                {text && (
+                    <>
+                        <select
+                            value={separator}
+                            onChange={(e) => loadText(text, e.target.value)}
+                            aria-label={t('csvImport.separator')}
+                            className="border border-gray-200 px-3 py-2 rounded-xl text-xs focus:border-[#CE0033] focus:outline-none"
+                        >
+                            {Object.entries(SEPARATORS).map(([value, name]) => (
+                                <option key={value} value={value}>{t(`csvImport.separators.${name}`)}</option>
+                            ))}
+                        </select>
+                        <label className="flex items-center gap-2 text-xs font-semibold text-gray-600">
+                            <input type="checkbox" checked={hasHeader} onChange={(e) => setHasHeader(e.target.checked)} />
+                            {t('csvImport.hasHeader')}
+                        </label>
+                    </>
+                )}
+            </div>
+
+            {/* Preview & Mapping */}
+            {text && (
+                <div className="flex-1 overflow-auto">
+                    <table className="w-full text-sm">
+                        <thead className="sticky top-0 bg-gray-50">
+                            <tr>
+                                <th className="px-3 py-2 text-start text-[10px] font-bold text-gray-400 uppercase">{t('csvImport.line')}</th>
+                                {Array.from({ length: columnCount }, (_, column) => (
+                                    <th key={column} className="px-3 py-2 text-start">
+                                        <select
+                                            value={mapping[column] ?? ''}
+                                            onChange={(e) => changeMapping(column, e.target.value)}
+                                            aria-label={t('csvImport.column', { number: column + 1 })}
+                                            className="border border-gray-200 px-2 py-1 rounded-lg text-xs font-bold focus:border-[#CE0033] focus:outline-none"
+                                        >
+                                            <option value="">{t('csvImport.ignore')}</option>
+                                            {IMPORT_FIELDS.map(field => (
+                                                <option key={field.key} value={field.key}>{t(`csvImport.fields.${field.key}`)}</option>
+                                            ))}
+                                        </select>
+                                        {hasHeader && (
+                                            <div className="mt-1 text-[10px] font-normal text-gray-400 truncate">{rows[0][column]}</div>
+                                        )}
+                                    </th>
+                                ))}
+                                <th className="px-3 py-2 text-start text-[10px] font-bold text-gray-400 uppercase">{t('csvImport.status')}</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-50">
+                            {results.map((result, i) => (
+                                <tr key={result.line} className={result.errors.length > 0 ? 'bg-rose-50/60' : result.warnings.length > 0 ? 'bg-amber-50/60' : ''}>
+                                    <td className="px-3 py-2 font-mono text-xs text-gray-400">{result.line}</td>
+                                    {Array.from({ length: columnCount }, (_, column) => (
+                                        <td key={column} className="px-3 py-2 font-mono text-xs text-gray-700">{dataRows[i][column]}</td>
+                                    ))}
+                                    <td className="px-3 py-2 text-xs">
+                                        {result.errors.length > 0 ? (
+                                            <span className="text-rose-600 font-semibold">{result.errors.map(describeMessage).join(' · ')}</span>
+                                        ) : result.warnings.length > 0 ? (
+                                            <span className="text-amber-600 font-semibold">⚠ {result.warnings.map(describeMessage).join(' · ')}</span>
+                                        ) : (
+                                            <span className="text-emerald-600 font-semibold">OK</span>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {/* Footer */}
+            <div className="p-6 border-t border-gray-100 flex items-center justify-between">
+                <span className="text-xs text-gray-500">
+                    {text && !hasSubjectColumn
+                        ? t('csvImport.mapSubject')
+                        : t('csvImport.validCount', { count: validGrades.length, total: results.length })}
+                </span>
+                <button
+                    type="button"
+                    onClick={() => onImport(validGrades)}
+                    disabled={validGrades.length === 0}
+                    className="px-5 py-2.5 text-sm font-bold text-white bg-gradient-to-r from-[#CE0033] to-rose-600 rounded-xl disabled:opacity-40"
+                >
+                    {t('common.import')}
+                </button>
+            </div>
+        </Dialog>
+    );
+};
+
+export default CsvImportDialog;
@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { SEMESTERS, formatTerm } from '../utils/terms';
+import { findProgram, formatProgram, instantiateProgram, listLevels, listTracks } from '../utils/curriculum';
+import Dialog from './Dialog';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * CurriculumDialog Component
+ * Picks a programme from the catalogue and loads its units and subjects
+ * into the displayed semester, leaving only the grades to type
+ */
+const CurriculumDialog = ({ catalogue, activeTerm, units, grades, profiles, onLoad, onClose }) => {
+    const { t } = useI18n();
+    const tracks = listTracks(catalogue);
+    const [track, setTrack] = useState(tracks[0] ?? '');
+    const [level, setLevel] = useState(listLevels(catalogue, tracks[0])[0] ?? '');
+    const [semester, setSemester] = useState(activeTerm.semester);
+
+    const levels = listLevels(catalogue, track);
+    const program = findProgram(catalogue, track, level, semester);
+    const preview = program ? instantiateProgram(program, activeTerm.id, units, grades) : null;
+    const profileName = (id) => profiles.find(profile => profile.id === id)?.name ?? id;
+
+    const handleTrackChange = (e) => {
+        setTrack(e.target.value);
+        setLevel(listLevels(catalogue, e.target.value)[0] ?? '');
+    };
+
+    return (
+        <Dialog labelledBy="curriculum-title" onClose={onClose} className="max-w-2xl max-h-[90vh] flex flex-col overflow-hidden">
+            {/* Header */}
+            <div className="p-6 border-b border-gray-100 flex items-center justify-between">
+                <div>
+                    <h3 id="curriculum-title" className="font-bold text-lg text-black">{t('curriculum.title')}</h3>
+                    <p className="text-xs text-gray-400">{t('curriculum.subtitle', { term: formatTerm(activeTerm) })}</p>
+                </div>
+                <button type="button" onClick={onClose} aria-label={t('common.close')} className="w-9 h-9 rounded-xl text-gray-400 hover:bg-gray-100">✕</button>
+            </div>
+
+            {/* Programme Selection */}
+            <div className="p-6 border-b border-gray-100 grid grid-cols-3 gap-4 text-xs">
+                <label className="space-y-1">
+                    <span className="block font-bold uppercase tracking-wider text-gray-400">{t('curriculum.track')}</span>
+                    <select value={track} onChange={handleTrackChange} className="w-full border border-gray-200 px-3 py-2 rounded-xl text-sm focus:border-[#CE0033] focus:outline-none">
+                        {tracks.map(option => <option key={option}>{option}</option>)}
+                    </select>
+                </label>
+                <label className="space-y-1">
+                    <span className="block font-bold uppercase tracking-wider text-gray-400">{t('curriculum.level')}</span>
+                    <select value={level} onChange={(e) => setLevel(e.target.value)} className="w-full border border-gray-200 px-3 py-2 rounded-xl text-sm focus:border-[#CE0033] focus:outline-none">
+                        {levels.map(option => <option key={option}>{option}</option>)}
+                    </select>
+                </label>
+                <label className="space-y-1">
+                    <span className="block font-bold uppercase tracking-wider text-gray-400">{t('curriculum.semester')}</span>
+                    <select value={semester} onChange={(e) => setSemester(e.target.value)} className="w-full border border-gray-200 px-3 py-2 rounded-xl text-sm focus:border-[#CE0033] focus:outline-none">
+                        {SEMESTERS.map(option => <option key={option}>{option}</option>)}
+                    </select>
+                </label>
+            </div>
+
+            {/* Preview */}
+            <div className="flex-1 overflow-auto p-6 space-y-4">
+                {!program ? (
+                    <p className="text-sm text-gray-400 text-center py-8">{t('curriculum.empty')}</p>
+                ) : program.units.map(unit => (
+                    <div key={unit.name}>
+                        <div className="flex items-center justify-between text-xs font-bold uppercase tracking-wider text-gray-500 mb-2">
+                            <span>{unit.name}</span>
+                            <span className="font-mono">{t('common.ects', { credits: unit.credits })}</span>
+                        </div>
+                        <ul className="divide-y divide-gray-50 border border-gray-100 rounded-xl">
+                            {unit.subjects.map(entry => (
+                                <li key={entry.subject} className="px-4 py-2 flex items-center justify-between text-sm">
+                                    <span className="font-medium text-gray-800">{entry.subject}</span>
+                                    <span className="text-xs text-gray-400">
+                                        {profileName(entry.profileId)} · <span className="font-mono">{t('curriculum.coef', { value: entry.coef })}</span>
+                                    </span>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                ))}
+            </div>
+
+            {/* Footer */}
+            <div className="p-6 border-t border-gray-100 flex items-center justify-between">
+                <span className="text-xs text-gray-500">
+                    {preview && t('curriculum.toAdd', { count: preview.grades.length })}
+                    {preview?.skipped > 0 && t('curriculum.skipped', { count: preview.skipped })}
+                </span>
+                <button
+                    type="button"
+                    onClick={() => onLoad(preview)}
+                    disabled={!preview || preview.grades.length === 0}
+                    title={program ? formatProgram(program) : undefined}
+                    className="px-5 py-2.5 text-sm font-bold text-white bg-gradient-to-r from-[#CE0033] to-rose-600 rounded-xl disabled:opacity-40"
+                >
+                    {t('curriculum.load')}
+                </button>
+            </div>
+        </Dialog>
+    );
+};
+
+export default CurriculumDialog;
@@ -0,0 +1,74 @@
+import React, { useEffect, useRef } from 'react';
+
+// Elements reachable with Tab
+const FOCUSABLE = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+/**
+ * Dialog Component
+ * Modal frame shared by every dialog: closes on Escape or a click on the
+ * backdrop, moves focus into the dialog, keeps Tab cycling inside it and
+ * gives focus back to the opener on close.
+ * `labelledBy` is the id of the dialog's title.
+ */
+const Dialog = ({ labelledBy, onClose, className, children }) => {
+    const dialogRef = useRef(null);
+
+    useEffect(() => {
+        const opener = document.activeElement;
+        dialogRef.current.focus();
+        return () => opener?.focus?.();
+    }, []);
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+            if (e.key !== 'Tab') return;
+
+            // Tab past the last element comes back to the first, and the reverse
+            const focusable = [...dialogRef.current.querySelectorAll(FOCUSABLE)];
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            const isInside = dialogRef.current.contains(document.activeElement);
+            if (!first) {
+                e.preventDefault();
+                dialogRef.current.focus();
+            } else if (e.shiftKey && (!isInside || document.activeElement === first || document.activeElement === dialogRef.current)) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && (!isInside || document.activeElement === last)) {
+                e.preventDefault();
+                first.focus();
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    return (
+        <div
+            role="presentation"
+            onClick={(e) => e.target === e.currentTarget && onClose()}
+            className="fixed inset-0 z-[60] bg-black/50 backdrop-blur-sm flex items-center justify-center p-4"
+        >
+            <div
+                ref={dialogRef}
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby={labelledBy}
+                tabIndex={-1}
+                className={`bg-white rounded-2xl shadow-2xl w-full focus:outline-none ${className}`}
+            >
+                {children}
+            </div>
+        </div>
+    );
+};
+
+export default Dialog;
@@ -0,0 +1,88 @@
+// @vitest-environment jsdom
+import React, { useState } from 'react';
+import { cleanup, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { afterEach, describe, expect, it } from 'vitest';
+import { axeViolations } from '../test/axe';
+import Dialog from './Dialog';
+
+const Opener = ({ children }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    return (
+        <>
+            <button type="button" onClick={() => setIsOpen(true)}>Ouvrir</button>
+            {isOpen && (
+                <Dialog labelledBy="dialog-title" onClose={() => setIsOpen(false)}>
+                    <h2 id="dialog-title">Titre</h2>
+                    {children}
+                </Dialog>
+            )}
+        </>
+    );
+};
+
+const openDialog = async (children) => {
+    const user = userEvent.setup();
+    render(<Opener>{children}</Opener>);
+    await user.click(screen.getByRole('button', { name: 'Ouvrir' }));
+    return user;
+};
+
+const FIELDS = (
+    <>
+        <label htmlFor="dialog-name">Nom</label>
+        <input id="dialog-name" />
+        <button type="button" disabled>Désactivé</button>
+        <button type="button">Valider</button>
+    </>
+);
+
+afterEach(cleanup);
+
+describe('Dialog', () => {
+    it('moves focus into the dialog', async () => {
+        await openDialog(FIELDS);
+        expect(document.activeElement).toBe(screen.getByRole('dialog', { name: 'Titre' }));
+    });
+
+    it('keeps Tab inside the dialog', async () => {
+        const user = await openDialog(FIELDS);
+        const name = screen.getByLabelText('Nom');
+        const submit = screen.getByRole('button', { name: 'Valider' });
+
+        await user.tab();
+        expect(document.activeElement).toBe(name);
+        await user.tab();
+        expect(document.activeElement).toBe(submit);
+        await user.tab();
+        expect(document.activeElement).toBe(name);
+        await user.tab({ shift: true });
+        expect(document.activeElement).toBe(submit);
+    });
+
+    it('sends Shift+Tab from the dialog itself to the last element', async () => {
+        const user = await openDialog(FIELDS);
+        await user.tab({ shift: true });
+        expect(document.activeElement).toBe(screen.getByRole('button', { name: 'Valider' }));
+    });
+
+    it('keeps focus on a dialog without focusable elements', async () => {
+        const user = await openDialog(<p>Rien à saisir</p>);
+        await user.tab();
+        expect(document.activeElement).toBe(screen.getByRole('dialog'));
+    });
+
+    it('closes on Escape and gives focus back to the opener', async () => {
+        const user = await openDialog(FIELDS);
+        await user.tab();
+        await user.keyboard('{Escape}');
+
+        expect(screen.queryByRole('dialog')).toBeNull();
+        expect(document.activeElement).toBe(screen.getByRole('button', { name: 'Ouvrir' }));
+    });
+
+    it('has no axe violations', async () => {
+        await openDialog(FIELDS);
+        expect(await axeViolations(document.body)).toEqual([]);
+    });
+});
@@ -0,0 +1,21 @@
+import React from 'react';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * FieldMessage Component
+ * The error, or failing that the warning, attached to one input
+ * (see utils/validation.js)
+ */
+const FieldMessage = ({ id, error, warning, className = 'text-xs' }) => {
+    const { t } = useI18n();
+    const message = error ?? warning;
+    if (!message) return null;
+
+    return (
+        <p id={id} className={`${className} font-semibold ${error ? 'text-rose-500' : 'text-amber-500'}`}>
+            {error ? '✕' : '⚠'} {t(message.key, message.params)}
+        </p>
+    );
+};
+
+export default FieldMessage;
@@ -1,98 +1,294 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import {
+    getSubjectAverage,
+    summarizeGrades,
+    getTotalCoef,
+    isAdmitted,
+    isPending
+} from '../utils/grading';
+import {
+    BUILT_IN_PROFILES,
+    DEFAULT_PROFILE_ID,
+    findProfile,
+    getProfileComponents,
+    acceptsMultiple
+} from '../utils/weightingProfiles';
+import {
+    createTerm,
+    findTerm,
+    getTermGrades,
+    summarizeYear,
+    summarizeTerms,
+    buildYearOverview
+} from '../utils/terms';
+import { createUnit, evaluateTermUnits } from '../utils/units';
+import { getMention, getNextMention, sortBands } from '../utils/mentions';
+import { compareSessions, planResits } from '../utils/resit';
+import { gradesToCsv } from '../utils/transcriptCsv';
+import { validateGrade } from '../utils/validation';
+import { SCALES, toScale } from '../utils/gradingSettings';
+import { downloadFile } from '../utils/download';
+import { createId } from '../utils/ids';
+import { createScenario, diffScenario } from '../utils/scenarios';
+import {
+    DEFAULT_TABLE_VIEW,
+    SUBJECT_STATUSES,
+    applyTableView,
+    getAverageStatus,
+    isViewActive,
+    moveGrade,
+    nextSort
+} from '../utils/tableView';
+import { decodeShare, mergeShared, readShareFragment } from '../utils/share';
+import { buildAverageTimeline, recordEdit, stampGrade, stampGrades } from '../utils/timeline';
+import { findCatalogueSubject, listCatalogueSubjects } from '../utils/curriculum';
+import CURRICULUM from '../data/curriculum.json';
+import WeightingProfilesPanel from './WeightingProfilesPanel';
+import GradingSettingsPanel from './GradingSettingsPanel';
+import TermSwitcher from './TermSwitcher';
+import YearOverview from './YearOverview';
+import UnitsPanel from './UnitsPanel';
+import ResitPanel from './ResitPanel';
+import TargetSolver from './TargetSolver';
+import MentionsPanel from './MentionsPanel';
+import ClassRankingPanel from './ClassRankingPanel';
+import ScenarioPanel from './ScenarioPanel';
+import ProgressCharts from './ProgressCharts';
+import ShareDialog from './ShareDialog';
+import SharedTranscriptView from './SharedTranscriptView';
+import GradeRow from './GradeRow';
+import FieldMessage from './FieldMessage';
+import CsvImportDialog from './CsvImportDialog';
+import PasteDialog from './PasteDialog';
+import CurriculumDialog from './CurriculumDialog';
+import TranscriptDialog from './TranscriptDialog';
+import LanguageSwitcher from './LanguageSwitcher';
+import useHistory from '../hooks/useHistory';
+import useI18n from '../hooks/useI18n';
+import { GradingSettingsContext } from '../hooks/useGradingSettings';
+
+const EMPTY_FORM = {
+    subject: '',
+    coef: 1,
+    profileId: DEFAULT_PROFILE_ID,
+    unitId: '',
+    cc: '',
+    tp: '',
+    project: '',
+    exam: ''
+};
+
+// Neutral styling for subjects still waiting for a grade
+const PENDING_STYLE = {
+    color: 'text-sky-700',
+    bg: 'bg-sky-50',
+    border: 'border-sky-200',
+    icon: '⏳'
+};
 
 /**
  * GradeCalculator Component
  * A comprehensive grade management system for ESPRIT Engineering students
  * Features: Grade input, average calculation, data persistence, and visual feedback
+ * Shows one student profile: it starts from `initialData` and hands every
+ * change to `onSave`. `switcher` is the profile switcher of the header.
  */
-const GradeCalculator = () => {
+const GradeCalculator = ({ initialData, warnings = [], onSave, switcher }) => {
     // ============================================================================
     // STATE MANAGEMENT
     // ============================================================================
     
-    // Load saved grades from localStorage or initialize empty array
-    const [grades, setGrades] = useState(() => {
-        const saved = localStorage.getItem('espritGradeData');
-        return saved ? JSON.parse(saved) : [];
-    });
-
-    // Form input state
-    const [formData, setFormData] = useState({
-        subject: '',
-        coef: 1,
-        cc: '',
-        tp: '',
-        exam: ''
-    });
+    const { t, formatNumber, formatDate } = useI18n();
+
+    // Problems recovered while loading or opening a link, as { key, params }
+    // messages shown until dismissed
+    const [notices, setNotices] = useState(warnings);
+
+    // Academic terms (year + semester)
+    const [terms, setTerms] = useState(initialData.terms);
+
+    // Semester currently displayed
+    const [activeTermId, setActiveTermId] = useState(initialData.activeTermId);
+
+    // Every change to the real grades and to the teaching units (UE) goes
+    // through an undo/redo history, so units added with grades leave with them
+    const {
+        value: transcript,
+        set: setTranscript,
+        undo,
+        redo,
+        canUndo: canUndoReal,
+        canRedo: canRedoReal
+    } = useHistory({ grades: initialData.grades, units: initialData.units });
+    const { grades: realGrades, units: realUnits } = transcript;
+    const setRealGrades = (next) => setTranscript(prev => ({ ...prev, grades: next }));
+    const setRealUnits = (next) => setTranscript(prev => ({ ...prev, units: next }));
+
+    // What-if scenarios, and the one being explored (null for the real grades)
+    const [scenarios, setScenarios] = useState(initialData.scenarios);
+    const [activeScenarioId, setActiveScenarioId] = useState(null);
+    const activeScenario = scenarios.find(scenario => scenario.id === activeScenarioId);
+
+    // While a scenario is open, every view and edit works on its copy of the
+    // grades and units
+    const grades = activeScenario ? activeScenario.grades : realGrades;
+    const units = activeScenario ? activeScenario.units : realUnits;
+    const updateScenario = (changes) =>
+        setScenarios(prev => prev.map(s => (s.id === activeScenario.id ? { ...s, ...changes } : s)));
+    const setGrades = activeScenario ? (next) => updateScenario({ grades: next }) : setRealGrades;
+    const setUnits = activeScenario ? (next) => updateScenario({ units: next }) : setRealUnits;
+
+    // Scenario edits are not part of the undo history
+    const isExploring = Boolean(activeScenario);
+    const canUndo = !isExploring && canUndoReal;
+    const canRedo = !isExploring && canRedoReal;
+
+    // Units and grades changed together are undone together
+    const setUnitsAndGrades = (nextUnits, nextGrades) => {
+        if (isExploring) {
+            updateScenario({ units: nextUnits, grades: nextGrades });
+        } else {
+            setTranscript({ units: nextUnits, grades: nextGrades });
+        }
+    };
+
+    // Custom weighting profiles defined by the student
+    const [customProfiles, setCustomProfiles] = useState(initialData.customProfiles);
+
+    // Compensation rules applied to the teaching units
+    const [compensationRules, setCompensationRules] = useState(initialData.compensationRules);
+
+    // Grade scale and rounding policy of every average
+    const [gradingSettings, setGradingSettings] = useState(initialData.gradingSettings);
+
+    // Mention thresholds and the class averages of the ranking simulation, by term
+    const [mentionBands, setMentionBands] = useState(initialData.mentionBands);
+    const [classAverages, setClassAverages] = useState(initialData.classAverages);
+
+    // CSV import dialog visibility
+    const [isImportOpen, setIsImportOpen] = useState(false);
+
+    // Paste dialog visibility
+    const [isPasteOpen, setIsPasteOpen] = useState(false);
+
+    // Transcript received through a share link, shown read-only
+    const [shared, setShared] = useState(null);
+    const [isShareOpen, setIsShareOpen] = useState(false);
+
+    // Curriculum catalogue dialog visibility
+    const [isCurriculumOpen, setIsCurriculumOpen] = useState(false);
+
+    // Transcript dialog visibility and the student header printed on it
+    const [isTranscriptOpen, setIsTranscriptOpen] = useState(false);
+    const [student, setStudent] = useState(initialData.student);
+
+    // Form input state, and the field errors of the last rejected submit
+    const [formData, setFormData] = useState(EMPTY_FORM);
+    const [formErrors, setFormErrors] = useState({});
+
+    // Sorting, status filter and search of the grades table; the manual
+    // order is the order of the grades themselves
+    const [tableView, setTableView] = useState(DEFAULT_TABLE_VIEW);
+
+    // Semester whose "Tout effacer" awaits confirmation
+    const [resetTermId, setResetTermId] = useState(null);
+
+    // Keyboard entry: each added subject hands the focus back to the subject field
+    const [isKeyboardEntry, setIsKeyboardEntry] = useState(false);
+    const subjectInputRef = useRef(null);
+    const tableTitleRef = useRef(null);
+
+    // Last change read out by screen readers (see the status region below)
+    const [announcement, setAnnouncement] = useState('');
 
     // ============================================================================
     // SIDE EFFECTS
     // ============================================================================
     
-    // Persist grades to localStorage whenever they change
+    // Hand everything to the profile store whenever it changes
+    useEffect(() => {
+        onSave({
+            grades: realGrades,
+            terms,
+            activeTermId,
+            units: realUnits,
+            customProfiles,
+            compensationRules,
+            student,
+            gradingSettings,
+            mentionBands,
+            classAverages,
+            scenarios
+        });
+    }, [realGrades, terms, activeTermId, realUnits, customProfiles, compensationRules, student, gradingSettings, mentionBands, classAverages, scenarios, onSave]);
+
+    // Open share links on load and when a link is pasted into this tab
+    useEffect(() => {
+        const openShare = () => {
+            const fragment = readShareFragment(window.location.hash);
+            if (!fragment) return;
+            decodeShare(fragment)
+                .then(setShared)
+                .catch(() => setNotices(prev => [...prev, { key: 'notices.invalidShare' }]));
+        };
+        openShare();
+        window.addEventListener('hashchange', openShare);
+        return () => window.removeEventListener('hashchange', openShare);
+    }, []);
+
+    // Undo / redo shortcuts, leaving text fields their native behaviour
     useEffect(() => {
-        localStorage.setItem('espritGradeData', JSON.stringify(grades));
-    }, [grades]);
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+            if (isExploring || e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+            e.preventDefault();
+            if (e.shiftKey) redo();
+            else undo();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [undo, redo, isExploring]);
 
     // ============================================================================
     // CALCULATION UTILITIES
     // ============================================================================
     
-    /**
-     * Calculate weighted average based on available grades
-     * - CC + TP + Exam: 30% + 20% + 50%
-     * - CC or TP + Exam: 40% + 60%
-     * - Exam only: 100%
-     */
-    const calculateAverage = (cc, tp, exam) => {
-        const hasCC = cc !== '' && cc !== null && !isNaN(cc);
-        const hasTP = tp !== '' && tp !== null && !isNaN(tp);
-        const valCC = hasCC ? parseFloat(cc) : 0;
-        const valTP = hasTP ? parseFloat(tp) : 0;
-        const valExam = parseFloat(exam) || 0;
-
-        if (hasCC && hasTP) {
-            return (valCC * 0.3 + valTP * 0.2 + valExam * 0.5);
-        }
-        if (hasCC || hasTP) {
-            const note1 = hasCC ? valCC : valTP;
-            return (note1 * 0.4 + valExam * 0.6);
-        }
-        return valExam;
-    };
-
     /**
      * Get visual styling parameters based on average score
      * Returns color, background, border, icon, and label
+     * Passing averages are labelled with their mention; the highest one is highlighted.
+     * The label is shown next to the colour so the status never relies on it alone.
      */
     const getStyleParams = (avg) => {
-        if (avg >= 16) return { 
+        const mention = getMention(avg, mentionBands);
+        const status = getAverageStatus(avg, mentionBands);
+        if (status === 'excellent') return { 
             color: 'text-emerald-600', 
             bg: 'bg-gradient-to-r from-emerald-50 to-green-50', 
             border: 'border-emerald-400', 
             icon: '🎯', 
-            label: 'Excellent' 
+            label: sortBands(mentionBands).pop().label 
         };
-        if (avg >= 10) return { 
+        if (status === 'passed') return { 
             color: 'text-gray-900', 
             bg: 'bg-gradient-to-r from-gray-50 to-slate-50', 
             border: 'border-gray-300', 
             icon: '✅', 
-            label: 'Validé' 
+            label: mention?.label ?? t('status.passed') 
         };
-        if (avg >= 8) return { 
+        if (status === 'resit') return { 
             color: 'text-amber-600', 
             bg: 'bg-gradient-to-r from-amber-50 to-orange-50', 
             border: 'border-amber-400', 
             icon: '⚠️', 
-            label: 'Rattrapage' 
+            label: t('status.resit') 
         };
         return { 
             color: 'text-rose-600', 
             bg: 'bg-gradient-to-r from-rose-50 to-red-50', 
             border: 'border-rose-400', 
             icon: '❌', 
-            label: 'Échec' 
+            label: t('status.failed') 
         };
     };
 
@@ -100,16 +296,54 @@ const GradeCalculator = () => {
     // COMPUTED VALUES
     // ============================================================================
     
-    const totalCoef = grades.reduce((acc, curr) => acc + parseFloat(curr.coef), 0);
-    
-    const totalPoints = grades.reduce((acc, curr) => {
-        const avg = calculateAverage(curr.cc, curr.tp, curr.exam);
-        return acc + (avg * parseFloat(curr.coef));
-    }, 0);
+    const profiles = [...BUILT_IN_PROFILES, ...customProfiles];
+    const formProfile = findProfile(profiles, formData.profileId);
+    const formComponents = getProfileComponents(formProfile);
+    const optionalComponents = formComponents.filter(({ key }) => key !== 'exam');
+    const usesExam = formComponents.some(({ key }) => key === 'exam');
+    const activeTerm = terms.find(term => term.id === activeTermId);
+    const termGrades = getTermGrades(grades, activeTermId);
+    const isConfirmingReset = resetTermId === activeTermId && termGrades.length > 0;
+    const formInput = {
+        subject: formData.subject,
+        coef: formData.coef,
+        profileId: formProfile.id,
+        ...Object.fromEntries(formComponents.map(({ key }) => [key, formData[key]]))
+    };
+    const formWarnings = validateGrade(formInput, { profiles, others: termGrades, settings: gradingSettings }).warnings;
+    const formErrorCount = Object.values(formErrors).filter(Boolean).length;
+    const hasProjectColumn = termGrades.some(g => g.project !== undefined && g.project !== '');
+    const visibleGrades = applyTableView(termGrades, tableView, { profiles, settings: gradingSettings, bands: mentionBands, units });
+    const isFiltered = visibleGrades.length < termGrades.length;
+
+    const scale = SCALES[gradingSettings.scale];
+    const formatGrade = (value) => formatNumber(toScale(value, gradingSettings));
 
-    const generalAvg = totalCoef > 0 ? (totalPoints / totalCoef).toFixed(2) : '0.00';
-    const validatedCount = grades.filter(g => calculateAverage(g.cc, g.tp, g.exam) >= 10).length;
-    const dangerCount = grades.filter(g => calculateAverage(g.cc, g.tp, g.exam) < 8).length;
+    const summary = summarizeGrades(termGrades, profiles, gradingSettings);
+    const { validatedCount, dangerCount, pendingCount } = summary;
+    const totalCoef = getTotalCoef(termGrades);
+    const generalAvg = formatGrade(summary.generalAvg);
+    const admitted = isAdmitted(summary.generalAvg);
+    const mention = admitted ? getMention(summary.generalAvg, mentionBands) : null;
+    const decision = [
+        t(admitted ? 'common.admitted' : 'common.notAdmitted'),
+        mention && t('summary.mention', { label: mention.label })
+    ].filter(Boolean).join(' · ');
+    const nextMention = getNextMention(summary.generalAvg, mentionBands);
+    const termClassAverages = classAverages[activeTermId] ?? [];
+    const yearSummary = summarizeYear(grades, terms, activeTerm.year, profiles, gradingSettings);
+    const yearOverview = buildYearOverview(grades, terms, profiles, gradingSettings);
+    const termUnits = units.filter(unit => unit.termId === activeTermId);
+    const unitEvaluation = evaluateTermUnits(units, grades, activeTermId, profiles, compensationRules, gradingSettings);
+    const sessionComparison = compareSessions(termGrades, units, activeTermId, profiles, compensationRules, gradingSettings);
+    const resitPlan = planResits(termGrades, units, activeTermId, profiles, compensationRules, gradingSettings);
+    const hasResitSubjects = resitPlan.mandatory.length + resitPlan.optional.length > 0;
+    const catalogueSubjects = listCatalogueSubjects(CURRICULUM);
+    const averageTimeline = buildAverageTimeline(termGrades, profiles, gradingSettings);
+    const termSummaries = summarizeTerms(grades, terms, profiles, gradingSettings);
+    const scenarioDiff = activeScenario
+        ? diffScenario(realGrades, activeScenario.grades, realUnits, activeTermId, profiles, compensationRules, gradingSettings, activeScenario.units)
+        : null;
 
     // ============================================================================
     // EVENT HANDLERS
@@ -121,20 +355,54 @@ const GradeCalculator = () => {
             ...prev,
             [name]: value
         }));
+        setFormErrors(prev => ({ ...prev, [name]: undefined }));
+    };
+
+    // Picking a catalogue subject also fills in its coefficient and profile
+    const handleSubjectChange = (e) => {
+        const entry = findCatalogueSubject(CURRICULUM, e.target.value);
+        setFormData(prev => ({
+            ...prev,
+            subject: e.target.value,
+            ...(entry && {
+                coef: entry.coef,
+                profileId: profiles.some(p => p.id === entry.profileId) ? entry.profileId : prev.profileId
+            })
+        }));
+        setFormErrors(prev => ({ ...prev, subject: undefined, ...(entry && { coef: undefined }) }));
     };
 
     const handleSubmit = (e) => {
         e.preventDefault();
         
-        // Validation
-        if (!formData.subject || formData.exam === '') return;
+        // Validation: components left empty are saved as pending
+        const { grade, errors } = validateGrade(formInput, { profiles, others: termGrades, settings: gradingSettings });
+        if (!grade) {
+            setFormErrors(errors);
+            return;
+        }
 
-        // Add new grade
-        setGrades([...grades, { ...formData, id: Date.now() }]);
-        
-        // Reset form
-        setFormData({ subject: '', coef: 1, cc: '', tp: '', exam: '' });
+        // Add new grade, keeping only the components its profile uses
+        setGrades([...grades, stampGrade({
+            cc: '',
+            tp: '',
+            exam: '',
+            ...grade,
+            termId: activeTermId,
+            unitId: termUnits.some(unit => unit.id === Number(formData.unitId)) ? Number(formData.unitId) : '',
+            id: createId()
+        })]);
         
+        // Reset form, keeping the chosen profile and unit for the next subject
+        setFormData({ ...EMPTY_FORM, profileId: formProfile.id, unitId: formData.unitId });
+        setFormErrors({});
+        setAnnouncement('');
+
+        if (isKeyboardEntry) {
+            subjectInputRef.current.focus();
+            return;
+        }
+
         // Auto-scroll to table on mobile
         if (window.innerWidth < 1280) {
             setTimeout(() => {
@@ -146,16 +414,183 @@ const GradeCalculator = () => {
         }
     };
 
+    const updateGrade = (id, changes) => {
+        setGrades(grades.map(g => (g.id === id ? recordEdit(g, changes) : g)));
+    };
+
+    // The removed row took the focus with it: it moves to the table title
     const deleteGrade = (id) => {
-        if (confirm('Supprimer cette matière ?')) {
-            setGrades(grades.filter(g => g.id !== id));
+        const { subject } = grades.find(g => g.id === id);
+        setGrades(grades.filter(g => g.id !== id));
+        setAnnouncement(t(isExploring ? 'row.deleted' : 'row.deletedUndo', { subject }));
+        tableTitleRef.current.focus();
+    };
+
+    const addProfile = (profile) => {
+        setCustomProfiles([...customProfiles, profile]);
+    };
+
+    // Manual order: a dragged row takes the place of the one it is dropped on
+    const moveRow = (id, targetId) => {
+        const moved = moveGrade(grades, id, targetId);
+        if (moved === grades) return;
+        setGrades(moved);
+        setAnnouncement(t('table.moved', {
+            subject: moved.find(g => g.id === id).subject,
+            position: visibleGrades.findIndex(g => g.id === targetId) + 1
+        }));
+    };
+
+    // Keyboard move of one row among the visible ones
+    const stepRow = (id, offset) => {
+        const target = visibleGrades[visibleGrades.findIndex(g => g.id === id) + offset];
+        if (target) moveRow(id, target.id);
+    };
+
+    const changeSort = (key) => {
+        setTableView(prev => ({ ...prev, sort: nextSort(prev.sort, key) }));
+    };
+
+    // Column header sorting the table, its state exposed to screen readers
+    const renderSortHeader = (key, label, className) => {
+        const direction = tableView.sort?.key === key ? tableView.sort.direction : null;
+        return (
+            <th className={className} aria-sort={direction ? `${direction}ending` : undefined}>
+                <button type="button" onClick={() => changeSort(key)} className="inline-flex items-center gap-1 uppercase tracking-wider hover:text-black">
+                    {label}
+                    <span aria-hidden="true" className={direction ? 'text-[#CE0033]' : 'text-gray-300'}>
+                        {direction === 'asc' ? '▲' : direction === 'desc' ? '▼' : '↕'}
+                    </span>
+                </button>
+            </th>
+        );
+    };
+
+    const deleteProfile = (id) => {
+        setCustomProfiles(customProfiles.filter(p => p.id !== id));
+        if (formData.profileId === id) {
+            setFormData(prev => ({ ...prev, profileId: DEFAULT_PROFILE_ID }));
         }
     };
 
+    const countProfileUsage = (id) => grades.filter(g => g.profileId === id).length;
+
+    // Exports list the rows of the table view: its sorting, filter and search
+    const exportCsv = () => {
+        downloadFile(
+            gradesToCsv(visibleGrades, profiles, gradingSettings),
+            `releve_${activeTerm.year}_${activeTerm.semester}.csv`,
+            'text/csv;charset=utf-8'
+        );
+    };
+
+    // Imported or pasted rows join the displayed semester as a single undoable change
+    const addImportedGrades = (imported) => {
+        setGrades([
+            ...grades,
+            ...stampGrades(imported.map(grade => ({ ...grade, id: createId(), termId: activeTermId, unitId: '' })))
+        ]);
+        setAnnouncement(t('table.added', { count: imported.length }));
+    };
+
+    const importGrades = (imported) => {
+        addImportedGrades(imported);
+        setIsImportOpen(false);
+    };
+
+    const pasteGrades = (pasted) => {
+        addImportedGrades(pasted);
+        setIsPasteOpen(false);
+    };
+
+    // A whole semester from the catalogue, units included, added as a single undoable change
+    const loadProgram = ({ units: newUnits, grades: newGrades }) => {
+        setUnitsAndGrades([...units, ...newUnits], [...grades, ...stampGrades(newGrades)]);
+        setIsCurriculumOpen(false);
+    };
+
+    // Scenarios fork the whole real transcript and open right away
+    const addScenario = (name) => {
+        const scenario = createScenario(name, realGrades, realUnits);
+        setScenarios([...scenarios, scenario]);
+        setActiveScenarioId(scenario.id);
+    };
+
+    const discardScenario = (id) => {
+        setScenarios(scenarios.filter(scenario => scenario.id !== id));
+        if (activeScenarioId === id) setActiveScenarioId(null);
+    };
+
+    // Promoting replaces the real grades and units in one undoable step
+    const promoteScenario = (id) => {
+        const scenario = scenarios.find(candidate => candidate.id === id);
+        setTranscript({ grades: scenario.grades, units: scenario.units });
+        discardScenario(id);
+    };
+
+    const closeShared = () => {
+        window.history.replaceState(null, '', window.location.pathname + window.location.search);
+        setShared(null);
+    };
+
+    // Shared semesters join the existing ones; returns the units and grades to add
+    const mergeSharedStructure = () => {
+        const merged = mergeShared(shared.data, { terms, units: realUnits, customProfiles });
+        setTerms([...terms, ...merged.terms]);
+        setCustomProfiles([...customProfiles, ...merged.customProfiles]);
+        if (merged.termIds.length > 0) setActiveTermId(merged.termIds[0]);
+        return merged;
+    };
+
+    const importShared = () => {
+        const merged = mergeSharedStructure();
+        setTranscript({ units: [...realUnits, ...merged.units], grades: [...realGrades, ...merged.grades] });
+        setActiveScenarioId(null);
+        closeShared();
+    };
+
+    // The shared grades become a scenario, compared with the student's own.
+    // The shared units stay in it too: the real transcript only gets them if
+    // the scenario is applied
+    const exploreShared = () => {
+        const name = shared.data.student.name
+            ? t('shared.scenarioNameBy', { name: shared.data.student.name })
+            : t('shared.scenarioName');
+        const merged = mergeSharedStructure();
+        const scenario = createScenario(name, merged.grades, [...realUnits, ...merged.units]);
+        setScenarios([...scenarios, scenario]);
+        setActiveScenarioId(scenario.id);
+        closeShared();
+    };
+
+    // Asked first, then undoable like any other change
     const resetAll = () => {
-        if (confirm('Voulez-vous tout effacer ?')) {
-            setGrades([]);
+        setGrades(grades.filter(g => g.termId !== activeTermId));
+        setResetTermId(null);
+        setAnnouncement(t(isExploring ? 'table.cleared' : 'table.clearedUndo'));
+        tableTitleRef.current.focus();
+    };
+
+    const addUnit = (name, credits) => {
+        setUnits([...units, createUnit(activeTermId, name, credits)]);
+    };
+
+    const deleteUnit = (id) => {
+        setUnitsAndGrades(
+            units.filter(unit => unit.id !== id),
+            grades.map(g => (g.unitId === id ? { ...g, unitId: '' } : g))
+        );
+    };
+
+    const addTerm = (year, semester) => {
+        const existing = findTerm(terms, year, semester);
+        if (existing) {
+            setActiveTermId(existing.id);
+            return;
         }
+        const term = createTerm(year, semester);
+        setTerms([...terms, term]);
+        setActiveTermId(term.id);
     };
 
     // ============================================================================
@@ -163,429 +598,809 @@ const GradeCalculator = () => {
     // ============================================================================
     
     return (
-        <div className="min-h-screen bg-gradient-to-br from-neutral-50 via-gray-50 to-neutral-100">
+        <GradingSettingsContext.Provider value={gradingSettings}>
+            <div className="min-h-screen bg-gradient-to-br from-neutral-50 via-gray-50 to-neutral-100">
             
-            {/* ====================================================================
-                HEADER SECTION
-            ==================================================================== */}
-            <header className="bg-white border-b border-gray-200 shadow-sm sticky top-0 z-50 backdrop-blur-lg bg-white/95">
-                <div className="max-w-7xl mx-auto px-6 md:px-8 py-4 md:py-5">
-                    <div className="flex items-center justify-between">
+                {/* ====================================================================
+                    HEADER SECTION
+                ==================================================================== */}
+                <header className="bg-white border-b border-gray-200 shadow-sm sticky top-0 z-50 backdrop-blur-lg bg-white/95">
+                    <div className="max-w-7xl mx-auto px-6 md:px-8 py-4 md:py-5">
+                        <div className="flex items-center justify-between">
                         
-                        {/* Logo & Title */}
-                        <div className="flex items-center gap-4">
-                            <div className="relative">
-                                <div className="absolute -inset-1 bg-gradient-to-r from-[#CE0033] to-rose-600 rounded-lg blur opacity-25"></div>
-                                <img 
-                                    src="/image.png" 
-                                    alt="ESPRIT Logo" 
-                                    className="relative w-12 h-12 md:w-14 md:h-14 object-contain" 
-                                />
-                            </div>
-                            <div>
-                                <h1 className="text-2xl md:text-3xl font-black tracking-tighter text-black uppercase">
-                                    Grade<span className="text-[#CE0033]">Flow</span>
-                                </h1>
-                                <p className="text-xs font-bold text-gray-400 tracking-widest uppercase">
-                                    ESPRIT Engineering
-                                </p>
+                            {/* Logo & Title */}
+                            <div className="flex items-center gap-4">
+                                <div className="relative">
+                                    <div className="absolute -inset-1 bg-gradient-to-r from-[#CE0033] to-rose-600 rounded-lg blur opacity-25"></div>
+                                    <img 
+                                        src="/image.png" 
+                                        alt="ESPRIT Logo" 
+                                        className="relative w-12 h-12 md:w-14 md:h-14 object-contain" 
+                                    />
+                                </div>
+                                <div>
+                                    <h1 className="text-2xl md:text-3xl font-black tracking-tighter text-black uppercase">
+                                        Grade<span className="text-[#CE0033]">Flow</span>
+                                    </h1>
+                                    <p className="text-xs font-bold text-gray-400 tracking-widest uppercase">
+                                        ESPRIT Engineering
+                                    </p>
+                                </div>
                             </div>
-                        </div>
                         
-                        {/* Date Display */}
-                        <div className="flex items-center gap-4">
-                            <div className="text-right hidden sm:block">
-                                <div className="text-[10px] font-bold text-gray-400 uppercase tracking-widest">
-                                    Aujourd'hui
-                                </div>
-                                <div className="font-mono text-sm font-bold text-gray-700">
-                                    {new Date().toLocaleDateString('fr-FR')}
+                            {/* Profile, Language & Semester Switchers, Date Display */}
+                            <div className="flex items-center gap-4">
+                                {switcher}
+                                <LanguageSwitcher />
+                                <TermSwitcher
+                                    terms={terms}
+                                    activeTermId={activeTermId}
+                                    onSelect={setActiveTermId}
+                                    onAdd={addTerm}
+                                />
+                                <div className="text-end hidden sm:block">
+                                    <div className="text-[10px] font-bold text-gray-400 uppercase tracking-widest">
+                                        {t('header.today')}
+                                    </div>
+                                    <div className="font-mono text-sm font-bold text-gray-700">
+                                        {formatDate(new Date())}
+                                    </div>
                                 </div>
                             </div>
                         </div>
                     </div>
-                </div>
-            </header>
-
-            {/* ====================================================================
-                MAIN CONTENT
-            ==================================================================== */}
-            <main className="max-w-7xl mx-auto px-6 md:px-8 py-8 md:py-12">
-                <div className="grid grid-cols-1 lg:grid-cols-12 gap-8">
+                </header>
+
+                {/* ====================================================================
+                    MAIN CONTENT
+                ==================================================================== */}
+                <main className="max-w-7xl mx-auto px-6 md:px-8 py-8 md:py-12">
+                    {/* Screen Reader Announcements: the general average and the last change */}
+                    <div role="status" className="sr-only">
+                        <p>
+                            {totalCoef > 0
+                                ? t('summary.announce', { average: generalAvg, suffix: scale.suffix, decision })
+                                : t('summary.announceEmpty')}
+                        </p>
+                        <p>{announcement}</p>
+                    </div>
+
+                    {/* Scenario Notice */}
+                    {activeScenario && (
+                        <div role="status" className="mb-8 flex flex-wrap items-center justify-between gap-4 px-6 py-4 rounded-2xl border border-violet-200 bg-violet-50 text-sm text-violet-800">
+                            <span>
+                                <strong>{t('scenarioBanner.name', { name: activeScenario.name })}</strong>
+                                {t('scenarioBanner.hint')}
+                            </span>
+                            <div className="flex items-center gap-2">
+                                <button type="button" onClick={() => promoteScenario(activeScenario.id)} className="px-3 py-1.5 font-semibold text-emerald-700 hover:bg-emerald-50 rounded-lg">
+                                    {t('common.apply')}
+                                </button>
+                                <button type="button" onClick={() => setActiveScenarioId(null)} className="px-3 py-1.5 font-semibold text-violet-700 hover:bg-violet-100 rounded-lg">
+                                    {t('common.leave')}
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Notices */}
+                    {notices.length > 0 && (
+                        <div role="alert" className="mb-8 flex items-start justify-between gap-4 px-6 py-4 rounded-2xl border border-amber-200 bg-amber-50 text-sm text-amber-800">
+                            <ul className="space-y-1">
+                                {notices.map((notice, i) => <li key={i}>{t(notice.key, notice.params)}</li>)}
+                            </ul>
+                            <button type="button" onClick={() => setNotices([])} title={t('notices.dismiss')} className="font-bold text-amber-600 hover:text-amber-800">
+                                ✕
+                            </button>
+                        </div>
+                    )}
+
+                    {/* Shared Transcript (read-only, replaces the dashboard) */}
+                    {shared && (
+                        <SharedTranscriptView
+                            shared={shared}
+                            onImport={importShared}
+                            onExplore={exploreShared}
+                            onClose={closeShared}
+                        />
+                    )}
+
+                    <div className={`grid grid-cols-1 lg:grid-cols-12 gap-8 ${shared ? 'hidden' : ''}`}>
                     
-                    {/* ================================================================
-                        LEFT COLUMN: Form & Average Display
-                    ================================================================ */}
-                    <div className="lg:col-span-5 space-y-8">
+                        {/* ================================================================
+                            LEFT COLUMN: Form & Average Display
+                        ================================================================ */}
+                        <div className="lg:col-span-5 space-y-8">
                         
-                        {/* Grade Input Form */}
-                        <div className="relative group">
-                            {/* Glow Effect */}
-                            <div className="absolute -inset-1 bg-gradient-to-r from-[#CE0033] via-rose-600 to-[#CE0033] rounded-3xl blur-lg opacity-20 group-hover:opacity-30 transition duration-500"></div>
+                            {/* Grade Input Form */}
+                            <div className="relative group">
+                                {/* Glow Effect */}
+                                <div className="absolute -inset-1 bg-gradient-to-r from-[#CE0033] via-rose-600 to-[#CE0033] rounded-3xl blur-lg opacity-20 group-hover:opacity-30 transition duration-500"></div>
                             
-                            <div className="relative bg-gradient-to-br from-black via-neutral-900 to-black text-white rounded-2xl shadow-2xl overflow-hidden border border-gray-800">
-                                {/* Background Icon */}
-                                <div className="absolute top-0 right-0 p-6 opacity-5">
-                                    <svg width="120" height="120" viewBox="0 0 24 24" fill="currentColor">
-                                        <path d="M12 2L2 7l10 5 10-5-10-5zm0 9l2.5-1.25L12 8.5l-2.5 1.25L12 11zm0 2.5l-5-2.5-5 2.5L12 22l10-8.5-5-2.5-5 2.5z"/>
-                                    </svg>
-                                </div>
+                                <div className="relative bg-gradient-to-br from-black via-neutral-900 to-black text-white rounded-2xl shadow-2xl overflow-hidden border border-gray-800">
+                                    {/* Background Icon */}
+                                    <div className="absolute top-0 end-0 p-6 opacity-5">
+                                        <svg width="120" height="120" viewBox="0 0 24 24" fill="currentColor">
+                                            <path d="M12 2L2 7l10 5 10-5-10-5zm0 9l2.5-1.25L12 8.5l-2.5 1.25L12 11zm0 2.5l-5-2.5-5 2.5L12 22l10-8.5-5-2.5-5 2.5z"/>
+                                        </svg>
+                                    </div>
                                 
-                                <div className="p-8 relative z-10">
-                                    {/* Form Header */}
-                                    <div className="flex items-center justify-between mb-8">
-                                        <h2 className="text-2xl font-bold flex items-center gap-3">
-                                            <span className="w-1.5 h-7 bg-gradient-to-b from-[#CE0033] to-rose-600 rounded-full"></span>
-                                            Saisie des Notes
-                                        </h2>
-                                        <div className="flex items-center gap-2 text-xs font-mono text-gray-500 bg-gray-900 px-3 py-1.5 rounded-lg border border-gray-800">
-                                            <div className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
-                                            <span>v2.0</span>
+                                    <div className="p-8 relative z-10">
+                                        {/* Form Header */}
+                                        <div className="flex items-center justify-between mb-8">
+                                            <h2 className="text-2xl font-bold flex items-center gap-3">
+                                                <span className="w-1.5 h-7 bg-gradient-to-b from-[#CE0033] to-rose-600 rounded-full"></span>
+                                                {t('form.title')}
+                                            </h2>
+                                            <div className="flex items-center gap-2 text-xs font-mono text-gray-500 bg-gray-900 px-3 py-1.5 rounded-lg border border-gray-800">
+                                                <div className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
+                                                <span>v2.0</span>
+                                            </div>
                                         </div>
-                                    </div>
                                     
-                                    {/* Form Fields */}
-                                    <form onSubmit={handleSubmit} className="space-y-5">
-                                        
-                                        {/* Subject Name */}
-                                        <div className="space-y-2">
-                                            <label className="text-xs uppercase font-bold text-gray-400 tracking-wider ml-1">
-                                                Nom de la Matière
-                                            </label>
-                                            <input
-                                                type="text"
-                                                name="subject"
-                                                value={formData.subject}
-                                                onChange={handleInputChange}
-                                                placeholder="Ex: Base de Données"
-                                                className="w-full bg-neutral-900/50 backdrop-blur border border-neutral-700 text-white px-5 py-3.5 rounded-xl focus:border-[#CE0033] focus:ring-2 focus:ring-[#CE0033]/20 focus:outline-none transition-all placeholder-gray-600 font-medium"
-                                                required
-                                            />
-                                        </div>
-
-                                        {/* Coefficient */}
-                                        <div className="space-y-2">
-                                            <label className="text-xs uppercase font-bold text-gray-400 tracking-wider ml-1">
-                                                Coefficient
-                                            </label>
-                                            <input
-                                                type="number"
-                                                name="coef"
-                                                value={formData.coef}
-                                                onChange={handleInputChange}
-                                                min="0"
-                                                step="any"
-                                                className="w-full bg-neutral-900/50 backdrop-blur border border-neutral-700 text-white px-5 py-3.5 rounded-xl focus:border-[#CE0033] focus:ring-2 focus:ring-[#CE0033]/20 focus:outline-none transition-all placeholder-gray-600 font-mono text-lg"
-                                                required
-                                                placeholder="1.0"
-                                            />
-                                        </div>
+                                        {/* Form Fields */}
+                                        <form onSubmit={handleSubmit} noValidate className="space-y-5">
 
-                                        {/* CC & TP (Optional Grades) */}
-                                        <div className="grid grid-cols-2 gap-4">
+                                            {/* Keyboard Entry Mode */}
+                                            <div className="space-y-1">
+                                                <label className="inline-flex items-center gap-2 text-xs font-semibold text-gray-400 cursor-pointer">
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={isKeyboardEntry}
+                                                        onChange={(e) => setIsKeyboardEntry(e.target.checked)}
+                                                        aria-describedby="form-keyboard-hint"
+                                                        className="accent-[#CE0033]"
+                                                    />
+                                                    {t('form.keyboardMode')}
+                                                </label>
+                                                <p id="form-keyboard-hint" className={`text-[11px] text-gray-500 ${isKeyboardEntry ? '' : 'sr-only'}`}>
+                                                    {t('form.keyboardHint')}
+                                                </p>
+                                            </div>
+                                        
+                                            {/* Subject Name */}
                                             <div className="space-y-2">
-                                                <label className="text-xs uppercase font-bold text-gray-400 tracking-wider ml-1">
-                                                    CC <span className="text-[10px] text-gray-600 normal-case font-normal">(Optionnel)</span>
+                                                <label htmlFor="form-subject" className="text-xs uppercase font-bold text-gray-400 tracking-wider ms-1">
+                                                    {t('form.subject')}
                                                 </label>
                                                 <input
-                                                    type="number"
-                                                    name="cc"
-                                                    value={formData.cc}
-                                                    onChange={handleInputChange}
-                                                    min="0" 
-                                                    max="20" 
-                                                    step="any"
-                                                    className="w-full bg-neutral-900/50 backdrop-blur border border-neutral-700 text-white px-4 py-3.5 rounded-xl focus:border-[#CE0033] focus:ring-2 focus:ring-[#CE0033]/20 focus:outline-none transition-all placeholder-gray-600 font-mono"
-                                                    placeholder="/20"
+                                                    ref={subjectInputRef}
+                                                    id="form-subject"
+                                                    type="text"
+                                                    name="subject"
+                                                    value={formData.subject}
+                                                    onChange={handleSubjectChange}
+                                                    list="catalogue-subjects"
+                                                    autoComplete="off"
+                                                    placeholder={t('form.subjectPlaceholder')}
+                                                    aria-invalid={Boolean(formErrors.subject)}
+                                                    aria-describedby="form-subject-message"
+                                                    className={`w-full bg-neutral-900/50 backdrop-blur border ${formErrors.subject ? 'border-rose-500' : 'border-neutral-700'} text-white px-5 py-3.5 rounded-xl focus:border-[#CE0033] focus:ring-2 focus:ring-[#CE0033]/20 focus:outline-none transition-all placeholder-gray-600 font-medium`}
+                                                    required
                                                 />
+                                                <datalist id="catalogue-subjects">
+                                                    {catalogueSubjects.map(entry => (
+                                                        <option key={entry.subject} value={entry.subject} />
+                                                    ))}
+                                                </datalist>
+                                                <FieldMessage id="form-subject-message" error={formErrors.subject} warning={formWarnings.subject} />
                                             </div>
+
+                                            {/* Coefficient */}
                                             <div className="space-y-2">
-                                                <label className="text-xs uppercase font-bold text-gray-400 tracking-wider ml-1">
-                                                    TP <span className="text-[10px] text-gray-600 normal-case font-normal">(Optionnel)</span>
+                                                <label htmlFor="form-coef" className="text-xs uppercase font-bold text-gray-400 tracking-wider ms-1">
+                                                    {t('form.coef')}
                                                 </label>
                                                 <input
-                                                    type="number"
-                                                    name="tp"
-                                                    value={formData.tp}
+                                                    type="text"
+                                                    id="form-coef"
+                                                    inputMode="decimal"
+                                                    name="coef"
+                                                    value={formData.coef}
                                                     onChange={handleInputChange}
-                                                    min="0" 
-                                                    max="20" 
-                                                    step="any"
-                                                    className="w-full bg-neutral-900/50 backdrop-blur border border-neutral-700 text-white px-4 py-3.5 rounded-xl focus:border-[#CE0033] focus:ring-2 focus:ring-[#CE0033]/20 focus:outline-none transition-all placeholder-gray-600 font-mono"
-                                                    placeholder="/20"
+                                                    aria-invalid={Boolean(formErrors.coef)}
+                                                    aria-describedby="form-coef-message"
+                                                    className={`w-full bg-neutral-900/50 backdrop-blur border ${formErrors.coef ? 'border-rose-500' : 'border-neutral-700'} text-white px-5 py-3.5 rounded-xl focus:border-[#CE0033] focus:ring-2 focus:ring-[#CE0033]/20 focus:outline-none transition-all placeholder-gray-600 font-mono text-lg`}
+                                                    required
+                                                    placeholder="1.0"
                                                 />
+                                                <FieldMessage id="form-coef-message" error={formErrors.coef} warning={formWarnings.coef} />
                                             </div>
-                                        </div>
 
-                                        {/* Final Exam (Required) */}
-                                        <div className="space-y-2 pt-2">
-                                            <label className="text-xs uppercase font-bold text-[#CE0033] tracking-wider ml-1">
-                                                Examen Final
-                                            </label>
-                                            <input
-                                                type="number"
-                                                name="exam"
-                                                value={formData.exam}
-                                                onChange={handleInputChange}
-                                                min="0" 
-                                                max="20" 
-                                                step="any"
-                                                className="w-full bg-white text-black border-2 border-gray-200 px-5 py-4 rounded-xl focus:border-[#CE0033] focus:ring-4 focus:ring-[#CE0033]/10 focus:outline-none transition-all placeholder-gray-300 font-bold font-mono text-2xl shadow-inner"
-                                                required
-                                                placeholder="00.00"
-                                            />
-                                        </div>
+                                            {/* Weighting Profile */}
+                                            <div className="space-y-2">
+                                                <label htmlFor="form-profileId" className="text-xs uppercase font-bold text-gray-400 tracking-wider ms-1">
+                                                    {t('form.profile')}
+                                                </label>
+                                                <select
+                                                    id="form-profileId"
+                                                    name="profileId"
+                                                    value={formProfile.id}
+                                                    onChange={handleInputChange}
+                                                    className="w-full bg-neutral-900/50 backdrop-blur border border-neutral-700 text-white px-5 py-3.5 rounded-xl focus:border-[#CE0033] focus:ring-2 focus:ring-[#CE0033]/20 focus:outline-none transition-all font-medium"
+                                                >
+                                                    {profiles.map(profile => (
+                                                        <option key={profile.id} value={profile.id} className="text-black">
+                                                            {profile.name}
+                                                        </option>
+                                                    ))}
+                                                </select>
+                                            </div>
 
-                                        {/* Submit Button */}
-                                        <button 
-                                            type="submit" 
-                                            className="w-full mt-6 bg-gradient-to-r from-[#CE0033] to-rose-600 hover:from-rose-600 hover:to-[#CE0033] text-white font-bold py-4 px-6 rounded-xl shadow-lg hover:shadow-xl transition-all duration-300 transform hover:scale-[1.02] active:scale-95 flex items-center justify-center gap-3"
-                                        >
-                                            <span className="tracking-widest">CALCULER</span>
-                                            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7"></path>
-                                            </svg>
-                                        </button>
-                                    </form>
+                                            {/* Teaching Unit */}
+                                            {termUnits.length > 0 && (
+                                                <div className="space-y-2">
+                                                    <label htmlFor="form-unitId" className="text-xs uppercase font-bold text-gray-400 tracking-wider ms-1">
+                                                        {t('form.unit')} <span className="text-[10px] text-gray-600 normal-case font-normal">({t('common.optional')})</span>
+                                                    </label>
+                                                    <select
+                                                        id="form-unitId"
+                                                        name="unitId"
+                                                        value={formData.unitId}
+                                                        onChange={handleInputChange}
+                                                        className="w-full bg-neutral-900/50 backdrop-blur border border-neutral-700 text-white px-5 py-3.5 rounded-xl focus:border-[#CE0033] focus:ring-2 focus:ring-[#CE0033]/20 focus:outline-none transition-all font-medium"
+                                                    >
+                                                        <option value="" className="text-black">{t('common.none')}</option>
+                                                        {termUnits.map(unit => (
+                                                            <option key={unit.id} value={unit.id} className="text-black">
+                                                                {t('form.unitOption', { name: unit.name, credits: unit.credits })}
+                                                            </option>
+                                                        ))}
+                                                    </select>
+                                                </div>
+                                            )}
+
+                                            {/* Continuous Assessment Grades (CC, TP, Projet) */}
+                                            {optionalComponents.length > 0 && (
+                                                <div className="grid grid-cols-2 gap-4">
+                                                    {optionalComponents.map(({ key }) => {
+                                                        const multiple = acceptsMultiple(formProfile, key);
+                                                        const required = formProfile.required.includes(key);
+
+                                                        return (
+                                                            <div key={key} className="space-y-2">
+                                                                <label htmlFor={`form-${key}`} className="text-xs uppercase font-bold text-gray-400 tracking-wider ms-1">
+                                                                    {t(`components.${key}`)} <span className="text-[10px] text-gray-600 normal-case font-normal">
+                                                                        ({t(required ? 'form.pendingIfEmpty' : multiple ? 'form.multipleHint' : 'common.optional')})
+                                                                    </span>
+                                                                </label>
+                                                                <input
+                                                                    id={`form-${key}`}
+                                                                    type="text"
+                                                                    inputMode="decimal"
+                                                                    name={key}
+                                                                    value={formData[key]}
+                                                                    onChange={handleInputChange}
+                                                                    aria-invalid={Boolean(formErrors[key])}
+                                                                    aria-describedby={`form-${key}-message`}
+                                                                    className={`w-full bg-neutral-900/50 backdrop-blur border ${formErrors[key] ? 'border-rose-500' : 'border-neutral-700'} text-white px-4 py-3.5 rounded-xl focus:border-[#CE0033] focus:ring-2 focus:ring-[#CE0033]/20 focus:outline-none transition-all placeholder-gray-600 font-mono`}
+                                                                    placeholder={multiple ? '12;14' : scale.suffix}
+                                                                />
+                                                                <FieldMessage id={`form-${key}-message`} error={formErrors[key]} />
+                                                            </div>
+                                                        );
+                                                    })}
+                                                </div>
+                                            )}
+
+                                            {/* Final Exam (left empty while pending) */}
+                                            {usesExam && (
+                                                <div className="space-y-2 pt-2">
+                                                    <label htmlFor="form-exam" className="text-xs uppercase font-bold text-[#CE0033] tracking-wider ms-1">
+                                                        {t('form.exam')} <span className="text-[10px] text-gray-500 normal-case font-normal">({t('form.pendingIfEmpty')})</span>
+                                                    </label>
+                                                    <input
+                                                        type="text"
+                                                        id="form-exam"
+                                                        inputMode="decimal"
+                                                        name="exam"
+                                                        value={formData.exam}
+                                                        onChange={handleInputChange}
+                                                        aria-invalid={Boolean(formErrors.exam)}
+                                                        aria-describedby="form-exam-message"
+                                                        className={`w-full bg-white text-black border-2 ${formErrors.exam ? 'border-rose-500' : 'border-gray-200'} px-5 py-4 rounded-xl focus:border-[#CE0033] focus:ring-4 focus:ring-[#CE0033]/10 focus:outline-none transition-all placeholder-gray-300 font-bold font-mono text-2xl shadow-inner`}
+                                                        placeholder="00.00"
+                                                    />
+                                                    <FieldMessage id="form-exam-message" error={formErrors.exam} />
+                                                </div>
+                                            )}
+
+                                            {/* Errors of the last submit */}
+                                            {formErrorCount > 0 && (
+                                                <p role="alert" className="text-sm font-semibold text-rose-400">
+                                                    {t('validation.summary', { count: formErrorCount })}
+                                                </p>
+                                            )}
+
+                                            {/* Submit Button */}
+                                            <button 
+                                                type="submit" 
+                                                className="w-full mt-6 bg-gradient-to-r from-[#CE0033] to-rose-600 hover:from-rose-600 hover:to-[#CE0033] text-white font-bold py-4 px-6 rounded-xl shadow-lg hover:shadow-xl transition-all duration-300 transform hover:scale-[1.02] active:scale-95 flex items-center justify-center gap-3"
+                                            >
+                                                <span className="tracking-widest">{t('form.submit')}</span>
+                                                <svg className="w-5 h-5 rtl:rotate-180" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7"></path>
+                                                </svg>
+                                            </button>
+                                        </form>
+                                    </div>
                                 </div>
                             </div>
-                        </div>
 
-                        {/* General Average Display Card */}
-                        <div className="relative group">
-                            <div className={`absolute -inset-1 rounded-3xl blur-lg opacity-20 transition ${parseFloat(generalAvg) >= 10 ? 'bg-gradient-to-r from-emerald-400 to-green-500' : 'bg-gradient-to-r from-rose-400 to-red-500'}`}></div>
+                            {/* General Average Display Card */}
+                            <div className="relative group">
+                                <div className={`absolute -inset-1 rounded-3xl blur-lg opacity-20 transition ${admitted ? 'bg-gradient-to-r from-emerald-400 to-green-500' : 'bg-gradient-to-r from-rose-400 to-red-500'}`}></div>
                             
-                            <div className="relative bg-white rounded-2xl p-10 shadow-lg border border-gray-100">
-                                {/* Top Color Bar */}
-                                <div className={`absolute top-0 left-0 w-full h-2 ${parseFloat(generalAvg) >= 10 ? 'bg-gradient-to-r from-emerald-500 to-green-600' : 'bg-gradient-to-r from-rose-500 to-red-600'}`}></div>
+                                <div className="relative bg-white rounded-2xl p-10 shadow-lg border border-gray-100">
+                                    {/* Top Color Bar */}
+                                    <div className={`absolute top-0 start-0 w-full h-2 ${admitted ? 'bg-gradient-to-r from-emerald-500 to-green-600' : 'bg-gradient-to-r from-rose-500 to-red-600'}`}></div>
                                 
-                                <div className="text-center">
-                                    <h3 className="text-gray-400 uppercase tracking-widest text-xs font-bold mb-4">
-                                        Moyenne Générale
-                                    </h3>
+                                    <div className="text-center">
+                                        <h3 className="text-gray-400 uppercase tracking-widest text-xs font-bold mb-4">
+                                            {t('summary.title')}
+                                        </h3>
                                     
-                                    {/* Large Average Display */}
-                                    <div className="flex items-baseline justify-center gap-2 mb-4">
-                                        <span className={`text-7xl md:text-8xl font-black tracking-tighter ${parseFloat(generalAvg) >= 10 ? 'text-transparent bg-clip-text bg-gradient-to-br from-emerald-600 to-green-700' : 'text-transparent bg-clip-text bg-gradient-to-br from-rose-600 to-red-700'}`}>
-                                            {generalAvg}
-                                        </span>
-                                        <span className="text-2xl text-gray-300 font-bold">/20</span>
-                                    </div>
+                                        {/* Large Average Display */}
+                                        <div className="flex items-baseline justify-center gap-2 mb-4">
+                                            <span className={`text-7xl md:text-8xl font-black tracking-tighter ${admitted ? 'text-transparent bg-clip-text bg-gradient-to-br from-emerald-600 to-green-700' : 'text-transparent bg-clip-text bg-gradient-to-br from-rose-600 to-red-700'}`}>
+                                                {generalAvg}
+                                            </span>
+                                            <span className="text-2xl text-gray-300 font-bold">{scale.suffix}</span>
+                                        </div>
+
+                                        {/* Status Badge */}
+                                        <div className={`inline-block px-6 py-2 rounded-full text-sm font-bold border-2 ${admitted ? 'bg-emerald-50 text-emerald-700 border-emerald-200' : 'bg-rose-50 text-rose-700 border-rose-200'}`}>
+                                            {decision}
+                                        </div>
 
-                                    {/* Status Badge */}
-                                    <div className={`inline-block px-6 py-2 rounded-full text-sm font-bold border-2 ${parseFloat(generalAvg) >= 10 ? 'bg-emerald-50 text-emerald-700 border-emerald-200' : 'bg-rose-50 text-rose-700 border-rose-200'}`}>
-                                        {parseFloat(generalAvg) >= 10 ? 'Admis' : 'Non Admis'}
+                                        {/* Distance to the Next Mention */}
+                                        {nextMention && (
+                                            <p className="mt-3 text-xs font-semibold text-gray-500">
+                                                {t('summary.nextMention', {
+                                                    count: toScale(nextMention.distance, gradingSettings),
+                                                    distance: formatGrade(nextMention.distance),
+                                                    label: nextMention.band.label
+                                                })}
+                                            </p>
+                                        )}
+
+                                        {/* Provisional Notice */}
+                                        {pendingCount > 0 && (
+                                            <p className="mt-3 text-xs font-semibold text-sky-700">
+                                                {t('summary.provisional', { count: pendingCount })}
+                                            </p>
+                                        )}
+
+                                        {/* Annual Average */}
+                                        <p className="mt-6 text-xs font-bold text-gray-400 uppercase tracking-widest">
+                                            {t('summary.annual', { semester: activeTerm.semester, year: activeTerm.year })}{' '}
+                                            <span className="font-mono text-gray-700">
+                                                {yearSummary.totalCoef > 0 ? formatGrade(yearSummary.annualAvg) : '-'}
+                                            </span>
+                                        </p>
                                     </div>
                                 </div>
                             </div>
+
+                            {/* Mention Bands */}
+                            <MentionsPanel
+                                average={summary.generalAvg}
+                                bands={mentionBands}
+                                onChange={setMentionBands}
+                            />
+
+                            {/* Grading Scale & Rounding */}
+                            <GradingSettingsPanel
+                                settings={gradingSettings}
+                                onChange={setGradingSettings}
+                            />
+
+                            {/* Weighting Profiles */}
+                            <WeightingProfilesPanel
+                                profiles={profiles}
+                                usageCount={countProfileUsage}
+                                onAdd={addProfile}
+                                onDelete={deleteProfile}
+                            />
                         </div>
-                    </div>
 
-                    {/* ================================================================
-                        RIGHT COLUMN: Statistics & Grades Table
-                    ================================================================ */}
-                    <div className="lg:col-span-7 space-y-8">
+                        {/* ================================================================
+                            RIGHT COLUMN: Statistics & Grades Table
+                        ================================================================ */}
+                        <div className="lg:col-span-7 space-y-8">
                         
-                        {/* KPI Cards Grid */}
-                        <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+                            {/* KPI Cards Grid */}
+                            <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
                             
-                            {/* Total Subjects */}
-                            <div className="bg-white p-6 rounded-2xl border border-gray-100 shadow-sm hover:shadow-md transition-all">
-                                <div className="text-gray-400 text-[10px] font-bold uppercase tracking-wider mb-2">
-                                    Total Matières
-                                </div>
-                                <div className="text-4xl font-black text-black">
-                                    {grades.length}
+                                {/* Total Subjects */}
+                                <div className="bg-white p-6 rounded-2xl border border-gray-100 shadow-sm hover:shadow-md transition-all">
+                                    <div className="text-gray-400 text-[10px] font-bold uppercase tracking-wider mb-2">
+                                        {t('kpi.subjects')}
+                                    </div>
+                                    <div className="text-4xl font-black text-black">
+                                        {termGrades.length}
+                                    </div>
                                 </div>
-                            </div>
                             
-                            {/* Total Coefficients */}
-                            <div className="bg-white p-6 rounded-2xl border border-gray-100 shadow-sm hover:shadow-md transition-all">
-                                <div className="text-gray-400 text-[10px] font-bold uppercase tracking-wider mb-2">
-                                    Total Coefs
-                                </div>
-                                <div className="text-4xl font-black text-black">
-                                    {totalCoef.toFixed(1)}
+                                {/* Total Coefficients */}
+                                <div className="bg-white p-6 rounded-2xl border border-gray-100 shadow-sm hover:shadow-md transition-all">
+                                    <div className="text-gray-400 text-[10px] font-bold uppercase tracking-wider mb-2">
+                                        {t('kpi.coefs')}
+                                    </div>
+                                    <div className="text-4xl font-black text-black">
+                                        {formatNumber(totalCoef, 1)}
+                                    </div>
                                 </div>
-                            </div>
                             
-                            {/* Validated Subjects */}
-                            <div className="bg-gradient-to-br from-emerald-50 to-green-50 p-6 rounded-2xl border-l-4 border-l-emerald-500 shadow-sm">
-                                <div className="text-emerald-700 text-[10px] font-bold uppercase tracking-wider mb-2">
-                                    Validées
-                                </div>
-                                <div className="text-4xl font-black text-emerald-800">
-                                    {validatedCount}
+                                {/* Validated Subjects */}
+                                <div className="bg-gradient-to-br from-emerald-50 to-green-50 p-6 rounded-2xl border-s-4 border-s-emerald-500 shadow-sm">
+                                    <div className="text-emerald-700 text-[10px] font-bold uppercase tracking-wider mb-2">
+                                        {t('kpi.validated')}
+                                    </div>
+                                    <div className="text-4xl font-black text-emerald-800">
+                                        {validatedCount}
+                                    </div>
                                 </div>
-                            </div>
                             
-                            {/* Failed Subjects */}
-                            <div className="bg-gradient-to-br from-rose-50 to-red-50 p-6 rounded-2xl border-l-4 border-l-rose-500 shadow-sm">
-                                <div className="text-rose-700 text-[10px] font-bold uppercase tracking-wider mb-2">
-                                    En Échec
-                                </div>
-                                <div className="text-4xl font-black text-rose-800">
-                                    {dangerCount}
+                                {/* Failed Subjects */}
+                                <div className="bg-gradient-to-br from-rose-50 to-red-50 p-6 rounded-2xl border-s-4 border-s-rose-500 shadow-sm">
+                                    <div className="text-rose-700 text-[10px] font-bold uppercase tracking-wider mb-2">
+                                        {t('kpi.failed')}
+                                    </div>
+                                    <div className="text-4xl font-black text-rose-800">
+                                        {dangerCount}
+                                    </div>
                                 </div>
                             </div>
-                        </div>
 
-                        {/* Grades Table */}
-                        <div id="grades-table" className="bg-white rounded-2xl shadow-lg border border-gray-200 overflow-hidden">
+                            {/* Grades Table */}
+                            <div id="grades-table" className="bg-white rounded-2xl shadow-lg border border-gray-200 overflow-hidden">
                             
-                            {/* Table Header */}
-                            <div className="p-6 border-b border-gray-100 bg-gradient-to-r from-gray-50 to-white">
-                                <div className="flex items-center justify-between">
-                                    <div className="flex items-center gap-3">
-                                        <div className="bg-gradient-to-br from-black to-neutral-800 text-white p-2.5 rounded-xl">
-                                            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"></path>
-                                            </svg>
+                                {/* Table Header */}
+                                <div className="p-6 border-b border-gray-100 bg-gradient-to-r from-gray-50 to-white">
+                                    <div className="flex items-center justify-between">
+                                        <div className="flex items-center gap-3">
+                                            <div className="bg-gradient-to-br from-black to-neutral-800 text-white p-2.5 rounded-xl">
+                                                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"></path>
+                                                </svg>
+                                            </div>
+                                            <div>
+                                                <h3 ref={tableTitleRef} tabIndex={-1} className="font-bold text-lg text-black focus:outline-none">{t('table.title')}</h3>
+                                                <p className="text-xs text-gray-400">
+                                                    {t('common.subjectCount', { count: termGrades.length })} · {activeTerm.year} {activeTerm.semester}
+                                                </p>
+                                            </div>
                                         </div>
-                                        <div>
-                                            <h3 className="font-bold text-lg text-black">Relevé de Notes</h3>
-                                            <p className="text-xs text-gray-400">
-                                                {grades.length} matière{grades.length !== 1 ? 's' : ''}
-                                            </p>
+                                    
+                                        <div className="flex items-center gap-1">
+                                            {/* Curriculum Catalogue */}
+                                            <button
+                                                onClick={() => setIsCurriculumOpen(true)}
+                                                className="px-3 py-2 text-sm font-semibold text-gray-600 hover:bg-gray-100 rounded-xl transition"
+                                            >
+                                                {t('table.curriculum')}
+                                            </button>
+
+                                            {/* CSV Import / Export */}
+                                            <button
+                                                onClick={() => setIsImportOpen(true)}
+                                                className="px-3 py-2 text-sm font-semibold text-gray-600 hover:bg-gray-100 rounded-xl transition"
+                                            >
+                                                {t('common.import')}
+                                            </button>
+                                            <button
+                                                onClick={() => setIsPasteOpen(true)}
+                                                className="px-3 py-2 text-sm font-semibold text-gray-600 hover:bg-gray-100 rounded-xl transition"
+                                            >
+                                                {t('table.paste')}
+                                            </button>
+                                            {termGrades.length > 0 && (
+                                                <>
+                                                    <button
+                                                        onClick={exportCsv}
+                                                        className="px-3 py-2 text-sm font-semibold text-gray-600 hover:bg-gray-100 rounded-xl transition"
+                                                    >
+                                                        {t('table.exportCsv')}
+                                                    </button>
+                                                    <button
+                                                        onClick={() => setIsTranscriptOpen(true)}
+                                                        className="px-3 py-2 text-sm font-semibold text-gray-600 hover:bg-gray-100 rounded-xl transition"
+                                                    >
+                                                        {t('table.transcript')}
+                                                    </button>
+                                                    <button
+                                                        onClick={() => setIsShareOpen(true)}
+                                                        className="px-3 py-2 text-sm font-semibold text-gray-600 hover:bg-gray-100 rounded-xl transition"
+                                                    >
+                                                        {t('table.share')}
+                                                    </button>
+                                                </>
+                                            )}
+
+                                            {/* Undo / Redo */}
+                                            <button
+                                                onClick={undo}
+                                                disabled={!canUndo}
+                                                title={t('table.undo')}
+                                                className="w-9 h-9 flex items-center justify-center rounded-xl text-gray-500 hover:bg-gray-100 transition disabled:text-gray-200 disabled:hover:bg-transparent"
+                                            >
+                                                ↶
+                                            </button>
+                                            <button
+                                                onClick={redo}
+                                                disabled={!canRedo}
+                                                title={t('table.redo')}
+                                                className="w-9 h-9 flex items-center justify-center rounded-xl text-gray-500 hover:bg-gray-100 transition disabled:text-gray-200 disabled:hover:bg-transparent"
+                                            >
+                                                ↷
+                                            </button>
+
+                                            {/* Reset Button */}
+                                            {termGrades.length > 0 && (
+                                                <button 
+                                                    onClick={() => setResetTermId(activeTermId)}
+                                                    aria-expanded={isConfirmingReset}
+                                                    className="px-4 py-2 text-sm font-semibold text-rose-600 hover:bg-rose-50 rounded-xl transition border border-transparent hover:border-rose-100"
+                                                >
+                                                    {t('table.reset')}
+                                                </button>
+                                            )}
                                         </div>
                                     </div>
-                                    
-                                    {/* Reset Button */}
-                                    {grades.length > 0 && (
-                                        <button 
-                                            onClick={resetAll}
-                                            className="px-4 py-2 text-sm font-semibold text-rose-600 hover:bg-rose-50 rounded-xl transition border border-transparent hover:border-rose-100"
-                                        >
-                                            Tout Effacer
-                                        </button>
-                                    )}
                                 </div>
-                            </div>
 
-                            {/* Empty State */}
-                            {grades.length === 0 ? (
-                                <div className="p-16 text-center">
-                                    <div className="w-20 h-20 bg-gray-50 rounded-full flex items-center justify-center mx-auto mb-6">
-                                        <svg className="w-10 h-10 text-gray-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"></path>
-                                        </svg>
+                                {/* Reset Confirmation */}
+                                {isConfirmingReset && (
+                                    <div className="mx-6 mt-4 flex items-center justify-between gap-3 px-4 py-3 rounded-xl border border-rose-200 bg-rose-50 text-xs font-semibold text-rose-700">
+                                        <span>{t('table.confirmReset', { count: termGrades.length })}</span>
+                                        <div className="flex gap-2">
+                                            <button type="button" onClick={() => setResetTermId(null)} className="px-2 py-1 text-gray-500">{t('common.cancel')}</button>
+                                            <button type="button" onClick={resetAll} className="px-2 py-1 rounded-lg bg-rose-600 text-white">{t('table.clear')}</button>
+                                        </div>
                                     </div>
-                                    <h4 className="font-bold text-gray-900 text-lg mb-2">Commencez ici</h4>
-                                    <p className="text-gray-400 text-sm max-w-xs mx-auto">
-                                        Ajoutez votre première matière pour voir apparaître votre bulletin.
-                                    </p>
-                                </div>
-                            ) : (
-                                /* Grades Table */
-                                <div className="overflow-x-auto">
-                                    <table className="w-full">
-                                        <thead>
-                                            <tr className="bg-gray-50 border-b border-gray-100">
-                                                <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">
-                                                    Matière
-                                                </th>
-                                                <th className="px-6 py-4 text-right text-xs font-bold text-gray-500 uppercase tracking-wider hidden sm:table-cell">
-                                                    CC
-                                                </th>
-                                                <th className="px-6 py-4 text-right text-xs font-bold text-gray-500 uppercase tracking-wider hidden sm:table-cell">
-                                                    TP
-                                                </th>
-                                                <th className="px-6 py-4 text-right text-xs font-bold text-gray-700 uppercase tracking-wider hidden sm:table-cell">
-                                                    Examen
-                                                </th>
-                                                <th className="px-6 py-4 text-center text-xs font-bold text-gray-500 uppercase tracking-wider">
-                                                    Coef
-                                                </th>
-                                                <th className="px-6 py-4 text-center text-xs font-bold text-gray-700 uppercase tracking-wider">
-                                                    Moyenne
-                                                </th>
-                                                <th className="px-6 py-4"></th>
-                                            </tr>
-                                        </thead>
-                                        <tbody className="divide-y divide-gray-50">
-                                            {grades.map((grade, index) => {
-                                                const avg = calculateAverage(grade.cc, grade.tp, grade.exam);
-                                                const style = getStyleParams(avg);
-
-                                                return (
-                                                    <tr key={grade.id} className="hover:bg-gray-50 transition-colors">
-                                                        {/* Subject Name */}
-                                                        <td className="px-6 py-5">
-                                                            <div className="flex items-center gap-3">
-                                                                <div className="w-8 h-8 rounded-lg bg-gray-100 flex items-center justify-center text-xs font-bold text-gray-600">
-                                                                    {index + 1}
-                                                                </div>
-                                                                <span className="font-bold text-gray-900">
-                                                                    {grade.subject}
-                                                                </span>
-                                                            </div>
-                                                        </td>
-                                                        
-                                                        {/* CC Grade */}
-                                                        <td className="px-6 py-5 text-right font-mono text-sm text-gray-500 hidden sm:table-cell">
-                                                            {grade.cc || '-'}
-                                                        </td>
-                                                        
-                                                        {/* TP Grade */}
-                                                        <td className="px-6 py-5 text-right font-mono text-sm text-gray-500 hidden sm:table-cell">
-                                                            {grade.tp || '-'}
-                                                        </td>
-                                                        
-                                                        {/* Exam Grade */}
-                                                        <td className="px-6 py-5 text-right font-mono font-bold text-black hidden sm:table-cell">
-                                                            {grade.exam}
-                                                        </td>
-                                                        
-                                                        {/* Coefficient */}
-                                                        <td className="px-6 py-5 text-center">
-                                                            <span className="bg-gray-100 px-3 py-1 rounded-lg text-xs font-bold text-gray-600">
-                                                                ×{grade.coef}
-                                                            </span>
-                                                        </td>
-                                                        
-                                                        {/* Average with Status */}
-                                                        <td className="px-6 py-5 text-center">
-                                                            <div className={`inline-flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-bold border-2 ${style.bg} ${style.color} ${style.border}`}>
-                                                                <span className="font-mono">{avg.toFixed(2)}</span>
-                                                                
-                                                            </div>
-                                                        </td>
-                                                        
-                                                        {/* Delete Button */}
-                                                        <td className="px-6 py-5 text-center">
-                                                            <button
-                                                                onClick={() => deleteGrade(grade.id)}
-                                                                className="w-9 h-9 flex items-center justify-center rounded-xl text-gray-300 hover:bg-rose-50 hover:text-rose-600 transition-all"
-                                                            >
-                                                                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
-                                                                </svg>
-                                                            </button>
+                                )}
+
+                                {/* Search, Status Filter & Order */}
+                                {termGrades.length > 0 && (
+                                    <div className="px-6 py-4 border-b border-gray-100 flex flex-wrap items-center gap-3 text-sm">
+                                        <input
+                                            type="search"
+                                            value={tableView.search}
+                                            onChange={(e) => setTableView(prev => ({ ...prev, search: e.target.value }))}
+                                            placeholder={t('table.search')}
+                                            aria-label={t('table.search')}
+                                            className="flex-1 min-w-40 border border-gray-200 px-4 py-2 rounded-xl text-sm focus:border-[#CE0033] focus:outline-none"
+                                        />
+                                        <select
+                                            value={tableView.status}
+                                            onChange={(e) => setTableView(prev => ({ ...prev, status: e.target.value }))}
+                                            aria-label={t('table.statusFilter')}
+                                            className="border border-gray-200 px-3 py-2 rounded-xl text-sm focus:border-[#CE0033] focus:outline-none"
+                                        >
+                                            <option value="">{t('table.allStatuses')}</option>
+                                            {SUBJECT_STATUSES.map(status => (
+                                                <option key={status} value={status}>{t(`status.${status}`)}</option>
+                                            ))}
+                                        </select>
+                                        {isViewActive(tableView) && (
+                                            <button
+                                                type="button"
+                                                onClick={() => setTableView(DEFAULT_TABLE_VIEW)}
+                                                className="px-3 py-2 text-xs font-semibold text-gray-500 hover:bg-gray-100 rounded-xl transition"
+                                            >
+                                                {t('table.resetView')}
+                                            </button>
+                                        )}
+                                        <span className="ms-auto text-xs text-gray-400">
+                                            {isFiltered
+                                                ? t('table.shown', { count: visibleGrades.length, total: termGrades.length })
+                                                : t(tableView.sort ? 'table.sortedHint' : 'table.manualHint')}
+                                        </span>
+                                    </div>
+                                )}
+
+                                {/* Empty State */}
+                                {termGrades.length === 0 ? (
+                                    <div className="p-16 text-center">
+                                        <div className="w-20 h-20 bg-gray-50 rounded-full flex items-center justify-center mx-auto mb-6">
+                                            <svg className="w-10 h-10 text-gray-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"></path>
+                                            </svg>
+                                        </div>
+                                        <h4 className="font-bold text-gray-900 text-lg mb-2">{t('table.emptyTitle')}</h4>
+                                        <p className="text-gray-400 text-sm max-w-xs mx-auto">
+                                            {t('table.emptyText')}
+                                        </p>
+                                    </div>
+                                ) : (
+                                    /* Grades Table */
+                                    <div className="overflow-x-auto">
+                                        <table className="w-full">
+                                            <thead>
+                                                <tr className="bg-gray-50 border-b border-gray-100">
+                                                    {renderSortHeader('subject', t('common.subject'), 'px-6 py-4 text-start text-xs font-bold text-gray-500')}
+                                                    {renderSortHeader('cc', t('components.cc'), 'px-6 py-4 text-end text-xs font-bold text-gray-500 hidden sm:table-cell')}
+                                                    {renderSortHeader('tp', t('components.tp'), 'px-6 py-4 text-end text-xs font-bold text-gray-500 hidden sm:table-cell')}
+                                                    {hasProjectColumn && renderSortHeader('project', t('components.project'), 'px-6 py-4 text-end text-xs font-bold text-gray-500 hidden sm:table-cell')}
+                                                    {renderSortHeader('exam', t('components.exam'), 'px-6 py-4 text-end text-xs font-bold text-gray-700 hidden sm:table-cell')}
+                                                    {renderSortHeader('coef', t('common.coef'), 'px-6 py-4 text-center text-xs font-bold text-gray-500')}
+                                                    {renderSortHeader('average', t('common.average'), 'px-6 py-4 text-center text-xs font-bold text-gray-700')}
+                                                    <th className="px-6 py-4"><span className="sr-only">{t('table.actions')}</span></th>
+                                                </tr>
+                                            </thead>
+                                            <tbody className="divide-y divide-gray-50">
+                                                {visibleGrades.length === 0 && (
+                                                    <tr>
+                                                        <td colSpan={hasProjectColumn ? 8 : 7} className="px-6 py-10 text-center text-sm text-gray-400">
+                                                            {t('table.noMatch')}
                                                         </td>
                                                     </tr>
-                                                );
-                                            })}
-                                        </tbody>
-                                    </table>
-                                </div>
+                                                )}
+                                                {visibleGrades.map((grade, index) => {
+                                                    const pending = isPending(grade, profiles);
+                                                    const avg = getSubjectAverage(grade, profiles, gradingSettings);
+
+                                                    return (
+                                                        <GradeRow
+                                                            key={grade.id}
+                                                            grade={grade}
+                                                            index={index}
+                                                            profiles={profiles}
+                                                            others={termGrades.filter(other => other.id !== grade.id)}
+                                                            profileName={findProfile(profiles, grade.profileId).name}
+                                                            unitName={units.find(unit => unit.id === grade.unitId)?.name}
+                                                            hasProjectColumn={hasProjectColumn}
+                                                            pending={pending}
+                                                            avg={avg}
+                                                            style={pending ? PENDING_STYLE : getStyleParams(avg)}
+                                                            canMove={!tableView.sort}
+                                                            onMove={moveRow}
+                                                            onStep={stepRow}
+                                                            onSave={updateGrade}
+                                                            onDelete={deleteGrade}
+                                                        />
+                                                    );
+                                                })}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                )}
+                            </div>
+
+                            {/* Exam Target Solver */}
+                            {pendingCount > 0 && (
+                                <TargetSolver
+                                    grades={termGrades}
+                                    profiles={profiles}
+                                    mentionBands={mentionBands}
+                                />
+                            )}
+
+                            {/* Resit Session */}
+                            {hasResitSubjects && (
+                                <ResitPanel
+                                    comparison={sessionComparison}
+                                    plan={resitPlan}
+                                    onUpdateGrade={updateGrade}
+                                />
                             )}
+
+                            {/* Teaching Units */}
+                            <UnitsPanel
+                                evaluation={unitEvaluation}
+                                rules={compensationRules}
+                                onAddUnit={addUnit}
+                                onDeleteUnit={deleteUnit}
+                                onRulesChange={setCompensationRules}
+                            />
+
+                            {/* What-if Scenarios */}
+                            <ScenarioPanel
+                                scenarios={scenarios}
+                                activeScenarioId={activeScenarioId}
+                                diff={scenarioDiff}
+                                onCreate={addScenario}
+                                onOpen={setActiveScenarioId}
+                                onDiscard={discardScenario}
+                                onPromote={promoteScenario}
+                            />
+
+                            {/* Class Ranking Simulation */}
+                            <ClassRankingPanel
+                                average={summary.generalAvg}
+                                averages={termClassAverages}
+                                onChange={(values) => setClassAverages({ ...classAverages, [activeTermId]: values })}
+                            />
+
+                            {/* Progress Charts */}
+                            <ProgressCharts
+                                timeline={averageTimeline}
+                                termSummaries={termSummaries}
+                                activeTermId={activeTermId}
+                            />
+
+                            {/* Multi-Year Overview */}
+                            <YearOverview
+                                overview={yearOverview}
+                                activeTermId={activeTermId}
+                                onSelectTerm={setActiveTermId}
+                            />
                         </div>
                     </div>
-                </div>
-            </main>
-
-            {/* Footer */}
-            <footer className="border-t border-gray-200 py-8 bg-white mt-12">
-                <div className="max-w-7xl mx-auto px-6 md:px-8 text-center">
-                    <p className="text-gray-400 text-sm font-medium mb-1">
-                        Créé par <span className="text-transparent bg-clip-text bg-gradient-to-r from-[#CE0033] to-rose-600 font-bold">Phares</span> © {new Date().getFullYear()}
-                    </p>
-                    <p className="text-[10px] text-gray-300 uppercase tracking-widest">
-                        ESPRIT Engineering Project
-                    </p>
-                </div>
-            </footer>
-        </div>
+                </main>
+
+                {/* CSV Import Dialog */}
+                {isImportOpen && (
+                    <CsvImportDialog
+                        profiles={profiles}
+                        existing={termGrades}
+                        onImport={importGrades}
+                        onClose={() => setIsImportOpen(false)}
+                    />
+                )}
+
+                {/* Paste Dialog */}
+                {isPasteOpen && (
+                    <PasteDialog
+                        profiles={profiles}
+                        existing={termGrades}
+                        onImport={pasteGrades}
+                        onClose={() => setIsPasteOpen(false)}
+                    />
+                )}
+
+                {/* Share Dialog */}
+                {isShareOpen && (
+                    <ShareDialog
+                        data={{ grades, terms, units, customProfiles, student, gradingSettings, compensationRules }}
+                        activeTermId={activeTermId}
+                        onClose={() => setIsShareOpen(false)}
+                    />
+                )}
+
+                {/* Curriculum Dialog */}
+                {isCurriculumOpen && (
+                    <CurriculumDialog
+                        catalogue={CURRICULUM}
+                        activeTerm={activeTerm}
+                        units={units}
+                        grades={termGrades}
+                        profiles={profiles}
+                        onLoad={loadProgram}
+                        onClose={() => setIsCurriculumOpen(false)}
+                    />
+                )}
+
+                {/* Transcript Dialog */}
+                {isTranscriptOpen && (
+                    <TranscriptDialog
+                        student={student}
+                        onStudentChange={setStudent}
+                        terms={terms}
+                        activeTerm={activeTerm}
+                        grades={grades}
+                        shownGrades={applyTableView(grades, tableView, { profiles, settings: gradingSettings, bands: mentionBands, units })}
+                        units={units}
+                        profiles={profiles}
+                        rules={compensationRules}
+                        onClose={() => setIsTranscriptOpen(false)}
+                    />
+                )}
+
+                {/* Footer */}
+                <footer className="border-t border-gray-200 py-8 bg-white mt-12">
+                    <div className="max-w-7xl mx-auto px-6 md:px-8 text-center">
+                        <p className="text-gray-400 text-sm font-medium mb-1">
+                            {t('footer.createdBy')} <span className="text-transparent bg-clip-text bg-gradient-to-r from-[#CE0033] to-rose-600 font-bold">Phares</span> © {new Date().getFullYear()}
+                        </p>
+                        <p className="text-[10px] text-gray-300 uppercase tracking-widest">
+                            ESPRIT Engineering Project
+                        </p>
+                    </div>
+                </footer>
+            </div>
+        </GradingSettingsContext.Provider>
     );
 };
 
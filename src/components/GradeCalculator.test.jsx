@@ -0,0 +1,232 @@
+// @vitest-environment jsdom
+import { Blob as NodeBlob } from 'node:buffer';
+import React from 'react';
+import { cleanup, render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { axeViolations } from '../test/axe';
+import { parseCsv } from '../utils/csv';
+import { SHARE_PREFIX, buildSharePayload, encodeShare } from '../utils/share';
+import { sanitizeData } from '../utils/storage';
+import GradeCalculator from './GradeCalculator';
+
+const GRADES = [
+    { id: 'a', subject: 'Analyse', coef: 2, cc: '12', tp: '', project: '', exam: '14', profileId: 'standard', termId: 1 }
+];
+
+const renderCalculator = (grades = [], fields = {}, onSave = () => {}) => {
+    const data = sanitizeData({ terms: [{ id: 1, year: '2025-2026', semester: 'S1' }], activeTermId: 1, grades, ...fields }).data;
+    render(<GradeCalculator initialData={data} onSave={onSave} switcher={null} />);
+    return userEvent.setup();
+};
+
+const shownSubjects = () =>
+    within(document.getElementById('grades-table')).queryAllByRole('button', { name: /^Modifier / })
+        .map(button => button.getAttribute('aria-label').replace('Modifier ', ''));
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+afterEach(cleanup);
+
+describe('GradeCalculator accessibility', () => {
+    it('has no axe violations on an empty semester', async () => {
+        renderCalculator();
+        expect(await axeViolations(document.body)).toEqual([]);
+    });
+
+    it('has no axe violations with grades and form errors', async () => {
+        const user = renderCalculator(GRADES);
+        await user.click(screen.getByRole('button', { name: 'CALCULER' }));
+        expect(screen.getByLabelText('Nom de la Matière').getAttribute('aria-invalid')).toBe('true');
+        expect(await axeViolations(document.body)).toEqual([]);
+    });
+
+    it.each(['Programme', 'Importer', 'Coller', 'Relevé PDF', 'Partager'])('has no axe violations in the "%s" dialog', async (name) => {
+        const user = renderCalculator(GRADES);
+        const opener = screen.getByRole('button', { name });
+        await user.click(opener);
+
+        const dialog = screen.getByRole('dialog');
+        expect(dialog.contains(document.activeElement)).toBe(true);
+        expect(await axeViolations(document.body)).toEqual([]);
+
+        await user.keyboard('{Escape}');
+        expect(screen.queryByRole('dialog')).toBeNull();
+        expect(document.activeElement).toBe(opener);
+    });
+});
+
+describe('keyboard entry mode', () => {
+    it('adds the subject on Enter and goes back to the subject field', async () => {
+        const user = renderCalculator();
+        await user.click(screen.getByRole('checkbox', { name: 'Saisie au clavier' }));
+
+        const subject = screen.getByLabelText('Nom de la Matière');
+        await user.click(subject);
+        await user.keyboard('Analyse');
+        await user.tab();
+        expect(document.activeElement).toBe(screen.getByLabelText('Coefficient'));
+        await user.keyboard('2');
+        await user.click(screen.getByLabelText(/^Examen Final/));
+        await user.keyboard('14{Enter}');
+
+        expect(shownSubjects()).toEqual(['Analyse']);
+        expect(document.activeElement).toBe(subject);
+        expect(subject.value).toBe('');
+        expect(screen.getAllByRole('status')[0].textContent).toMatch(/^Moyenne générale : 14,00/);
+
+        await user.keyboard('Algèbre{Enter}');
+        expect(shownSubjects()).toEqual(['Analyse', 'Algèbre']);
+        expect(document.activeElement).toBe(subject);
+    });
+});
+
+describe('clearing the semester', () => {
+    it('asks first, then can be undone', async () => {
+        const user = renderCalculator(GRADES);
+        await user.click(screen.getByRole('button', { name: 'Tout Effacer' }));
+        await user.click(screen.getByRole('button', { name: 'Annuler' }));
+        expect(shownSubjects()).toEqual(['Analyse']);
+
+        await user.click(screen.getByRole('button', { name: 'Tout Effacer' }));
+        expect(screen.getByText('Effacer la matière de ce semestre ?')).toBeTruthy();
+        await user.click(screen.getByRole('button', { name: 'Effacer' }));
+        expect(shownSubjects()).toEqual([]);
+        expect(screen.getByText('Semestre effacé. Ctrl+Z pour annuler.')).toBeTruthy();
+
+        await user.keyboard('{Control>}z{/Control}');
+        expect(shownSubjects()).toEqual(['Analyse']);
+    });
+});
+
+describe('printed transcript and CSV export', () => {
+    const SUBJECTS = [
+        ...GRADES,
+        { id: 'b', subject: 'Algèbre', coef: 1, cc: '', tp: '', project: '', exam: '8', profileId: 'standard', termId: 1 },
+        { id: 'c', subject: 'Physique', coef: 1, cc: '', tp: '', project: '', exam: '11', profileId: 'standard', termId: 1 }
+    ];
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    // Prints the transcript of the displayed semester and reads it back
+    const printTranscript = async (user) => {
+        await user.click(screen.getByRole('button', { name: 'Relevé PDF' }));
+        await user.click(within(screen.getByRole('dialog')).getByRole('button', { name: /^Générer/ }));
+        const frame = document.querySelector('iframe');
+        frame.remove();
+        return new DOMParser().parseFromString(frame.srcdoc, 'text/html');
+    };
+
+    it('print the project grade of each subject', async () => {
+        const user = renderCalculator([
+            ...GRADES,
+            { id: 'p', subject: 'PFA', coef: 3, cc: '', tp: '', project: '15', exam: '', profileId: 'projet', termId: 1 }
+        ]);
+        const printed = await printTranscript(user);
+        expect([...printed.querySelectorAll('thead th')].map(cell => cell.textContent))
+            .toEqual(['Matière', 'CC', 'TP', 'Projet', 'Examen', 'Coef', 'Moyenne (/20)']);
+        expect([...printed.querySelectorAll('tbody tr')].map(row => [...row.cells].map(cell => cell.textContent)))
+            .toEqual([['Analyse', '12', '-', '-', '14', '2', '13.20'], ['PFA', '-', '-', '15', '-', '3', '15.00']]);
+    });
+
+    it('print the same rows as the CSV export, in the same order', async () => {
+        const user = renderCalculator(SUBJECTS);
+        await user.type(screen.getByPlaceholderText('Rechercher une matière'), 'al');
+        await user.click(within(document.getElementById('grades-table')).getByRole('button', { name: /^Moyenne/ }));
+        expect(shownSubjects()).toEqual(['Algèbre', 'Analyse']);
+
+        const files = [];
+        vi.stubGlobal('URL', { ...URL, createObjectURL: (blob) => { files.push(blob); return 'blob:csv'; }, revokeObjectURL: () => {} });
+        const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        await user.click(screen.getByRole('button', { name: 'Exporter CSV' }));
+        click.mockRestore();
+        const exported = parseCsv(await files[0].text(), ';').slice(1).map(row => row[0]);
+
+        const printed = await printTranscript(user);
+        const rows = [...printed.querySelectorAll('tbody tr')].map(row => row.cells[0].textContent);
+
+        expect(exported).toEqual(['Algèbre', 'Analyse']);
+        expect(rows).toEqual(exported);
+        // The semester average still counts the hidden subject
+        expect(printed.querySelector('tfoot td:last-child').textContent).toBe('11.35');
+    });
+});
+
+describe('scenarios', () => {
+    const UNITS = [{ id: 'u', termId: 1, name: 'Mathématiques', credits: 4 }];
+
+    // Units as last handed to the profile store
+    const savedUnits = (onSave) => onSave.mock.lastCall[0].units.map(unit => unit.name);
+
+    const openScenarioWithUnit = async () => {
+        const onSave = vi.fn();
+        const user = renderCalculator(GRADES, { units: UNITS }, onSave);
+        await user.type(screen.getByPlaceholderText(/^Nouveau scénario/), 'Essai{Enter}');
+        await user.type(screen.getByPlaceholderText(/^Nouvelle unité/), 'Physique');
+        await user.type(screen.getByPlaceholderText('ECTS'), '3{Enter}');
+        return { user, onSave, panel: screen.getByText('Essai').closest('li') };
+    };
+
+    it('keep units added while exploring out of the real transcript', async () => {
+        const { user, onSave, panel } = await openScenarioWithUnit();
+        expect(screen.getByText('Physique')).toBeTruthy();
+        expect(savedUnits(onSave)).toEqual(['Mathématiques']);
+
+        await user.click(within(panel).getByRole('button', { name: 'Supprimer' }));
+        expect(screen.queryByText('Physique')).toBeNull();
+        expect(savedUnits(onSave)).toEqual(['Mathématiques']);
+    });
+
+    it('bring their units into the real transcript when applied', async () => {
+        const { user, onSave, panel } = await openScenarioWithUnit();
+        await user.click(within(panel).getByRole('button', { name: 'Appliquer' }));
+        expect(savedUnits(onSave)).toEqual(['Mathématiques', 'Physique']);
+    });
+});
+
+describe('shared links explored as a scenario', () => {
+    // Links are deflated through Blob streams, which jsdom's Blob lacks
+    beforeEach(() => {
+        vi.stubGlobal('Blob', NodeBlob);
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        window.history.replaceState(null, '', '/');
+    });
+
+    const openSharedLink = async () => {
+        const data = sanitizeData({
+            terms: [{ id: 7, year: '2024-2025', semester: 'S2' }],
+            units: [{ id: 'r', termId: 7, name: 'Réseaux', credits: 5 }],
+            grades: [{ id: 'b', subject: 'Routage', coef: 1, exam: '15', profileId: 'standard', termId: 7, unitId: 'r' }]
+        }).data;
+        window.history.replaceState(null, '', SHARE_PREFIX + await encodeShare(buildSharePayload(data, [7])));
+
+        const onSave = vi.fn();
+        const user = renderCalculator(GRADES, {}, onSave);
+        await user.click(await screen.findByRole('button', { name: 'Explorer comme scénario' }));
+        return { user, onSave, panel: screen.getByText('Relevé partagé').closest('li') };
+    };
+
+    const savedUnits = (onSave) => onSave.mock.lastCall[0].units.map(unit => unit.name);
+
+    it('keep the shared units out of the real transcript', async () => {
+        const { user, onSave, panel } = await openSharedLink();
+        expect(screen.getByText('Réseaux')).toBeTruthy();
+        expect(savedUnits(onSave)).toEqual([]);
+
+        await user.click(within(panel).getByRole('button', { name: 'Supprimer' }));
+        expect(savedUnits(onSave)).toEqual([]);
+    });
+
+    it('add the shared units when the scenario is applied', async () => {
+        const { user, onSave, panel } = await openSharedLink();
+        await user.click(within(panel).getByRole('button', { name: 'Appliquer' }));
+        expect(savedUnits(onSave)).toEqual(['Réseaux']);
+    });
+});
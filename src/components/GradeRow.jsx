@@ -0,0 +1,315 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { hasResit } from '../utils/resit';
+import { buildSubjectSeries } from '../utils/timeline';
+import { validateGrade } from '../utils/validation';
+import Sparkline from './Sparkline';
+import FieldMessage from './FieldMessage';
+import useI18n from '../hooks/useI18n';
+import useGradingSettings from '../hooks/useGradingSettings';
+
+const EDITABLE_FIELDS = ['subject', 'profileId', 'cc', 'tp', 'project', 'exam', 'coef'];
+
+const GRADE_FIELDS = ['cc', 'tp', 'project', 'exam'];
+
+const cellInputClass = 'w-20 border px-2 py-1.5 rounded-lg font-mono text-sm text-end focus:border-[#CE0033] focus:outline-none';
+
+/**
+ * GradeRow Component
+ * One subject of the grades table, editable in place. Grades are shown and
+ * typed on the displayed scale; edits are checked like the entry form
+ * against `others`, the rest of its semester.
+ * With `canMove`, its number is a handle: dragged onto another row it calls
+ * `onMove(id, targetId)`, and the arrow keys call `onStep(id, offset)`.
+ */
+const GradeRow = ({ grade, index, profiles, others, profileName, unitName, hasProjectColumn, pending, avg, style, canMove, onMove, onStep, onSave, onDelete }) => {
+    const { t } = useI18n();
+    const { settings, scaleComponent, formatAverage } = useGradingSettings();
+    const [draft, setDraft] = useState(null);
+    const [errors, setErrors] = useState({});
+    const isEditing = draft !== null;
+    const subjectRef = useRef(null);
+    const rowRef = useRef(null);
+    const handleRef = useRef(null);
+    const [isDropTarget, setIsDropTarget] = useState(false);
+    const warnings = isEditing ? validateGrade(draft, { profiles, others, settings }).warnings : {};
+
+    useEffect(() => {
+        if (isEditing) subjectRef.current.focus();
+    }, [isEditing]);
+
+    const startEditing = () => {
+        setDraft(Object.fromEntries(EDITABLE_FIELDS.map(key => [
+            key,
+            GRADE_FIELDS.includes(key) ? scaleComponent(grade[key]) : grade[key] ?? ''
+        ])));
+        setErrors({});
+    };
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setDraft(prev => ({ ...prev, [name]: value }));
+        setErrors(prev => ({ ...prev, [name]: undefined }));
+    };
+
+    const save = () => {
+        const { grade: checked, errors: found } = validateGrade(draft, { profiles, others, settings });
+        if (!checked) {
+            setErrors(found);
+            return;
+        }
+        const changes = Object.fromEntries(
+            EDITABLE_FIELDS.filter(key => String(checked[key]) !== String(grade[key] ?? '')).map(key => [key, checked[key]])
+        );
+        if (Object.keys(changes).length > 0) onSave(grade.id, changes);
+        setDraft(null);
+    };
+
+    // Enter saves, Escape cancels
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            save();
+        }
+        if (e.key === 'Escape') setDraft(null);
+    };
+
+    const handleDragStart = (e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', String(grade.id));
+        e.dataTransfer.setDragImage(rowRef.current, 0, 0);
+    };
+
+    const handleDragOver = (e) => {
+        if (!canMove) return;
+        e.preventDefault();
+        setIsDropTarget(true);
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setIsDropTarget(false);
+        onMove(Number(e.dataTransfer.getData('text/plain')), grade.id);
+    };
+
+    // The moved row is re-inserted in the table: give its handle the focus back
+    const handleMoveKey = (e) => {
+        if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+        e.preventDefault();
+        onStep(grade.id, e.key === 'ArrowUp' ? -1 : 1);
+        requestAnimationFrame(() => handleRef.current?.focus());
+    };
+
+    const renderGradeInput = (name) => (
+        <>
+            <input
+                type="text"
+                inputMode="decimal"
+                name={name}
+                value={draft[name]}
+                onChange={handleChange}
+                onKeyDown={handleKeyDown}
+                placeholder="-"
+                aria-label={t(name === 'coef' ? 'common.coef' : `components.${name}`)}
+                aria-invalid={Boolean(errors[name])}
+                aria-describedby={`grade-${grade.id}-${name}-message`}
+                className={`${cellInputClass} ${errors[name] ? 'border-rose-500' : 'border-gray-200'}`}
+            />
+            <FieldMessage
+                id={`grade-${grade.id}-${name}-message`}
+                error={errors[name]}
+                warning={warnings[name]}
+                className="mt-1 text-[10px] text-start"
+            />
+        </>
+    );
+
+    if (isEditing) {
+        return (
+            <tr className="bg-rose-50/40">
+                {/* Subject Name & Profile */}
+                <td className="px-6 py-4">
+                    <div className="space-y-2">
+                        <input
+                            type="text"
+                            name="subject"
+                            value={draft.subject}
+                            onChange={handleChange}
+                            onKeyDown={handleKeyDown}
+                            ref={subjectRef}
+                            aria-label={t('common.subject')}
+                            aria-invalid={Boolean(errors.subject)}
+                            aria-describedby={`grade-${grade.id}-subject-message`}
+                            className={`w-full border ${errors.subject ? 'border-rose-500' : 'border-gray-200'} px-3 py-1.5 rounded-lg text-sm font-bold focus:border-[#CE0033] focus:outline-none`}
+                        />
+                        <FieldMessage
+                            id={`grade-${grade.id}-subject-message`}
+                            error={errors.subject}
+                            warning={warnings.subject}
+                            className="text-[10px]"
+                        />
+                        <select
+                            name="profileId"
+                            value={draft.profileId}
+                            onChange={handleChange}
+                            aria-label={t('form.profile')}
+                            className="w-full border border-gray-200 px-2 py-1 rounded-lg text-xs focus:border-[#CE0033] focus:outline-none"
+                        >
+                            {profiles.map(profile => (
+                                <option key={profile.id} value={profile.id}>{profile.name}</option>
+                            ))}
+                        </select>
+                    </div>
+                </td>
+                <td className="px-6 py-4 text-end hidden sm:table-cell">{renderGradeInput('cc')}</td>
+                <td className="px-6 py-4 text-end hidden sm:table-cell">{renderGradeInput('tp')}</td>
+                {hasProjectColumn && (
+                    <td className="px-6 py-4 text-end hidden sm:table-cell">{renderGradeInput('project')}</td>
+                )}
+                <td className="px-6 py-4 text-end hidden sm:table-cell">{renderGradeInput('exam')}</td>
+                <td className="px-6 py-4 text-center">{renderGradeInput('coef')}</td>
+                <td className="px-6 py-4 text-center text-xs text-gray-400">{t('row.enterToSave')}</td>
+                <td className="px-6 py-4">
+                    <div className="flex items-center justify-center gap-1">
+                        <button
+                            type="button"
+                            onClick={save}
+                            title={t('common.save')}
+                            className="w-9 h-9 flex items-center justify-center rounded-xl text-emerald-600 hover:bg-emerald-50 transition-all"
+                        >
+                            ✓
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => setDraft(null)}
+                            title={t('common.cancel')}
+                            className="w-9 h-9 flex items-center justify-center rounded-xl text-gray-400 hover:bg-gray-100 transition-all"
+                        >
+                            ✕
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        );
+    }
+
+    return (
+        <tr
+            ref={rowRef}
+            onDragOver={handleDragOver}
+            onDragLeave={() => setIsDropTarget(false)}
+            onDrop={handleDrop}
+            className={`hover:bg-gray-50 transition-colors ${isDropTarget ? 'outline outline-2 -outline-offset-2 outline-[#CE0033]/40' : ''}`}
+        >
+            {/* Subject Name & Drag Handle */}
+            <td className="px-6 py-5">
+                <div className="flex items-center gap-3">
+                    {canMove ? (
+                        <button
+                            ref={handleRef}
+                            type="button"
+                            draggable
+                            onDragStart={handleDragStart}
+                            onKeyDown={handleMoveKey}
+                            title={t('table.moveHint')}
+                            aria-label={t('table.move', { subject: grade.subject, position: index + 1 })}
+                            className="w-8 h-8 rounded-lg bg-gray-100 flex items-center justify-center text-xs font-bold text-gray-600 cursor-grab active:cursor-grabbing hover:bg-gray-200"
+                        >
+                            {index + 1}
+                        </button>
+                    ) : (
+                        <div className="w-8 h-8 rounded-lg bg-gray-100 flex items-center justify-center text-xs font-bold text-gray-600">
+                            {index + 1}
+                        </div>
+                    )}
+                    <div>
+                        <div className="font-bold text-gray-900">
+                            {grade.subject}
+                        </div>
+                        <div className="text-[10px] font-semibold text-gray-400 uppercase tracking-wider">
+                            {profileName}
+                            {unitName && ` · ${unitName}`}
+                        </div>
+                    </div>
+                </div>
+            </td>
+
+            {/* CC Grade */}
+            <td className="px-6 py-5 text-end font-mono text-sm text-gray-500 hidden sm:table-cell">
+                {scaleComponent(grade.cc) || '-'}
+            </td>
+
+            {/* TP Grade */}
+            <td className="px-6 py-5 text-end font-mono text-sm text-gray-500 hidden sm:table-cell">
+                {scaleComponent(grade.tp) || '-'}
+            </td>
+
+            {/* Project Grade */}
+            {hasProjectColumn && (
+                <td className="px-6 py-5 text-end font-mono text-sm text-gray-500 hidden sm:table-cell">
+                    {scaleComponent(grade.project) || '-'}
+                </td>
+            )}
+
+            {/* Exam Grade */}
+            <td className="px-6 py-5 text-end font-mono font-bold text-black hidden sm:table-cell">
+                {scaleComponent(grade.exam) || '-'}
+                {hasResit(grade) && (
+                    <div className="text-[10px] font-semibold text-amber-600" title={t('row.resit')}>
+                        {t('row.resitShort', { value: scaleComponent(grade.resit) })}
+                    </div>
+                )}
+            </td>
+
+            {/* Coefficient */}
+            <td className="px-6 py-5 text-center">
+                <span className="bg-gray-100 px-3 py-1 rounded-lg text-xs font-bold text-gray-600">
+                    ×{grade.coef}
+                </span>
+            </td>
+
+            {/* Average with Status */}
+            <td className="px-6 py-5 text-center">
+                <div className={`inline-flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-bold border-2 ${style.bg} ${style.color} ${style.border}`}>
+                    <span aria-hidden="true">{style.icon}</span>
+                    <span className="font-mono">{pending ? t('common.pending') : formatAverage(avg)}</span>
+                </div>
+                {!pending && (
+                    <div className={`mt-1 text-[10px] font-bold uppercase tracking-wider ${style.color}`}>{style.label}</div>
+                )}
+                <div className="mt-1 text-gray-400">
+                    <Sparkline values={buildSubjectSeries(grade, profiles, settings).map(point => point.average)} />
+                </div>
+            </td>
+
+            {/* Edit & Delete Buttons */}
+            <td className="px-6 py-5 text-center">
+                <div className="flex items-center justify-center gap-1">
+                    <button
+                        type="button"
+                        onClick={startEditing}
+                        title={t('common.edit')}
+                        aria-label={t('row.edit', { subject: grade.subject })}
+                        className="w-9 h-9 flex items-center justify-center rounded-xl text-gray-300 hover:bg-gray-100 hover:text-gray-700 transition-all"
+                    >
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15.232 5.232l3.536 3.536M9 13l6.536-6.536a2.5 2.5 0 113.536 3.536L12.536 16.5 8 17.5l1-4.5z"></path>
+                        </svg>
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => onDelete(grade.id)}
+                        title={t('common.delete')}
+                        aria-label={t('row.delete', { subject: grade.subject })}
+                        className="w-9 h-9 flex items-center justify-center rounded-xl text-gray-300 hover:bg-rose-50 hover:text-rose-600 transition-all"
+                    >
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
+                        </svg>
+                    </button>
+                </div>
+            </td>
+        </tr>
+    );
+};
+
+export default GradeRow;
@@ -0,0 +1,74 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { cleanup, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { axeViolations } from '../test/axe';
+import { BUILT_IN_PROFILES } from '../utils/weightingProfiles';
+import GradeRow from './GradeRow';
+
+const GRADE = { id: 'a', subject: 'Analyse', coef: 2, cc: '12', tp: '', project: '', exam: '14', profileId: 'standard', termId: 1 };
+
+const STYLE = { color: 'text-emerald-700', bg: 'bg-emerald-50', border: 'border-emerald-200', icon: '✓', label: 'Validée' };
+
+const renderRow = (props = {}) => {
+    const onSave = vi.fn();
+    render(
+        <table>
+            <tbody>
+                <GradeRow
+                    grade={GRADE}
+                    index={0}
+                    profiles={BUILT_IN_PROFILES}
+                    others={[]}
+                    profileName="Standard ESPRIT"
+                    pending={false}
+                    avg={13.2}
+                    style={STYLE}
+                    canMove
+                    onMove={() => {}}
+                    onStep={() => {}}
+                    onSave={onSave}
+                    onDelete={() => {}}
+                    {...props}
+                />
+            </tbody>
+        </table>
+    );
+    return { user: userEvent.setup(), onSave };
+};
+
+afterEach(cleanup);
+
+describe('GradeRow', () => {
+    it('has no axe violations when shown', async () => {
+        renderRow();
+        expect(await axeViolations(document.body)).toEqual([]);
+    });
+
+    it('has no axe violations when edited', async () => {
+        const { user } = renderRow();
+        await user.click(screen.getByRole('button', { name: 'Modifier Analyse' }));
+        expect(await axeViolations(document.body)).toEqual([]);
+    });
+
+    it('moves focus to the subject field when edited', async () => {
+        const { user } = renderRow();
+        await user.click(screen.getByRole('button', { name: 'Modifier Analyse' }));
+        expect(document.activeElement).toBe(screen.getByRole('textbox', { name: 'Matière' }));
+    });
+
+    it('saves on Enter and cancels on Escape', async () => {
+        const { user, onSave } = renderRow();
+        await user.click(screen.getByRole('button', { name: 'Modifier Analyse' }));
+        const exam = screen.getByRole('textbox', { name: 'Examen' });
+        await user.clear(exam);
+        await user.type(exam, '16{Enter}');
+        expect(onSave).toHaveBeenCalledWith('a', { exam: '16' });
+
+        await user.click(screen.getByRole('button', { name: 'Modifier Analyse' }));
+        await user.type(screen.getByRole('textbox', { name: 'Examen' }), '{Escape}');
+        expect(screen.queryByRole('textbox')).toBeNull();
+        expect(onSave).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,63 @@
+import React from 'react';
+import { ROUNDING_MODES, ROUNDING_STAGES, ROUNDING_STEPS, SCALES } from '../utils/gradingSettings';
+import useI18n from '../hooks/useI18n';
+
+const selectClass = 'w-full border border-gray-200 px-3 py-2 rounded-lg text-sm focus:border-[#CE0033] focus:outline-none';
+
+/**
+ * GradingSettingsPanel Component
+ * Grade scale, rounding mode and step, and the stage where averages are rounded
+ */
+const GradingSettingsPanel = ({ settings, onChange }) => {
+    const { t, formatNumber } = useI18n();
+
+    const update = (key, value) => onChange({ ...settings, [key]: value });
+
+    return (
+        <div className="bg-white rounded-2xl shadow-lg border border-gray-100 p-8">
+            <div className="mb-6">
+                <h3 className="font-bold text-lg text-black mb-1">{t('gradingSettings.title')}</h3>
+                <p className="text-xs text-gray-400">{t('gradingSettings.subtitle')}</p>
+            </div>
+
+            <div className="grid grid-cols-2 gap-4">
+                <label className="space-y-1 text-xs font-bold text-gray-500">
+                    <span>{t('gradingSettings.scale')}</span>
+                    <select value={settings.scale} onChange={(e) => update('scale', e.target.value)} className={selectClass}>
+                        {Object.keys(SCALES).map(scale => (
+                            <option key={scale} value={scale}>{t(`gradingSettings.scales.${scale}`)}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="space-y-1 text-xs font-bold text-gray-500">
+                    <span>{t('gradingSettings.mode')}</span>
+                    <select value={settings.mode} onChange={(e) => update('mode', e.target.value)} className={selectClass}>
+                        {Object.values(ROUNDING_MODES).map(mode => (
+                            <option key={mode} value={mode}>{t(`gradingSettings.modes.${mode}`)}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="space-y-1 text-xs font-bold text-gray-500">
+                    <span>{t('gradingSettings.step')}</span>
+                    <select value={settings.step} onChange={(e) => update('step', Number(e.target.value))} className={selectClass}>
+                        {ROUNDING_STEPS.map(step => (
+                            <option key={step} value={step}>{formatNumber(step)}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="space-y-1 text-xs font-bold text-gray-500">
+                    <span>{t('gradingSettings.stage')}</span>
+                    <select value={settings.stage} onChange={(e) => update('stage', e.target.value)} className={selectClass}>
+                        {Object.values(ROUNDING_STAGES).map(stage => (
+                            <option key={stage} value={stage}>{t(`gradingSettings.stages.${stage}`)}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+
+            <p className="mt-4 text-xs text-gray-400">{t('gradingSettings.hint')}</p>
+        </div>
+    );
+};
+
+export default GradingSettingsPanel;
@@ -0,0 +1,28 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { applyDocumentLocale, createTranslator, loadLocale, saveLocale } from '../utils/i18n';
+import { I18nContext } from '../hooks/useI18n';
+
+/**
+ * I18nProvider Component
+ * Holds the chosen language, saves it and mirrors it on the page's
+ * `lang` and `dir` attributes
+ */
+const I18nProvider = ({ children }) => {
+    const [locale, setLocale] = useState(loadLocale);
+
+    useEffect(() => {
+        applyDocumentLocale(locale);
+    }, [locale]);
+
+    const value = useMemo(() => ({
+        ...createTranslator(locale),
+        setLocale: (next) => {
+            saveLocale(next);
+            setLocale(next);
+        }
+    }), [locale]);
+
+    return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+export default I18nProvider;
@@ -0,0 +1,26 @@
+import React from 'react';
+import { LOCALES } from '../utils/i18n';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * LanguageSwitcher Component
+ * Header control choosing the interface language
+ */
+const LanguageSwitcher = () => {
+    const { t, locale, setLocale } = useI18n();
+
+    return (
+        <select
+            value={locale}
+            onChange={(e) => setLocale(e.target.value)}
+            aria-label={t('language.label')}
+            className="border border-gray-200 bg-white px-3 py-2 rounded-xl text-sm font-bold text-gray-700 focus:border-[#CE0033] focus:outline-none"
+        >
+            {Object.entries(LOCALES).map(([key, { label }]) => (
+                <option key={key} value={key} lang={key}>{label}</option>
+            ))}
+        </select>
+    );
+};
+
+export default LanguageSwitcher;
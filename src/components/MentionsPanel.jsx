@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { DEFAULT_MENTION_BANDS, areBandsValid, describeBands } from '../utils/mentions';
+import useI18n from '../hooks/useI18n';
+import useGradingSettings from '../hooks/useGradingSettings';
+
+/**
+ * MentionsPanel Component
+ * Mention bands with the points still missing to reach each one,
+ * and a form to adjust their thresholds, on the displayed scale
+ */
+const MentionsPanel = ({ average, bands, onChange }) => {
+    const { t } = useI18n();
+    const { max, toScale, fromScale, formatGrade } = useGradingSettings();
+    const [draft, setDraft] = useState(null);
+    const [error, setError] = useState('');
+
+    const toDraft = (list) => list.map(band => ({ ...band, min: String(toScale(band.min)) }));
+
+    const openEditor = () => {
+        setDraft(toDraft(bands));
+        setError('');
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const next = draft.map(band => ({ ...band, min: fromScale(parseFloat(band.min)) }));
+        if (!areBandsValid(next)) return setError(t('mentions.invalid', { max }));
+        onChange(next);
+        setDraft(null);
+    };
+
+    return (
+        <div className="bg-white rounded-2xl shadow-lg border border-gray-100 p-8">
+            <div className="flex items-center justify-between mb-6">
+                <div>
+                    <h3 className="font-bold text-lg text-black mb-1">{t('mentions.title')}</h3>
+                    <p className="text-xs text-gray-400">{t('mentions.subtitle')}</p>
+                </div>
+                {!draft && (
+                    <button
+                        type="button"
+                        onClick={openEditor}
+                        className="text-[10px] font-bold uppercase tracking-wider text-gray-400 hover:text-[#CE0033]"
+                    >
+                        {t('mentions.edit')}
+                    </button>
+                )}
+            </div>
+
+            {draft ? (
+                <form onSubmit={handleSubmit} className="space-y-3">
+                    {draft.map((band, i) => (
+                        <label key={band.label} className="flex items-center justify-between gap-3 text-sm">
+                            <span className="font-bold text-gray-700">{band.label}</span>
+                            <input
+                                type="number"
+                                value={band.min}
+                                onChange={(e) => setDraft(draft.map((b, j) => (j === i ? { ...b, min: e.target.value } : b)))}
+                                min="0"
+                                max={max}
+                                step="any"
+                                className="w-24 border border-gray-200 px-3 py-2 rounded-lg font-mono text-end focus:border-[#CE0033] focus:outline-none"
+                            />
+                        </label>
+                    ))}
+                    {error && <p className="text-xs font-semibold text-rose-600">{error}</p>}
+                    <div className="flex items-center justify-between pt-2">
+                        <button
+                            type="button"
+                            onClick={() => setDraft(toDraft(DEFAULT_MENTION_BANDS))}
+                            className="text-xs font-semibold text-gray-400 hover:text-gray-700"
+                        >
+                            {t('mentions.defaults')}
+                        </button>
+                        <div className="flex gap-2">
+                            <button type="button" onClick={() => setDraft(null)} className="px-4 py-2 text-sm font-semibold text-gray-500 hover:bg-gray-100 rounded-xl">
+                                {t('common.cancel')}
+                            </button>
+                            <button type="submit" className="px-4 py-2 text-sm font-semibold text-white bg-black hover:bg-neutral-800 rounded-xl transition">
+                                {t('common.save')}
+                            </button>
+                        </div>
+                    </div>
+                </form>
+            ) : (
+                <ul className="space-y-2">
+                    {describeBands(average, bands).map(band => (
+                        <li key={band.label} className="flex items-center justify-between gap-3 px-4 py-3 rounded-xl bg-gray-50 border border-gray-100">
+                            <div>
+                                <div className="font-bold text-sm text-gray-900">{band.label}</div>
+                                <div className="text-xs font-mono text-gray-500">≥ {toScale(band.min)}</div>
+                            </div>
+                            <span className={`text-xs font-bold ${band.reached ? 'text-emerald-600' : 'text-gray-500'}`}>
+                                {band.reached ? t('mentions.reached') : t('mentions.missing', { distance: formatGrade(band.distance) })}
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default MentionsPanel;
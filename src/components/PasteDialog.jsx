@@ -0,0 +1,207 @@
+import React, { useState } from 'react';
+import { parsePastedText } from '../utils/paste';
+import { IMPORT_FIELDS, mapRows } from '../utils/transcriptCsv';
+import Dialog from './Dialog';
+import useI18n from '../hooks/useI18n';
+import useGradingSettings from '../hooks/useGradingSettings';
+import useColumnMapping from '../hooks/useColumnMapping';
+
+const cellClass = 'w-full min-w-16 border px-2 py-1 rounded-lg font-mono text-xs focus:border-[#CE0033] focus:outline-none';
+
+/**
+ * PasteDialog Component
+ * Reads grades pasted from the ESPRIT portal or a spreadsheet, detects their
+ * columns and shows them as an editable preview. Cells with a problem are
+ * highlighted; the valid rows are added together by `onImport`.
+ */
+const PasteDialog = ({ profiles, existing, onImport, onClose }) => {
+    const { t } = useI18n();
+    const { settings } = useGradingSettings();
+    const [text, setText] = useState('');
+
+    // Preview of the pasted text, null until it is read
+    const [rows, setRows] = useState(null);
+    const [hasHeader, setHasHeader] = useState(false);
+
+    const columnCount = rows ? Math.max(0, ...rows.map(row => row.length)) : 0;
+    const { mapping, setMapping, changeMapping, describeMessage } = useColumnMapping(columnCount);
+    const dataRows = rows ? (hasHeader ? rows.slice(1) : rows) : [];
+    const firstRow = hasHeader ? 1 : 0;
+    const results = mapRows(dataRows, mapping, profiles, 1, existing, settings);
+    const validGrades = results.filter(result => result.grade).map(result => result.grade);
+    const hasSubjectColumn = mapping.includes('subject');
+
+    const readText = () => {
+        const parsed = parsePastedText(text);
+        setRows(parsed.rows);
+        setHasHeader(parsed.hasHeader);
+        setMapping(parsed.mapping);
+    };
+
+    const handleCellChange = (index, column, value) => {
+        setRows(prev => prev.map((row, i) => (i === index + firstRow
+            ? Array.from({ length: columnCount }, (_, c) => (c === column ? value : row[c] ?? ''))
+            : row
+        )));
+    };
+
+    const removeRow = (index) => {
+        setRows(prev => prev.filter((_, i) => i !== index + firstRow));
+    };
+
+    return (
+        <Dialog labelledBy="paste-title" onClose={onClose} className="max-w-4xl max-h-[90vh] flex flex-col overflow-hidden">
+            {/* Header */}
+            <div className="p-6 border-b border-gray-100 flex items-center justify-between">
+                <div>
+                    <h3 id="paste-title" className="font-bold text-lg text-black">{t('paste.title')}</h3>
+                    <p className="text-xs text-gray-400">{t('paste.subtitle')}</p>
+                </div>
+                <button type="button" onClick={onClose} aria-label={t('common.close')} className="w-9 h-9 rounded-xl text-gray-400 hover:bg-gray-100">✕</button>
+            </div>
+
+            {rows === null ? (
+                /* Pasted Text */
+                <div className="p-6 space-y-2">
+                    <label htmlFor="paste-text" className="text-xs uppercase font-bold text-gray-400 tracking-wider">
+                        {t('paste.label')}
+                    </label>
+                    <textarea
+                        id="paste-text"
+                        value={text}
+                        onChange={(e) => setText(e.target.value)}
+                        rows={10}
+                        placeholder={t('paste.placeholder')}
+                        aria-describedby="paste-hint"
+                        className="w-full border border-gray-200 px-4 py-3 rounded-xl font-mono text-xs focus:border-[#CE0033] focus:outline-none"
+                    />
+                    <p id="paste-hint" className="text-xs text-gray-400">{t('paste.hint')}</p>
+                </div>
+            ) : (
+                <>
+                    {/* Parsing Options */}
+                    <div className="px-6 py-4 border-b border-gray-100 flex flex-wrap items-center justify-between gap-4 text-xs">
+                        <label className="flex items-center gap-2 font-semibold text-gray-600">
+                            <input type="checkbox" checked={hasHeader} onChange={(e) => setHasHeader(e.target.checked)} />
+                            {t('csvImport.hasHeader')}
+                        </label>
+                        <span className="text-gray-400">{t('paste.editHint')}</span>
+                    </div>
+
+                    {/* Editable Preview & Mapping */}
+                    <div className="flex-1 overflow-auto">
+                        <table className="w-full text-sm">
+                            <thead className="sticky top-0 bg-gray-50">
+                                <tr>
+                                    {Array.from({ length: columnCount }, (_, column) => (
+                                        <th key={column} className="px-2 py-2 text-start">
+                                            <select
+                                                value={mapping[column] ?? ''}
+                                                onChange={(e) => changeMapping(column, e.target.value)}
+                                                aria-label={t('csvImport.column', { number: column + 1 })}
+                                                className="border border-gray-200 px-2 py-1 rounded-lg text-xs font-bold focus:border-[#CE0033] focus:outline-none"
+                                            >
+                                                <option value="">{t('csvImport.ignore')}</option>
+                                                {IMPORT_FIELDS.map(field => (
+                                                    <option key={field.key} value={field.key}>{t(`csvImport.fields.${field.key}`)}</option>
+                                                ))}
+                                            </select>
+                                            {hasHeader && (
+                                                <div className="mt-1 text-[10px] font-normal text-gray-400 truncate">{rows[0][column]}</div>
+                                            )}
+                                        </th>
+                                    ))}
+                                    <th className="px-2 py-2 text-start text-[10px] font-bold text-gray-400 uppercase">{t('csvImport.status')}</th>
+                                    <th className="px-2 py-2"></th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-50">
+                                {results.map((result, i) => (
+                                    <tr key={result.line} className={result.errors.length > 0 ? 'bg-rose-50/60' : result.warnings.length > 0 ? 'bg-amber-50/60' : ''}>
+                                        {Array.from({ length: columnCount }, (_, column) => {
+                                            const field = mapping[column];
+                                            const hasError = Boolean(field) && result.errors.some(error => error.field === field);
+                                            const hasWarning = Boolean(field) && result.warnings.some(warning => warning.field === field);
+
+                                            return (
+                                                <td key={column} className="px-2 py-1.5">
+                                                    <input
+                                                        type="text"
+                                                        value={dataRows[i][column] ?? ''}
+                                                        onChange={(e) => handleCellChange(i, column, e.target.value)}
+                                                        aria-label={t('paste.cell', { line: result.line, column: field ? t(`csvImport.fields.${field}`) : column + 1 })}
+                                                        aria-invalid={hasError}
+                                                        className={`${cellClass} ${hasError ? 'border-rose-500 bg-white' : hasWarning ? 'border-amber-400 bg-white' : 'border-gray-200'}`}
+                                                    />
+                                                </td>
+                                            );
+                                        })}
+                                        <td className="px-2 py-1.5 text-xs">
+                                            {result.errors.length > 0 ? (
+                                                <span className="text-rose-600 font-semibold">{result.errors.map(describeMessage).join(' · ')}</span>
+                                            ) : result.warnings.length > 0 ? (
+                                                <span className="text-amber-600 font-semibold">⚠ {result.warnings.map(describeMessage).join(' · ')}</span>
+                                            ) : (
+                                                <span className="text-emerald-600 font-semibold">OK</span>
+                                            )}
+                                        </td>
+                                        <td className="px-2 py-1.5">
+                                            <button
+                                                type="button"
+                                                onClick={() => removeRow(i)}
+                                                aria-label={t('paste.removeRow', { line: result.line })}
+                                                className="w-7 h-7 rounded-lg text-gray-300 hover:bg-rose-50 hover:text-rose-600"
+                                            >
+                                                ✕
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+
+            {/* Footer */}
+            <div className="p-6 border-t border-gray-100 flex items-center justify-between gap-4">
+                {rows === null ? (
+                    <>
+                        <span />
+                        <button
+                            type="button"
+                            onClick={readText}
+                            disabled={!text.trim()}
+                            className="px-5 py-2.5 text-sm font-bold text-white bg-black hover:bg-neutral-800 rounded-xl transition disabled:opacity-40"
+                        >
+                            {t('paste.preview')}
+                        </button>
+                    </>
+                ) : (
+                    <>
+                        <div className="flex items-center gap-4">
+                            <button type="button" onClick={() => setRows(null)} className="text-sm font-semibold text-gray-500 hover:text-gray-800">
+                                {t('paste.back')}
+                            </button>
+                            <span className="text-xs text-gray-500">
+                                {!hasSubjectColumn
+                                    ? t('csvImport.mapSubject')
+                                    : t('csvImport.validCount', { count: validGrades.length, total: results.length })}
+                            </span>
+                        </div>
+                        <button
+                            type="button"
+                            onClick={() => onImport(validGrades)}
+                            disabled={validGrades.length === 0}
+                            className="px-5 py-2.5 text-sm font-bold text-white bg-gradient-to-r from-[#CE0033] to-rose-600 rounded-xl disabled:opacity-40"
+                        >
+                            {t('paste.add', { count: validGrades.length })}
+                        </button>
+                    </>
+                )}
+            </div>
+        </Dialog>
+    );
+};
+
+export default PasteDialog;
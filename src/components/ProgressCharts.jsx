@@ -0,0 +1,141 @@
+import React from 'react';
+import { PASS_THRESHOLD } from '../utils/grading';
+import useI18n from '../hooks/useI18n';
+import useGradingSettings from '../hooks/useGradingSettings';
+
+// Drawing area of both charts, in SVG units
+const WIDTH = 600;
+const HEIGHT = 200;
+const PADDING = { top: 16, right: 16, bottom: 28, left: 32 };
+const GRID_VALUES = [0, 5, 10, 15, 20];
+
+const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+const plotWidth = WIDTH - PADDING.left - PADDING.right;
+const yFor = (value) => PADDING.top + plotHeight - (value / 20) * plotHeight;
+
+const SHORT_DATE = { day: '2-digit', month: '2-digit' };
+
+/**
+ * Horizontal grid with the pass line, labelled on the displayed scale
+ */
+const Grid = () => {
+    const { toScale } = useGradingSettings();
+
+    return (
+        <g>
+            {GRID_VALUES.map(value => (
+                <g key={value}>
+                    <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={yFor(value)} y2={yFor(value)} stroke="#f3f4f6" />
+                    <text x={PADDING.left - 8} y={yFor(value) + 4} textAnchor="end" fontSize="10" fill="#9ca3af">{toScale(value)}</text>
+                </g>
+            ))}
+            <line
+                x1={PADDING.left}
+                x2={WIDTH - PADDING.right}
+                y1={yFor(PASS_THRESHOLD)}
+                y2={yFor(PASS_THRESHOLD)}
+                stroke="#CE0033"
+                strokeDasharray="4 4"
+                opacity="0.5"
+            />
+        </g>
+    );
+};
+
+/**
+ * General average after each entry or edit, on a time axis
+ * Both charts read left to right in every language, hence `direction="ltr"`.
+ */
+const AverageTimeline = ({ points }) => {
+    const { t, formatDate, formatDateTime } = useI18n();
+    const { formatGrade } = useGradingSettings();
+    const first = points[0].at.getTime();
+    const span = points[points.length - 1].at.getTime() - first;
+    const xFor = (date) => PADDING.left + (span > 0 ? ((date.getTime() - first) / span) * plotWidth : plotWidth / 2);
+    const path = points.map(point => `${xFor(point.at)},${yFor(point.average)}`).join(' ');
+
+    return (
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} direction="ltr" className="w-full h-auto" role="img" aria-label={t('progress.timeline')}>
+            <Grid />
+            <polyline points={path} fill="none" stroke="#111827" strokeWidth="2" strokeLinejoin="round" />
+            {points.map((point, i) => (
+                <circle key={i} cx={xFor(point.at)} cy={yFor(point.average)} r="4" fill="#fff" stroke="#111827" strokeWidth="2">
+                    <title>{`${formatDateTime(point.at)} · ${point.subject} · ${formatGrade(point.average)}`}</title>
+                </circle>
+            ))}
+            <text x={PADDING.left} y={HEIGHT - 8} fontSize="10" fill="#9ca3af">{formatDate(points[0].at, SHORT_DATE)}</text>
+            {span > 0 && (
+                <text x={WIDTH - PADDING.right} y={HEIGHT - 8} textAnchor="end" fontSize="10" fill="#9ca3af">
+                    {formatDate(points[points.length - 1].at, SHORT_DATE)}
+                </text>
+            )}
+        </svg>
+    );
+};
+
+/**
+ * One bar per semester with its general average
+ */
+const TermComparison = ({ summaries, activeTermId }) => {
+    const { t } = useI18n();
+    const { formatGrade } = useGradingSettings();
+    const slot = plotWidth / summaries.length;
+    const barWidth = Math.min(48, slot * 0.6);
+
+    return (
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} direction="ltr" className="w-full h-auto" role="img" aria-label={t('progress.byTerm')}>
+            <Grid />
+            {summaries.map(({ term, generalAvg }, i) => {
+                const x = PADDING.left + slot * i + (slot - barWidth) / 2;
+                const fill = term.id === activeTermId ? '#CE0033' : generalAvg >= PASS_THRESHOLD ? '#111827' : '#fda4af';
+                return (
+                    <g key={term.id}>
+                        <rect x={x} y={yFor(generalAvg)} width={barWidth} height={yFor(0) - yFor(generalAvg)} rx="4" fill={fill}>
+                            <title>{`${term.year} ${term.semester} · ${formatGrade(generalAvg)}`}</title>
+                        </rect>
+                        <text x={x + barWidth / 2} y={yFor(generalAvg) - 4} textAnchor="middle" fontSize="10" fontWeight="bold" fill="#374151">
+                            {formatGrade(generalAvg)}
+                        </text>
+                        <text x={x + barWidth / 2} y={HEIGHT - 8} textAnchor="middle" fontSize="10" fill="#9ca3af">
+                            {`${term.year.slice(2, 4)}-${term.year.slice(7)} ${term.semester}`}
+                        </text>
+                    </g>
+                );
+            })}
+        </svg>
+    );
+};
+
+/**
+ * ProgressCharts Component
+ * Progress of the general average over time and from one semester to the next
+ */
+const ProgressCharts = ({ timeline, termSummaries, activeTermId }) => {
+    const { t } = useI18n();
+
+    return (
+        <div className="bg-white rounded-2xl shadow-lg border border-gray-200 overflow-hidden">
+            <div className="p-6 border-b border-gray-100 bg-gradient-to-r from-gray-50 to-white">
+                <h3 className="font-bold text-lg text-black">{t('progress.title')}</h3>
+                <p className="text-xs text-gray-400">{t('progress.subtitle')}</p>
+            </div>
+
+            <div className="p-6 border-b border-gray-100">
+                {timeline.length > 0 ? (
+                    <AverageTimeline points={timeline} />
+                ) : (
+                    <p className="text-sm text-gray-400 text-center py-8">{t('progress.empty')}</p>
+                )}
+            </div>
+
+            {termSummaries.length > 1 && (
+                <div className="p-6">
+                    <h4 className="text-xs font-bold uppercase tracking-wider text-gray-500 mb-3">{t('progress.terms')}</h4>
+                    <TermComparison summaries={termSummaries} activeTermId={activeTermId} />
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ProgressCharts;
@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { RESIT_RULES } from '../utils/grading';
+import { parseComponent } from '../utils/validation';
+import useI18n from '../hooks/useI18n';
+import useGradingSettings from '../hooks/useGradingSettings';
+
+/**
+ * ResitPanel Component
+ * Rattrapage session: resit grades, averages before/after and which resits are required
+ */
+const ResitPanel = ({ comparison, plan, onUpdateGrade }) => {
+    const { t } = useI18n();
+    const { settings, scaleComponent, formatGrade, formatAverage } = useGradingSettings();
+
+    // Text being typed, by grade id: saved on blur or Enter, like a row edit
+    const [drafts, setDrafts] = useState({});
+
+    const handleResitChange = (grade, text) => {
+        setDrafts(prev => ({ ...prev, [grade.id]: text }));
+    };
+
+    const clearDraft = (grade) => {
+        setDrafts(prev => ({ ...prev, [grade.id]: undefined }));
+    };
+
+    // An invalid draft stays in the field, highlighted, until it is fixed
+    const saveResit = (grade) => {
+        if (drafts[grade.id] === undefined) return;
+        const { value, error } = parseComponent(drafts[grade.id], { settings });
+        if (error) return;
+        if (String(value) !== String(grade.resit ?? '')) onUpdateGrade(grade.id, { resit: value });
+        clearDraft(grade);
+    };
+
+    // Enter saves, Escape cancels
+    const handleResitKeyDown = (grade, e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            saveResit(grade);
+        }
+        if (e.key === 'Escape') clearDraft(grade);
+    };
+
+    const isInvalid = (grade) =>
+        drafts[grade.id] !== undefined && Boolean(parseComponent(drafts[grade.id], { settings }).error);
+
+    const sessions = [
+        [t('resit.before'), comparison.before],
+        [t('resit.after'), comparison.after]
+    ];
+
+    const renderSubject = ({ grade, before, after }) => (
+        <li key={grade.id} className="px-6 py-4 flex flex-wrap items-center justify-between gap-3">
+            <div>
+                <div className="font-bold text-gray-900">{grade.subject}</div>
+                <div className="text-xs font-mono text-gray-500">
+                    {formatAverage(before)} <span className="inline-block rtl:rotate-180">→</span> <span className="font-bold text-gray-900">{formatAverage(after)}</span>
+                </div>
+            </div>
+            <div className="flex items-center gap-2">
+                <input
+                    type="text"
+                    inputMode="decimal"
+                    value={drafts[grade.id] ?? scaleComponent(grade.resit)}
+                    onChange={(e) => handleResitChange(grade, e.target.value)}
+                    onBlur={() => saveResit(grade)}
+                    onKeyDown={(e) => handleResitKeyDown(grade, e)}
+                    placeholder={t('resit.grade')}
+                    aria-invalid={isInvalid(grade)}
+                    aria-label={t('resit.gradeFor', { subject: grade.subject })}
+                    className={`w-20 border ${isInvalid(grade) ? 'border-rose-500' : 'border-gray-200'} px-3 py-2 rounded-lg font-mono text-sm focus:border-[#CE0033] focus:outline-none`}
+                />
+                <select
+                    value={grade.resitRule || RESIT_RULES.REPLACE}
+                    onChange={(e) => onUpdateGrade(grade.id, { resitRule: e.target.value })}
+                    aria-label={t('resit.ruleFor', { subject: grade.subject })}
+                    className="border border-gray-200 px-2 py-2 rounded-lg text-xs focus:border-[#CE0033] focus:outline-none"
+                >
+                    {Object.values(RESIT_RULES).map(rule => (
+                        <option key={rule} value={rule}>{t(`resit.rules.${rule}`)}</option>
+                    ))}
+                </select>
+            </div>
+        </li>
+    );
+
+    return (
+        <div className="bg-white rounded-2xl shadow-lg border border-gray-200 overflow-hidden">
+            <div className="p-6 border-b border-gray-100 bg-gradient-to-r from-amber-50 to-white">
+                <h3 className="font-bold text-lg text-black">{t('resit.title')}</h3>
+                <p className="text-xs text-gray-400">{t('resit.subtitle')}</p>
+            </div>
+
+            {/* Before / After Session */}
+            <div className="grid grid-cols-2 divide-x divide-gray-100 border-b border-gray-100">
+                {sessions.map(([label, decision]) => (
+                    <div key={label} className="p-6 text-center">
+                        <div className="text-[10px] font-bold text-gray-400 uppercase tracking-wider mb-2">{label}</div>
+                        <div className="text-3xl font-black font-mono text-black">{formatGrade(decision.generalAvg)}</div>
+                        <div className={`mt-2 text-xs font-bold ${decision.admitted ? 'text-emerald-700' : 'text-rose-700'}`}>
+                            {t('resit.decision', {
+                                decision: t(decision.admitted ? 'common.admitted' : 'common.notAdmitted'),
+                                credits: decision.unitEvaluation.creditsEarned
+                            })}
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            {/* Mandatory Resits */}
+            {plan.mandatory.length > 0 && (
+                <>
+                    <h4 className="px-6 pt-5 text-xs font-bold uppercase tracking-wider text-rose-600">
+                        {t('resit.mandatory')}
+                    </h4>
+                    <ul className="divide-y divide-gray-50">{plan.mandatory.map(renderSubject)}</ul>
+                </>
+            )}
+
+            {/* Optional Resits */}
+            {plan.optional.length > 0 && (
+                <>
+                    <h4 className="px-6 pt-5 text-xs font-bold uppercase tracking-wider text-amber-600">
+                        {t('resit.optional')}
+                    </h4>
+                    <ul className="divide-y divide-gray-50">{plan.optional.map(renderSubject)}</ul>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ResitPanel;
@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { SCENARIO_CHANGE } from '../utils/scenarios';
+import useI18n from '../hooks/useI18n';
+import useGradingSettings from '../hooks/useGradingSettings';
+
+const CHANGE_STYLES = {
+    [SCENARIO_CHANGE.ADDED]: 'text-sky-700',
+    [SCENARIO_CHANGE.REMOVED]: 'text-gray-400 line-through',
+    [SCENARIO_CHANGE.CHANGED]: 'text-gray-900 font-bold',
+    [SCENARIO_CHANGE.SAME]: 'text-gray-500'
+};
+
+const formatRowAverage = (value, formatAverage) => (value === null ? '-' : formatAverage(value));
+
+/**
+ * Signed difference between two averages, empty when one is missing or unchanged
+ */
+const formatDelta = (before, after, formatGrade) => {
+    if (before === null || after === null || Math.abs(after - before) < 0.005) return '';
+    return `${after > before ? '+' : ''}${formatGrade(after - before)}`;
+};
+
+/**
+ * ScenarioPanel Component
+ * What-if scenarios: forks of the transcript that can be explored, compared
+ * with the real grades, discarded or promoted
+ */
+const ScenarioPanel = ({ scenarios, activeScenarioId, diff, onCreate, onOpen, onDiscard, onPromote }) => {
+    const { t, formatDate } = useI18n();
+    const { formatGrade, formatAverage } = useGradingSettings();
+    const [name, setName] = useState('');
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!name.trim()) return;
+        onCreate(name);
+        setName('');
+    };
+
+    const decisions = diff && [
+        [t('scenarios.real'), diff.real],
+        [t('scenarios.scenario'), diff.scenario]
+    ];
+
+    return (
+        <div className="bg-white rounded-2xl shadow-lg border border-gray-200 overflow-hidden">
+            <div className="p-6 border-b border-gray-100 bg-gradient-to-r from-violet-50 to-white">
+                <h3 className="font-bold text-lg text-black">{t('scenarios.title')}</h3>
+                <p className="text-xs text-gray-400">{t('scenarios.subtitle')}</p>
+            </div>
+
+            {/* Scenario List */}
+            {scenarios.length > 0 && (
+                <ul className="divide-y divide-gray-50 border-b border-gray-100">
+                    {scenarios.map(scenario => {
+                        const active = scenario.id === activeScenarioId;
+                        return (
+                            <li key={scenario.id} className={`px-6 py-4 flex flex-wrap items-center justify-between gap-3 ${active ? 'bg-violet-50/60' : ''}`}>
+                                <div>
+                                    <div className="font-bold text-gray-900">{scenario.name}</div>
+                                    <div className="text-xs text-gray-400">
+                                        {t('scenarios.createdAt', { date: formatDate(scenario.createdAt) })}
+                                    </div>
+                                </div>
+                                <div className="flex items-center gap-1">
+                                    <button
+                                        type="button"
+                                        onClick={() => onOpen(active ? null : scenario.id)}
+                                        className="px-3 py-1.5 text-xs font-semibold text-violet-700 hover:bg-violet-100 rounded-lg transition"
+                                    >
+                                        {t(active ? 'common.leave' : 'common.open')}
+                                    </button>
+                                    <button
+                                        type="button"
+                                        onClick={() => onPromote(scenario.id)}
+                                        title={t('scenarios.promoteHint')}
+                                        className="px-3 py-1.5 text-xs font-semibold text-emerald-700 hover:bg-emerald-50 rounded-lg transition"
+                                    >
+                                        {t('common.apply')}
+                                    </button>
+                                    <button
+                                        type="button"
+                                        onClick={() => onDiscard(scenario.id)}
+                                        className="px-3 py-1.5 text-xs font-semibold text-rose-600 hover:bg-rose-50 rounded-lg transition"
+                                    >
+                                        {t('common.delete')}
+                                    </button>
+                                </div>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+
+            {/* Side-by-side Comparison */}
+            {diff && (
+                <div className="border-b border-gray-100">
+                    <div className="grid grid-cols-2 divide-x divide-gray-100 border-b border-gray-100">
+                        {decisions.map(([label, decision]) => (
+                            <div key={label} className="p-6 text-center">
+                                <div className="text-[10px] font-bold text-gray-400 uppercase tracking-wider mb-2">{label}</div>
+                                <div className="text-3xl font-black font-mono text-black">{formatGrade(decision.generalAvg)}</div>
+                                <div className={`mt-2 text-xs font-bold ${decision.admitted ? 'text-emerald-700' : 'text-rose-700'}`}>
+                                    {t(decision.admitted ? 'common.admitted' : 'common.notAdmitted')}
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                    <table className="w-full text-sm">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-6 py-2 text-start text-[10px] font-bold text-gray-400 uppercase">{t('common.subject')}</th>
+                                <th className="px-3 py-2 text-end text-[10px] font-bold text-gray-400 uppercase">{t('scenarios.realShort')}</th>
+                                <th className="px-3 py-2 text-end text-[10px] font-bold text-gray-400 uppercase">{t('scenarios.scenario')}</th>
+                                <th className="px-6 py-2 text-end text-[10px] font-bold text-gray-400 uppercase">{t('scenarios.delta')}</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-50">
+                            {diff.rows.map(row => (
+                                <tr key={row.id} className={CHANGE_STYLES[row.change]}>
+                                    <td className="px-6 py-2">{row.subject}</td>
+                                    <td className="px-3 py-2 text-end font-mono">{formatRowAverage(row.before, formatAverage)}</td>
+                                    <td className="px-3 py-2 text-end font-mono">{formatRowAverage(row.after, formatAverage)}</td>
+                                    <td className="px-6 py-2 text-end font-mono">{formatDelta(row.before, row.after, formatGrade)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {/* New Scenario Form */}
+            <form onSubmit={handleSubmit} className="p-6 flex items-center gap-3">
+                <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder={t('scenarios.placeholder')}
+                    className="flex-1 border border-gray-200 px-4 py-2.5 rounded-xl text-sm focus:border-[#CE0033] focus:outline-none"
+                />
+                <button type="submit" className="px-4 py-2.5 text-sm font-semibold text-white bg-black hover:bg-neutral-800 rounded-xl transition">
+                    {t('common.create')}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default ScenarioPanel;
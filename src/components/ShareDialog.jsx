@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { formatTerm, sortTerms } from '../utils/terms';
+import { buildSharePayload, buildShareUrl, encodeShare } from '../utils/share';
+import Dialog from './Dialog';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * ShareDialog Component
+ * Builds a link carrying the chosen semesters in its URL fragment
+ */
+const ShareDialog = ({ data, activeTermId, onClose }) => {
+    const { t } = useI18n();
+    const [termIds, setTermIds] = useState([activeTermId]);
+    const [stripPersonal, setStripPersonal] = useState(true);
+    const [url, setUrl] = useState('');
+    const [copied, setCopied] = useState(false);
+    const [error, setError] = useState('');
+
+    const toggleTerm = (id) => {
+        setTermIds(termIds.includes(id) ? termIds.filter(termId => termId !== id) : [...termIds, id]);
+        setUrl('');
+    };
+
+    const generate = async () => {
+        try {
+            setUrl(buildShareUrl(await encodeShare(buildSharePayload(data, termIds, stripPersonal))));
+            setError('');
+        } catch {
+            setError(t('share.compressError'));
+        }
+        setCopied(false);
+    };
+
+    const copy = async () => {
+        try {
+            await navigator.clipboard.writeText(url);
+            setCopied(true);
+        } catch {
+            setError(t('share.copyError'));
+        }
+    };
+
+    return (
+        <Dialog labelledBy="share-title" onClose={onClose} className="max-w-md p-8 space-y-5">
+            <div className="flex items-center justify-between">
+                <h3 id="share-title" className="font-bold text-lg text-black">{t('share.title')}</h3>
+                <button type="button" onClick={onClose} aria-label={t('common.close')} className="w-9 h-9 rounded-xl text-gray-400 hover:bg-gray-100">✕</button>
+            </div>
+
+            {/* Semesters */}
+            <div className="space-y-2">
+                <div className="text-xs uppercase font-bold text-gray-400 tracking-wider">{t('share.terms')}</div>
+                {sortTerms(data.terms).map(term => (
+                    <label key={term.id} className="flex items-center gap-2 text-sm font-semibold text-gray-700">
+                        <input type="checkbox" checked={termIds.includes(term.id)} onChange={() => toggleTerm(term.id)} />
+                        {formatTerm(term)}
+                    </label>
+                ))}
+            </div>
+
+            <label className="flex items-center gap-2 text-sm font-semibold text-gray-700">
+                <input
+                    type="checkbox"
+                    checked={stripPersonal}
+                    onChange={(e) => {
+                        setStripPersonal(e.target.checked);
+                        setUrl('');
+                    }}
+                />
+                {t('share.stripPersonal')}
+            </label>
+
+            <p className="text-xs text-gray-400">
+                {t('share.privacy')}
+            </p>
+
+            {url ? (
+                <div className="space-y-2">
+                    <input
+                        type="text"
+                        value={url}
+                        readOnly
+                        onFocus={(e) => e.target.select()}
+                        aria-label={t('share.link')}
+                        className="w-full border border-gray-200 px-4 py-2.5 rounded-xl font-mono text-xs text-gray-600 focus:border-[#CE0033] focus:outline-none"
+                    />
+                    <button
+                        type="button"
+                        onClick={copy}
+                        className="w-full bg-black text-white font-bold py-3 rounded-xl hover:bg-neutral-800 transition"
+                    >
+                        {t(copied ? 'share.copied' : 'share.copy')}
+                    </button>
+                </div>
+            ) : (
+                <button
+                    type="button"
+                    onClick={generate}
+                    disabled={termIds.length === 0}
+                    className="w-full bg-gradient-to-r from-[#CE0033] to-rose-600 text-white font-bold py-3 rounded-xl shadow-lg disabled:opacity-40"
+                >
+                    {t('share.generate')}
+                </button>
+            )}
+
+            {error && <p className="text-xs font-semibold text-rose-600">{error}</p>}
+        </Dialog>
+    );
+};
+
+export default ShareDialog;
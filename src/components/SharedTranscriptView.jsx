@@ -0,0 +1,95 @@
+import React from 'react';
+import { getSubjectAverage, isPending } from '../utils/grading';
+import { averageOnScale, scaleComponent, toScale } from '../utils/gradingSettings';
+import { BUILT_IN_PROFILES } from '../utils/weightingProfiles';
+import { decideAdmission } from '../utils/resit';
+import { formatTerm, getTermGrades, sortTerms } from '../utils/terms';
+import useI18n from '../hooks/useI18n';
+
+const COLUMNS = ['cc', 'tp', 'project', 'exam'];
+
+/**
+ * SharedTranscriptView Component
+ * Read-only view of a transcript received through a share link, with the
+ * sender's grading scale, rounding and compensation rules
+ */
+const SharedTranscriptView = ({ shared, onImport, onExplore, onClose }) => {
+    const { t, formatNumber, formatDate } = useI18n();
+    const { data, sharedAt } = shared;
+    const profiles = [...BUILT_IN_PROFILES, ...data.customProfiles];
+    const settings = data.gradingSettings;
+    const formatGrade = (value) => formatNumber(toScale(value, settings));
+
+    return (
+        <div className="space-y-8">
+            {/* Share Banner */}
+            <div className="flex flex-wrap items-center justify-between gap-4 px-6 py-4 rounded-2xl border border-sky-200 bg-sky-50 text-sm text-sky-800">
+                <span>
+                    {data.student.name ? t('shared.bannerBy', { name: data.student.name }) : t('shared.banner')}
+                    {sharedAt && t('shared.bannerDate', { date: formatDate(sharedAt) })}
+                    {t('shared.readOnly')}
+                </span>
+                <div className="flex items-center gap-2">
+                    <button type="button" onClick={onExplore} className="px-3 py-1.5 font-semibold text-violet-700 hover:bg-violet-100 rounded-lg">
+                        {t('shared.explore')}
+                    </button>
+                    <button type="button" onClick={onImport} className="px-3 py-1.5 font-semibold text-emerald-700 hover:bg-emerald-50 rounded-lg">
+                        {t('shared.import')}
+                    </button>
+                    <button type="button" onClick={onClose} className="px-3 py-1.5 font-semibold text-sky-700 hover:bg-sky-100 rounded-lg">
+                        {t('common.close')}
+                    </button>
+                </div>
+            </div>
+
+            {sortTerms(data.terms).map(term => {
+                const termGrades = getTermGrades(data.grades, term.id);
+                const decision = decideAdmission(termGrades, data.units, term.id, profiles, data.compensationRules, settings);
+
+                return (
+                    <div key={term.id} className="bg-white rounded-2xl shadow-lg border border-gray-200 overflow-hidden">
+                        <div className="p-6 border-b border-gray-100 bg-gradient-to-r from-gray-50 to-white flex items-center justify-between">
+                            <h3 className="font-bold text-lg text-black">{formatTerm(term)}</h3>
+                            <div className="text-end">
+                                <div className="text-3xl font-black font-mono text-black">{formatGrade(decision.generalAvg)}</div>
+                                <div className={`text-xs font-bold ${decision.admitted ? 'text-emerald-700' : 'text-rose-700'}`}>
+                                    {t(decision.admitted ? 'common.admitted' : 'common.notAdmitted')}
+                                </div>
+                            </div>
+                        </div>
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-sm">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-6 py-3 text-start text-[10px] font-bold text-gray-400 uppercase">{t('common.subject')}</th>
+                                        {COLUMNS.map(key => (
+                                            <th key={key} className="px-3 py-3 text-end text-[10px] font-bold text-gray-400 uppercase">{t(`components.${key}`)}</th>
+                                        ))}
+                                        <th className="px-3 py-3 text-center text-[10px] font-bold text-gray-400 uppercase">{t('common.coef')}</th>
+                                        <th className="px-6 py-3 text-end text-[10px] font-bold text-gray-400 uppercase">{t('common.average')}</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-50">
+                                    {termGrades.map(grade => (
+                                        <tr key={grade.id}>
+                                            <td className="px-6 py-3 font-bold text-gray-900">{grade.subject}</td>
+                                            {COLUMNS.map(key => (
+                                                <td key={key} className="px-3 py-3 text-end font-mono text-gray-500">{scaleComponent(grade[key], settings) || '-'}</td>
+                                            ))}
+                                            <td className="px-3 py-3 text-center font-mono text-gray-600">×{grade.coef}</td>
+                                            <td className="px-6 py-3 text-end font-mono font-bold text-black">
+                                                {isPending(grade, profiles) ? t('common.pending') : formatNumber(averageOnScale(getSubjectAverage(grade, profiles, settings), settings))}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+export default SharedTranscriptView;
@@ -0,0 +1,43 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { cleanup, render, screen } from '@testing-library/react';
+import { afterEach, describe, expect, it } from 'vitest';
+import { sanitizeData } from '../utils/storage';
+import SharedTranscriptView from './SharedTranscriptView';
+
+// One unit averaging 10: validated by compensation, failed without it
+const shareOf = (fields) => ({
+    sharedAt: '2026-01-15T10:00:00.000Z',
+    data: sanitizeData({
+        terms: [{ id: 1, year: '2025-2026', semester: 'S1' }],
+        units: [{ id: 'u', termId: 1, name: 'Mathématiques', credits: 4 }],
+        grades: [
+            { id: 'a', subject: 'Analyse', coef: 1, exam: '12', profileId: 'standard', termId: 1, unitId: 'u' },
+            { id: 'b', subject: 'Algèbre', coef: 1, exam: '8', profileId: 'standard', termId: 1, unitId: 'u' }
+        ],
+        ...fields
+    }).data
+});
+
+const renderShared = (shared) =>
+    render(<SharedTranscriptView shared={shared} onImport={() => {}} onExplore={() => {}} onClose={() => {}} />);
+
+afterEach(cleanup);
+
+describe('SharedTranscriptView', () => {
+    it('decides admission with the default compensation rules', () => {
+        renderShared(shareOf({}));
+        expect(screen.getByText('Admis')).toBeTruthy();
+    });
+
+    it('decides admission with the sender\'s compensation rules', () => {
+        renderShared(shareOf({ compensationRules: { compensation: false } }));
+        expect(screen.getByText('Non Admis')).toBeTruthy();
+    });
+
+    it('shows the averages on the sender\'s scale', () => {
+        renderShared(shareOf({ gradingSettings: { scale: '100' } }));
+        expect(screen.getByText('60')).toBeTruthy();
+        expect(screen.getByText('40')).toBeTruthy();
+    });
+});
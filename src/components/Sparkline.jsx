@@ -0,0 +1,37 @@
+import React from 'react';
+import { PASS_THRESHOLD } from '../utils/grading';
+import useI18n from '../hooks/useI18n';
+import useGradingSettings from '../hooks/useGradingSettings';
+
+/**
+ * Sparkline Component
+ * Tiny SVG line of a subject's /20 average after each edit, read out on
+ * the displayed scale
+ */
+const Sparkline = ({ values, width = 64, height = 20 }) => {
+    const { t } = useI18n();
+    const { formatGrade } = useGradingSettings();
+    if (values.length < 2) return null;
+
+    const x = (i) => (i / (values.length - 1)) * (width - 4) + 2;
+    const y = (value) => height - 2 - (value / 20) * (height - 4);
+    const points = values.map((value, i) => `${x(i)},${y(value)}`).join(' ');
+    const last = values[values.length - 1];
+
+    return (
+        <svg
+            width={width}
+            height={height}
+            viewBox={`0 0 ${width} ${height}`}
+            role="img"
+            aria-label={t('row.trend', { values: values.map(value => formatGrade(value)).join(' ; ') })}
+            className="inline-block"
+        >
+            <line x1="0" x2={width} y1={y(PASS_THRESHOLD)} y2={y(PASS_THRESHOLD)} stroke="#e5e7eb" strokeDasharray="2 2" />
+            <polyline points={points} fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinejoin="round" />
+            <circle cx={x(values.length - 1)} cy={y(last)} r="2" fill="currentColor" />
+        </svg>
+    );
+};
+
+export default Sparkline;
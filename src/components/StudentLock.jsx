@@ -0,0 +1,60 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { checkPin } from '../utils/students';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * StudentLock Component
+ * Asks for the PIN of a protected profile before showing its grades
+ */
+const StudentLock = ({ student, switcher, onUnlock }) => {
+    const { t } = useI18n();
+    const [pin, setPin] = useState('');
+    const [error, setError] = useState(false);
+    const inputRef = useRef(null);
+
+    useEffect(() => {
+        inputRef.current.focus();
+    }, [student.id]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (await checkPin(student, pin)) {
+            onUnlock();
+            return;
+        }
+        setError(true);
+        setPin('');
+    };
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-neutral-50 via-gray-50 to-neutral-100 flex flex-col items-center justify-center gap-6 p-6">
+            {switcher}
+            <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow-lg border border-gray-100 p-8 w-full max-w-sm space-y-4">
+                <div>
+                    <h2 className="font-bold text-lg text-black">🔒 {student.name || t('students.unnamed')}</h2>
+                    <p className="text-xs text-gray-400">{t('students.lockedHint')}</p>
+                </div>
+                <input
+                    type="password"
+                    inputMode="numeric"
+                    autoComplete="off"
+                    ref={inputRef}
+                    value={pin}
+                    onChange={(e) => {
+                        setPin(e.target.value);
+                        setError(false);
+                    }}
+                    aria-label={t('students.pin')}
+                    aria-invalid={error}
+                    className="w-full border border-gray-200 px-4 py-3 rounded-xl font-mono text-center tracking-widest focus:border-[#CE0033] focus:outline-none"
+                />
+                {error && <p role="alert" className="text-xs font-semibold text-rose-600">{t('students.wrongPin')}</p>}
+                <button type="submit" className="w-full bg-black text-white font-bold py-3 rounded-xl hover:bg-neutral-800 transition">
+                    {t('students.unlock')}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default StudentLock;
@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import { listTracks } from '../utils/curriculum';
+import { PIN_PATTERN, buildStudentExport, createPin, studentFileName } from '../utils/students';
+import { downloadFile } from '../utils/download';
+import CURRICULUM from '../data/curriculum.json';
+import Dialog from './Dialog';
+import useI18n from '../hooks/useI18n';
+
+const inputClass = 'w-full border border-gray-200 px-4 py-2.5 rounded-xl text-sm focus:border-[#CE0033] focus:ring-2 focus:ring-[#CE0033]/10 focus:outline-none';
+const actionClass = 'px-3 py-2 rounded-xl text-xs font-bold border border-gray-200 text-gray-600 hover:border-gray-400 transition disabled:opacity-40';
+
+const EMPTY_PROFILE = { name: '', track: '', className: '' };
+
+/**
+ * Name, track and class inputs shared by the active profile and the new one
+ */
+const ProfileFields = ({ values, onChange, idPrefix }) => {
+    const { t } = useI18n();
+    const handleChange = (e) => onChange({ ...values, [e.target.name]: e.target.value });
+
+    return (
+        <div className="space-y-3">
+            <input name="name" value={values.name} onChange={handleChange} placeholder={t('students.name')} aria-label={t('students.name')} className={inputClass} />
+            <div className="grid grid-cols-2 gap-3">
+                <input name="track" value={values.track} onChange={handleChange} list={`${idPrefix}-tracks`} placeholder={t('students.track')} aria-label={t('students.track')} className={inputClass} />
+                <input name="className" value={values.className} onChange={handleChange} placeholder={t('students.className')} aria-label={t('students.className')} className={inputClass} />
+            </div>
+            <datalist id={`${idPrefix}-tracks`}>
+                {listTracks(CURRICULUM).map(track => <option key={track} value={track} />)}
+            </datalist>
+        </div>
+    );
+};
+
+/**
+ * StudentProfilesDialog Component
+ * Creates student profiles and renames, duplicates, exports, protects or
+ * deletes the active one. Only creation is offered while it is locked.
+ */
+const StudentProfilesDialog = ({ students, activeStudent, canEdit, onCreate, onUpdate, onDuplicate, onPinChange, onDelete, onClose }) => {
+    const { t } = useI18n();
+    const [draft, setDraft] = useState(EMPTY_PROFILE);
+    const [pin, setPin] = useState('');
+    const [pinError, setPinError] = useState(false);
+    const [isConfirmingDelete, setIsConfirmingDelete] = useState(false);
+    const activeName = activeStudent.name || t('students.unnamed');
+
+    const handleCreate = (e) => {
+        e.preventDefault();
+        if (!draft.name.trim()) return;
+        onCreate(draft);
+        onClose();
+    };
+
+    const handleDuplicate = () => {
+        onDuplicate(t('students.copyName', { name: activeName }));
+        onClose();
+    };
+
+    const handleExport = () => {
+        downloadFile(buildStudentExport(activeStudent), studentFileName(activeStudent), 'application/json;charset=utf-8');
+    };
+
+    const handlePin = async (e) => {
+        e.preventDefault();
+        if (!PIN_PATTERN.test(pin)) {
+            setPinError(true);
+            return;
+        }
+        onPinChange(await createPin(pin));
+        setPin('');
+    };
+
+    return (
+        <Dialog labelledBy="students-title" onClose={onClose} className="max-w-md max-h-[90vh] overflow-y-auto p-8 space-y-6">
+            <div className="flex items-center justify-between">
+                <h3 id="students-title" className="font-bold text-lg text-black">{t('students.title')}</h3>
+                <button type="button" onClick={onClose} aria-label={t('common.close')} className="w-9 h-9 rounded-xl text-gray-400 hover:bg-gray-100">✕</button>
+            </div>
+
+            {/* Active Profile */}
+            {canEdit && (
+                <div className="space-y-3">
+                    <div className="text-xs uppercase font-bold text-gray-400 tracking-wider">{t('students.active')}</div>
+                    <ProfileFields
+                        values={activeStudent}
+                        onChange={({ name, track, className }) => onUpdate({ name, track, className })}
+                        idPrefix="active-student"
+                    />
+                    <div className="flex flex-wrap gap-2">
+                        <button type="button" onClick={handleDuplicate} className={actionClass}>{t('students.duplicate')}</button>
+                        <button type="button" onClick={handleExport} className={actionClass}>{t('students.export')}</button>
+                        <button
+                            type="button"
+                            onClick={() => setIsConfirmingDelete(true)}
+                            disabled={students.length < 2}
+                            title={students.length < 2 ? t('students.lastProfile') : undefined}
+                            className={`${actionClass} hover:text-rose-600`}
+                        >
+                            {t('common.delete')}
+                        </button>
+                    </div>
+                    {isConfirmingDelete && (
+                        <div className="flex items-center justify-between gap-3 px-4 py-3 rounded-xl border border-rose-200 bg-rose-50 text-xs font-semibold text-rose-700">
+                            <span>{t('students.confirmDelete', { name: activeName })}</span>
+                            <div className="flex gap-2">
+                                <button type="button" onClick={() => setIsConfirmingDelete(false)} className="px-2 py-1 text-gray-500">{t('common.cancel')}</button>
+                                <button type="button" onClick={onDelete} className="px-2 py-1 rounded-lg bg-rose-600 text-white">{t('common.delete')}</button>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* PIN */}
+                    {activeStudent.pin ? (
+                        <div className="flex items-center justify-between text-xs font-semibold text-gray-600">
+                            <span>🔒 {t('students.pinSet')}</span>
+                            <button type="button" onClick={() => onPinChange(null)} className="font-bold text-gray-400 hover:text-rose-600">
+                                {t('students.removePin')}
+                            </button>
+                        </div>
+                    ) : (
+                        <form onSubmit={handlePin} className="space-y-1">
+                            <div className="flex gap-2">
+                                <input
+                                    type="password"
+                                    inputMode="numeric"
+                                    autoComplete="new-password"
+                                    value={pin}
+                                    onChange={(e) => {
+                                        setPin(e.target.value);
+                                        setPinError(false);
+                                    }}
+                                    placeholder={t('students.pin')}
+                                    aria-label={t('students.pin')}
+                                    aria-invalid={pinError}
+                                    className={`${inputClass} font-mono`}
+                                />
+                                <button type="submit" className="px-4 py-2.5 text-sm font-semibold text-white bg-black hover:bg-neutral-800 rounded-xl transition whitespace-nowrap">
+                                    {t('students.setPin')}
+                                </button>
+                            </div>
+                            <p className={`text-xs ${pinError ? 'font-semibold text-rose-600' : 'text-gray-400'}`}>{t('students.pinHint')}</p>
+                        </form>
+                    )}
+                </div>
+            )}
+
+            {/* New Profile */}
+            <form onSubmit={handleCreate} className="space-y-3">
+                <div className="text-xs uppercase font-bold text-gray-400 tracking-wider">{t('students.new')}</div>
+                <ProfileFields values={draft} onChange={setDraft} idPrefix="new-student" />
+                <button
+                    type="submit"
+                    disabled={!draft.name.trim()}
+                    className="w-full bg-gradient-to-r from-[#CE0033] to-rose-600 text-white font-bold py-3 rounded-xl shadow-lg disabled:opacity-40"
+                >
+                    {t('students.create')}
+                </button>
+            </form>
+        </Dialog>
+    );
+};
+
+export default StudentProfilesDialog;
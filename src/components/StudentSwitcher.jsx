@@ -0,0 +1,50 @@
+import React from 'react';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * StudentSwitcher Component
+ * Header control choosing the student profile, locking it and opening the
+ * profile manager
+ */
+const StudentSwitcher = ({ students, activeStudent, isLocked, onSelect, onLock, onManage }) => {
+    const { t } = useI18n();
+
+    return (
+        <div className="flex items-center gap-2">
+            <select
+                value={activeStudent.id}
+                onChange={(e) => onSelect(students.find(student => String(student.id) === e.target.value).id)}
+                aria-label={t('students.label')}
+                className="max-w-48 border border-gray-200 bg-white px-3 py-2 rounded-xl text-sm font-bold text-gray-700 focus:border-[#CE0033] focus:outline-none"
+            >
+                {students.map(student => (
+                    <option key={student.id} value={student.id}>
+                        {student.pin ? '🔒 ' : ''}{student.name || t('students.unnamed')}{student.className ? ` · ${student.className}` : ''}
+                    </option>
+                ))}
+            </select>
+            {activeStudent.pin && !isLocked && (
+                <button
+                    type="button"
+                    onClick={onLock}
+                    title={t('students.lock')}
+                    aria-label={t('students.lock')}
+                    className="w-9 h-9 flex items-center justify-center rounded-xl border border-gray-200 text-gray-500 hover:text-[#CE0033] hover:border-[#CE0033] transition"
+                >
+                    🔒
+                </button>
+            )}
+            <button
+                type="button"
+                onClick={onManage}
+                title={t('students.manage')}
+                aria-label={t('students.manage')}
+                className="w-9 h-9 flex items-center justify-center rounded-xl border border-gray-200 text-gray-500 hover:text-[#CE0033] hover:border-[#CE0033] transition"
+            >
+                ⚙
+            </button>
+        </div>
+    );
+};
+
+export default StudentSwitcher;
@@ -0,0 +1,92 @@
+import React, { useCallback, useState } from 'react';
+import GradeCalculator from './GradeCalculator';
+import StudentLock from './StudentLock';
+import StudentProfilesDialog from './StudentProfilesDialog';
+import StudentSwitcher from './StudentSwitcher';
+import useStudents from '../hooks/useStudents';
+
+/**
+ * StudentWorkspace Component
+ * Shows the active student profile, behind its PIN when it has one, with
+ * the profile switcher in the header
+ */
+const StudentWorkspace = () => {
+    const { students, activeStudent, warnings, select, saveData, create, duplicate, update, remove } = useStudents();
+
+    // Profile opened with its PIN in this session; leaving it locks it again
+    const [unlockedId, setUnlockedId] = useState(null);
+
+    // Load warnings belong to the profile opened first
+    const [notices, setNotices] = useState(warnings);
+    const [isManaging, setIsManaging] = useState(false);
+
+    const isLocked = Boolean(activeStudent.pin) && unlockedId !== activeStudent.id;
+    const saveActive = useCallback((data) => saveData(activeStudent.id, data), [saveData, activeStudent.id]);
+
+    const open = (id, unlocked = false) => {
+        setUnlockedId(unlocked ? id : null);
+        setNotices([]);
+    };
+
+    const selectStudent = (id) => {
+        select(id);
+        open(id);
+    };
+
+    // A copy keeps the PIN of a profile that was just unlocked
+    const duplicateActive = (name) => open(duplicate(activeStudent.id, name).id, true);
+
+    const changePin = (pin) => {
+        update(activeStudent.id, { pin });
+        setUnlockedId(activeStudent.id);
+    };
+
+    const deleteActive = () => {
+        remove(activeStudent.id);
+        open(null);
+        setIsManaging(false);
+    };
+
+    const switcher = (
+        <StudentSwitcher
+            students={students}
+            activeStudent={activeStudent}
+            isLocked={isLocked}
+            onSelect={selectStudent}
+            onLock={() => setUnlockedId(null)}
+            onManage={() => setIsManaging(true)}
+        />
+    );
+
+    return (
+        <>
+            {isLocked ? (
+                <StudentLock key={activeStudent.id} student={activeStudent} switcher={switcher} onUnlock={() => setUnlockedId(activeStudent.id)} />
+            ) : (
+                <GradeCalculator
+                    key={activeStudent.id}
+                    initialData={activeStudent.data}
+                    warnings={notices}
+                    onSave={saveActive}
+                    switcher={switcher}
+                />
+            )}
+
+            {isManaging && (
+                <StudentProfilesDialog
+                    students={students}
+                    activeStudent={activeStudent}
+                    canEdit={!isLocked}
+                    onCreate={(fields) => open(create(fields).id)}
+                    onUpdate={(fields) => update(activeStudent.id, fields)}
+                    onDuplicate={duplicateActive}
+                    onPinChange={changePin}
+                    onDelete={deleteActive}
+                    onClose={() => setIsManaging(false)}
+                />
+            )}
+        </>
+    );
+};
+
+export default StudentWorkspace;
@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { PASS_THRESHOLD, isPending } from '../utils/grading';
+import { solveGeneral, solveSubject, TARGET_STATUS } from '../utils/solver';
+import { parseDecimal } from '../utils/csv';
+import useI18n from '../hooks/useI18n';
+import useGradingSettings from '../hooks/useGradingSettings';
+
+const STATUS_STYLES = {
+    [TARGET_STATUS.REACHABLE]: 'text-gray-900',
+    [TARGET_STATUS.SECURED]: 'text-emerald-600',
+    [TARGET_STATUS.IMPOSSIBLE]: 'text-rose-600'
+};
+
+
+/**
+ * TargetSolver Component
+ * "What do I need on the exam?" for subjects whose exam is still pending.
+ * A subject missing several components needs the grade shown on each.
+ * Targets and needed grades are shown on the displayed scale.
+ */
+const TargetSolver = ({ grades, profiles, mentionBands }) => {
+    const { t } = useI18n();
+    const { settings, max, suffix, toScale, fromScale, formatGrade } = useGradingSettings();
+    const [targetKey, setTargetKey] = useState('pass');
+    const [customTarget, setCustomTarget] = useState(() => String(toScale(12)));
+
+    // Needed grade, "Acquis" or "Impossible"
+    const formatResult = ({ needed, status }) => {
+        if (status === TARGET_STATUS.SECURED) return t('target.secured');
+        if (status === TARGET_STATUS.IMPOSSIBLE) return t('target.impossible');
+        return t('target.needed', { value: formatGrade(needed), suffix });
+    };
+
+    const targets = [
+        { key: 'pass', label: t('target.pass', { value: toScale(PASS_THRESHOLD) }), value: PASS_THRESHOLD },
+        ...mentionBands
+            .filter(band => band.min > PASS_THRESHOLD)
+            .map(band => ({ key: band.label, label: t('target.mention', { label: band.label, value: toScale(band.min) }), value: band.min })),
+        { key: 'custom', label: t('target.custom'), value: fromScale(parseDecimal(customTarget)) || 0 }
+    ];
+    const target = targets.find(t => t.key === targetKey) || targets[0];
+
+    const pending = grades.filter(grade => isPending(grade, profiles));
+    const general = solveGeneral(grades, target.value, profiles, settings);
+
+    return (
+        <div className="bg-white rounded-2xl shadow-lg border border-gray-200 overflow-hidden">
+            <div className="p-6 border-b border-gray-100 bg-gradient-to-r from-sky-50 to-white">
+                <h3 className="font-bold text-lg text-black">{t('target.title')}</h3>
+                <p className="text-xs text-gray-400">
+                    {t('target.subtitle', { count: pending.length })}
+                </p>
+            </div>
+
+            {/* Target Choice */}
+            <div className="p-6 border-b border-gray-100 flex flex-wrap items-center gap-3">
+                <select
+                    value={target.key}
+                    onChange={(e) => setTargetKey(e.target.value)}
+                    aria-label={t('target.choice')}
+                    className="border border-gray-200 px-3 py-2 rounded-xl text-sm font-bold focus:border-[#CE0033] focus:outline-none"
+                >
+                    {targets.map(t => <option key={t.key} value={t.key}>{t.label}</option>)}
+                </select>
+                {target.key === 'custom' && (
+                    <input
+                        type="text"
+                        inputMode="decimal"
+                        value={customTarget}
+                        onChange={(e) => setCustomTarget(e.target.value)}
+                        placeholder={`0 – ${max}`}
+                        aria-label={t('target.customValue')}
+                        className="w-24 border border-gray-200 px-3 py-2 rounded-xl font-mono text-sm focus:border-[#CE0033] focus:outline-none"
+                    />
+                )}
+                <div className="ms-auto text-end">
+                    <div className="text-[10px] font-bold text-gray-400 uppercase tracking-wider">
+                        {t('target.everywhere')}
+                    </div>
+                    <div className={`text-3xl font-black font-mono ${STATUS_STYLES[general.status]}`}>
+                        {formatResult(general)}
+                    </div>
+                </div>
+            </div>
+
+            {/* Per-Subject Needs */}
+            <ul className="divide-y divide-gray-50">
+                {pending.map(grade => {
+                    const toPass = solveSubject(grade, PASS_THRESHOLD, profiles, settings);
+                    const toTarget = solveSubject(grade, target.value, profiles, settings);
+
+                    return (
+                        <li key={grade.id} className="px-6 py-4 flex items-center justify-between gap-4">
+                            <div>
+                                <div className="font-bold text-gray-900">{grade.subject}</div>
+                                <div className="text-xs text-gray-400">{t('target.componentPending', {
+                                    component: toPass.keys.map(key => t(`components.${key}`)).join(' + ')
+                                })}</div>
+                            </div>
+                            <div className="flex gap-6 text-end text-xs">
+                                <div>
+                                    <div className="font-bold text-gray-400 uppercase tracking-wider">{t('target.toPass')}</div>
+                                    <div className={`font-mono font-bold text-sm ${STATUS_STYLES[toPass.status]}`}>{formatResult(toPass)}</div>
+                                </div>
+                                <div>
+                                    <div className="font-bold text-gray-400 uppercase tracking-wider">{t('target.toTarget')}</div>
+                                    <div className={`font-mono font-bold text-sm ${STATUS_STYLES[toTarget.status]}`}>{formatResult(toTarget)}</div>
+                                </div>
+                            </div>
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+};
+
+export default TargetSolver;
@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { SEMESTERS, formatTerm, sortTerms, nextAcademicYear } from '../utils/terms';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * TermSwitcher Component
+ * Header control to switch between semesters and open a new one
+ */
+const TermSwitcher = ({ terms, activeTermId, onSelect, onAdd }) => {
+    const { t } = useI18n();
+    const [isAdding, setIsAdding] = useState(false);
+    const [draft, setDraft] = useState({ year: '', semester: 'S1' });
+    const sorted = sortTerms(terms);
+
+    // Open the form suggesting the semester that follows the latest one
+    const openForm = () => {
+        const latest = sorted[sorted.length - 1];
+        setDraft({
+            year: latest.semester === 'S1' ? latest.year : nextAcademicYear(latest.year),
+            semester: latest.semester === 'S1' ? 'S2' : 'S1'
+        });
+        setIsAdding(true);
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!/^\d{4}-\d{4}$/.test(draft.year)) return;
+        onAdd(draft.year, draft.semester);
+        setIsAdding(false);
+    };
+
+    if (isAdding) {
+        return (
+            <form onSubmit={handleSubmit} className="flex items-center gap-2">
+                <input
+                    type="text"
+                    value={draft.year}
+                    onChange={(e) => setDraft(prev => ({ ...prev, year: e.target.value }))}
+                    pattern="\d{4}-\d{4}"
+                    placeholder="2025-2026"
+                    aria-label={t('terms.year')}
+                    className="w-28 border border-gray-200 px-3 py-2 rounded-xl font-mono text-sm focus:border-[#CE0033] focus:outline-none"
+                />
+                <select
+                    value={draft.semester}
+                    onChange={(e) => setDraft(prev => ({ ...prev, semester: e.target.value }))}
+                    aria-label={t('terms.semester')}
+                    className="border border-gray-200 px-3 py-2 rounded-xl text-sm font-bold focus:border-[#CE0033] focus:outline-none"
+                >
+                    {SEMESTERS.map(semester => <option key={semester}>{semester}</option>)}
+                </select>
+                <button type="submit" className="px-3 py-2 text-sm font-bold text-white bg-black rounded-xl">
+                    OK
+                </button>
+                <button type="button" onClick={() => setIsAdding(false)} className="px-2 py-2 text-sm text-gray-400">
+                    ✕
+                </button>
+            </form>
+        );
+    }
+
+    return (
+        <div className="flex items-center gap-2">
+            <select
+                value={activeTermId}
+                onChange={(e) => onSelect(Number(e.target.value))}
+                aria-label={t('terms.label')}
+                className="border border-gray-200 bg-white px-3 py-2 rounded-xl text-sm font-bold text-gray-700 focus:border-[#CE0033] focus:outline-none"
+            >
+                {sorted.map(term => (
+                    <option key={term.id} value={term.id}>{formatTerm(term)}</option>
+                ))}
+            </select>
+            <button
+                type="button"
+                onClick={openForm}
+                title={t('terms.add')}
+                className="w-9 h-9 flex items-center justify-center rounded-xl border border-gray-200 text-gray-500 hover:text-[#CE0033] hover:border-[#CE0033] transition"
+            >
+                +
+            </button>
+        </div>
+    );
+};
+
+export default TermSwitcher;
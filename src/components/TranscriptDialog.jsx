@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { buildTranscriptHtml, printHtml } from '../utils/transcriptDocument';
+import Dialog from './Dialog';
+import useI18n from '../hooks/useI18n';
+import useGradingSettings from '../hooks/useGradingSettings';
+
+const SCOPES = ['term', 'year', 'all'];
+
+const inputClass = 'w-full border border-gray-200 px-4 py-2.5 rounded-xl text-sm focus:border-[#CE0033] focus:ring-2 focus:ring-[#CE0033]/10 focus:outline-none';
+
+/**
+ * TranscriptDialog Component
+ * Collects the student header and the period, then prints the transcript
+ */
+const TranscriptDialog = ({ student, onStudentChange, terms, activeTerm, grades, shownGrades, units, profiles, rules, onClose }) => {
+    const { t, locale } = useI18n();
+    const { settings } = useGradingSettings();
+    const [scope, setScope] = useState('term');
+
+    const handleStudentChange = (e) => {
+        const { name, value } = e.target;
+        onStudentChange({ ...student, [name]: value });
+    };
+
+    const handlePrint = () => {
+        const selectedTerms = terms.filter(term =>
+            scope === 'all' || (scope === 'year' ? term.year === activeTerm.year : term.id === activeTerm.id)
+        );
+        printHtml(buildTranscriptHtml({ student, terms: selectedTerms, grades, shownGrades, units, profiles, rules, settings, locale }));
+    };
+
+    return (
+        <Dialog labelledBy="transcript-title" onClose={onClose} className="max-w-md p-8 space-y-5">
+            <div className="flex items-center justify-between">
+                <h3 id="transcript-title" className="font-bold text-lg text-black">{t('transcript.title')}</h3>
+                <button type="button" onClick={onClose} aria-label={t('common.close')} className="w-9 h-9 rounded-xl text-gray-400 hover:bg-gray-100">✕</button>
+            </div>
+
+            {/* Student Header */}
+            <div className="space-y-3">
+                <input name="name" value={student.name ?? ''} onChange={handleStudentChange} placeholder={t('transcript.name')} className={inputClass} />
+                <input name="studentId" value={student.studentId ?? ''} onChange={handleStudentChange} placeholder={t('transcript.studentId')} className={inputClass} />
+                <input name="className" value={student.className ?? ''} onChange={handleStudentChange} placeholder={t('transcript.className')} className={inputClass} />
+            </div>
+
+            {/* Period */}
+            <div className="space-y-2">
+                <div className="text-xs uppercase font-bold text-gray-400 tracking-wider">{t('transcript.period')}</div>
+                <div className="grid grid-cols-3 gap-2">
+                    {SCOPES.map(key => (
+                        <button
+                            key={key}
+                            type="button"
+                            onClick={() => setScope(key)}
+                            className={`px-3 py-2 rounded-xl text-xs font-bold border transition ${scope === key ? 'border-[#CE0033] text-[#CE0033] bg-rose-50' : 'border-gray-200 text-gray-600 hover:border-gray-400'}`}
+                        >
+                            {t(`transcript.scopes.${key}`)}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <p className="text-xs text-gray-400">
+                {t('transcript.printHint')}
+            </p>
+
+            <button
+                type="button"
+                onClick={handlePrint}
+                className="w-full bg-gradient-to-r from-[#CE0033] to-rose-600 text-white font-bold py-3 rounded-xl shadow-lg"
+            >
+                {t('transcript.generate')}
+            </button>
+        </Dialog>
+    );
+};
+
+export default TranscriptDialog;
@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { UNIT_STATUS } from '../utils/units';
+import useI18n from '../hooks/useI18n';
+import useGradingSettings from '../hooks/useGradingSettings';
+
+const STATUS_STYLES = {
+    [UNIT_STATUS.VALIDATED]: 'bg-emerald-50 text-emerald-700 border-emerald-200',
+    [UNIT_STATUS.COMPENSATED]: 'bg-sky-50 text-sky-700 border-sky-200',
+    [UNIT_STATUS.FAILED]: 'bg-rose-50 text-rose-700 border-rose-200',
+    [UNIT_STATUS.EMPTY]: 'bg-gray-50 text-gray-400 border-gray-200'
+};
+
+/**
+ * UnitsPanel Component
+ * Teaching units of the current semester with averages, compensation and credits
+ * Thresholds are edited on the displayed scale.
+ */
+const UnitsPanel = ({ evaluation, rules, onAddUnit, onDeleteUnit, onRulesChange }) => {
+    const { t } = useI18n();
+    const { max, toScale, fromScale, formatAverage } = useGradingSettings();
+    const [name, setName] = useState('');
+    const [credits, setCredits] = useState('');
+    const [showRules, setShowRules] = useState(false);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!name.trim() || !(parseFloat(credits) >= 0)) return;
+        onAddUnit(name, credits);
+        setName('');
+        setCredits('');
+    };
+
+    const handleRuleChange = (e) => {
+        const { name: key, type, checked, value } = e.target;
+        onRulesChange({ ...rules, [key]: type === 'checkbox' ? checked : fromScale(parseFloat(value) || 0) });
+    };
+
+    return (
+        <div className="bg-white rounded-2xl shadow-lg border border-gray-200 overflow-hidden">
+            {/* Header with semester credits */}
+            <div className="p-6 border-b border-gray-100 bg-gradient-to-r from-gray-50 to-white flex items-center justify-between">
+                <div>
+                    <h3 className="font-bold text-lg text-black">{t('units.title')}</h3>
+                    <p className="text-xs text-gray-400">{t('units.subtitle')}</p>
+                </div>
+                <div className="text-end">
+                    <div className="text-3xl font-black text-black">
+                        {evaluation.creditsEarned}
+                        <span className="text-lg text-gray-300"> / {evaluation.creditsTotal}</span>
+                    </div>
+                    <button
+                        type="button"
+                        onClick={() => setShowRules(!showRules)}
+                        className="text-[10px] font-bold uppercase tracking-wider text-gray-400 hover:text-[#CE0033]"
+                    >
+                        {t('units.rules')}
+                    </button>
+                </div>
+            </div>
+
+            {/* Compensation Rules */}
+            {showRules && (
+                <div className="p-6 border-b border-gray-100 bg-gray-50 grid grid-cols-2 gap-4 text-xs">
+                    <label className="col-span-2 flex items-center gap-2 font-semibold text-gray-700">
+                        <input type="checkbox" name="compensation" checked={rules.compensation} onChange={handleRuleChange} />
+                        {t('units.compensation')}
+                    </label>
+                    {['subjectThreshold', 'unitThreshold', 'eliminatoryThreshold'].map(key => (
+                        <label key={key} className="space-y-1">
+                            <span className="block font-bold uppercase tracking-wider text-gray-400">{t(`units.${key}`)}</span>
+                            <input
+                                type="number"
+                                name={key}
+                                value={toScale(rules[key])}
+                                onChange={handleRuleChange}
+                                min="0"
+                                max={max}
+                                step="any"
+                                className="w-full border border-gray-200 px-3 py-2 rounded-lg font-mono focus:border-[#CE0033] focus:outline-none"
+                            />
+                        </label>
+                    ))}
+                </div>
+            )}
+
+            {/* Unit List */}
+            <ul className="divide-y divide-gray-50">
+                {evaluation.units.map(({ unit, grades, average, status, eliminatory, creditsEarned }) => (
+                    <li key={unit.id} className="px-6 py-4 flex items-center justify-between gap-4">
+                        <div>
+                            <div className="font-bold text-gray-900">{unit.name}</div>
+                            <div className="text-xs text-gray-400">
+                                {t('common.subjectCount', { count: grades.length })}
+                                {eliminatory.length > 0 && (
+                                    <span className="text-rose-600 font-semibold">
+                                        {' '}· {t('units.eliminatory', { subjects: eliminatory.map(g => g.subject).join(', ') })}
+                                    </span>
+                                )}
+                            </div>
+                        </div>
+                        <div className="flex items-center gap-3">
+                            <span className="font-mono font-bold text-gray-700">
+                                {grades.length > 0 ? formatAverage(average) : '-'}
+                            </span>
+                            <span className={`px-3 py-1 rounded-full text-[10px] font-bold border ${STATUS_STYLES[status]}`}>
+                                {t(`units.status.${status}`)}
+                            </span>
+                            <span className="text-xs font-bold text-gray-600 w-16 text-end">
+                                {t('units.earned', { earned: creditsEarned, credits: unit.credits })}
+                            </span>
+                            <button
+                                type="button"
+                                onClick={() => onDeleteUnit(unit.id)}
+                                title={t('units.delete')}
+                                className="text-gray-300 hover:text-rose-600 transition"
+                            >
+                                ✕
+                            </button>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+
+            {/* New Unit Form */}
+            <form onSubmit={handleSubmit} className="p-6 border-t border-gray-100 flex items-center gap-3">
+                <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder={t('units.placeholder')}
+                    className="flex-1 border border-gray-200 px-4 py-2.5 rounded-xl text-sm focus:border-[#CE0033] focus:outline-none"
+                />
+                <input
+                    type="number"
+                    value={credits}
+                    onChange={(e) => setCredits(e.target.value)}
+                    min="0"
+                    step="any"
+                    placeholder="ECTS"
+                    className="w-20 border border-gray-200 px-3 py-2.5 rounded-xl font-mono text-sm focus:border-[#CE0033] focus:outline-none"
+                />
+                <button type="submit" className="px-4 py-2.5 text-sm font-semibold text-white bg-black hover:bg-neutral-800 rounded-xl transition">
+                    {t('common.add')}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default UnitsPanel;
@@ -0,0 +1,27 @@
+import React from 'react';
+import useServiceWorker from '../hooks/useServiceWorker';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * UpdatePrompt Component
+ * Offers to reload when a new version of the app has been downloaded
+ */
+const UpdatePrompt = () => {
+    const { t } = useI18n();
+    const { updateAvailable, applyUpdate, dismissUpdate } = useServiceWorker();
+    if (!updateAvailable) return null;
+
+    return (
+        <div role="status" className="fixed bottom-6 left-1/2 -translate-x-1/2 z-[70] flex items-center gap-4 px-6 py-4 rounded-2xl bg-black text-white shadow-2xl text-sm">
+            <span className="font-semibold">{t('update.available')}</span>
+            <button type="button" onClick={applyUpdate} className="px-4 py-2 font-bold rounded-xl bg-gradient-to-r from-[#CE0033] to-rose-600">
+                {t('update.apply')}
+            </button>
+            <button type="button" onClick={dismissUpdate} className="text-gray-400 hover:text-white">
+                {t('update.later')}
+            </button>
+        </div>
+    );
+};
+
+export default UpdatePrompt;
@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { COMPONENTS, createCustomProfile, describeProfile } from '../utils/weightingProfiles';
+import useI18n from '../hooks/useI18n';
+
+const EMPTY_WEIGHTS = { cc: '', tp: '', project: '', exam: '' };
+
+/**
+ * WeightingProfilesPanel Component
+ * Lists the available weighting profiles and lets the student define custom ones
+ */
+const WeightingProfilesPanel = ({ profiles, usageCount, onAdd, onDelete }) => {
+    const { t } = useI18n();
+    const [name, setName] = useState('');
+    const [weights, setWeights] = useState(EMPTY_WEIGHTS);
+    const [error, setError] = useState('');
+
+    const weightTotal = Object.values(weights).reduce((acc, value) => acc + (parseFloat(value) || 0), 0);
+
+    const handleWeightChange = (e) => {
+        const { name: key, value } = e.target;
+        setWeights(prev => ({ ...prev, [key]: value }));
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+
+        if (!name.trim()) return setError(t('profiles.nameRequired'));
+        if (Math.abs(weightTotal - 100) > 0.01) return setError(t('profiles.totalInvalid'));
+
+        const profile = createCustomProfile(name, weights);
+        if (!profile) return setError(t('profiles.weightRequired'));
+
+        onAdd(profile);
+        setName('');
+        setWeights(EMPTY_WEIGHTS);
+        setError('');
+    };
+
+    return (
+        <div className="bg-white rounded-2xl shadow-lg border border-gray-100 p-8">
+            <h3 className="font-bold text-lg text-black mb-1">{t('profiles.title')}</h3>
+            <p className="text-xs text-gray-400 mb-6">
+                {t('profiles.subtitle')}
+            </p>
+
+            {/* Profile List */}
+            <ul className="space-y-2 mb-6">
+                {profiles.map(profile => (
+                    <li key={profile.id} className="flex items-center justify-between gap-3 px-4 py-3 rounded-xl bg-gray-50 border border-gray-100">
+                        <div>
+                            <div className="font-bold text-sm text-gray-900">{profile.name}</div>
+                            <div className="text-xs font-mono text-gray-500">{describeProfile(profile, key => t(`components.${key}`))}</div>
+                        </div>
+                        {profile.custom && (
+                            <button
+                                type="button"
+                                onClick={() => onDelete(profile.id)}
+                                disabled={usageCount(profile.id) > 0}
+                                title={usageCount(profile.id) > 0 ? t('profiles.inUse') : t('common.delete')}
+                                className="px-3 py-1 text-xs font-semibold text-rose-600 hover:bg-rose-50 rounded-lg transition disabled:text-gray-300 disabled:hover:bg-transparent"
+                            >
+                                {t('common.delete')}
+                            </button>
+                        )}
+                    </li>
+                ))}
+            </ul>
+
+            {/* Custom Profile Form */}
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder={t('profiles.namePlaceholder')}
+                    className="w-full border border-gray-200 px-4 py-2.5 rounded-xl focus:border-[#CE0033] focus:ring-2 focus:ring-[#CE0033]/10 focus:outline-none text-sm"
+                />
+                <div className="grid grid-cols-4 gap-2">
+                    {COMPONENTS.map(({ key }) => (
+                        <label key={key} className="space-y-1">
+                            <span className="text-[10px] uppercase font-bold text-gray-400 tracking-wider">{t(`components.${key}`)} %</span>
+                            <input
+                                type="number"
+                                name={key}
+                                value={weights[key]}
+                                onChange={handleWeightChange}
+                                min="0"
+                                max="100"
+                                step="any"
+                                className="w-full border border-gray-200 px-2 py-2 rounded-lg font-mono text-sm focus:border-[#CE0033] focus:outline-none"
+                            />
+                        </label>
+                    ))}
+                </div>
+                <div className="flex items-center justify-between">
+                    <span className={`text-xs font-mono ${Math.abs(weightTotal - 100) > 0.01 ? 'text-rose-600' : 'text-emerald-600'}`}>
+                        {t('profiles.total', { value: weightTotal })}
+                    </span>
+                    <button
+                        type="submit"
+                        className="px-4 py-2 text-sm font-semibold text-white bg-black hover:bg-neutral-800 rounded-xl transition"
+                    >
+                        {t('profiles.submit')}
+                    </button>
+                </div>
+                {error && <p className="text-xs font-semibold text-rose-600">{error}</p>}
+            </form>
+        </div>
+    );
+};
+
+export default WeightingProfilesPanel;
@@ -0,0 +1,70 @@
+import React from 'react';
+import { isAdmitted } from '../utils/grading';
+import useI18n from '../hooks/useI18n';
+import useGradingSettings from '../hooks/useGradingSettings';
+
+/**
+ * YearOverview Component
+ * Multi-year transcript: semester averages and annual average for each academic year
+ */
+const YearOverview = ({ overview, activeTermId, onSelectTerm }) => {
+    const { t, formatNumber } = useI18n();
+    const { formatGrade } = useGradingSettings();
+
+    return (
+        <div className="bg-white rounded-2xl shadow-lg border border-gray-200 overflow-hidden">
+            <div className="p-6 border-b border-gray-100 bg-gradient-to-r from-gray-50 to-white">
+                <h3 className="font-bold text-lg text-black">{t('overview.title')}</h3>
+                <p className="text-xs text-gray-400">
+                    {t('overview.subtitle')}
+                </p>
+            </div>
+
+            <div className="overflow-x-auto">
+                <table className="w-full">
+                    <thead>
+                        <tr className="bg-gray-50 border-b border-gray-100">
+                            <th className="px-6 py-4 text-start text-xs font-bold text-gray-500 uppercase tracking-wider">{t('overview.year')}</th>
+                            <th className="px-6 py-4 text-start text-xs font-bold text-gray-500 uppercase tracking-wider">{t('overview.semesters')}</th>
+                            <th className="px-6 py-4 text-center text-xs font-bold text-gray-500 uppercase tracking-wider">{t('overview.coefs')}</th>
+                            <th className="px-6 py-4 text-center text-xs font-bold text-gray-700 uppercase tracking-wider">{t('overview.annual')}</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-50">
+                        {overview.map(({ year, semesters, totalCoef, annualAvg }) => (
+                            <tr key={year}>
+                                <td className="px-6 py-5 font-mono font-bold text-gray-900">{year}</td>
+                                <td className="px-6 py-5">
+                                    <div className="flex flex-wrap gap-2">
+                                        {semesters.map(({ term, count, generalAvg }) => (
+                                            <button
+                                                key={term.id}
+                                                type="button"
+                                                onClick={() => onSelectTerm(term.id)}
+                                                className={`px-3 py-1.5 rounded-lg text-xs font-bold border transition ${term.id === activeTermId ? 'border-[#CE0033] text-[#CE0033] bg-rose-50' : 'border-gray-200 text-gray-600 hover:border-gray-400'}`}
+                                            >
+                                                {term.semester} · <span className="font-mono">{count > 0 ? formatGrade(generalAvg) : '-'}</span>
+                                            </button>
+                                        ))}
+                                    </div>
+                                </td>
+                                <td className="px-6 py-5 text-center text-sm font-bold text-gray-600">{formatNumber(totalCoef, 1)}</td>
+                                <td className="px-6 py-5 text-center">
+                                    {totalCoef > 0 ? (
+                                        <span className={`font-mono font-black text-lg ${isAdmitted(annualAvg) ? 'text-emerald-700' : 'text-rose-700'}`}>
+                                            {formatGrade(annualAvg)}
+                                        </span>
+                                    ) : (
+                                        <span className="text-gray-300">-</span>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default YearOverview;
@@ -0,0 +1,30 @@
+import { useState } from 'react';
+import useI18n from './useI18n';
+
+/**
+ * useColumnMapping Hook
+ * Column mapping of an import preview (CSV file or pasted grades): one
+ * import field key, or '' to ignore the column, per column.
+ * `changeMapping(column, key)` maps a column over `columnCount` columns,
+ * freeing the column that held the field before; `describeMessage` words a
+ * row problem from `mapRows` with its field in the current language.
+ */
+const useColumnMapping = (columnCount) => {
+    const { t } = useI18n();
+    const [mapping, setMapping] = useState([]);
+
+    const changeMapping = (column, key) => {
+        setMapping(prev => {
+            const next = Array.from({ length: columnCount }, (_, i) => prev[i] ?? '');
+            // A field can only be mapped to one column
+            return next.map((value, i) => (i === column ? key : value === key ? '' : value));
+        });
+    };
+
+    const describeMessage = ({ field, key, params }) =>
+        t('csvImport.fieldMessage', { field: t(`csvImport.fields.${field}`), message: t(key, params) });
+
+    return { mapping, setMapping, changeMapping, describeMessage };
+};
+
+export default useColumnMapping;
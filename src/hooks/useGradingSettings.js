@@ -0,0 +1,31 @@
+import { createContext, useContext } from 'react';
+import { DEFAULT_GRADING_SETTINGS, SCALES, averageOnScale, fromScale, scaleComponent, toScale } from '../utils/gradingSettings';
+import useI18n from './useI18n';
+
+// Grading settings of the transcript, provided by GradeCalculator
+export const GradingSettingsContext = createContext(DEFAULT_GRADING_SETTINGS);
+
+/**
+ * useGradingSettings Hook
+ * Returns the current `settings`, the scale's `max` and `suffix`, and
+ * helpers moving /20 values to and from the displayed scale (`toScale`
+ * drops binary noise so values can be shown in inputs as-is).
+ * `formatGrade` formats a /20 value on the scale for the current locale;
+ * `formatAverage` also rounds it by the policy.
+ */
+const useGradingSettings = () => {
+    const settings = useContext(GradingSettingsContext);
+    const { formatNumber } = useI18n();
+
+    return {
+        settings,
+        ...SCALES[settings.scale],
+        toScale: (value) => Number(toScale(value, settings).toFixed(6)),
+        fromScale: (value) => fromScale(value, settings),
+        scaleComponent: (value) => scaleComponent(value, settings),
+        formatGrade: (value, digits) => formatNumber(toScale(value, settings), digits),
+        formatAverage: (value) => formatNumber(averageOnScale(value, settings))
+    };
+};
+
+export default useGradingSettings;
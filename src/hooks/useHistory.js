@@ -0,0 +1,61 @@
+import { useCallback, useState } from 'react';
+
+// Maximum number of undo steps kept in memory
+const HISTORY_LIMIT = 100;
+
+/**
+ * useHistory Hook
+ * State with an undo/redo stack. `set` accepts a value or an updater function
+ * and records the previous value; `undo` and `redo` move through the stack.
+ */
+const useHistory = (initialValue) => {
+    const [history, setHistory] = useState(() => ({
+        past: [],
+        present: typeof initialValue === 'function' ? initialValue() : initialValue,
+        future: []
+    }));
+
+    const set = useCallback((next) => {
+        setHistory(({ past, present }) => {
+            const value = typeof next === 'function' ? next(present) : next;
+            return {
+                past: [...past, present].slice(-HISTORY_LIMIT),
+                present: value,
+                future: []
+            };
+        });
+    }, []);
+
+    const undo = useCallback(() => {
+        setHistory(({ past, present, future }) => {
+            if (past.length === 0) return { past, present, future };
+            return {
+                past: past.slice(0, -1),
+                present: past[past.length - 1],
+                future: [present, ...future]
+            };
+        });
+    }, []);
+
+    const redo = useCallback(() => {
+        setHistory(({ past, present, future }) => {
+            if (future.length === 0) return { past, present, future };
+            return {
+                past: [...past, present],
+                present: future[0],
+                future: future.slice(1)
+            };
+        });
+    }, []);
+
+    return {
+        value: history.present,
+        set,
+        undo,
+        redo,
+        canUndo: history.past.length > 0,
+        canRedo: history.future.length > 0
+    };
+};
+
+export default useHistory;
@@ -0,0 +1,14 @@
+import { createContext, useContext } from 'react';
+import { DEFAULT_LOCALE, createTranslator } from '../utils/i18n';
+
+// Translator of the current language, provided by I18nProvider
+export const I18nContext = createContext({ ...createTranslator(DEFAULT_LOCALE), setLocale: () => {} });
+
+/**
+ * useI18n Hook
+ * Returns `t(key, params)`, the locale formatters, the current `locale` and
+ * `dir`, and `setLocale` to switch language.
+ */
+const useI18n = () => useContext(I18nContext);
+
+export default useI18n;
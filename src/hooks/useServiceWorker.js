@@ -0,0 +1,53 @@
+import { useCallback, useEffect, useState } from 'react';
+
+/**
+ * useServiceWorker Hook
+ * Registers the service worker of production builds and reports when a new
+ * version is installed and waiting. `applyUpdate` activates it; the page
+ * reloads once the new worker has taken control.
+ */
+const useServiceWorker = () => {
+    const [waitingWorker, setWaitingWorker] = useState(null);
+
+    useEffect(() => {
+        if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return undefined;
+
+        // Without a controller this is the first install: nothing to reload
+        const hadController = Boolean(navigator.serviceWorker.controller);
+        let reloading = false;
+        const handleControllerChange = () => {
+            if (!hadController || reloading) return;
+            reloading = true;
+            window.location.reload();
+        };
+        navigator.serviceWorker.addEventListener('controllerchange', handleControllerChange);
+
+        navigator.serviceWorker.register('/sw.js').then(registration => {
+            if (registration.waiting && hadController) setWaitingWorker(registration.waiting);
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker?.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) setWaitingWorker(worker);
+                });
+            });
+        }).catch(() => {
+            // Offline support is optional: the app works without it
+        });
+
+        return () => navigator.serviceWorker.removeEventListener('controllerchange', handleControllerChange);
+    }, []);
+
+    const applyUpdate = useCallback(() => {
+        waitingWorker?.postMessage({ type: 'SKIP_WAITING' });
+    }, [waitingWorker]);
+
+    const dismissUpdate = useCallback(() => setWaitingWorker(null), []);
+
+    return {
+        updateAvailable: waitingWorker !== null,
+        applyUpdate,
+        dismissUpdate
+    };
+};
+
+export default useServiceWorker;
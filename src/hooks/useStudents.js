@@ -0,0 +1,63 @@
+import { useCallback, useEffect, useState } from 'react';
+import { loadStore, saveStore } from '../utils/storage';
+import { createStudent, duplicateStudent, updateStudent } from '../utils/students';
+
+/**
+ * useStudents Hook
+ * Loads the student profiles once, persists them on every change and
+ * exposes the active profile with the actions of the profile switcher.
+ * `create` and `duplicate` switch to the new profile and return it.
+ * `warnings` are the problems recovered while loading (see storage.js).
+ */
+const useStudents = () => {
+    const [stored] = useState(loadStore);
+    const [students, setStudents] = useState(stored.data.students);
+    const [activeStudentId, setActiveStudentId] = useState(stored.data.activeStudentId);
+
+    useEffect(() => {
+        saveStore({ students, activeStudentId });
+    }, [students, activeStudentId]);
+
+    // Called by the transcript view whenever the active profile's data changes
+    const saveData = useCallback((id, data) => {
+        setStudents(prev => updateStudent(prev, id, { data }));
+    }, []);
+
+    const create = (fields) => {
+        const student = createStudent(fields);
+        setStudents([...students, student]);
+        setActiveStudentId(student.id);
+        return student;
+    };
+
+    const duplicate = (id, name) => {
+        const copy = duplicateStudent(students.find(student => student.id === id), name);
+        setStudents([...students, copy]);
+        setActiveStudentId(copy.id);
+        return copy;
+    };
+
+    const update = (id, fields) => setStudents(updateStudent(students, id, fields));
+
+    // The last profile cannot be deleted
+    const remove = (id) => {
+        if (students.length < 2) return;
+        const remaining = students.filter(student => student.id !== id);
+        setStudents(remaining);
+        if (id === activeStudentId) setActiveStudentId(remaining[0].id);
+    };
+
+    return {
+        students,
+        activeStudent: students.find(student => student.id === activeStudentId),
+        warnings: stored.warnings,
+        select: setActiveStudentId,
+        saveData,
+        create,
+        duplicate,
+        update,
+        remove
+    };
+};
+
+export default useStudents;
@@ -0,0 +1,478 @@
+/**
+ * Arabic Messages
+ * Counted messages are phrased as "label: number" so a single form reads
+ * correctly for every plural category.
+ */
+
+export default {
+    common: {
+        admitted: 'ناجح',
+        notAdmitted: 'غير ناجح',
+        pending: 'في الانتظار',
+        optional: 'اختياري',
+        none: 'لا شيء',
+        add: 'إضافة',
+        cancel: 'إلغاء',
+        save: 'حفظ',
+        delete: 'حذف',
+        close: 'إغلاق',
+        apply: 'تطبيق',
+        leave: 'خروج',
+        open: 'فتح',
+        create: 'إنشاء',
+        import: 'استيراد',
+        edit: 'تعديل',
+        subject: 'المادة',
+        coef: 'الضارب',
+        average: 'المعدل',
+        ects: '{credits} ECTS',
+        subjectCount: 'عدد المواد: {count}'
+    },
+    components: {
+        cc: 'المراقبة المستمرة',
+        tp: 'الأشغال التطبيقية',
+        project: 'المشروع',
+        exam: 'الامتحان'
+    },
+    language: {
+        label: 'اللغة'
+    },
+    students: {
+        label: 'ملف الطالب',
+        unnamed: 'بدون اسم',
+        manage: 'إدارة الملفات',
+        lock: 'قفل الملف',
+        lockedHint: 'هذا الملف محمي برمز.',
+        unlock: 'فتح',
+        wrongPin: 'رمز غير صحيح.',
+        title: 'ملفات الطلاب',
+        active: 'الملف الحالي',
+        new: 'ملف جديد',
+        name: 'الاسم',
+        track: 'الشعبة',
+        className: 'القسم',
+        create: 'إنشاء الملف',
+        duplicate: 'نسخ',
+        copyName: '{name} (نسخة)',
+        export: 'تصدير',
+        lastProfile: 'لا يمكن حذف آخر ملف.',
+        confirmDelete: 'حذف «{name}» وكل علاماته؟',
+        pin: 'الرمز',
+        setPin: 'حماية',
+        pinHint: 'من 4 إلى 8 أرقام. الرمز يخفي العلامات لكنه لا يشفّرها.',
+        pinSet: 'محمي برمز',
+        removePin: 'إزالة الرمز'
+    },
+    header: {
+        today: 'اليوم'
+    },
+    footer: {
+        createdBy: 'من إنجاز'
+    },
+    notices: {
+        dismiss: 'إخفاء',
+        invalidShare: 'رابط المشاركة غير صالح أو غير مكتمل.'
+    },
+    storage: {
+        corrupt: 'تم تجاهل بيانات غير مقروءة ({key})، مع الاحتفاظ بنسخة منها.',
+        newerVersion: 'هذه البيانات أُنشئت بإصدار أحدث من التطبيق.',
+        dropped: 'عدد المدخلات التالفة التي تم تجاهلها: {count}'
+    },
+    scenarioBanner: {
+        name: 'السيناريو «{name}»',
+        hint: ': تعديلاتك لا تؤثر على أعدادك الحقيقية.'
+    },
+    form: {
+        title: 'إدخال الأعداد',
+        subject: 'اسم المادة',
+        subjectPlaceholder: 'مثال: قواعد البيانات',
+        coef: 'الضارب',
+        profile: 'الترجيح',
+        unit: 'الوحدة التعليمية',
+        unitOption: '{name} ({credits} ECTS)',
+        pendingIfEmpty: 'في الانتظار إن تُرك فارغًا',
+        multipleHint: 'أعداد مفصولة بـ ;',
+        exam: 'الامتحان النهائي',
+        submit: 'احسب',
+        keyboardMode: 'الإدخال بلوحة المفاتيح',
+        keyboardHint: 'Tab للتنقل بين الأعداد، وEnter لإضافة المادة والانتقال إلى التالية.'
+    },
+    validation: {
+        required: 'حقل إجباري.',
+        notANumber: '«{value}» ليس عددًا.',
+        outOfScale: 'يجب أن يكون العدد بين {min} و{max}.',
+        singleGrade: 'عدد واحد فقط مع هذا الترجيح.',
+        coefInvalid: 'يجب أن يكون الضارب عددًا موجبًا.',
+        coefTooHigh: 'ضارب مرتفع جدًا (الحد الأقصى {max}).',
+        duplicate: '«{subject}» موجودة مسبقًا في هذا السداسي.',
+        coefTotal: 'مجموع ضوارب غير معتاد: {total} (أكثر من {max}).',
+        summary: 'حقول يجب تصحيحها: {count}.'
+    },
+    summary: {
+        title: 'المعدل العام',
+        mention: 'ملاحظة {label}',
+        nextMention: 'تنقصك {distance} نقطة لملاحظة {label}',
+        provisional: 'مؤقت · مواد في الانتظار: {count}',
+        annual: '{semester} · المعدل السنوي {year}:',
+        announce: 'المعدل العام: {average} {suffix}، {decision}.',
+        announceEmpty: 'لا يوجد معدل لهذا السداسي.'
+    },
+    kpi: {
+        subjects: 'عدد المواد',
+        coefs: 'مجموع الضوارب',
+        validated: 'مواد ناجحة',
+        failed: 'مواد راسبة'
+    },
+    table: {
+        title: 'كشف الأعداد',
+        actions: 'إجراءات',
+        curriculum: 'البرنامج',
+        exportCsv: 'تصدير CSV',
+        paste: 'لصق',
+        added: 'أُضيفت المواد: {count}.',
+        transcript: 'كشف PDF',
+        share: 'مشاركة',
+        undo: 'تراجع (Ctrl+Z)',
+        redo: 'إعادة (Ctrl+Shift+Z)',
+        reset: 'مسح الكل',
+        confirmReset: 'مسح مواد هذا السداسي؟ عدد المواد: {count}',
+        clear: 'مسح',
+        cleared: 'تم مسح السداسي.',
+        clearedUndo: 'تم مسح السداسي. Ctrl+Z للتراجع.',
+        emptyTitle: 'ابدأ من هنا',
+        search: 'البحث عن مادة',
+        statusFilter: 'الحالة',
+        allStatuses: 'كل الحالات',
+        resetView: 'إعادة ضبط العرض',
+        shown: 'المواد المعروضة: {count} من {total}',
+        manualHint: 'اسحب الأرقام لإعادة الترتيب',
+        sortedHint: 'عرض مرتّب: نقل الأسطر معطّل',
+        noMatch: 'لا توجد مادة مطابقة.',
+        move: 'نقل {subject}، الموضع {position}',
+        moveHint: 'اسحب، أو استعمل السهمين للأعلى وللأسفل',
+        moved: 'نُقلت «{subject}» إلى الموضع {position}.',
+        emptyText: 'أضف مادتك الأولى لتظهر بطاقة أعدادك.'
+    },
+    row: {
+        enterToSave: 'اضغط Enter للحفظ',
+        resit: 'عدد التدارك',
+        resitShort: 'تدارك: {value}',
+        trend: 'التطور: {values}',
+        edit: 'تعديل {subject}',
+        delete: 'حذف {subject}',
+        deleted: 'حُذفت «{subject}».',
+        deletedUndo: 'حُذفت «{subject}». Ctrl+Z للتراجع.'
+    },
+    status: {
+        excellent: 'ممتاز',
+        passed: 'ناجح',
+        resit: 'تدارك',
+        failed: 'راسب',
+        pending: 'في الانتظار'
+    },
+    terms: {
+        add: 'سداسي جديد',
+        label: 'السداسي المعروض',
+        year: 'السنة الجامعية',
+        semester: 'السداسي'
+    },
+    gradingSettings: {
+        title: 'السلم والتقريب',
+        subtitle: 'سلم الأعداد وتقريب المعدلات',
+        scale: 'السلم',
+        scales: {
+            20: 'على 20',
+            100: 'على 100',
+            percent: 'نسبة مئوية'
+        },
+        mode: 'التقريب',
+        modes: {
+            'half-up': 'إلى الأقرب',
+            truncate: 'بتر'
+        },
+        step: 'الدقة',
+        stage: 'تقريب',
+        stages: {
+            subject: 'كل مادة',
+            final: 'المعدل العام'
+        },
+        hint: 'تبقى الأعداد محفوظة على 20: تغيير السلم لا يغيّر أي بيانات.'
+    },
+    mentions: {
+        title: 'الملاحظات',
+        subtitle: 'النقاط الناقصة لكل ملاحظة',
+        edit: 'تعديل العتبات',
+        invalid: 'يجب أن تكون العتبات تصاعدية وبين 0 و{max}.',
+        defaults: 'القيم الافتراضية',
+        reached: '✓ تم بلوغها',
+        missing: '+{distance} نقطة'
+    },
+    ranking: {
+        title: 'محاكاة الترتيب',
+        count: 'عدد معدلات القسم: {count}',
+        empty: 'معدلات قسمك دون أسماء',
+        percentile: 'المئين {value}',
+        distribution: 'توزيع معدلات القسم',
+        includesSelf: 'معدلي موجود في القائمة',
+        clear: 'مسح القسم',
+        placeholder: 'الصق المعدلات، معدل في كل سطر (مثال: 12,5)',
+        input: 'معدلات القسم',
+        ignored: 'تم تجاهل: {values}',
+        replace: 'استبدال',
+        compare: 'مقارنة',
+        importCsv: 'استيراد ملف CSV'
+    },
+    scenarios: {
+        title: 'السيناريوهات',
+        subtitle: 'جرّب فرضيات دون تغيير أعدادك الحقيقية',
+        createdAt: 'أُنشئ في {date}',
+        promoteHint: 'يستبدل أعدادك الحقيقية بأعداد السيناريو (يمكن التراجع)',
+        real: 'الأعداد الحقيقية',
+        scenario: 'السيناريو',
+        realShort: 'حقيقي',
+        delta: 'الفارق',
+        placeholder: 'سيناريو جديد (مثال: 14 في التحليل)'
+    },
+    progress: {
+        title: 'التقدم',
+        subtitle: 'المعدل العام بعد كل إدخال أو تعديل',
+        timeline: 'تطور المعدل العام',
+        empty: 'لا توجد مادة بأعداد في هذا السداسي.',
+        terms: 'مقارنة السداسيات',
+        byTerm: 'المعدل العام حسب السداسي'
+    },
+    overview: {
+        title: 'المسار السنوي',
+        subtitle: 'المعدل السنوي مرجّح بمجموع ضوارب كل سداسي',
+        year: 'السنة',
+        semesters: 'السداسيات',
+        coefs: 'الضوارب',
+        annual: 'المعدل السنوي'
+    },
+    units: {
+        title: 'الوحدات التعليمية',
+        subtitle: 'أرصدة ECTS المكتسبة في هذا السداسي',
+        rules: 'قواعد الإسعاف',
+        compensation: 'السماح بالإسعاف داخل الوحدة',
+        subjectThreshold: 'عتبة نجاح المادة',
+        unitThreshold: 'أدنى معدل للوحدة',
+        eliminatoryThreshold: 'العدد الإقصائي (<)',
+        eliminatory: 'عدد إقصائي: {subjects}',
+        earned: '{earned}/{credits} ECTS',
+        delete: 'حذف الوحدة',
+        placeholder: 'وحدة جديدة (مثال: وحدة الإعلامية)',
+        status: {
+            validated: 'ناجحة',
+            compensated: 'ناجحة بالإسعاف',
+            failed: 'غير ناجحة',
+            empty: 'لا توجد مواد'
+        }
+    },
+    resit: {
+        title: 'دورة التدارك',
+        subtitle: 'أدخل أعداد التدارك والقاعدة المطبقة',
+        before: 'الدورة الرئيسية',
+        after: 'بعد التدارك',
+        decision: '{decision} · {credits} ECTS',
+        grade: 'العدد',
+        gradeFor: 'عدد التدارك في {subject}',
+        ruleFor: 'قاعدة التدارك في {subject}',
+        mandatory: 'تدارك إجباري',
+        optional: 'تدارك اختياري',
+        rules: {
+            replace: 'يعوّض الامتحان',
+            max: 'الأفضل بين العددين',
+            cap: 'معدل لا يتجاوز 10'
+        }
+    },
+    target: {
+        title: 'هدف الامتحان',
+        subtitle: 'أدنى عدد مطلوب في الاختبارات المنتظرة: {count}',
+        pass: 'النجاح ({value})',
+        mention: 'ملاحظة {label} ({value})',
+        custom: 'معدل مختار',
+        choice: 'المعدل العام المستهدف',
+        customValue: 'المعدل العام المرغوب',
+        everywhere: 'العدد المطلوب في كل اختبار',
+        secured: 'مضمون',
+        impossible: 'مستحيل',
+        needed: '{value}{suffix}',
+        componentPending: '{component} في الانتظار',
+        toPass: 'للنجاح',
+        toTarget: 'للهدف'
+    },
+    profiles: {
+        title: 'أنماط الترجيح',
+        subtitle: 'تستعمل كل مادة نمطًا لحساب معدلها.',
+        inUse: 'نمط مستعمل في مواد',
+        namePlaceholder: 'اسم النمط المخصص',
+        total: 'المجموع: {value}%',
+        submit: 'إضافة النمط',
+        nameRequired: 'أعطِ النمط اسمًا.',
+        totalInvalid: 'يجب أن يكون مجموع الترجيحات 100%.',
+        weightRequired: 'أدخل ترجيحًا واحدًا على الأقل.'
+    },
+    csvImport: {
+        title: 'استيراد ملف CSV',
+        subtitle: 'ستُضاف المواد الصالحة إلى السداسي المعروض',
+        chooseFile: 'اختيار ملف',
+        noFile: 'لا يوجد ملف',
+        separator: 'الفاصل',
+        separators: {
+            semicolon: 'فاصلة منقوطة (;)',
+            comma: 'فاصلة (,)',
+            tab: 'جدولة'
+        },
+        hasHeader: 'السطر الأول = عناوين',
+        line: 'السطر',
+        column: 'العمود {number}',
+        ignore: 'تجاهل',
+        status: 'الحالة',
+        mapSubject: 'اربط عمودًا بـ «المادة».',
+        validCount: 'الأسطر الصالحة: {count} من {total}',
+        fields: {
+            subject: 'المادة',
+            cc: 'المراقبة المستمرة',
+            tp: 'الأشغال التطبيقية',
+            project: 'المشروع',
+            exam: 'الامتحان',
+            coef: 'الضارب',
+            profile: 'الترجيح'
+        },
+        fieldMessage: '{field}: {message}',
+        errors: {
+            unknownProfile: 'ترجيح غير معروف: "{value}"'
+        }
+    },
+    paste: {
+        title: 'لصق الأعداد',
+        subtitle: 'من بوابة ESPRIT أو من جدول بيانات، إلى السداسي المعروض',
+        label: 'الأعداد المنسوخة',
+        placeholder: 'التحليل\t2\t12,5\t14\nقواعد البيانات\t3\t15\t16',
+        hint: 'مادة في كل سطر: أعمدة مفصولة بعلامات الجدولة أو «;» أو «|»، أو اسم المادة متبوعًا بأعدادها. تُكتشف الأعمدة تلقائيًا.',
+        preview: 'معاينة',
+        editHint: 'صحّح الخانات المميّزة أو اختر عمودًا آخر.',
+        cell: 'السطر {line}، {column}',
+        removeRow: 'إزالة السطر {line}',
+        back: 'تعديل النص',
+        add: 'إضافة المواد: {count}'
+    },
+    curriculum: {
+        title: 'تحميل برنامج',
+        subtitle: 'وحدات ومواد تُضاف إلى {term}',
+        track: 'الشعبة',
+        level: 'المستوى',
+        semester: 'السداسي',
+        empty: 'لا يوجد برنامج لهذا الاختيار.',
+        coef: 'الضارب {value}',
+        toAdd: 'مواد للإضافة: {count}',
+        skipped: ' · مُدخلة سابقًا: {count}',
+        load: 'تحميل'
+    },
+    transcript: {
+        title: 'كشف الأعداد PDF',
+        name: 'الاسم واللقب',
+        studentId: 'المعرّف الجامعي',
+        className: 'القسم (مثال: 3A12)',
+        period: 'الفترة',
+        scopes: {
+            term: 'السداسي المعروض',
+            year: 'السنة الجامعية',
+            all: 'كامل المسار'
+        },
+        printHint: 'اختر «حفظ بصيغة PDF» في نافذة الطباعة.',
+        generate: 'إنشاء الكشف',
+        document: {
+            title: 'كشف الأعداد',
+            student: 'الطالب:',
+            studentId: 'المعرّف:',
+            className: 'القسم:',
+            average: 'المعدل ({suffix})',
+            resit: 'التدارك',
+            semesterAverage: 'معدل السداسي',
+            annual: 'المعدلات السنوية',
+            year: 'السنة',
+            generated: 'أُنشئت الوثيقة في {date} · وثيقة غير رسمية'
+        }
+    },
+    share: {
+        title: 'مشاركة أعدادي',
+        terms: 'السداسيات المشاركة',
+        stripPersonal: 'حذف معلوماتي الشخصية (الاسم، المعرّف، القسم)',
+        privacy: 'الأعداد محفوظة داخل الرابط نفسه: لا تُرسل أي بيانات إلى خادم.',
+        link: 'رابط المشاركة',
+        copied: 'تم نسخ الرابط ✓',
+        copy: 'نسخ الرابط',
+        generate: 'إنشاء الرابط',
+        compressError: 'متصفحك لا يسمح بضغط الرابط.',
+        copyError: 'تعذر النسخ: حدّد الرابط وانسخه يدويًا.'
+    },
+    shared: {
+        banner: 'كشف مشارَك',
+        bannerBy: 'كشف شاركه {name}',
+        bannerDate: ' في {date}',
+        readOnly: ' · للقراءة فقط',
+        explore: 'استكشاف كسيناريو',
+        import: 'استيراد إلى أعدادي',
+        scenarioName: 'كشف مشارَك',
+        scenarioNameBy: 'شاركه {name}'
+    },
+    update: {
+        available: 'يتوفر إصدار جديد.',
+        apply: 'تحديث',
+        later: 'لاحقًا'
+    },
+    cli: {
+        usage: 'الاستعمال: gradeflow [--format table|json|csv] [--lang fr|en|ar] [ملف ...]\nيقرأ كشوف CSV أو JSON (المدخل القياسي دون ملف أو مع «-») ويعرض معدلاتها.',
+        result: 'النتيجة',
+        passed: 'ناجحة',
+        failed: 'غير ناجحة',
+        source: 'المصدر',
+        mention: 'الملاحظة',
+        general: 'المعدل العام: {average} · {decision} · {mention}',
+        rowError: '{source}:{line} ✕ {message}',
+        rowWarning: '{source}:{line} ⚠ {message}',
+        errors: {
+            noHeader: '{source}: لم يتم العثور على ترويسة CSV (Matière, CC, TP, Projet, Examen, Coef, Pondération).',
+            invalidJson: '{source}: JSON غير صالح.',
+            unknownJson: '{source}: JSON غير معروف (قائمة مواد أو ملف مُصدَّر).',
+            unreadable: '{source}: تعذرت القراءة ({reason}).',
+            unknownFormat: 'صيغة غير معروفة: «{value}» (table أو json أو csv).',
+            unknownLanguage: 'لغة غير معروفة: «{value}» (fr أو en أو ar).'
+        }
+    },
+    vanilla: {
+        title: 'حاسبة المعدلات',
+        subtitle: 'نظّم أعدادك، احسب معدلاتك وحلّل نتائجك.',
+        formTitle: 'إضافة مادة',
+        subjectPlaceholder: 'مثال: الرياضيات',
+        cc: 'عدد المراقبة (العدد 1)',
+        tp: 'عدد الأشغال التطبيقية (العدد 2)',
+        exam: 'عدد الامتحان',
+        submit: 'إضافة المادة',
+        reset: '↺ إعادة تعيين',
+        validated: 'المواد الناجحة',
+        danger: 'في خطر (<{danger})',
+        print: 'طباعة',
+        ccShort: 'المراقبة',
+        tpShort: 'الأشغال التطبيقية',
+        examShort: 'الامتحان',
+        actions: 'إجراءات',
+        empty: 'لم تُضف أي مادة بعد. ابدأ بتعبئة الاستمارة.',
+        legendExcellent: 'امتياز (≥ {excellent})',
+        legendPass: 'ناجح (≥ {pass})',
+        legendResit: 'تدارك ({danger}-{pass})',
+        legendDanger: 'خطر (< {danger}) ⚠️',
+        confirmDelete: 'حذف هذه المادة؟',
+        deleted: 'حُذفت «{subject}».',
+        statusExcellent: 'امتياز',
+        statusPass: 'ناجح',
+        statusResit: 'تدارك',
+        statusDanger: 'خطر',
+        confirmReset: 'مسح كل شيء؟',
+        nothingToPrint: 'لا توجد بيانات للطباعة.',
+        nothingToExport: 'لا توجد بيانات للتصدير.',
+        pinPrompt: 'الرمز السري لملف {name}:',
+        locked: 'هذا الملف محمي برمز سري. أعد تحميل الصفحة لإدخاله، أو افتحه في التطبيق الرئيسي.'
+    }
+};
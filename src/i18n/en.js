@@ -0,0 +1,490 @@
+/**
+ * English Messages
+ */
+
+export default {
+    common: {
+        admitted: 'Passed',
+        notAdmitted: 'Not passed',
+        pending: 'Pending',
+        optional: 'Optional',
+        none: 'None',
+        add: 'Add',
+        cancel: 'Cancel',
+        save: 'Save',
+        delete: 'Delete',
+        close: 'Close',
+        apply: 'Apply',
+        leave: 'Leave',
+        open: 'Open',
+        create: 'Create',
+        import: 'Import',
+        edit: 'Edit',
+        subject: 'Subject',
+        coef: 'Coef',
+        average: 'Average',
+        ects: '{credits} ECTS',
+        subjectCount_one: '{count} subject',
+        subjectCount_other: '{count} subjects'
+    },
+    components: {
+        cc: 'CA',
+        tp: 'Lab',
+        project: 'Project',
+        exam: 'Exam'
+    },
+    language: {
+        label: 'Language'
+    },
+    students: {
+        label: 'Student profile',
+        unnamed: 'Unnamed',
+        manage: 'Manage profiles',
+        lock: 'Lock profile',
+        lockedHint: 'This profile is protected by a PIN.',
+        unlock: 'Unlock',
+        wrongPin: 'Wrong PIN.',
+        title: 'Student profiles',
+        active: 'Active profile',
+        new: 'New profile',
+        name: 'Name',
+        track: 'Track',
+        className: 'Class',
+        create: 'Create profile',
+        duplicate: 'Duplicate',
+        copyName: '{name} (copy)',
+        export: 'Export',
+        lastProfile: 'The last profile cannot be deleted.',
+        confirmDelete: 'Delete "{name}" and all its grades?',
+        pin: 'PIN',
+        setPin: 'Protect',
+        pinHint: '4 to 8 digits. The PIN hides the grades but does not encrypt them.',
+        pinSet: 'Protected by a PIN',
+        removePin: 'Remove PIN'
+    },
+    header: {
+        today: 'Today'
+    },
+    footer: {
+        createdBy: 'Created by'
+    },
+    notices: {
+        dismiss: 'Dismiss',
+        invalidShare: 'Invalid or incomplete share link.'
+    },
+    storage: {
+        corrupt: 'Unreadable data ignored ({key}); a copy was kept.',
+        newerVersion: 'This data was created by a newer version of the app.',
+        dropped_one: '{count} corrupt entry ignored.',
+        dropped_other: '{count} corrupt entries ignored.'
+    },
+    scenarioBanner: {
+        name: 'Scenario “{name}”',
+        hint: ': your changes do not affect your real grades.'
+    },
+    form: {
+        title: 'Grade Entry',
+        subject: 'Subject Name',
+        subjectPlaceholder: 'e.g. Databases',
+        coef: 'Coefficient',
+        profile: 'Weighting',
+        unit: 'Teaching Unit',
+        unitOption: '{name} ({credits} ECTS)',
+        pendingIfEmpty: 'Pending if empty',
+        multipleHint: 'Grades separated by ;',
+        exam: 'Final Exam',
+        submit: 'CALCULATE',
+        keyboardMode: 'Keyboard entry',
+        keyboardHint: 'Tab moves between the grades, Enter adds the subject and starts the next one.'
+    },
+    validation: {
+        required: 'Required field.',
+        notANumber: '“{value}” is not a grade.',
+        outOfScale: 'The grade must be between {min} and {max}.',
+        singleGrade: 'Only one grade with this weighting.',
+        coefInvalid: 'The coefficient must be a positive number.',
+        coefTooHigh: 'Coefficient too high (maximum {max}).',
+        duplicate: '“{subject}” already exists in this semester.',
+        coefTotal: 'Unusual coefficient total: {total} (more than {max}).',
+        summary_one: '{count} field to fix.',
+        summary_other: '{count} fields to fix.'
+    },
+    summary: {
+        title: 'Overall Average',
+        mention: '{label} honours',
+        nextMention_one: '{distance} pt to {label} honours',
+        nextMention_other: '{distance} pts to {label} honours',
+        provisional_one: 'Provisional · {count} subject pending',
+        provisional_other: 'Provisional · {count} subjects pending',
+        annual: '{semester} · {year} annual average:',
+        announce: 'Overall average: {average} {suffix}, {decision}.',
+        announceEmpty: 'No average for this semester.'
+    },
+    kpi: {
+        subjects: 'Subjects',
+        coefs: 'Total Coefs',
+        validated: 'Passed',
+        failed: 'Failed'
+    },
+    table: {
+        title: 'Transcript',
+        actions: 'Actions',
+        curriculum: 'Programme',
+        exportCsv: 'Export CSV',
+        paste: 'Paste',
+        added_one: '{count} subject added.',
+        added_other: '{count} subjects added.',
+        transcript: 'PDF Transcript',
+        share: 'Share',
+        undo: 'Undo (Ctrl+Z)',
+        redo: 'Redo (Ctrl+Shift+Z)',
+        reset: 'Clear All',
+        confirmReset_one: 'Clear the subject of this semester?',
+        confirmReset_other: 'Clear the {count} subjects of this semester?',
+        clear: 'Clear',
+        cleared: 'Semester cleared.',
+        clearedUndo: 'Semester cleared. Ctrl+Z to undo.',
+        emptyTitle: 'Start here',
+        search: 'Search a subject',
+        statusFilter: 'Status',
+        allStatuses: 'All statuses',
+        resetView: 'Reset view',
+        shown_one: '{count} subject shown out of {total}',
+        shown_other: '{count} subjects shown out of {total}',
+        manualHint: 'Drag the numbers to reorder',
+        sortedHint: 'Sorted view: moving rows is off',
+        noMatch: 'No subject matches.',
+        move: 'Move {subject}, position {position}',
+        moveHint: 'Drag, or use the up and down arrows',
+        moved: '“{subject}” moved to position {position}.',
+        emptyText: 'Add your first subject to see your report card.'
+    },
+    row: {
+        enterToSave: 'Enter to save',
+        resit: 'Resit grade',
+        resitShort: 'R: {value}',
+        trend: 'Trend: {values}',
+        edit: 'Edit {subject}',
+        delete: 'Delete {subject}',
+        deleted: '“{subject}” deleted.',
+        deletedUndo: '“{subject}” deleted. Ctrl+Z to undo.'
+    },
+    status: {
+        excellent: 'Excellent',
+        passed: 'Passed',
+        resit: 'Resit',
+        failed: 'Failed',
+        pending: 'Pending'
+    },
+    terms: {
+        add: 'New semester',
+        label: 'Displayed semester',
+        year: 'Academic year',
+        semester: 'Semester'
+    },
+    gradingSettings: {
+        title: 'Scale & Rounding',
+        subtitle: 'Grade scale and rounding of averages',
+        scale: 'Scale',
+        scales: {
+            20: 'Out of 20',
+            100: 'Out of 100',
+            percent: 'Percentage'
+        },
+        mode: 'Rounding',
+        modes: {
+            'half-up': 'To nearest',
+            truncate: 'Truncate'
+        },
+        step: 'Precision',
+        stage: 'Round',
+        stages: {
+            subject: 'Each subject',
+            final: 'The overall average'
+        },
+        hint: 'Grades are still stored out of 20: changing the scale does not alter any data.'
+    },
+    mentions: {
+        title: 'Honours',
+        subtitle: 'Points missing for each honours level',
+        edit: 'Edit thresholds',
+        invalid: 'Thresholds must be increasing, between 0 and {max}.',
+        defaults: 'Defaults',
+        reached: '✓ Reached',
+        missing: '+{distance} pts'
+    },
+    ranking: {
+        title: 'Class Ranking Simulation',
+        count_one: '{count} class average',
+        count_other: '{count} class averages',
+        empty: 'Anonymous averages of your class',
+        percentile: 'Percentile {value}',
+        distribution: 'Distribution of the class averages',
+        includesSelf: 'My average is in the list',
+        clear: 'Clear class',
+        placeholder: 'Paste the averages, one per line (e.g. 12.5)',
+        input: 'Class averages',
+        ignored: 'Ignored: {values}',
+        replace: 'Replace',
+        compare: 'Compare',
+        importCsv: 'Import a CSV'
+    },
+    scenarios: {
+        title: 'Scenarios',
+        subtitle: 'Try out hypotheses without changing your real grades',
+        createdAt: 'Created on {date}',
+        promoteHint: 'Replaces your real grades with the scenario\'s (can be undone)',
+        real: 'Real grades',
+        scenario: 'Scenario',
+        realShort: 'Real',
+        delta: 'Change',
+        placeholder: 'New scenario (e.g. 14 in Calculus)'
+    },
+    progress: {
+        title: 'Progress',
+        subtitle: 'Overall average after each entry or edit',
+        timeline: 'Overall average over time',
+        empty: 'No graded subject this semester.',
+        terms: 'Semester comparison',
+        byTerm: 'Overall average by semester'
+    },
+    overview: {
+        title: 'Yearly Record',
+        subtitle: 'Annual average weighted by each semester\'s total coefficients',
+        year: 'Year',
+        semesters: 'Semesters',
+        coefs: 'Coefs',
+        annual: 'Annual Average'
+    },
+    units: {
+        title: 'Teaching Units',
+        subtitle: 'ECTS credits earned this semester',
+        rules: 'Compensation rules',
+        compensation: 'Allow compensation within a unit',
+        subjectThreshold: 'Subject pass mark',
+        unitThreshold: 'Minimum unit average',
+        eliminatoryThreshold: 'Eliminatory grade (<)',
+        eliminatory: 'Eliminatory grade: {subjects}',
+        earned: '{earned}/{credits} ECTS',
+        delete: 'Delete unit',
+        placeholder: 'New unit (e.g. Computer Science)',
+        status: {
+            validated: 'Passed',
+            compensated: 'Passed by compensation',
+            failed: 'Not passed',
+            empty: 'No subjects'
+        }
+    },
+    resit: {
+        title: 'Resit Session',
+        subtitle: 'Enter your resit grades and the rule applied',
+        before: 'Main session',
+        after: 'After resits',
+        decision: '{decision} · {credits} ECTS',
+        grade: 'Grade',
+        gradeFor: 'Resit grade for {subject}',
+        ruleFor: 'Resit rule for {subject}',
+        mandatory: 'Mandatory resits',
+        optional: 'Optional resits',
+        rules: {
+            replace: 'Replaces the exam',
+            max: 'Best of both grades',
+            cap: 'Average capped at 10'
+        }
+    },
+    target: {
+        title: 'Exam Target',
+        subtitle_one: 'Minimum grade needed on the pending assessment',
+        subtitle_other: 'Minimum grade needed on the {count} pending assessments',
+        pass: 'Pass ({value})',
+        mention: '{label} honours ({value})',
+        custom: 'Chosen average',
+        choice: 'Overall average target',
+        customValue: 'Target overall average',
+        everywhere: 'Grade needed on each',
+        secured: 'Secured',
+        impossible: 'Impossible',
+        needed: '{value}{suffix}',
+        componentPending: '{component} pending',
+        toPass: 'Pass',
+        toTarget: 'Target'
+    },
+    profiles: {
+        title: 'Weighting Profiles',
+        subtitle: 'Each subject uses a profile to compute its average.',
+        inUse: 'Profile used by subjects',
+        namePlaceholder: 'Custom profile name',
+        total: 'Total: {value}%',
+        submit: 'Add profile',
+        nameRequired: 'Give the profile a name.',
+        totalInvalid: 'Weights must add up to 100%.',
+        weightRequired: 'Enter at least one weight.'
+    },
+    csvImport: {
+        title: 'Import a CSV file',
+        subtitle: 'Valid subjects will be added to the displayed semester',
+        chooseFile: 'Choose a file',
+        noFile: 'No file',
+        separator: 'Separator',
+        separators: {
+            semicolon: 'Semicolon (;)',
+            comma: 'Comma (,)',
+            tab: 'Tab'
+        },
+        hasHeader: 'First row = headers',
+        line: 'Line',
+        column: 'Column {number}',
+        ignore: 'Ignore',
+        status: 'Status',
+        mapSubject: 'Map a column to “Subject”.',
+        validCount_one: '{count} valid row out of {total}',
+        validCount_other: '{count} valid rows out of {total}',
+        fields: {
+            subject: 'Subject',
+            cc: 'CA',
+            tp: 'Lab',
+            project: 'Project',
+            exam: 'Exam',
+            coef: 'Coef',
+            profile: 'Weighting'
+        },
+        fieldMessage: '{field}: {message}',
+        errors: {
+            unknownProfile: 'Unknown weighting: "{value}"'
+        }
+    },
+    paste: {
+        title: 'Paste grades',
+        subtitle: 'From the ESPRIT portal or a spreadsheet, into the displayed semester',
+        label: 'Copied grades',
+        placeholder: 'Calculus\t2\t12.5\t14\nDatabases\t3\t15\t16',
+        hint: 'One subject per line: columns separated by tabs, “;” or “|”, or the name followed by its grades. Columns are detected automatically.',
+        preview: 'Preview',
+        editHint: 'Fix the highlighted cells or pick another column.',
+        cell: 'Line {line}, {column}',
+        removeRow: 'Remove line {line}',
+        back: 'Edit text',
+        add_one: 'Add {count} subject',
+        add_other: 'Add {count} subjects'
+    },
+    curriculum: {
+        title: 'Load a programme',
+        subtitle: 'Units and subjects added to {term}',
+        track: 'Track',
+        level: 'Level',
+        semester: 'Semester',
+        empty: 'No programme for this selection.',
+        coef: 'coef {value}',
+        toAdd_one: '{count} subject to add',
+        toAdd_other: '{count} subjects to add',
+        skipped_one: ' · {count} already entered',
+        skipped_other: ' · {count} already entered',
+        load: 'Load'
+    },
+    transcript: {
+        title: 'PDF Transcript',
+        name: 'Full name',
+        studentId: 'Student ID',
+        className: 'Class (e.g. 3A12)',
+        period: 'Period',
+        scopes: {
+            term: 'Displayed semester',
+            year: 'Academic year',
+            all: 'Whole record'
+        },
+        printHint: 'Choose “Save as PDF” in the print dialog.',
+        generate: 'Generate transcript',
+        document: {
+            title: 'Transcript of Records',
+            student: 'Student:',
+            studentId: 'Student ID:',
+            className: 'Class:',
+            average: 'Average ({suffix})',
+            resit: 'Resit',
+            semesterAverage: 'Semester average',
+            annual: 'Annual averages',
+            year: 'Year',
+            generated: 'Generated on {date} · Unofficial document'
+        }
+    },
+    share: {
+        title: 'Share my grades',
+        terms: 'Shared semesters',
+        stripPersonal: 'Remove my personal details (name, ID, class)',
+        privacy: 'The grades are stored in the link itself: no data is sent to a server.',
+        link: 'Share link',
+        copied: 'Link copied ✓',
+        copy: 'Copy link',
+        generate: 'Create link',
+        compressError: 'Your browser cannot compress the link.',
+        copyError: 'Copy failed: select the link and copy it manually.'
+    },
+    shared: {
+        banner: 'Shared transcript',
+        bannerBy: 'Transcript shared by {name}',
+        bannerDate: ' on {date}',
+        readOnly: ' · read-only',
+        explore: 'Explore as a scenario',
+        import: 'Import into my grades',
+        scenarioName: 'Shared transcript',
+        scenarioNameBy: 'Shared by {name}'
+    },
+    update: {
+        available: 'A new version is available.',
+        apply: 'Update',
+        later: 'Later'
+    },
+    cli: {
+        usage: 'Usage: gradeflow [--format table|json|csv] [--lang fr|en|ar] [file ...]\nReads CSV or JSON transcripts (stdin with no file or with "-") and prints their averages.',
+        result: 'Result',
+        passed: 'Passed',
+        failed: 'Failed',
+        source: 'Source',
+        mention: 'Honours',
+        general: 'Overall Average: {average} · {decision} · {mention}',
+        rowError: '{source}:{line} ✕ {message}',
+        rowWarning: '{source}:{line} ⚠ {message}',
+        errors: {
+            noHeader: '{source}: no CSV header found (Matière, CC, TP, Projet, Examen, Coef, Pondération).',
+            invalidJson: '{source}: invalid JSON.',
+            unknownJson: '{source}: unrecognised JSON (expected a list of subjects or an exported profile).',
+            unreadable: '{source}: cannot be read ({reason}).',
+            unknownFormat: 'Unknown format: "{value}" (table, json or csv).',
+            unknownLanguage: 'Unknown language: "{value}" (fr, en or ar).'
+        }
+    },
+    vanilla: {
+        title: 'Grade Calculator',
+        subtitle: 'Manage your grades, compute your averages and track your results.',
+        formTitle: 'Add a Subject',
+        subjectPlaceholder: 'e.g. Mathematics',
+        cc: 'CA Grade (Grade 1)',
+        tp: 'Lab Grade (Grade 2)',
+        exam: 'Exam Grade',
+        submit: 'Add Subject',
+        reset: '↺ Reset',
+        validated: 'Subjects Passed',
+        danger: 'At Risk (<{danger})',
+        print: 'Print',
+        ccShort: 'CA Grade',
+        tpShort: 'Lab Grade',
+        examShort: 'Exam Grade',
+        actions: 'Actions',
+        empty: 'No subjects yet. Start by filling in the form.',
+        legendExcellent: 'Excellent (≥ {excellent})',
+        legendPass: 'Passed (≥ {pass})',
+        legendResit: 'Resit ({danger}-{pass})',
+        legendDanger: 'At risk (< {danger}) ⚠️',
+        confirmDelete: 'Delete this subject?',
+        deleted: '“{subject}” deleted.',
+        statusExcellent: 'Excellent',
+        statusPass: 'Passed',
+        statusResit: 'Resit',
+        statusDanger: 'At risk',
+        confirmReset: 'Clear everything?',
+        nothingToPrint: 'Nothing to print.',
+        nothingToExport: 'Nothing to export.',
+        pinPrompt: 'PIN of the {name} profile:',
+        locked: 'This profile is protected by a PIN. Reload the page to enter it, or open it in the main app.'
+    }
+};
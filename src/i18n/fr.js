@@ -0,0 +1,492 @@
+/**
+ * French Messages
+ * Reference catalogue: every key used by the interface exists here, and
+ * other languages fall back to it for missing keys.
+ */
+
+export default {
+    common: {
+        admitted: 'Admis',
+        notAdmitted: 'Non Admis',
+        pending: 'En attente',
+        optional: 'Optionnel',
+        none: 'Aucune',
+        add: 'Ajouter',
+        cancel: 'Annuler',
+        save: 'Enregistrer',
+        delete: 'Supprimer',
+        close: 'Fermer',
+        apply: 'Appliquer',
+        leave: 'Quitter',
+        open: 'Ouvrir',
+        create: 'Créer',
+        import: 'Importer',
+        edit: 'Modifier',
+        subject: 'Matière',
+        coef: 'Coef',
+        average: 'Moyenne',
+        ects: '{credits} ECTS',
+        subjectCount_one: '{count} matière',
+        subjectCount_other: '{count} matières'
+    },
+    components: {
+        cc: 'CC',
+        tp: 'TP',
+        project: 'Projet',
+        exam: 'Examen'
+    },
+    language: {
+        label: 'Langue'
+    },
+    students: {
+        label: 'Profil élève',
+        unnamed: 'Sans nom',
+        manage: 'Gérer les profils',
+        lock: 'Verrouiller le profil',
+        lockedHint: 'Ce profil est protégé par un code.',
+        unlock: 'Déverrouiller',
+        wrongPin: 'Code incorrect.',
+        title: 'Profils élèves',
+        active: 'Profil actif',
+        new: 'Nouveau profil',
+        name: 'Nom',
+        track: 'Filière',
+        className: 'Classe',
+        create: 'Créer le profil',
+        duplicate: 'Dupliquer',
+        copyName: '{name} (copie)',
+        export: 'Exporter',
+        lastProfile: 'Le dernier profil ne peut pas être supprimé.',
+        confirmDelete: 'Supprimer « {name} » et toutes ses notes ?',
+        pin: 'Code',
+        setPin: 'Protéger',
+        pinHint: 'De 4 à 8 chiffres. Le code masque les notes mais ne les chiffre pas.',
+        pinSet: 'Protégé par un code',
+        removePin: 'Retirer le code'
+    },
+    header: {
+        today: 'Aujourd\'hui'
+    },
+    footer: {
+        createdBy: 'Créé par'
+    },
+    notices: {
+        dismiss: 'Masquer',
+        invalidShare: 'Lien de partage invalide ou incomplet.'
+    },
+    storage: {
+        corrupt: 'Données illisibles ignorées ({key}), une copie a été conservée.',
+        newerVersion: 'Données créées par une version plus récente de l\'application.',
+        dropped_one: '{count} entrée corrompue ignorée.',
+        dropped_other: '{count} entrées corrompues ignorées.'
+    },
+    scenarioBanner: {
+        name: 'Scénario « {name} »',
+        hint: ' : vos modifications n\'affectent pas vos notes réelles.'
+    },
+    form: {
+        title: 'Saisie des Notes',
+        subject: 'Nom de la Matière',
+        subjectPlaceholder: 'Ex: Base de Données',
+        coef: 'Coefficient',
+        profile: 'Pondération',
+        unit: 'Unité d\'Enseignement',
+        unitOption: '{name} ({credits} ECTS)',
+        pendingIfEmpty: 'En attente si vide',
+        multipleHint: 'Notes séparées par ;',
+        exam: 'Examen Final',
+        submit: 'CALCULER',
+        keyboardMode: 'Saisie au clavier',
+        keyboardHint: 'Tab passe d\'une note à l\'autre, Entrée ajoute la matière et prépare la suivante.'
+    },
+    validation: {
+        required: 'Champ obligatoire.',
+        notANumber: '« {value} » n\'est pas une note.',
+        outOfScale: 'La note doit être comprise entre {min} et {max}.',
+        singleGrade: 'Une seule note pour cette pondération.',
+        coefInvalid: 'Le coefficient doit être un nombre positif.',
+        coefTooHigh: 'Coefficient trop élevé (maximum {max}).',
+        duplicate: '« {subject} » existe déjà dans ce semestre.',
+        coefTotal: 'Total des coefficients inhabituel : {total} (plus de {max}).',
+        summary_one: '{count} champ à corriger.',
+        summary_other: '{count} champs à corriger.'
+    },
+    summary: {
+        title: 'Moyenne Générale',
+        mention: 'Mention {label}',
+        nextMention_one: '{distance} pt avant la mention {label}',
+        nextMention_other: '{distance} pts avant la mention {label}',
+        provisional_one: 'Provisoire · {count} matière en attente',
+        provisional_other: 'Provisoire · {count} matières en attente',
+        annual: '{semester} · Moyenne annuelle {year} :',
+        announce: 'Moyenne générale : {average} {suffix}, {decision}.',
+        announceEmpty: 'Aucune moyenne pour ce semestre.'
+    },
+    kpi: {
+        subjects: 'Total Matières',
+        coefs: 'Total Coefs',
+        validated: 'Validées',
+        failed: 'En Échec'
+    },
+    table: {
+        title: 'Relevé de Notes',
+        actions: 'Actions',
+        curriculum: 'Programme',
+        exportCsv: 'Exporter CSV',
+        paste: 'Coller',
+        added_one: '{count} matière ajoutée.',
+        added_other: '{count} matières ajoutées.',
+        transcript: 'Relevé PDF',
+        share: 'Partager',
+        undo: 'Annuler (Ctrl+Z)',
+        redo: 'Rétablir (Ctrl+Shift+Z)',
+        reset: 'Tout Effacer',
+        confirmReset_one: 'Effacer la matière de ce semestre ?',
+        confirmReset_other: 'Effacer les {count} matières de ce semestre ?',
+        clear: 'Effacer',
+        cleared: 'Semestre effacé.',
+        clearedUndo: 'Semestre effacé. Ctrl+Z pour annuler.',
+        emptyTitle: 'Commencez ici',
+        search: 'Rechercher une matière',
+        statusFilter: 'Statut',
+        allStatuses: 'Tous les statuts',
+        resetView: 'Réinitialiser la vue',
+        shown_one: '{count} matière affichée sur {total}',
+        shown_other: '{count} matières affichées sur {total}',
+        manualHint: 'Glissez les numéros pour réordonner',
+        sortedHint: 'Vue triée : le déplacement des lignes est désactivé',
+        noMatch: 'Aucune matière ne correspond.',
+        move: 'Déplacer {subject}, position {position}',
+        moveHint: 'Glisser, ou flèches haut et bas',
+        moved: '« {subject} » déplacée en position {position}.',
+        emptyText: 'Ajoutez votre première matière pour voir apparaître votre bulletin.'
+    },
+    row: {
+        enterToSave: 'Entrée pour valider',
+        resit: 'Note de rattrapage',
+        resitShort: 'R : {value}',
+        trend: 'Évolution : {values}',
+        edit: 'Modifier {subject}',
+        delete: 'Supprimer {subject}',
+        deleted: '« {subject} » supprimée.',
+        deletedUndo: '« {subject} » supprimée. Ctrl+Z pour annuler.'
+    },
+    status: {
+        excellent: 'Excellente',
+        passed: 'Validée',
+        resit: 'Rattrapage',
+        failed: 'Échec',
+        pending: 'En attente'
+    },
+    terms: {
+        add: 'Nouveau semestre',
+        label: 'Semestre affiché',
+        year: 'Année universitaire',
+        semester: 'Semestre'
+    },
+    gradingSettings: {
+        title: 'Barème & Arrondi',
+        subtitle: 'Échelle des notes et arrondi des moyennes',
+        scale: 'Échelle',
+        scales: {
+            20: 'Sur 20',
+            100: 'Sur 100',
+            percent: 'Pourcentage'
+        },
+        mode: 'Arrondi',
+        modes: {
+            'half-up': 'Au plus proche',
+            truncate: 'Troncature'
+        },
+        step: 'Précision',
+        stage: 'Arrondir',
+        stages: {
+            subject: 'Chaque matière',
+            final: 'La moyenne générale'
+        },
+        hint: 'Les notes restent enregistrées sur 20 : changer d\'échelle ne modifie aucune donnée.'
+    },
+    mentions: {
+        title: 'Mentions',
+        subtitle: 'Points manquants pour chaque mention',
+        edit: 'Modifier les seuils',
+        invalid: 'Les seuils doivent être croissants, entre 0 et {max}.',
+        defaults: 'Valeurs par défaut',
+        reached: '✓ Atteinte',
+        missing: '+{distance} pts'
+    },
+    ranking: {
+        title: 'Simulation de Classement',
+        count_one: '{count} moyenne de la classe',
+        count_other: '{count} moyennes de la classe',
+        empty: 'Moyennes anonymes de votre classe',
+        percentile: 'Percentile {value}',
+        distribution: 'Répartition des moyennes de la classe',
+        includesSelf: 'Ma moyenne figure dans la liste',
+        clear: 'Effacer la classe',
+        placeholder: 'Collez les moyennes, une par ligne (ex: 12,5)',
+        input: 'Moyennes de la classe',
+        ignored: 'Ignoré : {values}',
+        replace: 'Remplacer',
+        compare: 'Comparer',
+        importCsv: 'Importer un CSV'
+    },
+    scenarios: {
+        title: 'Scénarios',
+        subtitle: 'Testez des hypothèses sans modifier vos notes réelles',
+        createdAt: 'Créé le {date}',
+        promoteHint: 'Remplace vos notes réelles par celles du scénario (annulable)',
+        real: 'Notes réelles',
+        scenario: 'Scénario',
+        realShort: 'Réel',
+        delta: 'Écart',
+        placeholder: 'Nouveau scénario (ex: 14 en Analyse)'
+    },
+    progress: {
+        title: 'Progression',
+        subtitle: 'Moyenne générale après chaque saisie ou modification',
+        timeline: 'Évolution de la moyenne générale',
+        empty: 'Aucune matière notée ce semestre.',
+        terms: 'Comparaison des semestres',
+        byTerm: 'Moyenne générale par semestre'
+    },
+    overview: {
+        title: 'Parcours Annuel',
+        subtitle: 'Moyenne annuelle pondérée par le total des coefficients de chaque semestre',
+        year: 'Année',
+        semesters: 'Semestres',
+        coefs: 'Coefs',
+        annual: 'Moyenne Annuelle'
+    },
+    units: {
+        title: 'Unités d\'Enseignement',
+        subtitle: 'Crédits ECTS acquis ce semestre',
+        rules: 'Règles de compensation',
+        compensation: 'Autoriser la compensation au sein d\'une unité',
+        subjectThreshold: 'Seuil de validation matière',
+        unitThreshold: 'Moyenne minimale de l\'unité',
+        eliminatoryThreshold: 'Note éliminatoire (<)',
+        eliminatory: 'Note éliminatoire : {subjects}',
+        earned: '{earned}/{credits} ECTS',
+        delete: 'Supprimer l\'unité',
+        placeholder: 'Nouvelle unité (ex: UE Informatique)',
+        status: {
+            validated: 'Validée',
+            compensated: 'Validée par compensation',
+            failed: 'Non validée',
+            empty: 'Aucune matière'
+        }
+    },
+    resit: {
+        title: 'Session de Rattrapage',
+        subtitle: 'Saisissez vos notes de rattrapage et la règle appliquée',
+        before: 'Session principale',
+        after: 'Après rattrapage',
+        decision: '{decision} · {credits} ECTS',
+        grade: 'Note',
+        gradeFor: 'Note de rattrapage {subject}',
+        ruleFor: 'Règle de rattrapage {subject}',
+        mandatory: 'Rattrapages obligatoires',
+        optional: 'Rattrapages optionnels',
+        rules: {
+            replace: 'Remplace l\'examen',
+            max: 'Meilleure des deux notes',
+            cap: 'Moyenne plafonnée à 10'
+        }
+    },
+    target: {
+        title: 'Objectif Examen',
+        subtitle_one: 'Note minimale à obtenir sur l\'épreuve en attente',
+        subtitle_other: 'Note minimale à obtenir sur les {count} épreuves en attente',
+        pass: 'Admission ({value})',
+        mention: 'Mention {label} ({value})',
+        custom: 'Moyenne choisie',
+        choice: 'Objectif de moyenne générale',
+        customValue: 'Moyenne générale visée',
+        everywhere: 'Note requise partout',
+        secured: 'Acquis',
+        impossible: 'Impossible',
+        needed: '{value}{suffix}',
+        componentPending: '{component} en attente',
+        toPass: 'Valider',
+        toTarget: 'Objectif'
+    },
+    profiles: {
+        title: 'Profils de Pondération',
+        subtitle: 'Chaque matière utilise un profil pour calculer sa moyenne.',
+        inUse: 'Profil utilisé par des matières',
+        namePlaceholder: 'Nom du profil personnalisé',
+        total: 'Total : {value}%',
+        submit: 'Ajouter le profil',
+        nameRequired: 'Donnez un nom au profil.',
+        totalInvalid: 'Les pondérations doivent totaliser 100%.',
+        weightRequired: 'Indiquez au moins une pondération.'
+    },
+    csvImport: {
+        title: 'Importer un fichier CSV',
+        subtitle: 'Les matières valides seront ajoutées au semestre affiché',
+        chooseFile: 'Choisir un fichier',
+        noFile: 'Aucun fichier',
+        separator: 'Séparateur',
+        separators: {
+            semicolon: 'Point-virgule (;)',
+            comma: 'Virgule (,)',
+            tab: 'Tabulation'
+        },
+        hasHeader: 'Première ligne = en-têtes',
+        line: 'Ligne',
+        column: 'Colonne {number}',
+        ignore: 'Ignorer',
+        status: 'Statut',
+        mapSubject: 'Associez une colonne à « Matière ».',
+        validCount_one: '{count} ligne valide sur {total}',
+        validCount_other: '{count} lignes valides sur {total}',
+        fields: {
+            subject: 'Matière',
+            cc: 'CC',
+            tp: 'TP',
+            project: 'Projet',
+            exam: 'Examen',
+            coef: 'Coef',
+            profile: 'Pondération'
+        },
+        fieldMessage: '{field} : {message}',
+        errors: {
+            unknownProfile: 'Pondération inconnue : "{value}"'
+        }
+    },
+    paste: {
+        title: 'Coller des notes',
+        subtitle: 'Depuis le portail ESPRIT ou un tableur, vers le semestre affiché',
+        label: 'Notes copiées',
+        placeholder: 'Analyse\t2\t12,5\t14\nBases de données\t3\t15\t16',
+        hint: 'Une matière par ligne : colonnes séparées par des tabulations, « ; » ou « | », ou le nom suivi des notes. Les colonnes sont détectées automatiquement.',
+        preview: 'Aperçu',
+        editHint: 'Corrigez les cellules surlignées ou choisissez une autre colonne.',
+        cell: 'Ligne {line}, {column}',
+        removeRow: 'Retirer la ligne {line}',
+        back: 'Modifier le texte',
+        add_one: 'Ajouter {count} matière',
+        add_other: 'Ajouter {count} matières'
+    },
+    curriculum: {
+        title: 'Charger un programme',
+        subtitle: 'Unités et matières ajoutées à {term}',
+        track: 'Filière',
+        level: 'Niveau',
+        semester: 'Semestre',
+        empty: 'Aucun programme pour cette sélection.',
+        coef: 'coef {value}',
+        toAdd_one: '{count} matière à ajouter',
+        toAdd_other: '{count} matières à ajouter',
+        skipped_one: ' · {count} déjà saisie',
+        skipped_other: ' · {count} déjà saisies',
+        load: 'Charger'
+    },
+    transcript: {
+        title: 'Relevé de Notes PDF',
+        name: 'Nom et prénom',
+        studentId: 'Identifiant étudiant',
+        className: 'Classe (ex: 3A12)',
+        period: 'Période',
+        scopes: {
+            term: 'Semestre affiché',
+            year: 'Année universitaire',
+            all: 'Tout le parcours'
+        },
+        printHint: 'Choisissez « Enregistrer au format PDF » dans la fenêtre d\'impression.',
+        generate: 'Générer le relevé',
+        document: {
+            title: 'Relevé de Notes',
+            student: 'Étudiant :',
+            studentId: 'Identifiant :',
+            className: 'Classe :',
+            average: 'Moyenne ({suffix})',
+            resit: 'R',
+            semesterAverage: 'Moyenne du semestre',
+            annual: 'Moyennes annuelles',
+            year: 'Année',
+            generated: 'Document généré le {date} · Document non officiel'
+        }
+    },
+    share: {
+        title: 'Partager mes notes',
+        terms: 'Semestres partagés',
+        stripPersonal: 'Retirer mes informations personnelles (nom, identifiant, classe)',
+        privacy: 'Les notes sont contenues dans le lien lui-même : aucune donnée n\'est envoyée à un serveur.',
+        link: 'Lien de partage',
+        copied: 'Lien copié ✓',
+        copy: 'Copier le lien',
+        generate: 'Créer le lien',
+        compressError: 'Votre navigateur ne permet pas de compresser le lien.',
+        copyError: 'Copie impossible : sélectionnez le lien et copiez-le manuellement.'
+    },
+    shared: {
+        banner: 'Relevé partagé',
+        bannerBy: 'Relevé partagé par {name}',
+        bannerDate: ' le {date}',
+        readOnly: ' · lecture seule',
+        explore: 'Explorer comme scénario',
+        import: 'Importer dans mes notes',
+        scenarioName: 'Relevé partagé',
+        scenarioNameBy: 'Partagé par {name}'
+    },
+    update: {
+        available: 'Une nouvelle version est disponible.',
+        apply: 'Mettre à jour',
+        later: 'Plus tard'
+    },
+    cli: {
+        usage: 'Usage : gradeflow [--format table|json|csv] [--lang fr|en|ar] [fichier ...]\nLit des relevés CSV ou JSON (stdin sans fichier ou avec « - ») et affiche les moyennes.',
+        result: 'Résultat',
+        passed: 'Validée',
+        failed: 'Non validée',
+        source: 'Source',
+        mention: 'Mention',
+        general: 'Moyenne Générale : {average} · {decision} · {mention}',
+        rowError: '{source}:{line} ✕ {message}',
+        rowWarning: '{source}:{line} ⚠ {message}',
+        errors: {
+            noHeader: '{source} : en-tête CSV introuvable (Matière, CC, TP, Projet, Examen, Coef, Pondération).',
+            invalidJson: '{source} : JSON invalide.',
+            unknownJson: '{source} : JSON non reconnu (liste de matières ou profil exporté attendu).',
+            unreadable: '{source} : lecture impossible ({reason}).',
+            unknownFormat: 'Format inconnu : « {value} » (table, json ou csv).',
+            unknownLanguage: 'Langue inconnue : « {value} » (fr, en ou ar).'
+        }
+    },
+    vanilla: {
+        title: 'Calculateur de Moyennes',
+        subtitle: 'Gérez vos notes, calculez vos moyennes et analysez vos performances.',
+        formTitle: 'Ajouter une Matière',
+        subjectPlaceholder: 'Ex: Mathématiques',
+        cc: 'Note CC (Note 1)',
+        tp: 'Note TP (Note 2)',
+        exam: 'Note Examen',
+        submit: 'Ajouter Matière',
+        reset: '↺ Réinitialiser',
+        validated: 'Matières Validées',
+        danger: 'En Danger (<{danger})',
+        print: 'Imprimer',
+        ccShort: 'Note CC',
+        tpShort: 'Note TP',
+        examShort: 'Note Exam',
+        actions: 'Actions',
+        empty: 'Aucune matière ajoutée. Commencez par remplir le formulaire.',
+        legendExcellent: 'Excellence (≥ {excellent})',
+        legendPass: 'Validé (≥ {pass})',
+        legendResit: 'Rattrapage ({danger}-{pass})',
+        legendDanger: 'Danger (< {danger}) ⚠️',
+        confirmDelete: 'Supprimer cette matière ?',
+        deleted: '« {subject} » supprimée.',
+        statusExcellent: 'Excellence',
+        statusPass: 'Validée',
+        statusResit: 'Rattrapage',
+        statusDanger: 'Danger',
+        confirmReset: 'Tout effacer ?',
+        nothingToPrint: 'Aucune donnée à imprimer.',
+        nothingToExport: 'Aucune donnée à exporter.',
+        pinPrompt: 'Code PIN du profil {name} :',
+        locked: 'Ce profil est protégé par un code PIN. Rechargez la page pour le saisir, ou ouvrez-le dans l\'application principale.'
+    }
+};
@@ -0,0 +1,19 @@
+import axe from 'axe-core';
+
+// jsdom neither lays out nor paints the page, and components are rendered
+// outside the app's landmarks
+const OPTIONS = {
+    rules: {
+        'color-contrast': { enabled: false },
+        region: { enabled: false }
+    }
+};
+
+/**
+ * Run axe on `container` and return the violations as `rule: target` lines,
+ * so a failing expectation names what is wrong
+ */
+export const axeViolations = async (container) => {
+    const { violations } = await axe.run(container, OPTIONS);
+    return violations.flatMap(violation => violation.nodes.map(node => `${violation.id}: ${node.target.join(' ')}`));
+};
@@ -0,0 +1,115 @@
+/**
+ * CSV Utilities
+ * RFC 4180 style parsing and serialisation with the quirks of French
+ * spreadsheets: ";" separators, decimal commas and a UTF-8 BOM for Excel.
+ */
+
+export const BOM = '\uFEFF';
+
+const SEPARATORS = [';', ',', '\t'];
+
+// ============================================================================
+// NUMBERS
+// ============================================================================
+
+/**
+ * Parse a number written with a decimal point or a decimal comma ("12,5")
+ * Returns NaN when the value is not a plain number.
+ */
+export const parseDecimal = (value) => {
+    const text = String(value ?? '').trim().replace(/\s/g, '').replace(',', '.');
+    if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(text)) return NaN;
+    return parseFloat(text);
+};
+
+/**
+ * Format a number with a decimal comma, as French spreadsheets expect
+ */
+export const formatDecimal = (value, digits = 2) =>
+    Number(value).toFixed(digits).replace('.', ',');
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Guess the separator from the first line, ignoring quoted text
+ */
+export const detectSeparator = (text) => {
+    const firstLine = text.replace(/^\uFEFF/, '').split(/\r?\n/)[0].replace(/"[^"]*"/g, '');
+    const counts = SEPARATORS.map(separator => firstLine.split(separator).length - 1);
+    const best = counts.indexOf(Math.max(...counts));
+    return counts[best] > 0 ? SEPARATORS[best] : ';';
+};
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ * Handles quoted fields, doubled quotes, embedded separators and line breaks,
+ * CRLF line endings and a leading BOM. Blank lines are skipped.
+ */
+export const parseCsv = (text, separator = detectSeparator(text)) => {
+    const input = text.replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const endField = () => {
+        row.push(field);
+        field = '';
+    };
+    const endRow = () => {
+        endField();
+        if (row.some(value => value.trim() !== '')) rows.push(row);
+        row = [];
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === separator) {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) endRow();
+
+    return rows;
+};
+
+// ============================================================================
+// SERIALISATION
+// ============================================================================
+
+/**
+ * Quote a field when it contains the separator, quotes or line breaks
+ */
+const escapeField = (value, separator) => {
+    const text = String(value ?? '');
+    if (!text.includes(separator) && !/["\r\n]/.test(text)) return text;
+    return `"${text.replace(/"/g, '""')}"`;
+};
+
+/**
+ * Serialise rows to CSV text, prefixed with a BOM so Excel reads UTF-8
+ * `bom: false` leaves it out, for output read by other programs.
+ */
+export const serializeCsv = (rows, { separator = ';', bom = true } = {}) =>
+    (bom ? BOM : '') + rows
+        .map(row => row.map(value => escapeField(value, separator)).join(separator))
+        .join('\r\n') + '\r\n';
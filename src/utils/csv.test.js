@@ -0,0 +1,22 @@
+import { describe, expect, it } from 'vitest';
+import { BOM, parseCsv, serializeCsv } from './csv.js';
+
+describe('serializeCsv', () => {
+    it('starts with a BOM for Excel by default', () => {
+        expect(serializeCsv([['Matière', 'Coef'], ['Analyse', 2]])).toBe(`${BOM}Matière;Coef\r\nAnalyse;2\r\n`);
+    });
+
+    it('leaves the BOM out on request', () => {
+        expect(serializeCsv([['Matière', 'Coef']], { bom: false })).toBe('Matière;Coef\r\n');
+    });
+
+    it('quotes fields holding the separator, quotes or line breaks', () => {
+        const rows = [['a;b', 'say "hi"', 'two\nlines', 'plain']];
+        expect(serializeCsv(rows, { bom: false })).toBe('"a;b";"say ""hi""";"two\nlines";plain\r\n');
+        expect(parseCsv(serializeCsv(rows), ';')).toEqual(rows);
+    });
+
+    it('uses another separator on request', () => {
+        expect(serializeCsv([['a,b', 'c']], { separator: ',', bom: false })).toBe('"a,b",c\r\n');
+    });
+});
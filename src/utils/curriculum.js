@@ -0,0 +1,99 @@
+/**
+ * Curriculum Catalogue
+ * Programme templates (track, level, semester) listing each semester's units
+ * and subjects with their coefficient and weighting profile. The catalogue is
+ * plain JSON (`src/data/curriculum.json`) passed to these helpers, so it can
+ * be extended without touching code.
+ */
+
+import { createId } from './ids.js';
+import { createUnit } from './units.js';
+import { DEFAULT_PROFILE_ID } from './weightingProfiles.js';
+
+/**
+ * Lowercase, accent-free and trimmed subject name, used to match subjects
+ */
+export const normalizeName = (text) =>
+    String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+// ============================================================================
+// LOOKUP
+// ============================================================================
+
+export const listTracks = (catalogue) =>
+    [...new Set(catalogue.programs.map(program => program.track))];
+
+export const listLevels = (catalogue, track) =>
+    [...new Set(catalogue.programs.filter(program => program.track === track).map(program => program.level))];
+
+export const findProgram = (catalogue, track, level, semester) =>
+    catalogue.programs.find(program =>
+        program.track === track && program.level === level && program.semester === semester
+    );
+
+export const formatProgram = (program) => `${program.track} · ${program.level} · ${program.semester}`;
+
+/**
+ * Every subject of the catalogue once, by name, for autocompletion
+ * When a subject appears in several programmes the first entry wins.
+ */
+export const listCatalogueSubjects = (catalogue) => {
+    const seen = new Map();
+    catalogue.programs.forEach(program => program.units.forEach(unit => unit.subjects.forEach(entry => {
+        const key = normalizeName(entry.subject);
+        if (!seen.has(key)) seen.set(key, entry);
+    })));
+    return [...seen.values()].sort((a, b) => a.subject.localeCompare(b.subject, 'fr'));
+};
+
+export const findCatalogueSubject = (catalogue, name) =>
+    listCatalogueSubjects(catalogue).find(entry => normalizeName(entry.subject) === normalizeName(name));
+
+// ============================================================================
+// LOADING A SEMESTER
+// ============================================================================
+
+/**
+ * Units and pending grades of a programme for one term
+ * Units already in the term are reused by name and subjects already
+ * entered are skipped, so loading twice does not duplicate anything.
+ * Returns { units, grades, skipped } where `units` only lists new units.
+ */
+export const instantiateProgram = (program, termId, existingUnits = [], existingGrades = []) => {
+    const units = [];
+    const grades = [];
+    let skipped = 0;
+    const enteredSubjects = new Set(existingGrades.map(grade => normalizeName(grade.subject)));
+
+    program.units.forEach(template => {
+        let unit = existingUnits.find(candidate =>
+            candidate.termId === termId && normalizeName(candidate.name) === normalizeName(template.name)
+        );
+        if (!unit) {
+            unit = createUnit(termId, template.name, template.credits);
+            units.push(unit);
+        }
+
+        template.subjects.forEach(entry => {
+            if (enteredSubjects.has(normalizeName(entry.subject))) {
+                skipped += 1;
+                return;
+            }
+            enteredSubjects.add(normalizeName(entry.subject));
+            grades.push({
+                id: createId(),
+                subject: entry.subject,
+                coef: entry.coef,
+                profileId: entry.profileId || DEFAULT_PROFILE_ID,
+                termId,
+                unitId: unit.id,
+                cc: '',
+                tp: '',
+                project: '',
+                exam: ''
+            });
+        });
+    });
+
+    return { units, grades, skipped };
+};
@@ -0,0 +1,15 @@
+/**
+ * Download Helper
+ * Saves generated text as a file from the browser.
+ */
+
+export const downloadFile = (content, filename, type = 'text/plain;charset=utf-8') => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
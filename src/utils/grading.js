@@ -0,0 +1,217 @@
+/**
+ * Grading Engine
+ * Pure averaging rules shared by the React app and the vanilla app.
+ * Every function works on plain grade objects:
+ * { subject, coef, cc, tp, project, exam, resit, resitRule, profileId }
+ * and accepts the list of known weighting profiles (built-in ones by default).
+ * Transcript aggregates also take the grading settings, whose rounding
+ * policy applies to subject and general averages (see gradingSettings.js).
+ */
+
+import { BUILT_IN_PROFILES, findProfile } from './weightingProfiles.js';
+import { DEFAULT_GRADING_SETTINGS, ROUNDING_STAGES, roundAverage } from './gradingSettings.js';
+
+// ============================================================================
+// THRESHOLDS
+// ============================================================================
+
+export const EXCELLENT_THRESHOLD = 16;
+export const PASS_THRESHOLD = 10;
+export const DANGER_THRESHOLD = 8;
+
+// ============================================================================
+// RESIT RULES
+// ============================================================================
+
+// How a resit (rattrapage) grade is combined with the original exam grade
+export const RESIT_RULES = {
+    REPLACE: 'replace',
+    MAX: 'max',
+    CAP: 'cap'
+};
+
+// Highest average reachable through a capped resit
+export const RESIT_CAP = PASS_THRESHOLD;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Check whether a single raw input value holds a usable grade
+ * Empty strings, null, undefined and non-numeric values are "missing"
+ */
+const isGradeValue = (value) => {
+    if (value === '' || value === null || value === undefined) return false;
+    return !isNaN(parseFloat(value)) && !isNaN(value);
+};
+
+/**
+ * Split a component value into its individual grades
+ * Several grades can be stored as an array or a ";"-separated string ("12;14.5")
+ */
+export const splitGrades = (value) => {
+    const values = Array.isArray(value)
+        ? value
+        : typeof value === 'string' ? value.split(';').map(part => part.trim()) : [value];
+    return values.filter(isGradeValue).map(parseFloat);
+};
+
+/**
+ * Check whether a raw component value holds at least one usable grade
+ */
+export const hasGrade = (value) => splitGrades(value).length > 0;
+
+/**
+ * Parse a raw component value into a number, falling back to 0 when missing
+ * Several grades are averaged together.
+ */
+export const toGrade = (value) => {
+    const values = splitGrades(value);
+    if (values.length === 0) return 0;
+    return values.reduce((acc, curr) => acc + curr, 0) / values.length;
+};
+
+/**
+ * Parse a coefficient, falling back to 0 when missing or invalid
+ */
+export const toCoef = (value) => {
+    const coef = parseFloat(value);
+    return isNaN(coef) ? 0 : coef;
+};
+
+// ============================================================================
+// SUBJECT AVERAGE
+// ============================================================================
+
+/**
+ * Pick the weighting scheme of a profile that applies to a grade
+ * Standard ESPRIT profile:
+ * - CC + TP + Exam: 30% + 20% + 50%
+ * - CC or TP + Exam: 40% + 60%
+ * - Exam only: 100%
+ */
+export const selectScheme = (profile, grade) => {
+    const applies = (scheme) => Object.keys(scheme).every(
+        key => profile.required.includes(key) || hasGrade(grade[key])
+    );
+    return profile.schemes.find(applies) || profile.schemes[profile.schemes.length - 1];
+};
+
+/**
+ * Weighted average of a grade's components under a profile
+ */
+const weighComponents = (profile, grade) => {
+    const scheme = selectScheme(profile, grade);
+    return Object.entries(scheme).reduce(
+        (acc, [key, weight]) => acc + toGrade(grade[key]) * weight,
+        0
+    );
+};
+
+/**
+ * Calculate the weighted average of a single subject using its profile
+ * A missing required component (the exam for most profiles) counts as 0.
+ * When a resit grade is recorded it stands in for the exam according to
+ * `resitRule`:
+ * - replace: the resit grade replaces the exam grade
+ * - max: the best of exam and resit grade is kept
+ * - cap: the resit grade replaces the exam, but the average cannot exceed
+ *   RESIT_CAP (nor drop below the original average)
+ */
+export const calculateAverage = (grade, profiles = BUILT_IN_PROFILES) => {
+    const profile = findProfile(profiles, grade.profileId);
+    const initial = weighComponents(profile, grade);
+    if (!hasGrade(grade.resit)) return initial;
+
+    const resit = toGrade(grade.resit);
+    switch (grade.resitRule) {
+        case RESIT_RULES.MAX:
+            return weighComponents(profile, { ...grade, exam: Math.max(toGrade(grade.exam), resit) });
+        case RESIT_RULES.CAP:
+            return Math.max(initial, Math.min(weighComponents(profile, { ...grade, exam: resit }), RESIT_CAP));
+        default:
+            return weighComponents(profile, { ...grade, exam: resit });
+    }
+};
+
+/**
+ * Subject average as it counts in the transcript: rounded first when the
+ * policy rounds each subject
+ */
+export const getSubjectAverage = (grade, profiles = BUILT_IN_PROFILES, settings = DEFAULT_GRADING_SETTINGS) => {
+    const average = calculateAverage(grade, profiles);
+    return settings.stage === ROUNDING_STAGES.SUBJECT ? roundAverage(average, settings) : average;
+};
+
+/**
+ * Whether a subject is still waiting for a required component (usually the exam)
+ */
+export const isPending = (grade, profiles = BUILT_IN_PROFILES) => {
+    const profile = findProfile(profiles, grade.profileId);
+    return profile.required.some(key => !hasGrade(grade[key])) && !hasGrade(grade.resit);
+};
+
+/**
+ * Subjects whose required components are all known
+ */
+export const getCompletedGrades = (grades, profiles = BUILT_IN_PROFILES) =>
+    grades.filter(grade => !isPending(grade, profiles));
+
+// ============================================================================
+// TRANSCRIPT AGGREGATES
+// Pending subjects are left out until their missing grades are known.
+// ============================================================================
+
+/**
+ * Sum of all coefficients
+ */
+export const getTotalCoef = (grades) =>
+    grades.reduce((acc, grade) => acc + toCoef(grade.coef), 0);
+
+/**
+ * Coefficient-weighted general average, rounded by the policy
+ * 0 when there is no coefficient.
+ */
+export const calculateGeneralAverage = (grades, profiles = BUILT_IN_PROFILES, settings = DEFAULT_GRADING_SETTINGS) => {
+    const completed = getCompletedGrades(grades, profiles);
+    const totalCoef = getTotalCoef(completed);
+    if (totalCoef <= 0) return 0;
+
+    const totalPoints = completed.reduce(
+        (acc, grade) => acc + getSubjectAverage(grade, profiles, settings) * toCoef(grade.coef),
+        0
+    );
+    return roundAverage(totalPoints / totalCoef, settings);
+};
+
+/**
+ * Number of subjects with an average >= PASS_THRESHOLD
+ */
+export const countValidated = (grades, profiles = BUILT_IN_PROFILES, settings = DEFAULT_GRADING_SETTINGS) =>
+    getCompletedGrades(grades, profiles).filter(grade => getSubjectAverage(grade, profiles, settings) >= PASS_THRESHOLD).length;
+
+/**
+ * Number of subjects with an average < DANGER_THRESHOLD
+ */
+export const countDanger = (grades, profiles = BUILT_IN_PROFILES, settings = DEFAULT_GRADING_SETTINGS) =>
+    getCompletedGrades(grades, profiles).filter(grade => getSubjectAverage(grade, profiles, settings) < DANGER_THRESHOLD).length;
+
+/**
+ * Whether a general average grants admission
+ */
+export const isAdmitted = (average) => average >= PASS_THRESHOLD;
+
+/**
+ * All transcript figures in one pass-friendly object
+ */
+export const summarizeGrades = (grades, profiles = BUILT_IN_PROFILES, settings = DEFAULT_GRADING_SETTINGS) => {
+    const completed = getCompletedGrades(grades, profiles);
+    return {
+        totalCoef: getTotalCoef(completed),
+        generalAvg: calculateGeneralAverage(completed, profiles, settings),
+        validatedCount: countValidated(completed, profiles, settings),
+        dangerCount: countDanger(completed, profiles, settings),
+        pendingCount: grades.length - completed.length
+    };
+};
@@ -0,0 +1,180 @@
+import { describe, expect, it } from 'vitest';
+import {
+    calculateAverage,
+    calculateGeneralAverage,
+    countDanger,
+    countValidated,
+    isPending,
+    summarizeGrades
+} from './grading.js';
+
+const grade = (fields) => ({ subject: 'Analyse', coef: 1, cc: '', tp: '', project: '', exam: '', profileId: 'standard', ...fields });
+
+// ============================================================================
+// SUBJECT AVERAGE
+// ============================================================================
+
+describe('calculateAverage', () => {
+    describe('standard profile', () => {
+        it('weighs CC, TP and exam 30/20/50', () => {
+            expect(calculateAverage(grade({ cc: 12, tp: 14, exam: 10 }))).toBeCloseTo(11.4);
+        });
+
+        it('weighs CC and exam 40/60 without a TP', () => {
+            expect(calculateAverage(grade({ cc: 12, exam: 10 }))).toBeCloseTo(10.8);
+        });
+
+        it('weighs TP and exam 40/60 without a CC', () => {
+            expect(calculateAverage(grade({ tp: 15, exam: 10 }))).toBeCloseTo(12);
+        });
+
+        it('uses the exam alone without CC or TP', () => {
+            expect(calculateAverage(grade({ exam: 13 }))).toBeCloseTo(13);
+        });
+
+        it('counts a missing exam as 0', () => {
+            expect(calculateAverage(grade({ cc: 12, tp: 14 }))).toBeCloseTo(6.4);
+        });
+    });
+
+    describe('CC+Exam 50/50 profile', () => {
+        it('weighs CC and exam equally', () => {
+            expect(calculateAverage(grade({ profileId: 'cc-exam', cc: 12, exam: 16 }))).toBeCloseTo(14);
+        });
+
+        it('ignores the TP', () => {
+            expect(calculateAverage(grade({ profileId: 'cc-exam', cc: 12, tp: 20, exam: 16 }))).toBeCloseTo(14);
+        });
+
+        it('uses the exam alone without a CC', () => {
+            expect(calculateAverage(grade({ profileId: 'cc-exam', exam: 9 }))).toBeCloseTo(9);
+        });
+    });
+
+    describe('multiple CC profile', () => {
+        it('averages several CC grades before weighting', () => {
+            expect(calculateAverage(grade({ profileId: 'multi-cc', cc: '10;14', exam: 12 }))).toBeCloseTo(12);
+        });
+
+        it('uses the exam alone without a CC', () => {
+            expect(calculateAverage(grade({ profileId: 'multi-cc', exam: 11 }))).toBeCloseTo(11);
+        });
+    });
+
+    describe('project profile', () => {
+        it('uses the project grade alone', () => {
+            expect(calculateAverage(grade({ profileId: 'projet', project: 15, exam: 4 }))).toBeCloseTo(15);
+        });
+
+        it('counts a missing project as 0', () => {
+            expect(calculateAverage(grade({ profileId: 'projet' }))).toBe(0);
+        });
+    });
+});
+
+describe('isPending', () => {
+    it('waits for the exam of exam-based profiles', () => {
+        expect(isPending(grade({ cc: 12, tp: 14 }))).toBe(true);
+        expect(isPending(grade({ profileId: 'cc-exam', cc: 12 }))).toBe(true);
+        expect(isPending(grade({ profileId: 'multi-cc', cc: '10;14' }))).toBe(true);
+    });
+
+    it('does not wait for a missing CC', () => {
+        expect(isPending(grade({ exam: 12 }))).toBe(false);
+    });
+
+    it('waits for the project of the project profile', () => {
+        expect(isPending(grade({ profileId: 'projet', exam: 12 }))).toBe(true);
+        expect(isPending(grade({ profileId: 'projet', project: 12 }))).toBe(false);
+    });
+});
+
+// ============================================================================
+// TRANSCRIPT AGGREGATES
+// ============================================================================
+
+describe('calculateGeneralAverage', () => {
+    it('weighs subject averages by their coefficients', () => {
+        const grades = [grade({ exam: 10, coef: 3 }), grade({ exam: 16, coef: 1 })];
+        expect(calculateGeneralAverage(grades)).toBeCloseTo(11.5);
+    });
+
+    it('accepts decimal coefficients', () => {
+        const grades = [grade({ exam: 10, coef: 1.5 }), grade({ exam: 15, coef: 0.5 })];
+        expect(calculateGeneralAverage(grades)).toBeCloseTo(11.25);
+    });
+
+    it('leaves out subjects with a coefficient of 0', () => {
+        const grades = [grade({ exam: 12, coef: 2 }), grade({ exam: 2, coef: 0 })];
+        expect(calculateGeneralAverage(grades)).toBeCloseTo(12);
+    });
+
+    it('is 0 when every coefficient is 0', () => {
+        expect(calculateGeneralAverage([grade({ exam: 12, coef: 0 })])).toBe(0);
+    });
+
+    it('is 0 without subjects', () => {
+        expect(calculateGeneralAverage([])).toBe(0);
+    });
+
+    it('leaves out subjects waiting for their exam', () => {
+        const grades = [grade({ exam: 14, coef: 2 }), grade({ cc: 2, tp: 2, coef: 4 })];
+        expect(calculateGeneralAverage(grades)).toBeCloseTo(14);
+    });
+
+    it('mixes profiles', () => {
+        const grades = [
+            grade({ cc: 12, tp: 14, exam: 10, coef: 2 }),
+            grade({ profileId: 'cc-exam', cc: 12, exam: 16, coef: 1 }),
+            grade({ profileId: 'projet', project: 15, coef: 1 })
+        ];
+        // (11.4 × 2 + 14 + 15) / 4
+        expect(calculateGeneralAverage(grades)).toBeCloseTo(12.95);
+    });
+});
+
+describe('countValidated and countDanger', () => {
+    const cases = [
+        { profileId: 'standard', passed: { cc: 10, tp: 10, exam: 10 }, resit: { cc: 9, exam: 8 }, failed: { tp: 5, exam: 7 } },
+        { profileId: 'cc-exam', passed: { cc: 14, exam: 6 }, resit: { cc: 8, exam: 9 }, failed: { exam: 7.99 } },
+        { profileId: 'multi-cc', passed: { cc: '12;16', exam: 8 }, resit: { cc: '8;8', exam: 9 }, failed: { cc: '2;4', exam: 9 } },
+        { profileId: 'projet', passed: { project: 10 }, resit: { project: 8 }, failed: { project: 3 } }
+    ];
+
+    cases.forEach(({ profileId, passed, resit, failed }) => {
+        it(`counts validated and danger subjects of the ${profileId} profile`, () => {
+            const grades = [passed, resit, failed].map(fields => grade({ profileId, ...fields }));
+            expect(countValidated(grades)).toBe(1);
+            expect(countDanger(grades)).toBe(1);
+        });
+
+        it(`leaves pending ${profileId} subjects out of the counts`, () => {
+            const pending = grade({ profileId, cc: 2, tp: 2 });
+            expect(countValidated([pending])).toBe(0);
+            expect(countDanger([pending])).toBe(0);
+        });
+    });
+
+    it('counts subjects with a coefficient of 0', () => {
+        const grades = [grade({ exam: 15, coef: 0 }), grade({ exam: 3, coef: 0 })];
+        expect(countValidated(grades)).toBe(1);
+        expect(countDanger(grades)).toBe(1);
+    });
+});
+
+describe('summarizeGrades', () => {
+    it('reports the completed and pending subjects', () => {
+        const summary = summarizeGrades([
+            grade({ cc: 12, exam: 10, coef: 2 }),
+            grade({ exam: 6, coef: 3 }),
+            grade({ cc: 18, coef: 1 })
+        ]);
+        expect(summary).toEqual({
+            totalCoef: 5,
+            generalAvg: expect.closeTo(7.92, 2),
+            validatedCount: 1,
+            dangerCount: 1,
+            pendingCount: 1
+        });
+    });
+});
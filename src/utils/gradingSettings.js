@@ -0,0 +1,119 @@
+/**
+ * Grading Settings
+ * The scale grades are shown on and the rounding policy of averages.
+ *
+ * Grades are always stored and computed on /20; the scale only changes how
+ * they are typed, displayed and exported. Rounding happens in the displayed
+ * scale, either on each subject average before weighting (and again on the
+ * general average) or on the general average only.
+ */
+
+// ============================================================================
+// OPTIONS
+// ============================================================================
+
+export const BASE_SCALE = 20;
+
+export const SCALES = {
+    20: { max: 20, suffix: '/20' },
+    100: { max: 100, suffix: '/100' },
+    percent: { max: 100, suffix: '%' }
+};
+
+export const ROUNDING_MODES = {
+    HALF_UP: 'half-up',
+    TRUNCATE: 'truncate'
+};
+
+export const ROUNDING_STEPS = [0.01, 0.25];
+
+export const ROUNDING_STAGES = {
+    SUBJECT: 'subject',
+    FINAL: 'final'
+};
+
+export const DEFAULT_GRADING_SETTINGS = {
+    scale: '20',
+    mode: ROUNDING_MODES.HALF_UP,
+    step: 0.01,
+    stage: ROUNDING_STAGES.FINAL
+};
+
+/**
+ * Settings with every unknown or missing option replaced by its default
+ */
+export const sanitizeGradingSettings = (input) => {
+    const source = input !== null && typeof input === 'object' ? input : {};
+    const pick = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+    return {
+        scale: pick(String(source.scale), Object.keys(SCALES), DEFAULT_GRADING_SETTINGS.scale),
+        mode: pick(source.mode, Object.values(ROUNDING_MODES), DEFAULT_GRADING_SETTINGS.mode),
+        step: pick(Number(source.step), ROUNDING_STEPS, DEFAULT_GRADING_SETTINGS.step),
+        stage: pick(source.stage, Object.values(ROUNDING_STAGES), DEFAULT_GRADING_SETTINGS.stage)
+    };
+};
+
+// ============================================================================
+// CONVERSION
+// ============================================================================
+
+const factorOf = (settings) => SCALES[settings.scale].max / BASE_SCALE;
+
+/**
+ * A /20 value on the displayed scale
+ */
+export const toScale = (value, settings = DEFAULT_GRADING_SETTINGS) => value * factorOf(settings);
+
+/**
+ * A value typed on the displayed scale, back on /20
+ * Kept to 6 decimals so 47.3/100 is stored as 9.46, not 9.459999…
+ */
+export const fromScale = (value, settings = DEFAULT_GRADING_SETTINGS) =>
+    Number((value / factorOf(settings)).toFixed(6));
+
+/**
+ * A stored component ("12.5;14") on the displayed scale, for editing
+ */
+export const scaleComponent = (value, settings = DEFAULT_GRADING_SETTINGS) =>
+    String(value ?? '')
+        .split(';')
+        .map(part => part.trim())
+        .filter(part => part !== '' && !isNaN(part))
+        .map(part => Number(toScale(parseFloat(part), settings).toFixed(4)))
+        .join(';');
+
+// ============================================================================
+// ROUNDING
+// ============================================================================
+
+// Absorbs binary noise such as 12.345 being stored as 12.344999…
+const EPSILON = 1e-9;
+
+/**
+ * Round a /20 average to the policy's step on the displayed scale
+ * Returns the rounded value on /20.
+ */
+export const roundAverage = (value, settings = DEFAULT_GRADING_SETTINGS) => {
+    const steps = toScale(value, settings) / settings.step;
+    const rounded = settings.mode === ROUNDING_MODES.TRUNCATE
+        ? Math.floor(steps + EPSILON)
+        : Math.floor(steps + 0.5 + EPSILON);
+    return (rounded * settings.step) / factorOf(settings);
+};
+
+/**
+ * Lowest /20 average that the policy rounds to at least `target`
+ */
+export const lowestRoundingTo = (target, settings = DEFAULT_GRADING_SETTINGS) => {
+    const steps = Math.ceil(toScale(target, settings) / settings.step - EPSILON);
+    const lowest = settings.mode === ROUNDING_MODES.TRUNCATE ? steps : steps - 0.5;
+    return (lowest * settings.step) / factorOf(settings);
+};
+
+/**
+ * An average as displayed and exported: rounded by the policy, on the scale
+ * Subject averages are shown rounded even when only the general average is
+ * rounded in the computation.
+ */
+export const averageOnScale = (value, settings = DEFAULT_GRADING_SETTINGS) =>
+    Number(toScale(roundAverage(value, settings), settings).toFixed(6));
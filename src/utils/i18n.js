@@ -0,0 +1,114 @@
+/**
+ * Internationalisation
+ * Message catalogues, locale-aware numbers and dates, and the language saved
+ * between visits. Shared by both front-ends.
+ *
+ * Messages are addressed with dotted keys ("summary.title"). `{name}`
+ * placeholders are filled from params; when params has a numeric `count`,
+ * the plural form `key_<category>` (Intl.PluralRules) is tried first, then
+ * `key_other`. Missing keys fall back to French.
+ */
+
+import fr from '../i18n/fr.js';
+import en from '../i18n/en.js';
+import ar from '../i18n/ar.js';
+
+export const LOCALE_KEY = 'espritLocale';
+
+export const DEFAULT_LOCALE = 'fr';
+
+// Arabic uses Tunisian conventions: Latin digits and decimal commas
+export const LOCALES = {
+    fr: { label: 'Français', tag: 'fr-FR', dir: 'ltr', messages: fr },
+    en: { label: 'English', tag: 'en-GB', dir: 'ltr', messages: en },
+    ar: { label: 'العربية', tag: 'ar-TN', dir: 'rtl', messages: ar }
+};
+
+export const isLocale = (value) => typeof value === 'string' && Object.hasOwn(LOCALES, value);
+
+// ============================================================================
+// MESSAGES
+// ============================================================================
+
+const lookup = (messages, key) => {
+    const message = key.split('.').reduce((node, part) => node?.[part], messages);
+    return typeof message === 'string' ? message : undefined;
+};
+
+const findMessage = (locale, key, count) => {
+    const { tag, messages } = LOCALES[locale];
+    if (typeof count === 'number') {
+        const plural = lookup(messages, `${key}_${new Intl.PluralRules(tag).select(count)}`)
+            ?? lookup(messages, `${key}_other`);
+        if (plural !== undefined) return plural;
+    }
+    return lookup(messages, key);
+};
+
+/**
+ * Message for `key` in `locale` with its placeholders filled in
+ * Unknown keys are returned as-is so they stand out in the interface.
+ */
+export const translate = (locale, key, params = {}) => {
+    const message = findMessage(locale, key, params.count)
+        ?? findMessage(DEFAULT_LOCALE, key, params.count)
+        ?? key;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+};
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+/**
+ * Number with a fixed count of decimals, e.g. "12,50" in French
+ */
+export const formatNumber = (locale, value, digits = 2) =>
+    new Intl.NumberFormat(LOCALES[locale].tag, {
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits
+    }).format(value);
+
+export const formatDate = (locale, date, options) =>
+    new Date(date).toLocaleDateString(LOCALES[locale].tag, options);
+
+export const formatDateTime = (locale, date) =>
+    new Date(date).toLocaleString(LOCALES[locale].tag);
+
+/**
+ * Translation and formatting functions bound to one locale
+ */
+export const createTranslator = (locale) => ({
+    locale,
+    dir: LOCALES[locale].dir,
+    t: (key, params) => translate(locale, key, params),
+    formatNumber: (value, digits) => formatNumber(locale, value, digits),
+    formatDate: (date, options) => formatDate(locale, date, options),
+    formatDateTime: (date) => formatDateTime(locale, date)
+});
+
+// ============================================================================
+// PREFERENCE
+// ============================================================================
+
+/**
+ * Saved language, else the browser's when supported, else French
+ */
+export const loadLocale = () => {
+    const saved = localStorage.getItem(LOCALE_KEY);
+    if (isLocale(saved)) return saved;
+    const preferred = (navigator.language || '').slice(0, 2).toLowerCase();
+    return isLocale(preferred) ? preferred : DEFAULT_LOCALE;
+};
+
+export const saveLocale = (locale) => {
+    localStorage.setItem(LOCALE_KEY, locale);
+};
+
+/**
+ * Language and writing direction of the whole page
+ */
+export const applyDocumentLocale = (locale) => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = LOCALES[locale].dir;
+};
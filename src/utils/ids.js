@@ -0,0 +1,12 @@
+/**
+ * Id Generation
+ * Timestamp-based numeric ids (like the original `Date.now()` ids) that stay
+ * unique when several records are created within the same millisecond.
+ */
+
+let lastId = 0;
+
+export const createId = () => {
+    lastId = Math.max(Date.now(), lastId + 1);
+    return lastId;
+};
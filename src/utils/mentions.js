@@ -0,0 +1,50 @@
+/**
+ * Mentions (Honours)
+ * Bands awarded from the general average, lowest first.
+ * Thresholds are configurable; the labels are those of the diploma.
+ */
+
+export const DEFAULT_MENTION_BANDS = [
+    { label: 'Passable', min: 10 },
+    { label: 'Assez Bien', min: 12 },
+    { label: 'Bien', min: 14 },
+    { label: 'Très Bien', min: 16 }
+];
+
+/**
+ * Bands ordered by threshold, lowest first
+ */
+export const sortBands = (bands) => [...bands].sort((a, b) => a.min - b.min);
+
+/**
+ * Highest band reached by an average, or null below the first one
+ */
+export const getMention = (avg, bands = DEFAULT_MENTION_BANDS) =>
+    sortBands(bands).filter(band => avg >= band.min).pop() ?? null;
+
+/**
+ * First band not reached yet and the points missing to reach it
+ * Returns null once the highest band is reached.
+ */
+export const getNextMention = (avg, bands = DEFAULT_MENTION_BANDS) => {
+    const band = sortBands(bands).find(candidate => avg < candidate.min);
+    return band ? { band, distance: band.min - avg } : null;
+};
+
+/**
+ * Each band with whether it is reached and the points still missing
+ */
+export const describeBands = (avg, bands = DEFAULT_MENTION_BANDS) =>
+    sortBands(bands).map(band => ({
+        ...band,
+        reached: avg >= band.min,
+        distance: Math.max(0, band.min - avg)
+    }));
+
+/**
+ * Whether thresholds are within 0-20 and strictly increasing
+ */
+export const areBandsValid = (bands) =>
+    bands.every((band, i) =>
+        Number.isFinite(band.min) && band.min >= 0 && band.min <= 20 && (i === 0 || band.min > bands[i - 1].min)
+    );
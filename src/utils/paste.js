@@ -0,0 +1,162 @@
+/**
+ * Pasted Grades
+ * Turns text copied from the ESPRIT portal or a spreadsheet into rows of
+ * cells and guesses which grade field each column holds. The rows are then
+ * checked by `mapRows` (transcriptCsv.js), like a CSV import.
+ */
+
+import { parseCsv, parseDecimal } from './csv.js';
+import { guessMapping, looksLikeHeader } from './transcriptCsv.js';
+import { MAX_COEF } from './validation.js';
+
+// Separators tried before falling back to free-form lines, in order
+const SEPARATORS = ['\t', ';', '|'];
+
+// Cells standing for a missing grade
+const EMPTY_CELLS = ['-', '–', '—', '/'];
+
+// Grade fields given to the numeric columns, by number of columns
+const GRADE_LAYOUTS = {
+    1: ['exam'],
+    2: ['cc', 'exam'],
+    3: ['cc', 'tp', 'exam'],
+    4: ['cc', 'tp', 'project', 'exam']
+};
+
+// ============================================================================
+// CELLS
+// ============================================================================
+
+/**
+ * Trimmed cell, with "14/20" reduced to its grade and dashes to ''
+ */
+const cleanCell = (cell) => {
+    const text = cell.trim();
+    if (EMPTY_CELLS.includes(text)) return '';
+    const outOf = text.match(/^([-+]?\d+(?:[.,]\d+)?)\s*\/\s*\d+$/);
+    return outOf ? outOf[1] : text;
+};
+
+const isNumericCell = (cell) => cell === '' || !Number.isNaN(parseDecimal(cell));
+
+/**
+ * Number of trailing numeric tokens of a line, leaving at least one for the subject
+ */
+const countTrailingNumbers = (tokens) => {
+    let start = tokens.length;
+    while (start > 1 && isNumericCell(cleanCell(tokens[start - 1]))) start--;
+    return tokens.length - start;
+};
+
+/**
+ * Column count shared by most lines (the larger on a tie), or null unless at
+ * least two lines agree on it
+ */
+const sharedCount = (counts) => {
+    const tally = new Map();
+    counts.forEach(count => tally.set(count, (tally.get(count) ?? 0) + 1));
+    const [count, lines] = [...tally].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0] ?? [];
+    return lines >= 2 ? count : null;
+};
+
+/**
+ * Split lines without separators: the trailing numbers are the grades and
+ * coefficient, everything before them is the subject
+ * "Bases de données 12,5 - 14" gives ["Bases de données", "12,5", "-", "14"].
+ * A line with more numbers than the count the other lines share keeps its
+ * extra leading digits (a course number, never a grade like 12) in the
+ * subject: among lines of two grades, "Analyse 1 12 14" gives
+ * ["Analyse 1", "12", "14"].
+ */
+const splitFreeLines = (lines) => {
+    const tokenized = lines.map(line => line.trim().split(/\s+/));
+    const counts = tokenized.map(countTrailingNumbers);
+
+    return tokenized.map((tokens, index) => {
+        // Lines without numbers (a header) say nothing about the column count
+        const columns = sharedCount(counts.filter((count, i) => i !== index && count > 0)) ?? counts[index];
+        let start = tokens.length - counts[index];
+        while (tokens.length - start > columns && /^[1-9]$/.test(tokens[start])) start++;
+        return [tokens.slice(0, start).join(' '), ...tokens.slice(start)];
+    });
+};
+
+/**
+ * Right-align the numbers of free-form lines, the exam being the last one
+ * on every line even when some lines have fewer grades
+ */
+const alignFreeLines = (rows) => {
+    const width = Math.max(0, ...rows.map(row => row.length));
+    return rows.map(([subject, ...numbers]) => [subject, ...Array(width - 1 - numbers.length).fill(''), ...numbers]);
+};
+
+// ============================================================================
+// ROWS
+// ============================================================================
+
+/**
+ * Split pasted text into rows of cleaned cells
+ * Tab-separated text (spreadsheets, portal tables) and lines using ";" or
+ * "|" are parsed as CSV; other lines are split on spaces. Rows are padded to
+ * the same length.
+ */
+export const splitPastedText = (text) => {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    const separator = SEPARATORS.find(candidate => lines.some(line => line.includes(candidate)));
+    const rows = (separator ? parseCsv(text, separator) : alignFreeLines(splitFreeLines(lines)))
+        .map(row => row.map(cleanCell));
+
+    // Columns empty on every row (trailing tabs, "| a | b |" borders) are dropped
+    const width = Math.max(0, ...rows.map(row => row.length));
+    const kept = Array.from({ length: width }, (_, column) => column)
+        .filter(column => rows.some(row => (row[column] ?? '') !== ''));
+    return rows.map(row => kept.map(column => row[column] ?? ''));
+};
+
+/**
+ * Guess the field of each column of header-less rows
+ * The first mostly textual column is the subject. Among the numeric ones,
+ * a column of small whole numbers (at most MAX_COEF) is the coefficient when
+ * it averages well below the others; the rest are grades, read in the
+ * portal's order (CC, TP, Projet, Examen). Returns one key (or '') per column.
+ */
+export const detectColumns = (rows) => {
+    const width = Math.max(0, ...rows.map(row => row.length));
+    const columns = Array.from({ length: width }, (_, column) => rows.map(row => row[column] ?? '').filter(cell => cell !== ''));
+    const mapping = Array(width).fill('');
+
+    const subject = columns.findIndex(cells => cells.filter(cell => !isNumericCell(cell)).length > cells.length / 2);
+    if (subject !== -1) mapping[subject] = 'subject';
+
+    const numeric = columns
+        .map((cells, column) => ({ column, values: cells.map(parseDecimal) }))
+        .filter(({ column, values }) => column !== subject && values.length > 0 && values.every(value => !Number.isNaN(value)));
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    const coefCandidates = numeric.filter(({ values }) => values.every(value => Number.isInteger(value) && value > 0 && value <= MAX_COEF));
+    const coef = coefCandidates.sort((a, b) => mean(a.values) - mean(b.values))[0];
+    const others = numeric.filter(candidate => candidate !== coef);
+    const isCoef = coef && numeric.length > 1 && mean(coef.values) < Math.min(...others.map(({ values }) => mean(values))) / 2;
+    if (isCoef) mapping[coef.column] = 'coef';
+
+    const grades = isCoef ? others : numeric;
+    (GRADE_LAYOUTS[grades.length] ?? []).forEach((key, i) => {
+        mapping[grades[i].column] = key;
+    });
+    return mapping;
+};
+
+/**
+ * Rows, header flag and column mapping of pasted text
+ * A first row naming known columns ("Matière", "Examen"…) is used as the
+ * header; otherwise the columns are detected from their content.
+ */
+export const parsePastedText = (text) => {
+    const rows = splitPastedText(text);
+    const hasHeader = rows.length > 0 && looksLikeHeader(rows[0]);
+    return {
+        rows,
+        hasHeader,
+        mapping: hasHeader ? guessMapping(rows[0]) : detectColumns(rows)
+    };
+};
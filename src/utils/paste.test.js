@@ -0,0 +1,103 @@
+import { describe, expect, it } from 'vitest';
+import { detectColumns, parsePastedText, splitPastedText } from './paste.js';
+
+// Lines copied from the portal, without separators
+const FREE_LINES = [
+    'Analyse 1 12 14',
+    'Algèbre 10 15',
+    'Bases de données 12,5 -'
+].join('\n');
+
+describe('splitPastedText', () => {
+    it('keeps numbers ending a subject name when the other lines have fewer columns', () => {
+        expect(splitPastedText(FREE_LINES)).toEqual([
+            ['Analyse 1', '12', '14'],
+            ['Algèbre', '10', '15'],
+            ['Bases de données', '12,5', '']
+        ]);
+    });
+
+    it('reads every trailing number as a column when the other lines have as many', () => {
+        expect(splitPastedText('Analyse 1 12 14\nAlgèbre 2 10 15\nRéseaux 1 9 11')).toEqual([
+            ['Analyse', '1', '12', '14'],
+            ['Algèbre', '2', '10', '15'],
+            ['Réseaux', '1', '9', '11']
+        ]);
+    });
+
+    it('reads every trailing number as a column without two other lines to compare with', () => {
+        expect(splitPastedText('Analyse 1 12 14\nAlgèbre 10 15')).toEqual([
+            ['Analyse', '1', '12', '14'],
+            ['Algèbre', '', '10', '15']
+        ]);
+    });
+
+    it('never moves grades, decimals or dashes into the subject', () => {
+        expect(splitPastedText('Physique 12,5 9 14\nChimie 10 15')).toEqual([
+            ['Physique', '12,5', '9', '14'],
+            ['Chimie', '', '10', '15']
+        ]);
+        expect(splitPastedText('Anglais - 11 13\nFrançais 10 15')).toEqual([
+            ['Anglais', '11', '13'],
+            ['Français', '10', '15']
+        ]);
+    });
+
+    it('right-aligns lines with fewer grades', () => {
+        expect(splitPastedText('Analyse 12 14\nStage 16')).toEqual([
+            ['Analyse', '12', '14'],
+            ['Stage', '', '16']
+        ]);
+        expect(splitPastedText('Analyse 12 14\nStage 16\nPFE 15')).toEqual([
+            ['Analyse', '12', '14'],
+            ['Stage', '', '16'],
+            ['PFE', '', '15']
+        ]);
+    });
+
+    it('ignores header lines when counting columns', () => {
+        expect(splitPastedText('Matière CC Examen\nAnalyse 1 12 14')).toEqual([
+            ['Matière CC Examen', '', '', ''],
+            ['Analyse', '1', '12', '14']
+        ]);
+    });
+
+    it('parses separated lines as CSV and drops empty border columns', () => {
+        expect(splitPastedText('| Analyse 1 | 12/20 | 14 |\n| Algèbre | – | 15 |')).toEqual([
+            ['Analyse 1', '12', '14'],
+            ['Algèbre', '', '15']
+        ]);
+        expect(splitPastedText('Analyse 1\t2\t14\t\nAlgèbre\t3\t15\t')).toEqual([
+            ['Analyse 1', '2', '14'],
+            ['Algèbre', '3', '15']
+        ]);
+    });
+});
+
+describe('detectColumns', () => {
+    it('finds the subject, the coefficient and the grades', () => {
+        expect(detectColumns([
+            ['Analyse', '2', '12', '14'],
+            ['Algèbre', '3', '10', '15']
+        ])).toEqual(['subject', 'coef', 'cc', 'exam']);
+    });
+
+    it('reads a lone numeric column as the exam', () => {
+        expect(detectColumns([['Analyse', '14'], ['Algèbre', '9']])).toEqual(['subject', 'exam']);
+    });
+});
+
+describe('parsePastedText', () => {
+    it('maps numbered subjects without taking their number as a grade', () => {
+        const { rows, hasHeader, mapping } = parsePastedText(FREE_LINES);
+        expect(hasHeader).toBe(false);
+        expect(mapping).toEqual(['subject', 'cc', 'exam']);
+        expect(rows[0][0]).toBe('Analyse 1');
+    });
+
+    it('uses a first row naming the columns as the header', () => {
+        const { hasHeader, mapping } = parsePastedText('Matière;Coef;Examen\nAnalyse 1;2;14');
+        expect(hasHeader).toBe(true);
+        expect(mapping).toEqual(['subject', 'coef', 'exam']);
+    });
+});
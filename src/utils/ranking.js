@@ -0,0 +1,104 @@
+/**
+ * Class Ranking Simulation
+ * Places the student among the anonymised averages of their class:
+ * rank, percentile and distribution over the 0-20 scale.
+ * Averages are typed on the grading settings' scale and kept on /20.
+ */
+
+import { parseDecimal } from './csv.js';
+import { BASE_SCALE, DEFAULT_GRADING_SETTINGS, SCALES, fromScale } from './gradingSettings.js';
+
+const MAX_AVERAGE = BASE_SCALE;
+
+/**
+ * A typed average back on /20, or NaN when it is not on the scale
+ */
+const toAverage = (value, settings) =>
+    !isNaN(value) && value >= 0 && value <= SCALES[settings.scale].max ? fromScale(value, settings) : NaN;
+
+// ============================================================================
+// INPUT
+// ============================================================================
+
+/**
+ * Averages pasted as free text: one per line, or separated by spaces,
+ * semicolons or tabs. Decimal commas are accepted.
+ * Returns { values, ignored } where `ignored` lists the rejected tokens.
+ */
+export const parseClassAverages = (text, settings = DEFAULT_GRADING_SETTINGS) => {
+    const tokens = String(text ?? '').split(/[\s;|]+/).filter(Boolean);
+    const values = [];
+    const ignored = [];
+    tokens.forEach(token => {
+        const value = toAverage(parseDecimal(token), settings);
+        if (!isNaN(value)) values.push(value);
+        else ignored.push(token);
+    });
+    return { values, ignored };
+};
+
+/**
+ * Averages from parsed CSV rows
+ * Uses the column titled "Moyenne" (or "Average") when there is one,
+ * otherwise the last column; non numeric cells such as headers are skipped.
+ */
+export const extractAverageColumn = (rows, settings = DEFAULT_GRADING_SETTINGS) => {
+    const header = rows[0] ?? [];
+    const titled = header.findIndex(cell => /^(moy|average|avg)/i.test(String(cell).trim()));
+    return rows
+        .map(row => toAverage(parseDecimal(titled >= 0 ? row[titled] : row[row.length - 1]), settings))
+        .filter(value => !isNaN(value));
+};
+
+// ============================================================================
+// RANKING
+// ============================================================================
+
+/**
+ * Rank of an average within the class
+ * When `includesSelf` is set, one class average equal to the student's
+ * (to the hundredth) is taken as theirs instead of counting them twice.
+ * Returns { rank, size, percentile }: rank 1 is the best; percentile is
+ * the share of the class below the student, ties counting for half.
+ */
+export const rankInClass = (avg, averages, includesSelf = true) => {
+    const others = [...averages];
+    if (includesSelf) {
+        const own = others.findIndex(value => Math.abs(value - avg) < 0.005);
+        if (own >= 0) others.splice(own, 1);
+    }
+
+    const above = others.filter(value => value > avg).length;
+    const below = others.filter(value => value < avg).length;
+    const ties = others.length - above - below;
+    const size = others.length + 1;
+
+    return {
+        rank: above + 1,
+        size,
+        percentile: ((below + ties / 2) / Math.max(1, size - 1)) * 100
+    };
+};
+
+/**
+ * Number of averages in each bin of `width` points over 0-20
+ * The last bin includes 20. Returns [{ from, to, count }].
+ */
+export const buildHistogram = (averages, width = 2) => {
+    const count = Math.ceil(MAX_AVERAGE / width);
+    const bins = Array.from({ length: count }, (_, i) => ({
+        from: i * width,
+        to: Math.min(MAX_AVERAGE, (i + 1) * width),
+        count: 0
+    }));
+    averages.forEach(value => {
+        bins[Math.min(count - 1, Math.floor(value / width))].count += 1;
+    });
+    return bins;
+};
+
+/**
+ * Index of the histogram bin holding an average
+ */
+export const findBin = (bins, avg) =>
+    bins.findIndex((bin, i) => avg >= bin.from && (avg < bin.to || i === bins.length - 1));
@@ -0,0 +1,98 @@
+/**
+ * Resit Session (Rattrapage)
+ * Compares the ordinary session with the resit session and tells which
+ * failed subjects must, or may, be retaken under the admission rules:
+ * a semester is passed when its general average reaches PASS_THRESHOLD
+ * and none of its teaching units is failed.
+ */
+
+import { BUILT_IN_PROFILES } from './weightingProfiles.js';
+import {
+    getSubjectAverage,
+    hasGrade,
+    isPending,
+    summarizeGrades,
+    isAdmitted,
+    PASS_THRESHOLD
+} from './grading.js';
+import { evaluateTermUnits, isUnitValidated, UNIT_STATUS, DEFAULT_COMPENSATION_RULES } from './units.js';
+import { DEFAULT_GRADING_SETTINGS } from './gradingSettings.js';
+
+export const hasResit = (grade) => hasGrade(grade.resit);
+
+/**
+ * Grades as they stood before the resit session
+ */
+export const withoutResits = (grades) =>
+    grades.map(grade => (hasResit(grade) ? { ...grade, resit: '' } : grade));
+
+/**
+ * Admission decision for one session of a term
+ */
+export const decideAdmission = (
+    grades,
+    units,
+    termId,
+    profiles = BUILT_IN_PROFILES,
+    rules = DEFAULT_COMPENSATION_RULES,
+    settings = DEFAULT_GRADING_SETTINGS
+) => {
+    const summary = summarizeGrades(grades, profiles, settings);
+    const unitEvaluation = evaluateTermUnits(units, grades, termId, profiles, rules, settings);
+    const failedUnits = unitEvaluation.units.filter(result => result.status === UNIT_STATUS.FAILED);
+
+    return {
+        ...summary,
+        unitEvaluation,
+        admitted: isAdmitted(summary.generalAvg) && failedUnits.length === 0
+    };
+};
+
+/**
+ * Decisions before and after the resit session
+ */
+export const compareSessions = (
+    grades,
+    units,
+    termId,
+    profiles = BUILT_IN_PROFILES,
+    rules = DEFAULT_COMPENSATION_RULES,
+    settings = DEFAULT_GRADING_SETTINGS
+) => ({
+    before: decideAdmission(withoutResits(grades), units, termId, profiles, rules, settings),
+    after: decideAdmission(grades, units, termId, profiles, rules, settings)
+});
+
+/**
+ * Graded subjects under PASS_THRESHOLD after the ordinary session, split into
+ * mandatory resits (needed for admission or eliminatory) and optional ones
+ */
+export const planResits = (
+    grades,
+    units,
+    termId,
+    profiles = BUILT_IN_PROFILES,
+    rules = DEFAULT_COMPENSATION_RULES,
+    settings = DEFAULT_GRADING_SETTINGS
+) => {
+    const initialGrades = withoutResits(grades);
+    const decision = decideAdmission(initialGrades, units, termId, profiles, rules, settings);
+    const validatedUnits = decision.unitEvaluation.units.filter(isUnitValidated).map(result => result.unit.id);
+
+    const mandatory = [];
+    const optional = [];
+    grades.forEach((grade, i) => {
+        if (isPending(initialGrades[i], profiles)) return;
+        const before = getSubjectAverage(initialGrades[i], profiles, settings);
+        if (before >= PASS_THRESHOLD) return;
+
+        const entry = { grade, before, after: getSubjectAverage(grade, profiles, settings) };
+        const eliminatory = before < rules.eliminatoryThreshold;
+        const covered = decision.admitted || validatedUnits.includes(grade.unitId);
+
+        if (eliminatory || !covered) mandatory.push(entry);
+        else optional.push(entry);
+    });
+
+    return { mandatory, optional };
+};
@@ -0,0 +1,84 @@
+/**
+ * What-if Scenarios
+ * A scenario is a named copy of the whole transcript. Grades can be changed
+ * or added in it without touching the real data, then compared with the
+ * real transcript, discarded, or promoted to replace it.
+ */
+
+import { createId } from './ids.js';
+import { BUILT_IN_PROFILES } from './weightingProfiles.js';
+import { getSubjectAverage, isPending } from './grading.js';
+import { decideAdmission } from './resit.js';
+import { DEFAULT_COMPENSATION_RULES } from './units.js';
+import { getTermGrades } from './terms.js';
+import { DEFAULT_GRADING_SETTINGS } from './gradingSettings.js';
+
+export const SCENARIO_CHANGE = {
+    ADDED: 'added',
+    REMOVED: 'removed',
+    CHANGED: 'changed',
+    SAME: 'same'
+};
+
+export const createScenario = (name, grades, units = []) => ({
+    id: createId(),
+    name: name.trim(),
+    createdAt: new Date().toISOString(),
+    grades: grades.map(grade => ({ ...grade })),
+    units: units.map(unit => ({ ...unit }))
+});
+
+/**
+ * Average of a subject, or null while it is pending
+ */
+const subjectAverage = (grade, profiles, settings) =>
+    isPending(grade, profiles) ? null : getSubjectAverage(grade, profiles, settings);
+
+const classifyChange = (real, scenario, before, after) => {
+    if (!real) return SCENARIO_CHANGE.ADDED;
+    if (!scenario) return SCENARIO_CHANGE.REMOVED;
+    const edited = Object.keys({ ...real, ...scenario }).some(key => String(real[key] ?? '') !== String(scenario[key] ?? ''));
+    return edited || before !== after ? SCENARIO_CHANGE.CHANGED : SCENARIO_CHANGE.SAME;
+};
+
+/**
+ * Side-by-side comparison of one term in the real data and in a scenario
+ * Subjects are matched by id. Returns { rows, real, scenario } where rows
+ * are { id, subject, before, after, change } (averages null when pending
+ * or absent) and real / scenario are the admission decisions, each taken
+ * with its own units (`units` and `scenarioUnits`).
+ */
+export const diffScenario = (
+    realGrades,
+    scenarioGrades,
+    units,
+    termId,
+    profiles = BUILT_IN_PROFILES,
+    rules = DEFAULT_COMPENSATION_RULES,
+    settings = DEFAULT_GRADING_SETTINGS,
+    scenarioUnits = units
+) => {
+    const realTerm = getTermGrades(realGrades, termId);
+    const scenarioTerm = getTermGrades(scenarioGrades, termId);
+    const ids = [...new Set([...realTerm, ...scenarioTerm].map(grade => grade.id))];
+
+    const rows = ids.map(id => {
+        const real = realTerm.find(grade => grade.id === id);
+        const scenario = scenarioTerm.find(grade => grade.id === id);
+        const before = real ? subjectAverage(real, profiles, settings) : null;
+        const after = scenario ? subjectAverage(scenario, profiles, settings) : null;
+        return {
+            id,
+            subject: (scenario ?? real).subject,
+            before,
+            after,
+            change: classifyChange(real, scenario, before, after)
+        };
+    });
+
+    return {
+        rows,
+        real: decideAdmission(realTerm, units, termId, profiles, rules, settings),
+        scenario: decideAdmission(scenarioTerm, scenarioUnits, termId, profiles, rules, settings)
+    };
+};
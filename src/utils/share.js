@@ -0,0 +1,152 @@
+/**
+ * Share Links
+ * A transcript, or some of its semesters, is serialised to JSON, deflated
+ * and base64url-encoded into the URL fragment ("#share=..."). Fragments are
+ * never sent to a server, so the link carries the whole state by itself.
+ * Received data goes through the same validation as stored data.
+ */
+
+import { createId } from './ids.js';
+import { sanitizeData } from './storage.js';
+import { createTerm, findTerm } from './terms.js';
+import { createUnit } from './units.js';
+
+export const SHARE_PREFIX = '#share=';
+const SHARE_VERSION = 1;
+
+// Grade fields carried by a link; ids, history and notes stay private
+const SHARED_GRADE_FIELDS = ['id', 'subject', 'coef', 'profileId', 'termId', 'unitId', 'cc', 'tp', 'project', 'exam', 'resit', 'resitRule'];
+
+const pick = (object, keys) =>
+    Object.fromEntries(keys.filter(key => object[key] !== undefined && object[key] !== '').map(key => [key, object[key]]));
+
+// ============================================================================
+// PAYLOAD
+// ============================================================================
+
+/**
+ * The part of the data shared for the chosen terms
+ * The grading settings and compensation rules travel with it, so the
+ * recipient sees the averages and decisions of the sender. Student details
+ * are left out when `stripPersonal` is set.
+ */
+export const buildSharePayload = (
+    { grades, terms, units, customProfiles, student, gradingSettings, compensationRules },
+    termIds,
+    stripPersonal = true
+) => {
+    const sharedGrades = grades.filter(grade => termIds.includes(grade.termId));
+    const usedProfiles = new Set(sharedGrades.map(grade => grade.profileId));
+
+    return {
+        v: SHARE_VERSION,
+        terms: terms.filter(term => termIds.includes(term.id)),
+        units: units.filter(unit => termIds.includes(unit.termId)).map(unit => pick(unit, ['id', 'termId', 'name', 'credits'])),
+        customProfiles: customProfiles.filter(profile => usedProfiles.has(profile.id)),
+        grades: sharedGrades.map(grade => pick(grade, SHARED_GRADE_FIELDS)),
+        gradingSettings,
+        compensationRules,
+        student: stripPersonal ? {} : student,
+        sharedAt: new Date().toISOString()
+    };
+};
+
+// ============================================================================
+// ENCODING
+// ============================================================================
+
+const pipe = async (bytes, stream) =>
+    new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+const toBase64Url = (bytes) => {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+/**
+ * Compressed, URL-safe text of a payload
+ */
+export const encodeShare = async (payload) =>
+    toBase64Url(await pipe(new TextEncoder().encode(JSON.stringify(payload)), new CompressionStream('deflate-raw')));
+
+/**
+ * Payload of an encoded share, validated like stored data
+ * Links made before settings were shared get the default settings and rules.
+ * Returns { data, sharedAt }; throws when the text cannot be decoded.
+ */
+export const decodeShare = async (text) => {
+    const json = new TextDecoder().decode(await pipe(fromBase64Url(text), new DecompressionStream('deflate-raw')));
+    const payload = JSON.parse(json);
+    if (payload?.v !== SHARE_VERSION) throw new Error('Unsupported share version');
+    return { data: sanitizeData(payload).data, sharedAt: payload.sharedAt };
+};
+
+export const buildShareUrl = (encoded, location = window.location) =>
+    `${location.origin}${location.pathname}${SHARE_PREFIX}${encoded}`;
+
+/**
+ * Encoded share carried by a URL hash, or null
+ */
+export const readShareFragment = (hash) =>
+    (hash.startsWith(SHARE_PREFIX) ? hash.slice(SHARE_PREFIX.length) : null);
+
+// ============================================================================
+// MERGING
+// ============================================================================
+
+/**
+ * Map shared data onto the recipient's terms and units
+ * Semesters and units with the same year/semester or name are reused;
+ * shared grades get new ids. Returns only what must be added:
+ * { terms, units, customProfiles, grades, termIds } where termIds lists
+ * the recipient's ids of the shared semesters.
+ */
+export const mergeShared = (shared, { terms, units, customProfiles }) => {
+    const newTerms = [];
+    const newUnits = [];
+    const termIdMap = new Map();
+    const unitIdMap = new Map();
+
+    shared.terms.forEach(term => {
+        let target = findTerm([...terms, ...newTerms], term.year, term.semester);
+        if (!target) {
+            target = createTerm(term.year, term.semester);
+            newTerms.push(target);
+        }
+        termIdMap.set(term.id, target.id);
+    });
+
+    shared.units.forEach(unit => {
+        const termId = termIdMap.get(unit.termId);
+        if (termId === undefined) return;
+        let target = [...units, ...newUnits].find(candidate => candidate.termId === termId && candidate.name === unit.name);
+        if (!target) {
+            target = createUnit(termId, unit.name, unit.credits);
+            newUnits.push(target);
+        }
+        unitIdMap.set(unit.id, target.id);
+    });
+
+    return {
+        terms: newTerms,
+        units: newUnits,
+        customProfiles: shared.customProfiles.filter(profile => !customProfiles.some(own => own.id === profile.id)),
+        grades: shared.grades
+            .filter(grade => termIdMap.has(grade.termId))
+            .map(grade => ({
+                ...grade,
+                id: createId(),
+                termId: termIdMap.get(grade.termId),
+                unitId: unitIdMap.get(grade.unitId) ?? ''
+            })),
+        termIds: [...termIdMap.values()]
+    };
+};
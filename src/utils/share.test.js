@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_GRADING_SETTINGS } from './gradingSettings.js';
+import { buildSharePayload, decodeShare, encodeShare } from './share.js';
+import { DEFAULT_COMPENSATION_RULES } from './units.js';
+
+const TERM = { id: 1, year: '2025-2026', semester: 'S1' };
+
+const DATA = {
+    terms: [TERM],
+    units: [],
+    customProfiles: [],
+    grades: [{ id: 'a', subject: 'Analyse', coef: 2, cc: '12', tp: '', project: '', exam: '14', profileId: 'standard', termId: 1 }],
+    student: { name: 'Amal' },
+    gradingSettings: { scale: '100', mode: 'truncate', step: 0.25, stage: 'subject' },
+    compensationRules: { compensation: false, unitThreshold: 10, subjectThreshold: 9, eliminatoryThreshold: 5 }
+};
+
+const roundTrip = async (payload) => (await decodeShare(await encodeShare(payload))).data;
+
+describe('share links', () => {
+    it('carry the grading settings and compensation rules', async () => {
+        const data = await roundTrip(buildSharePayload(DATA, [TERM.id]));
+        expect(data.gradingSettings).toEqual(DATA.gradingSettings);
+        expect(data.compensationRules).toEqual(DATA.compensationRules);
+        expect(data.grades.map(grade => grade.subject)).toEqual(['Analyse']);
+    });
+
+    it('leave the student out unless asked', async () => {
+        expect((await roundTrip(buildSharePayload(DATA, [TERM.id]))).student).toEqual({});
+        expect((await roundTrip(buildSharePayload(DATA, [TERM.id], false))).student).toEqual({ name: 'Amal' });
+    });
+
+    it('replace unknown settings and mistyped rules by their defaults', async () => {
+        const payload = {
+            ...buildSharePayload(DATA, [TERM.id]),
+            gradingSettings: { scale: '7', mode: '<script>', step: 3, stage: null },
+            compensationRules: { compensation: 'yes', unitThreshold: 'NaN', subjectThreshold: '12', eliminatoryThreshold: {} }
+        };
+        const data = await roundTrip(payload);
+        expect(data.gradingSettings).toEqual(DEFAULT_GRADING_SETTINGS);
+        expect(data.compensationRules).toEqual({ ...DEFAULT_COMPENSATION_RULES, subjectThreshold: 12 });
+    });
+
+    it('open links made before settings were shared with the defaults', async () => {
+        const { gradingSettings: _settings, compensationRules: _rules, ...payload } = buildSharePayload(DATA, [TERM.id]);
+        const data = await roundTrip(payload);
+        expect(data.gradingSettings).toEqual(DEFAULT_GRADING_SETTINGS);
+        expect(data.compensationRules).toEqual(DEFAULT_COMPENSATION_RULES);
+    });
+});
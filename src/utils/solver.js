@@ -0,0 +1,117 @@
+/**
+ * Target Grade Solver
+ * Finds the minimum grade still needed on pending components (usually the
+ * exam) to reach a target average. When a subject misses several required
+ * components, the same grade is assumed on each of them. Subject averages
+ * are linear in that grade, so each target is solved exactly; completed
+ * subjects count as the engine rounds them under the grading settings, and
+ * a subject rounded on its own only needs the lowest average rounding to
+ * the target.
+ */
+
+import { BUILT_IN_PROFILES, findProfile } from './weightingProfiles.js';
+import { DEFAULT_GRADING_SETTINGS, ROUNDING_STAGES, lowestRoundingTo } from './gradingSettings.js';
+import {
+    calculateAverage,
+    getCompletedGrades,
+    getSubjectAverage,
+    getTotalCoef,
+    hasGrade,
+    isPending,
+    toCoef
+} from './grading.js';
+
+export const MAX_GRADE = 20;
+
+export const TARGET_STATUS = {
+    REACHABLE: 'reachable',
+    SECURED: 'secured',
+    IMPOSSIBLE: 'impossible'
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Required components still missing on a pending subject
+ */
+export const getPendingKeys = (grade, profiles = BUILT_IN_PROFILES) =>
+    findProfile(profiles, grade.profileId).required.filter(key => !hasGrade(grade[key]));
+
+/**
+ * Express a pending subject's average as `known + weight * x`,
+ * x being the grade obtained on each missing component
+ */
+const linearize = (grade, profiles) => {
+    const keys = getPendingKeys(grade, profiles);
+    const withGrade = (value) => ({ ...grade, ...Object.fromEntries(keys.map(key => [key, value])) });
+    const known = calculateAverage(withGrade(0), profiles);
+    const weight = calculateAverage(withGrade(1), profiles) - known;
+    return { keys, known, weight };
+};
+
+/**
+ * Classify a needed grade: more than MAX_GRADE is impossible, 0 or less is secured
+ */
+const toResult = (needed) => {
+    if (needed > MAX_GRADE) return { needed, status: TARGET_STATUS.IMPOSSIBLE };
+    if (needed <= 0) return { needed: 0, status: TARGET_STATUS.SECURED };
+    return { needed, status: TARGET_STATUS.REACHABLE };
+};
+
+// ============================================================================
+// SOLVERS
+// ============================================================================
+
+/**
+ * Minimum grade on the missing components of one subject to reach `target`
+ * `keys` lists those components.
+ */
+export const solveSubject = (
+    grade,
+    target,
+    profiles = BUILT_IN_PROFILES,
+    settings = DEFAULT_GRADING_SETTINGS
+) => {
+    const { keys, known, weight } = linearize(grade, profiles);
+    const lowest = settings.stage === ROUNDING_STAGES.SUBJECT ? lowestRoundingTo(target, settings) : target;
+    if (weight <= 0) {
+        return { keys, ...toResult(known >= lowest ? 0 : Infinity) };
+    }
+    return { keys, ...toResult((lowest - known) / weight) };
+};
+
+/**
+ * Minimum grade needed on every pending component (the same grade everywhere)
+ * for the general average of `grades` to reach `target`
+ */
+export const solveGeneral = (
+    grades,
+    target,
+    profiles = BUILT_IN_PROFILES,
+    settings = DEFAULT_GRADING_SETTINGS
+) => {
+    const pending = grades.filter(grade => isPending(grade, profiles));
+    const completed = getCompletedGrades(grades, profiles);
+    const totalCoef = getTotalCoef(grades);
+    const completedPoints = completed.reduce(
+        (acc, grade) => acc + getSubjectAverage(grade, profiles, settings) * toCoef(grade.coef),
+        0
+    );
+
+    const { knownPoints, weightedCoef } = pending.reduce((acc, grade) => {
+        const { known, weight } = linearize(grade, profiles);
+        const coef = toCoef(grade.coef);
+        return {
+            knownPoints: acc.knownPoints + known * coef,
+            weightedCoef: acc.weightedCoef + weight * coef
+        };
+    }, { knownPoints: 0, weightedCoef: 0 });
+
+    if (totalCoef <= 0) return toResult(Infinity);
+
+    const missingPoints = target * totalCoef - completedPoints - knownPoints;
+    if (weightedCoef <= 0) return toResult(missingPoints <= 0 ? 0 : Infinity);
+    return toResult(missingPoints / weightedCoef);
+};
@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest';
+import { BUILT_IN_PROFILES } from './weightingProfiles.js';
+import { ROUNDING_MODES, ROUNDING_STAGES } from './gradingSettings.js';
+import { TARGET_STATUS, solveGeneral, solveSubject } from './solver.js';
+
+const grade = (fields) => ({ subject: 'Analyse', coef: 1, cc: '', tp: '', project: '', exam: '', profileId: 'standard', ...fields });
+
+// Project and exam both required, 50/50
+const PROFILES = [
+    ...BUILT_IN_PROFILES,
+    { id: 'project-exam', name: 'Projet + Examen', required: ['project', 'exam'], schemes: [{ project: 0.5, exam: 0.5 }] }
+];
+
+describe('solveSubject', () => {
+    it('solves for the missing exam', () => {
+        expect(solveSubject(grade({ cc: 12, tp: 14 }), 10)).toEqual({
+            keys: ['exam'],
+            needed: expect.closeTo(7.2, 6),
+            status: TARGET_STATUS.REACHABLE
+        });
+    });
+
+    it('solves for the same grade on every missing component', () => {
+        const result = solveSubject(grade({ profileId: 'project-exam' }), 12, PROFILES);
+        expect(result.keys).toEqual(['project', 'exam']);
+        expect(result.needed).toBeCloseTo(12);
+    });
+
+    it('counts the known components of a partly graded subject', () => {
+        const result = solveSubject(grade({ profileId: 'project-exam', project: 16 }), 12, PROFILES);
+        expect(result.keys).toEqual(['exam']);
+        expect(result.needed).toBeCloseTo(8);
+    });
+
+    it('reports secured and impossible targets', () => {
+        expect(solveSubject(grade({ cc: 20, tp: 20 }), 5).status).toBe(TARGET_STATUS.SECURED);
+        expect(solveSubject(grade({ cc: 0, tp: 0 }), 16).status).toBe(TARGET_STATUS.IMPOSSIBLE);
+    });
+
+    it('aims at the lowest average rounded to the target when subjects are rounded', () => {
+        const subject = grade({ cc: 12, tp: 14 });
+        const truncate = { scale: '20', mode: ROUNDING_MODES.TRUNCATE, step: 0.25, stage: ROUNDING_STAGES.SUBJECT };
+        // 10.1 is only reached once truncated from 10.25: 6.4 + 0.5x = 10.25
+        expect(solveSubject(subject, 10.1, BUILT_IN_PROFILES, truncate).needed).toBeCloseTo(7.7);
+        // 10.01 is 50.05/100, reached from 50.25/100 = 10.05
+        expect(solveSubject(subject, 10.01, BUILT_IN_PROFILES, { ...truncate, scale: '100' }).needed).toBeCloseTo(7.3);
+        // Rounded half up, 9.875 already counts as 10
+        expect(solveSubject(subject, 10, BUILT_IN_PROFILES, { ...truncate, mode: ROUNDING_MODES.HALF_UP }).needed).toBeCloseTo(6.95);
+        // Rounding the general average only leaves the subject unrounded
+        expect(solveSubject(subject, 10.1, BUILT_IN_PROFILES, { ...truncate, stage: ROUNDING_STAGES.FINAL }).needed).toBeCloseTo(7.4);
+    });
+});
+
+describe('solveGeneral', () => {
+    it('solves for the same grade on every missing component of every subject', () => {
+        const grades = [
+            grade({ profileId: 'project-exam', coef: 2 }),
+            grade({ exam: 14, coef: 2 })
+        ];
+        // (2x + 28) / 4 = 12
+        expect(solveGeneral(grades, 12, PROFILES).needed).toBeCloseTo(10);
+    });
+
+    it('counts completed subjects as rounded by the settings', () => {
+        const grades = [grade({ exam: 9.996, coef: 1 }), grade({ coef: 1 })];
+        const settings = { scale: '20', mode: ROUNDING_MODES.TRUNCATE, step: 0.25, stage: ROUNDING_STAGES.SUBJECT };
+        // 9.996 is truncated to 9.75: (9.75 + x) / 2 = 10
+        expect(solveGeneral(grades, 10, BUILT_IN_PROFILES, settings).needed).toBeCloseTo(10.25);
+        expect(solveGeneral(grades, 10).needed).toBeCloseTo(10.004);
+    });
+});
@@ -0,0 +1,387 @@
+/**
+ * Versioned Storage
+ * All app data lives in one localStorage document:
+ * { schemaVersion, savedAt, data }
+ * where `data` holds the student profiles sharing the device, each with its
+ * own transcripts and settings: { students, activeStudentId }.
+ *
+ * Older layouts are upgraded by forward migrations, one version at a time.
+ * Version 0 is the layout used before this module existed: one key per
+ * piece of state, plus the vanilla app's `gradeData` list.
+ * Stored data is validated on load; corrupt values are backed up and
+ * skipped instead of crashing the app.
+ */
+
+import { createId } from './ids.js';
+import { createTerm, getAcademicYear } from './terms.js';
+import { DEFAULT_PROFILE_ID } from './weightingProfiles.js';
+import { DEFAULT_COMPENSATION_RULES } from './units.js';
+import { DEFAULT_MENTION_BANDS, areBandsValid } from './mentions.js';
+import { stampGrade } from './timeline.js';
+import { sanitizeGradingSettings } from './gradingSettings.js';
+
+export const STORAGE_KEY = 'espritGradeStore';
+export const SCHEMA_VERSION = 3;
+
+// Keys written by earlier releases
+export const LEGACY_KEYS = {
+    grades: 'espritGradeData',
+    customProfiles: 'espritWeightingProfiles',
+    terms: 'espritTerms',
+    activeTermId: 'espritActiveTerm',
+    units: 'espritUnits',
+    compensationRules: 'espritCompensationRules',
+    student: 'espritStudentInfo',
+    vanillaGrades: 'gradeData'
+};
+
+// ============================================================================
+// SAFE ACCESS
+// ============================================================================
+
+/**
+ * Keep a copy of a value that could not be read, for manual recovery
+ */
+const backupCorrupt = (key, raw) => {
+    try {
+        localStorage.setItem(`${key}:corrupt:${Date.now()}`, raw);
+    } catch {
+        // Storage full: the corrupt value is dropped
+    }
+};
+
+/**
+ * Read and parse a JSON value, returning `fallback` when it is missing or corrupt
+ * Corrupt values are backed up under "<key>:corrupt:<timestamp>".
+ */
+export const readJson = (key, fallback = null, onCorrupt = () => {}) => {
+    const raw = localStorage.getItem(key);
+    if (raw === null) return fallback;
+    try {
+        return JSON.parse(raw);
+    } catch {
+        backupCorrupt(key, raw);
+        onCorrupt(key);
+        return fallback;
+    }
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const toText = (value) => (value === null || value === undefined ? '' : String(value));
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+const GRADE_FIELDS = ['cc', 'tp', 'project', 'exam', 'resit'];
+
+const isSnapshot = (entry) => isObject(entry) && !isNaN(Date.parse(entry.at)) && isObject(entry.values);
+
+/**
+ * Compensation rules with every missing or mistyped rule set to its default
+ */
+const sanitizeRules = (input) => {
+    const source = isObject(input) ? input : {};
+    return Object.fromEntries(Object.entries(DEFAULT_COMPENSATION_RULES).map(([key, fallback]) => {
+        if (typeof fallback === 'boolean') return [key, typeof source[key] === 'boolean' ? source[key] : fallback];
+        const value = parseFloat(source[key]);
+        return [key, Number.isFinite(value) ? value : fallback];
+    }));
+};
+
+/**
+ * Repair what can be repaired and drop what cannot, in one student's data
+ * Returns { data, dropped } where `dropped` counts discarded entries.
+ */
+export const sanitizeData = (input) => {
+    const source = isObject(input) ? input : {};
+    let dropped = 0;
+
+    const keepValid = (list, isValid) => {
+        if (!Array.isArray(list)) return [];
+        const valid = list.filter(isValid);
+        dropped += list.length - valid.length;
+        return valid;
+    };
+
+    let terms = keepValid(source.terms, term =>
+        isObject(term) && term.id !== undefined && typeof term.year === 'string' && typeof term.semester === 'string'
+    );
+    if (terms.length === 0) terms = [createTerm(getAcademicYear(), 'S1')];
+    const termIds = terms.map(term => term.id);
+
+    // Used for the real units and for each scenario's copy of them
+    const cleanUnits = (list) => keepValid(list, unit =>
+        isObject(unit) && unit.id !== undefined && typeof unit.name === 'string'
+    ).map(unit => ({ ...unit, credits: parseFloat(unit.credits) || 0 }));
+
+    const units = cleanUnits(source.units);
+
+    const customProfiles = keepValid(source.customProfiles, profile =>
+        isObject(profile) && typeof profile.id === 'string' && Array.isArray(profile.schemes)
+        && profile.schemes.length > 0 && Array.isArray(profile.required)
+    );
+
+    // Used for the real grades and for each scenario's copy of them
+    const cleanGrades = (list) => {
+        const seenIds = new Set();
+        return keepValid(list, grade =>
+            isObject(grade) && toText(grade.subject).trim() !== ''
+        ).map(grade => {
+            const id = grade.id !== undefined && !seenIds.has(grade.id) ? grade.id : createId();
+            seenIds.add(id);
+            const clean = {
+                ...grade,
+                ...Object.fromEntries(GRADE_FIELDS.map(key => [key, toText(grade[key])])),
+                id,
+                subject: toText(grade.subject),
+                coef: isNaN(parseFloat(grade.coef)) ? 1 : grade.coef,
+                profileId: grade.profileId || DEFAULT_PROFILE_ID,
+                termId: termIds.includes(grade.termId) ? grade.termId : terms[0].id
+            };
+            const history = Array.isArray(grade.history) ? grade.history.filter(isSnapshot) : [];
+            return history.length > 0 ? { ...clean, history } : stampGrade(clean);
+        });
+    };
+
+    const grades = cleanGrades(source.grades);
+
+    const scenarios = keepValid(source.scenarios, scenario =>
+        isObject(scenario) && scenario.id !== undefined && typeof scenario.name === 'string'
+    ).map(scenario => ({
+        ...scenario,
+        grades: cleanGrades(scenario.grades),
+        // Scenarios saved before they had their own units start from the real ones
+        units: Array.isArray(scenario.units) ? cleanUnits(scenario.units) : units
+    }));
+
+    const mentionBands = Array.isArray(source.mentionBands)
+        && source.mentionBands.length === DEFAULT_MENTION_BANDS.length
+        && areBandsValid(source.mentionBands.map(band => ({ min: band?.min })))
+        ? DEFAULT_MENTION_BANDS.map((band, i) => ({ ...band, min: source.mentionBands[i].min }))
+        : DEFAULT_MENTION_BANDS;
+
+    // Class averages of the ranking simulation, by term id
+    const classAverages = Object.fromEntries(
+        Object.entries(isObject(source.classAverages) ? source.classAverages : {})
+            .filter(([termId, values]) => termIds.includes(Number(termId)) && Array.isArray(values))
+            .map(([termId, values]) => [termId, values.filter(value => Number.isFinite(value))])
+    );
+
+    return {
+        data: {
+            grades,
+            terms,
+            activeTermId: termIds.includes(source.activeTermId) ? source.activeTermId : terms[0].id,
+            units,
+            customProfiles,
+            compensationRules: sanitizeRules(source.compensationRules),
+            student: isObject(source.student) ? source.student : {},
+            gradingSettings: sanitizeGradingSettings(source.gradingSettings),
+            mentionBands,
+            classAverages,
+            scenarios
+        },
+        dropped
+    };
+};
+
+/**
+ * A student profile around `data`, such as the data saved before profiles
+ * existed; its name and class come from the transcript header.
+ */
+const wrapStudent = (data) => ({
+    id: createId(),
+    name: toText(data?.student?.name),
+    track: '',
+    className: toText(data?.student?.className),
+    pin: null,
+    data: sanitizeData(data).data
+});
+
+const isPin = (pin) => isObject(pin) && typeof pin.salt === 'string' && typeof pin.hash === 'string';
+
+/**
+ * Sanitize every student profile, keeping at least one
+ * Returns { data, dropped } like sanitizeData, for the whole store.
+ */
+export const sanitizeStore = (input) => {
+    const source = isObject(input) ? input : {};
+    let dropped = 0;
+
+    const list = Array.isArray(source.students) ? source.students : [];
+    const seenIds = new Set();
+    const students = list.filter(student => {
+        const valid = isObject(student) && student.id !== undefined && !seenIds.has(student.id);
+        if (valid) seenIds.add(student.id);
+        else dropped += 1;
+        return valid;
+    }).map(student => {
+        const clean = sanitizeData(student.data);
+        dropped += clean.dropped;
+        return {
+            id: student.id,
+            name: toText(student.name),
+            track: toText(student.track),
+            className: toText(student.className),
+            pin: isPin(student.pin) ? student.pin : null,
+            data: clean.data
+        };
+    });
+    if (students.length === 0) students.push(wrapStudent(undefined));
+
+    return {
+        data: {
+            students,
+            activeStudentId: seenIds.has(source.activeStudentId) ? source.activeStudentId : students[0].id
+        },
+        dropped
+    };
+};
+
+// ============================================================================
+// MIGRATIONS
+// ============================================================================
+
+/**
+ * Convert a vanilla app grade ({ subject, coef, cc, tp, exam }) to the React format
+ */
+export const fromVanillaGrade = (grade, termId) => ({
+    id: createId(),
+    subject: toText(grade?.subject),
+    coef: grade?.coef ?? 1,
+    profileId: DEFAULT_PROFILE_ID,
+    termId,
+    unitId: '',
+    cc: toText(grade?.cc),
+    tp: toText(grade?.tp),
+    project: '',
+    exam: toText(grade?.exam)
+});
+
+/**
+ * Gather the version 0 layout from its separate keys
+ */
+const readLegacyData = (onCorrupt) => {
+    const data = {};
+    Object.entries(LEGACY_KEYS).forEach(([field, key]) => {
+        data[field] = readJson(key, undefined, onCorrupt);
+    });
+    return data;
+};
+
+/**
+ * Give grades saved before the timeline a creation snapshot dated `at`
+ */
+const stampAll = (grades, at) =>
+    (Array.isArray(grades) ? grades : []).map(grade =>
+        (isObject(grade) && !Array.isArray(grade.history)
+            ? stampGrade({ ...grade, profileId: grade.profileId || DEFAULT_PROFILE_ID }, at)
+            : grade)
+    );
+
+// MIGRATIONS[n] upgrades a version n document to version n + 1
+// Each step receives the data and { savedAt }, the date it was last saved.
+const MIGRATIONS = [
+    // 0 -> 1: one document instead of separate keys; vanilla grades imported
+    (legacy) => {
+        const terms = Array.isArray(legacy.terms) && legacy.terms.length > 0
+            ? legacy.terms
+            : [createTerm(getAcademicYear(), 'S1')];
+        const grades = Array.isArray(legacy.grades) ? legacy.grades : [];
+        const vanillaGrades = Array.isArray(legacy.vanillaGrades) ? legacy.vanillaGrades : [];
+
+        return {
+            grades: [...grades, ...vanillaGrades.map(grade => fromVanillaGrade(grade, terms[0].id))],
+            terms,
+            activeTermId: Number(legacy.activeTermId) || terms[0].id,
+            units: legacy.units,
+            customProfiles: legacy.customProfiles,
+            compensationRules: legacy.compensationRules,
+            student: legacy.student
+        };
+    },
+
+    // 1 -> 2: timestamped grade history, starting when the data was last saved
+    (data, { savedAt }) => {
+        const at = isNaN(Date.parse(savedAt)) ? new Date() : new Date(savedAt);
+        return {
+            ...data,
+            grades: stampAll(data?.grades, at),
+            scenarios: (Array.isArray(data?.scenarios) ? data.scenarios : []).map(scenario =>
+                (isObject(scenario) ? { ...scenario, grades: stampAll(scenario.grades, at) } : scenario)
+            )
+        };
+    },
+
+    // 2 -> 3: the existing data becomes the first student profile
+    (data) => {
+        const student = wrapStudent(data);
+        return { students: [student], activeStudentId: student.id };
+    }
+];
+
+/**
+ * Run every migration from `version` up to SCHEMA_VERSION
+ */
+export const migrate = (data, version, context = {}) =>
+    MIGRATIONS.slice(version).reduce((current, step) => step(current, context), data);
+
+// ============================================================================
+// LOAD / SAVE
+// ============================================================================
+
+/**
+ * Load, migrate and validate the stored profiles
+ * Returns { data, warnings } where `data` is { students, activeStudentId }
+ * and warnings are `{ key, params }` messages (see i18n.js) describing
+ * recovered problems.
+ */
+export const loadStore = () => {
+    const warnings = [];
+    const onCorrupt = (key) => warnings.push({ key: 'storage.corrupt', params: { key } });
+
+    const stored = readJson(STORAGE_KEY, null, onCorrupt);
+    let data;
+
+    if (isObject(stored) && Number.isInteger(stored.schemaVersion)) {
+        if (stored.schemaVersion > SCHEMA_VERSION) {
+            warnings.push({ key: 'storage.newerVersion' });
+        }
+        data = migrate(stored.data, Math.min(stored.schemaVersion, SCHEMA_VERSION), { savedAt: stored.savedAt });
+    } else {
+        if (stored !== null) {
+            backupCorrupt(STORAGE_KEY, JSON.stringify(stored));
+            onCorrupt(STORAGE_KEY);
+        }
+        data = migrate(readLegacyData(onCorrupt), 0);
+    }
+
+    const { data: clean, dropped } = sanitizeStore(data);
+    if (dropped > 0) {
+        warnings.push({ key: 'storage.dropped', params: { count: dropped } });
+    }
+
+    // Once copied into the versioned document, the version 0 keys go: left
+    // behind, the vanilla app would import `gradeData` again
+    if (!isObject(stored) || !Number.isInteger(stored.schemaVersion)) {
+        const legacyKeys = Object.values(LEGACY_KEYS).filter(key => localStorage.getItem(key) !== null);
+        if (legacyKeys.length > 0) {
+            saveStore(clean);
+            legacyKeys.forEach(key => localStorage.removeItem(key));
+        }
+    }
+    return { data: clean, warnings };
+};
+
+/**
+ * Persist the data with the current schema version
+ */
+export const saveStore = (data) => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        schemaVersion: SCHEMA_VERSION,
+        savedAt: new Date().toISOString(),
+        data
+    }));
+};
@@ -0,0 +1,85 @@
+/**
+ * Student Profiles
+ * Several students can share one device: each profile has a name, a track,
+ * a class and its own data (transcripts and settings, see storage.js).
+ *
+ * A profile may have a PIN that hides its grades from casual viewing. Only a
+ * salted SHA-256 hash is kept, and the data itself is not encrypted.
+ */
+
+import { createId } from './ids.js';
+import { SCHEMA_VERSION, sanitizeData } from './storage.js';
+
+// ============================================================================
+// PROFILES
+// ============================================================================
+
+/**
+ * New profile with empty data; the transcript header starts with its name and class
+ */
+export const createStudent = ({ name = '', track = '', className = '' } = {}) => ({
+    id: createId(),
+    name: name.trim(),
+    track: track.trim(),
+    className: className.trim(),
+    pin: null,
+    data: sanitizeData({ student: { name: name.trim(), className: className.trim() } }).data
+});
+
+/**
+ * Copy of a profile under a new name, PIN included
+ * The data is shared until either copy changes it, as every update replaces it.
+ */
+export const duplicateStudent = (student, name) => ({
+    ...student,
+    id: createId(),
+    name: name.trim()
+});
+
+/**
+ * Apply `update` to the profile with the given id
+ */
+export const updateStudent = (students, id, update) =>
+    students.map(student => (student.id === id ? { ...student, ...update } : student));
+
+// ============================================================================
+// PIN
+// ============================================================================
+
+export const PIN_PATTERN = /^\d{4,8}$/;
+
+const toHex = (buffer) => [...new Uint8Array(buffer)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+const hashPin = async (pin, salt) =>
+    toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${pin}`)));
+
+/**
+ * Salted hash of a new PIN, stored as the profile's `pin`
+ */
+export const createPin = async (pin) => {
+    const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+    return { salt, hash: await hashPin(pin, salt) };
+};
+
+/**
+ * Whether `pin` opens the profile
+ */
+export const checkPin = async (student, pin) =>
+    !student.pin || (await hashPin(pin, student.pin.salt)) === student.pin.hash;
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * JSON file holding one profile, without its PIN
+ */
+export const buildStudentExport = ({ name, track, className, data }) =>
+    JSON.stringify({
+        schemaVersion: SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        student: { name, track, className },
+        data
+    }, null, 2);
+
+export const studentFileName = (student) => `profil_${student.name.trim().replace(/\s+/g, '_') || student.id}.json`;
@@ -0,0 +1,141 @@
+/**
+ * Grades Table View
+ * Status, search, sorting and manual ordering of the subjects shown in the
+ * grades table. The manual order is the order of the grades list itself, so
+ * it is saved and undone with the rest of the data.
+ */
+
+import { BUILT_IN_PROFILES, findProfile } from './weightingProfiles.js';
+import { DANGER_THRESHOLD, PASS_THRESHOLD, getSubjectAverage, hasGrade, isPending, toGrade } from './grading.js';
+import { DEFAULT_GRADING_SETTINGS } from './gradingSettings.js';
+import { DEFAULT_MENTION_BANDS, sortBands } from './mentions.js';
+
+// Statuses a subject can have, in the order of the status filter
+export const SUBJECT_STATUSES = ['excellent', 'passed', 'resit', 'failed', 'pending'];
+
+// Columns the table can be sorted by
+export const SORT_KEYS = ['subject', 'cc', 'tp', 'project', 'exam', 'coef', 'average'];
+
+// Manual order, every status, no search
+export const DEFAULT_TABLE_VIEW = { sort: null, status: '', search: '' };
+
+/**
+ * Lowercase, accent-free text for searching
+ */
+const normalizeText = (text) =>
+    String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+// ============================================================================
+// STATUS
+// ============================================================================
+
+/**
+ * Status of a subject average: the highest mention band is "excellent"
+ */
+export const getAverageStatus = (avg, bands = DEFAULT_MENTION_BANDS) => {
+    if (avg >= sortBands(bands).pop().min) return 'excellent';
+    if (avg >= PASS_THRESHOLD) return 'passed';
+    if (avg >= DANGER_THRESHOLD) return 'resit';
+    return 'failed';
+};
+
+/**
+ * Status of a subject, "pending" while a required grade is missing
+ */
+export const getSubjectStatus = (
+    grade,
+    profiles = BUILT_IN_PROFILES,
+    settings = DEFAULT_GRADING_SETTINGS,
+    bands = DEFAULT_MENTION_BANDS
+) => (isPending(grade, profiles) ? 'pending' : getAverageStatus(getSubjectAverage(grade, profiles, settings), bands));
+
+// ============================================================================
+// SORTING
+// ============================================================================
+
+/**
+ * Value compared when sorting by `key`, null when the subject has none
+ */
+const sortValue = (grade, key, profiles, settings) => {
+    if (key === 'subject') return grade.subject;
+    if (key === 'coef') return Number(grade.coef);
+    if (key === 'average') return isPending(grade, profiles) ? null : getSubjectAverage(grade, profiles, settings);
+    return hasGrade(grade[key]) ? toGrade(grade[key]) : null;
+};
+
+/**
+ * Next sort when a column header is clicked: ascending, then descending,
+ * then back to the manual order
+ */
+export const nextSort = (sort, key) => {
+    if (sort?.key !== key) return { key, direction: 'asc' };
+    return sort.direction === 'asc' ? { key, direction: 'desc' } : null;
+};
+
+/**
+ * Grades sorted by `sort` ({ key, direction }), or in their manual order
+ * when it is null. Subjects without a value come last either way.
+ */
+export const sortGrades = (grades, sort, profiles = BUILT_IN_PROFILES, settings = DEFAULT_GRADING_SETTINGS) => {
+    if (!sort) return grades;
+    const sign = sort.direction === 'desc' ? -1 : 1;
+    return grades
+        .map(grade => ({ grade, value: sortValue(grade, sort.key, profiles, settings) }))
+        .sort((a, b) => {
+            if (a.value === null || b.value === null) return (a.value === null) - (b.value === null);
+            if (typeof a.value === 'string') return sign * a.value.localeCompare(b.value, undefined, { sensitivity: 'base', numeric: true });
+            return sign * (a.value - b.value);
+        })
+        .map(({ grade }) => grade);
+};
+
+// ============================================================================
+// VIEW
+// ============================================================================
+
+/**
+ * Grades shown by a table view: filtered by status and by a search on the
+ * subject, weighting profile and unit names, then sorted
+ */
+export const applyTableView = (grades, view, {
+    profiles = BUILT_IN_PROFILES,
+    settings = DEFAULT_GRADING_SETTINGS,
+    bands = DEFAULT_MENTION_BANDS,
+    units = []
+} = {}) => {
+    const search = normalizeText(view.search);
+    const visible = grades.filter(grade => {
+        if (view.status && getSubjectStatus(grade, profiles, settings, bands) !== view.status) return false;
+        if (!search) return true;
+        const names = [
+            grade.subject,
+            findProfile(profiles, grade.profileId).name,
+            units.find(unit => unit.id === grade.unitId)?.name
+        ];
+        return names.some(name => normalizeText(name).includes(search));
+    });
+    return sortGrades(visible, view.sort, profiles, settings);
+};
+
+/**
+ * Whether a view hides or reorders subjects
+ */
+export const isViewActive = (view) => Boolean(view.sort || view.status || view.search.trim());
+
+// ============================================================================
+// MANUAL ORDER
+// ============================================================================
+
+/**
+ * Move the grade `id` to the position of `targetId` in the grades list
+ * Grades of other semesters keep their place.
+ */
+export const moveGrade = (grades, id, targetId) => {
+    const from = grades.findIndex(grade => grade.id === id);
+    const to = grades.findIndex(grade => grade.id === targetId);
+    if (from === -1 || to === -1 || from === to) return grades;
+    const next = [...grades];
+    const [moved] = next.splice(from, 1);
+    next.splice(to, 0, moved);
+    return next;
+};
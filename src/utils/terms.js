@@ -0,0 +1,89 @@
+/**
+ * Academic Terms
+ * Grades are grouped by academic year ("2025-2026") and semester ("S1", "S2").
+ * Each grade references its term through `termId`.
+ */
+
+import { createId } from './ids.js';
+import { BUILT_IN_PROFILES } from './weightingProfiles.js';
+import { summarizeGrades } from './grading.js';
+import { DEFAULT_GRADING_SETTINGS, roundAverage } from './gradingSettings.js';
+
+export const SEMESTERS = ['S1', 'S2'];
+
+// ============================================================================
+// TERM HELPERS
+// ============================================================================
+
+/**
+ * Academic year containing a date; years start in September
+ */
+export const getAcademicYear = (date = new Date()) => {
+    const start = date.getMonth() >= 8 ? date.getFullYear() : date.getFullYear() - 1;
+    return `${start}-${start + 1}`;
+};
+
+/**
+ * The academic year following "2025-2026" is "2026-2027"
+ */
+export const nextAcademicYear = (year) => {
+    const start = parseInt(year, 10) + 1;
+    return `${start}-${start + 1}`;
+};
+
+export const createTerm = (year, semester) => ({ id: createId(), year, semester });
+
+export const formatTerm = (term) => `${term.year} · ${term.semester}`;
+
+/**
+ * Chronological order: by year, then by semester
+ */
+export const sortTerms = (terms) =>
+    [...terms].sort((a, b) => a.year.localeCompare(b.year) || a.semester.localeCompare(b.semester));
+
+export const findTerm = (terms, year, semester) =>
+    terms.find(term => term.year === year && term.semester === semester);
+
+export const getTermGrades = (grades, termId) =>
+    grades.filter(grade => grade.termId === termId);
+
+// ============================================================================
+// YEAR AGGREGATES
+// ============================================================================
+
+/**
+ * Semester averages of one academic year and the annual average,
+ * each semester weighted by its total of coefficients
+ */
+export const summarizeYear = (grades, terms, year, profiles = BUILT_IN_PROFILES, settings = DEFAULT_GRADING_SETTINGS) => {
+    const semesters = sortTerms(terms.filter(term => term.year === year)).map(term => {
+        const termGrades = getTermGrades(grades, term.id);
+        return { term, count: termGrades.length, ...summarizeGrades(termGrades, profiles, settings) };
+    });
+
+    const totalCoef = semesters.reduce((acc, semester) => acc + semester.totalCoef, 0);
+    const totalPoints = semesters.reduce((acc, semester) => acc + semester.generalAvg * semester.totalCoef, 0);
+
+    return {
+        year,
+        semesters,
+        totalCoef,
+        annualAvg: totalCoef > 0 ? roundAverage(totalPoints / totalCoef, settings) : 0
+    };
+};
+
+/**
+ * Summary of every semester holding graded subjects, oldest first
+ */
+export const summarizeTerms = (grades, terms, profiles = BUILT_IN_PROFILES, settings = DEFAULT_GRADING_SETTINGS) =>
+    sortTerms(terms)
+        .map(term => ({ term, ...summarizeGrades(getTermGrades(grades, term.id), profiles, settings) }))
+        .filter(summary => summary.totalCoef > 0);
+
+/**
+ * One summary per academic year, oldest first
+ */
+export const buildYearOverview = (grades, terms, profiles = BUILT_IN_PROFILES, settings = DEFAULT_GRADING_SETTINGS) => {
+    const years = [...new Set(terms.map(term => term.year))].sort();
+    return years.map(year => summarizeYear(grades, terms, year, profiles, settings));
+};
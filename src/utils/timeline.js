@@ -0,0 +1,104 @@
+/**
+ * Grade Timeline
+ * Every grade keeps a `history` of timestamped snapshots of the fields that
+ * affect its average: [{ at: ISO date, values: { coef, exam, ... } }].
+ * The first snapshot is the entry itself; each edit adds one. From these
+ * the general average can be replayed at any point in time.
+ */
+
+import { BUILT_IN_PROFILES } from './weightingProfiles.js';
+import { calculateGeneralAverage, getCompletedGrades, getSubjectAverage, isPending } from './grading.js';
+import { DEFAULT_GRADING_SETTINGS } from './gradingSettings.js';
+
+export const TRACKED_FIELDS = ['coef', 'profileId', 'cc', 'tp', 'project', 'exam', 'resit', 'resitRule'];
+
+// Edits closer than this to the previous one replace it (typing, quick fixes)
+const COALESCE_MS = 60 * 1000;
+
+// Snapshots kept per grade, the first one always included
+const HISTORY_LIMIT = 50;
+
+const snapshot = (grade, at) => ({
+    at: at.toISOString(),
+    values: Object.fromEntries(TRACKED_FIELDS.map(key => [key, grade[key] ?? '']))
+});
+
+// ============================================================================
+// RECORDING
+// ============================================================================
+
+/**
+ * A new grade with its creation snapshot
+ */
+export const stampGrade = (grade, at = new Date()) => ({
+    ...grade,
+    history: [snapshot(grade, at)]
+});
+
+/**
+ * Grades added together (import, loaded programme) share one timestamp
+ */
+export const stampGrades = (grades, at = new Date()) => grades.map(grade => stampGrade(grade, at));
+
+/**
+ * Apply changes to a grade, adding a snapshot when a tracked field changed
+ */
+export const recordEdit = (grade, changes, at = new Date()) => {
+    const next = { ...grade, ...changes };
+    const history = grade.history ?? [];
+    const tracked = TRACKED_FIELDS.some(key => String(next[key] ?? '') !== String(grade[key] ?? ''));
+    if (!tracked) return next;
+
+    const last = history[history.length - 1];
+    const coalesce = history.length > 1 && at - Date.parse(last.at) < COALESCE_MS;
+    const kept = coalesce ? history.slice(0, -1) : history;
+    const updated = [...kept, snapshot(next, at)];
+
+    return {
+        ...next,
+        history: updated.length > HISTORY_LIMIT ? [updated[0], ...updated.slice(-(HISTORY_LIMIT - 1))] : updated
+    };
+};
+
+// ============================================================================
+// REPLAY
+// ============================================================================
+
+/**
+ * A grade as it stood at `time`, or null if it did not exist yet
+ * Grades without history are considered to have always existed.
+ */
+export const gradeAt = (grade, time) => {
+    if (!grade.history?.length) return grade;
+    const past = grade.history.filter(entry => Date.parse(entry.at) <= time);
+    if (past.length === 0) return null;
+    return { ...grade, ...past[past.length - 1].values };
+};
+
+/**
+ * General average after each entry or edit, oldest first
+ * Returns [{ at, average, subject }]; moments when no subject was complete
+ * yet are skipped.
+ */
+export const buildAverageTimeline = (grades, profiles = BUILT_IN_PROFILES, settings = DEFAULT_GRADING_SETTINGS) => {
+    const events = grades
+        .flatMap(grade => (grade.history ?? []).map(entry => ({ time: Date.parse(entry.at), subject: grade.subject })))
+        .sort((a, b) => a.time - b.time);
+
+    return events.flatMap(({ time, subject }, i) => {
+        // Edits sharing a timestamp (imports, loaded programmes) make one point
+        if (events[i + 1]?.time === time) return [];
+        const state = grades.map(grade => gradeAt(grade, time)).filter(Boolean);
+        if (getCompletedGrades(state, profiles).length === 0) return [];
+        return [{ at: new Date(time), average: calculateGeneralAverage(state, profiles, settings), subject }];
+    });
+};
+
+/**
+ * Average of one subject after each of its snapshots, pending ones skipped
+ */
+export const buildSubjectSeries = (grade, profiles = BUILT_IN_PROFILES, settings = DEFAULT_GRADING_SETTINGS) =>
+    (grade.history ?? [])
+        .map(entry => ({ ...grade, ...entry.values, at: new Date(entry.at) }))
+        .filter(state => !isPending(state, profiles))
+        .map(state => ({ at: state.at, average: getSubjectAverage(state, profiles, settings) }));
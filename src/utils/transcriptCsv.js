@@ -0,0 +1,128 @@
+/**
+ * Transcript CSV
+ * Converts grades to and from CSV files. Export uses ";" and decimal commas
+ * so French Excel opens it as-is; import maps arbitrary columns onto grade
+ * fields and reports problems row by row.
+ */
+
+import { BUILT_IN_PROFILES, DEFAULT_PROFILE_ID, findProfile } from './weightingProfiles.js';
+import { getSubjectAverage, isPending } from './grading.js';
+import { DEFAULT_GRADING_SETTINGS, averageOnScale, scaleComponent } from './gradingSettings.js';
+import { formatDecimal, serializeCsv } from './csv.js';
+import { validateGrade } from './validation.js';
+
+// ============================================================================
+// FIELDS
+// ============================================================================
+
+export const IMPORT_FIELDS = [
+    { key: 'subject', label: 'Matière', aliases: ['matiere', 'subject', 'module', 'nom', 'intitule'] },
+    { key: 'cc', label: 'CC', aliases: ['cc', 'note cc', 'controle continu', 'ds'] },
+    { key: 'tp', label: 'TP', aliases: ['tp', 'note tp', 'travaux pratiques'] },
+    { key: 'project', label: 'Projet', aliases: ['projet', 'project', 'note projet'] },
+    { key: 'exam', label: 'Examen', aliases: ['examen', 'exam', 'note exam', 'note examen'] },
+    { key: 'coef', label: 'Coef', aliases: ['coef', 'coefficient', 'coeff'] },
+    { key: 'profile', label: 'Pondération', aliases: ['ponderation', 'profil', 'profile'] }
+];
+
+const GRADE_FIELDS = ['cc', 'tp', 'project', 'exam'];
+
+/**
+ * Lowercase, accent-free and trimmed header text
+ */
+const normalizeHeader = (text) =>
+    text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Build the CSV text of a list of grades, on the settings' scale
+ */
+export const gradesToCsv = (grades, profiles = BUILT_IN_PROFILES, settings = DEFAULT_GRADING_SETTINGS) => {
+    const header = ['Matière', 'CC', 'TP', 'Projet', 'Examen', 'Coef', 'Pondération', 'Moyenne'];
+    const rows = grades.map(grade => [
+        grade.subject,
+        ...GRADE_FIELDS.map(key => scaleComponent(grade[key], settings).replace(/\./g, ',')),
+        String(grade.coef).replace('.', ','),
+        findProfile(profiles, grade.profileId).name,
+        isPending(grade, profiles) ? '' : formatDecimal(averageOnScale(getSubjectAverage(grade, profiles, settings), settings))
+    ]);
+    return serializeCsv([header, ...rows]);
+};
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+/**
+ * Guess which field each column holds from the header row
+ * Returns one field key (or '') per column.
+ */
+export const guessMapping = (headers) => {
+    const used = new Set();
+    return headers.map(header => {
+        const normalized = normalizeHeader(header);
+        const field = IMPORT_FIELDS.find(({ key, aliases }) =>
+            !used.has(key) && aliases.includes(normalized)
+        );
+        if (!field) return '';
+        used.add(field.key);
+        return field.key;
+    });
+};
+
+/**
+ * Whether the first row looks like a header rather than data
+ */
+export const looksLikeHeader = (row) =>
+    guessMapping(row).some(key => key !== '');
+
+/**
+ * Turn parsed CSV rows into grades using a column mapping
+ * Returns one entry per row: { line, values, grade, errors, warnings },
+ * `line` counting from `firstLine`. Rows are checked like the entry form,
+ * against `existing` subjects and the rows before them, with grades on the
+ * settings' scale. `grade` is null when the row has errors; errors and
+ * warnings are `{ field, key, params }`.
+ */
+export const mapRows = (
+    rows,
+    mapping,
+    profiles = BUILT_IN_PROFILES,
+    firstLine = 1,
+    existing = [],
+    settings = DEFAULT_GRADING_SETTINGS
+) => {
+    const accepted = [];
+    return rows.map((row, index) => {
+        const values = Object.fromEntries(
+            mapping
+                .map((key, column) => [key, (row[column] ?? '').trim()])
+                .filter(([key]) => key !== '')
+        );
+
+        const profile = values.profile
+            ? profiles.find(p => normalizeHeader(p.name) === normalizeHeader(values.profile))
+            : findProfile(profiles, DEFAULT_PROFILE_ID);
+
+        const { grade, errors, warnings } = validateGrade({
+            subject: values.subject ?? '',
+            profileId: profile?.id ?? DEFAULT_PROFILE_ID,
+            cc: values.cc ?? '',
+            tp: values.tp ?? '',
+            project: values.project ?? '',
+            exam: values.exam ?? '',
+            coef: values.coef || 1
+        }, { profiles, others: [...existing, ...accepted], settings });
+
+        if (!profile) errors.profile = { key: 'csvImport.errors.unknownProfile', params: { value: values.profile } };
+
+        const toList = (messages) => Object.entries(messages).map(([field, message]) => ({ field, ...message }));
+        const valid = grade !== null && profile !== undefined;
+        if (valid) accepted.push(grade);
+
+        return { line: index + firstLine, values, grade: valid ? grade : null, errors: toList(errors), warnings: toList(warnings) };
+    });
+};
@@ -0,0 +1,201 @@
+/**
+ * Transcript Document (Relevé de Notes)
+ * Builds a standalone, print-ready HTML transcript and prints it from a
+ * hidden frame, so the browser's "Save as PDF" produces a clean document
+ * instead of a capture of the dashboard.
+ */
+
+import { BUILT_IN_PROFILES } from './weightingProfiles.js';
+import { getSubjectAverage, isPending } from './grading.js';
+import { DEFAULT_GRADING_SETTINGS, SCALES, averageOnScale, scaleComponent } from './gradingSettings.js';
+import { decideAdmission, hasResit } from './resit.js';
+import { DEFAULT_COMPENSATION_RULES } from './units.js';
+import { formatTerm, getTermGrades, sortTerms, summarizeYear } from './terms.js';
+import { DEFAULT_LOCALE, createTranslator } from './i18n.js';
+
+// ============================================================================
+// HTML HELPERS
+// ============================================================================
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape text before inserting it into the generated markup
+ */
+export const escapeHtml = (value) =>
+    String(value ?? '').replace(/[&<>"']/g, char => ESCAPES[char]);
+
+const formatValue = (value) => (value === '' || value === undefined || value === null ? '-' : escapeHtml(value));
+
+// Averages and grades are printed on the settings' scale
+const formatAverage = (value, settings) => averageOnScale(value, settings).toFixed(2);
+
+const formatComponent = (value, settings) => formatValue(scaleComponent(value, settings));
+
+const STYLES = `
+    @page { size: A4; margin: 16mm; }
+    * { box-sizing: border-box; }
+    body { font-family: 'Inter', Arial, sans-serif; color: #111; font-size: 11px; margin: 0; }
+    header { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 3px solid #CE0033; padding-bottom: 12px; margin-bottom: 18px; }
+    header img { width: 56px; height: 56px; object-fit: contain; }
+    h1 { font-size: 20px; margin: 0; text-transform: uppercase; letter-spacing: 1px; }
+    h2 { font-size: 13px; margin: 22px 0 8px; text-transform: uppercase; letter-spacing: 1px; }
+    .student { margin-bottom: 8px; line-height: 1.6; }
+    .muted { color: #666; }
+    table { width: 100%; border-collapse: collapse; page-break-inside: auto; }
+    tr { page-break-inside: avoid; }
+    th, td { border: 1px solid #ccc; padding: 5px 7px; }
+    th { background: #f3f3f3; text-transform: uppercase; font-size: 9px; letter-spacing: 0.5px; }
+    td.num, th.num { text-align: end; font-family: 'Courier New', monospace; }
+    tr.unit td { background: #fafafa; font-weight: bold; }
+    tfoot td { font-weight: bold; }
+    .decision { display: inline-block; margin-top: 10px; padding: 4px 14px; border: 2px solid; border-radius: 12px; font-weight: bold; }
+    .admis { color: #047857; border-color: #047857; }
+    .non-admis { color: #be123c; border-color: #be123c; }
+    footer { margin-top: 28px; font-size: 9px; color: #888; text-align: center; }
+`;
+
+// ============================================================================
+// SECTIONS
+// ============================================================================
+
+const renderGradeRow = (grade, profiles, settings, { t }) => `
+    <tr>
+        <td>${escapeHtml(grade.subject)}</td>
+        <td class="num">${formatComponent(grade.cc, settings)}</td>
+        <td class="num">${formatComponent(grade.tp, settings)}</td>
+        <td class="num">${formatComponent(grade.project, settings)}</td>
+        <td class="num">${hasResit(grade)
+            ? `${formatComponent(grade.exam, settings)} / ${escapeHtml(t('transcript.document.resit'))} ${formatComponent(grade.resit, settings)}`
+            : formatComponent(grade.exam, settings)}</td>
+        <td class="num">${escapeHtml(grade.coef)}</td>
+        <td class="num">${isPending(grade, profiles) ? escapeHtml(t('common.pending')) : formatAverage(getSubjectAverage(grade, profiles, settings), settings)}</td>
+    </tr>`;
+
+// Averages use every subject of the term, the rows list only the shown ones
+const renderTerm = (term, grades, shownGrades, units, profiles, rules, settings, i18n) => {
+    const { t } = i18n;
+    const decision = decideAdmission(getTermGrades(grades, term.id), units, term.id, profiles, rules, settings);
+    const unitResults = decision.unitEvaluation.units;
+    const shown = getTermGrades(shownGrades, term.id);
+    const loose = shown.filter(grade => !unitResults.some(result => result.unit.id === grade.unitId));
+
+    const unitRows = unitResults.map(result => `
+        <tr class="unit">
+            <td colspan="5">${escapeHtml(result.unit.name)} — ${escapeHtml(t(`units.status.${result.status}`))}</td>
+            <td class="num">${result.creditsEarned}/${result.unit.credits} ECTS</td>
+            <td class="num">${result.grades.length > 0 ? formatAverage(result.average, settings) : '-'}</td>
+        </tr>
+        ${shown.filter(grade => grade.unitId === result.unit.id).map(grade => renderGradeRow(grade, profiles, settings, i18n)).join('')}`);
+
+    return `
+        <section>
+            <h2>${escapeHtml(formatTerm(term))}</h2>
+            <table>
+                <thead>
+                    <tr>
+                        <th>${escapeHtml(t('common.subject'))}</th>
+                        ${['cc', 'tp', 'project', 'exam'].map(key => `<th class="num">${escapeHtml(t(`components.${key}`))}</th>`).join('')}
+                        <th class="num">${escapeHtml(t('common.coef'))}</th>
+                        <th class="num">${escapeHtml(t('transcript.document.average', { suffix: SCALES[settings.scale].suffix }))}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${unitRows.join('')}
+                    ${loose.map(grade => renderGradeRow(grade, profiles, settings, i18n)).join('')}
+                </tbody>
+                <tfoot>
+                    <tr>
+                        <td colspan="5">${escapeHtml(t('transcript.document.semesterAverage'))}${decision.unitEvaluation.creditsTotal > 0 ? ` · ${decision.unitEvaluation.creditsEarned}/${decision.unitEvaluation.creditsTotal} ECTS` : ''}</td>
+                        <td class="num">${decision.totalCoef}</td>
+                        <td class="num">${formatAverage(decision.generalAvg, settings)}</td>
+                    </tr>
+                </tfoot>
+            </table>
+            <div class="decision ${decision.admitted ? 'admis' : 'non-admis'}">
+                ${escapeHtml(t(decision.admitted ? 'common.admitted' : 'common.notAdmitted'))}
+            </div>
+        </section>`;
+};
+
+// ============================================================================
+// DOCUMENT
+// ============================================================================
+
+/**
+ * Full HTML document of the transcript for the given terms
+ * `shownGrades` lists the rows to print, in order (all grades by default).
+ * The text, dates and writing direction follow `locale`.
+ */
+export const buildTranscriptHtml = ({
+    student = {},
+    terms,
+    grades,
+    shownGrades = grades,
+    units = [],
+    profiles = BUILT_IN_PROFILES,
+    rules = DEFAULT_COMPENSATION_RULES,
+    settings = DEFAULT_GRADING_SETTINGS,
+    logoUrl = '/image.png',
+    generatedAt = new Date(),
+    locale = DEFAULT_LOCALE
+}) => {
+    const i18n = createTranslator(locale);
+    const { t } = i18n;
+    const sorted = sortTerms(terms);
+    const years = [...new Set(sorted.map(term => term.year))];
+    const annualRows = years
+        .map(year => summarizeYear(grades, sorted, year, profiles, settings))
+        .filter(summary => summary.semesters.length > 1 && summary.totalCoef > 0)
+        .map(summary => `<tr><td>${escapeHtml(summary.year)}</td><td class="num">${formatAverage(summary.annualAvg, settings)}</td></tr>`);
+
+    return `<!DOCTYPE html>
+<html lang="${locale}" dir="${i18n.dir}">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(t('transcript.document.title'))}${student.name ? ` - ${escapeHtml(student.name)}` : ''}</title>
+    <style>${STYLES}</style>
+</head>
+<body>
+    <header>
+        <div>
+            <h1>${escapeHtml(t('transcript.document.title'))}</h1>
+            <div class="muted">ESPRIT · École Supérieure Privée d'Ingénierie et de Technologies</div>
+        </div>
+        <img src="${escapeHtml(logoUrl)}" alt="ESPRIT">
+    </header>
+    <div class="student">
+        <strong>${escapeHtml(t('transcript.document.student'))}</strong> ${formatValue(student.name)}<br>
+        <strong>${escapeHtml(t('transcript.document.studentId'))}</strong> ${formatValue(student.studentId)}<br>
+        <strong>${escapeHtml(t('transcript.document.className'))}</strong> ${formatValue(student.className)}
+    </div>
+    ${sorted.map(term => renderTerm(term, grades, shownGrades, units, profiles, rules, settings, i18n)).join('')}
+    ${annualRows.length > 0 ? `
+    <h2>${escapeHtml(t('transcript.document.annual'))}</h2>
+    <table>
+        <thead><tr><th>${escapeHtml(t('transcript.document.year'))}</th><th class="num">${escapeHtml(t('transcript.document.average', { suffix: SCALES[settings.scale].suffix }))}</th></tr></thead>
+        <tbody>${annualRows.join('')}</tbody>
+    </table>` : ''}
+    <footer>${escapeHtml(t('transcript.document.generated', { date: i18n.formatDate(generatedAt) }))}</footer>
+</body>
+</html>`;
+};
+
+/**
+ * Print an HTML document from a hidden frame
+ * The frame is removed once the print dialog closes.
+ */
+export const printHtml = (html) => {
+    const frame = document.createElement('iframe');
+    frame.setAttribute('aria-hidden', 'true');
+    frame.style.cssText = 'position:fixed;width:0;height:0;border:0;';
+
+    // srcdoc fires "load" once the logo is ready
+    frame.onload = () => {
+        frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+    };
+    frame.srcdoc = html;
+    document.body.appendChild(frame);
+};
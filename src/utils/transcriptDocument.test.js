@@ -0,0 +1,56 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from 'vitest';
+import { buildTranscriptHtml } from './transcriptDocument.js';
+
+const TERMS = [{ id: 1, year: '2025-2026', semester: 'S1' }];
+
+const GRADES = [
+    { id: 'a', subject: 'Analyse', coef: 2, cc: '12', tp: '', project: '', exam: '14', profileId: 'standard', termId: 1 },
+    { id: 'b', subject: 'Réseaux', coef: 1, cc: '', tp: '', project: '', exam: '', profileId: 'standard', termId: 1 }
+];
+
+const UNITS = [{ id: 'u', termId: 1, name: 'Mathématiques', credits: 4 }];
+
+const print = (locale) => new DOMParser().parseFromString(buildTranscriptHtml({
+    student: { name: 'Sami' },
+    terms: TERMS,
+    grades: GRADES.map(grade => (grade.id === 'a' ? { ...grade, unitId: 'u' } : grade)),
+    units: UNITS,
+    generatedAt: new Date(2026, 0, 15),
+    locale
+}), 'text/html');
+
+const text = (document, selector) => [...document.querySelectorAll(selector)].map(el => el.textContent.trim());
+
+describe('buildTranscriptHtml', () => {
+    it('prints in French by default', () => {
+        const printed = print();
+        expect(printed.documentElement.getAttribute('lang')).toBe('fr');
+        expect(printed.documentElement.getAttribute('dir')).toBe('ltr');
+        expect(text(printed, 'h1')).toEqual(['Relevé de Notes']);
+        expect(text(printed, 'thead th')).toEqual(['Matière', 'CC', 'TP', 'Projet', 'Examen', 'Coef', 'Moyenne (/20)']);
+        expect(text(printed, 'tr.unit td')[0]).toBe('Mathématiques — Validée');
+        expect(text(printed, 'tbody tr:last-child td').at(-1)).toBe('En attente');
+        expect(text(printed, '.decision')).toEqual(['Admis']);
+        expect(text(printed, 'footer')).toEqual(['Document généré le 15/01/2026 · Document non officiel']);
+    });
+
+    it('prints the headings, columns and statuses in the chosen language', () => {
+        const printed = print('en');
+        expect(printed.documentElement.getAttribute('lang')).toBe('en');
+        expect(printed.title).toBe('Transcript of Records - Sami');
+        expect(text(printed, 'thead th')).toEqual(['Subject', 'CA', 'Lab', 'Project', 'Exam', 'Coef', 'Average (/20)']);
+        expect(text(printed, 'tr.unit td')[0]).toBe('Mathématiques — Passed');
+        expect(text(printed, 'tbody tr:last-child td').at(-1)).toBe('Pending');
+        expect(text(printed, 'tfoot td')[0]).toBe('Semester average · 4/4 ECTS');
+        expect(text(printed, '.decision')).toEqual(['Passed']);
+    });
+
+    it('writes Arabic transcripts right to left', () => {
+        const printed = print('ar');
+        expect(printed.documentElement.getAttribute('lang')).toBe('ar');
+        expect(printed.documentElement.getAttribute('dir')).toBe('rtl');
+        expect(text(printed, 'h1')).toEqual(['كشف الأعداد']);
+        expect(text(printed, '.decision')).toEqual(['ناجح']);
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * Teaching Units (UE)
+ * Subjects are grouped into units carrying ECTS credits. A unit is validated
+ * when all its subjects pass, or by compensation when its average is high
+ * enough and no subject falls under the eliminatory threshold.
+ */
+
+import { createId } from './ids.js';
+import { BUILT_IN_PROFILES } from './weightingProfiles.js';
+import {
+    calculateGeneralAverage,
+    getSubjectAverage,
+    getCompletedGrades,
+    getTotalCoef,
+    PASS_THRESHOLD
+} from './grading.js';
+import { DEFAULT_GRADING_SETTINGS } from './gradingSettings.js';
+
+// ============================================================================
+// RULES
+// ============================================================================
+
+export const DEFAULT_COMPENSATION_RULES = {
+    compensation: true,
+    unitThreshold: PASS_THRESHOLD,
+    subjectThreshold: PASS_THRESHOLD,
+    eliminatoryThreshold: 6
+};
+
+export const UNIT_STATUS = {
+    VALIDATED: 'validated',
+    COMPENSATED: 'compensated',
+    FAILED: 'failed',
+    EMPTY: 'empty'
+};
+
+export const createUnit = (termId, name, credits) => ({
+    id: createId(),
+    termId,
+    name: name.trim(),
+    credits: parseFloat(credits) || 0
+});
+
+export const getUnitGrades = (grades, unitId) =>
+    grades.filter(grade => grade.unitId === unitId);
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Average, status and earned credits of one unit
+ * Only subjects with all their grades known are taken into account.
+ */
+export const evaluateUnit = (
+    unit,
+    grades,
+    profiles = BUILT_IN_PROFILES,
+    rules = DEFAULT_COMPENSATION_RULES,
+    settings = DEFAULT_GRADING_SETTINGS
+) => {
+    const unitGrades = getUnitGrades(grades, unit.id);
+    const completed = getCompletedGrades(unitGrades, profiles);
+    const averages = completed.map(grade => getSubjectAverage(grade, profiles, settings));
+    const average = calculateGeneralAverage(completed, profiles, settings);
+    const eliminatory = completed.filter((grade, i) => averages[i] < rules.eliminatoryThreshold);
+
+    let status = UNIT_STATUS.FAILED;
+    if (completed.length === 0) {
+        status = UNIT_STATUS.EMPTY;
+    } else if (averages.every(avg => avg >= rules.subjectThreshold)) {
+        status = UNIT_STATUS.VALIDATED;
+    } else if (rules.compensation && average >= rules.unitThreshold && eliminatory.length === 0) {
+        status = UNIT_STATUS.COMPENSATED;
+    }
+
+    const earned = status === UNIT_STATUS.VALIDATED || status === UNIT_STATUS.COMPENSATED;
+    return {
+        unit,
+        grades: unitGrades,
+        average,
+        totalCoef: getTotalCoef(unitGrades),
+        status,
+        eliminatory,
+        creditsEarned: earned ? unit.credits : 0
+    };
+};
+
+/**
+ * Evaluate every unit of a term and total the credits
+ */
+export const evaluateTermUnits = (
+    units,
+    grades,
+    termId,
+    profiles = BUILT_IN_PROFILES,
+    rules = DEFAULT_COMPENSATION_RULES,
+    settings = DEFAULT_GRADING_SETTINGS
+) => {
+    const results = units
+        .filter(unit => unit.termId === termId)
+        .map(unit => evaluateUnit(unit, grades, profiles, rules, settings));
+
+    return {
+        units: results,
+        creditsEarned: results.reduce((acc, result) => acc + result.creditsEarned, 0),
+        creditsTotal: results.reduce((acc, result) => acc + result.unit.credits, 0)
+    };
+};
+
+/**
+ * Whether a unit result counts as validated (directly or by compensation)
+ */
+export const isUnitValidated = (result) =>
+    result.status === UNIT_STATUS.VALIDATED || result.status === UNIT_STATUS.COMPENSATED;
@@ -0,0 +1,116 @@
+/**
+ * Grade Validation
+ * One set of rules for every way a subject enters the app: the entry form,
+ * in-place edits and CSV imports.
+ *
+ * Errors block the subject; warnings (likely duplicates, unusual coefficient
+ * totals) are shown but do not. Both map a field name to a `{ key, params }`
+ * message (see i18n.js).
+ */
+
+import { BUILT_IN_PROFILES, COMPONENTS, acceptsMultiple, findProfile } from './weightingProfiles.js';
+import { getTotalCoef } from './grading.js';
+import { DEFAULT_GRADING_SETTINGS, SCALES, fromScale } from './gradingSettings.js';
+import { parseDecimal } from './csv.js';
+
+// ============================================================================
+// LIMITS
+// ============================================================================
+
+// A single subject above this coefficient is almost certainly a typo
+export const MAX_COEF = 10;
+
+// ESPRIT semesters stay well below this total
+export const MAX_TOTAL_COEF = 60;
+
+// ============================================================================
+// FIELDS
+// ============================================================================
+
+/**
+ * Lowercase, accent-free and trimmed subject name, to spot duplicates
+ */
+const normalizeSubject = (subject) =>
+    String(subject ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+/**
+ * Parse a grade component written with points or commas: "12,5 ; 14" → "12.5;14"
+ * Grades are typed on the settings' scale and returned on /20. Empty input
+ * is valid (the component is pending).
+ * Returns { value, error }, keeping the raw text when there is an error.
+ */
+export const parseComponent = (raw, { multiple = false, settings = DEFAULT_GRADING_SETTINGS } = {}) => {
+    const text = String(raw ?? '').trim();
+    const parts = text.split(';').map(part => part.trim()).filter(part => part !== '');
+    if (parts.length === 0) return { value: '' };
+    if (parts.length > 1 && !multiple) return { value: text, error: { key: 'validation.singleGrade' } };
+
+    const numbers = parts.map(parseDecimal);
+    const invalid = parts.find((part, i) => isNaN(numbers[i]));
+    if (invalid !== undefined) {
+        return { value: text, error: { key: 'validation.notANumber', params: { value: invalid } } };
+    }
+    const { max } = SCALES[settings.scale];
+    if (numbers.some(value => value < 0 || value > max)) {
+        return { value: text, error: { key: 'validation.outOfScale', params: { min: 0, max } } };
+    }
+    return { value: numbers.map(value => fromScale(value, settings)).join(';') };
+};
+
+/**
+ * Parse a coefficient: a positive number up to MAX_COEF
+ */
+export const parseCoef = (raw) => {
+    const coef = parseDecimal(raw);
+    if (isNaN(coef) || coef <= 0) return { value: raw, error: { key: 'validation.coefInvalid' } };
+    if (coef > MAX_COEF) return { value: raw, error: { key: 'validation.coefTooHigh', params: { max: MAX_COEF } } };
+    return { value: coef };
+};
+
+// ============================================================================
+// SUBJECTS
+// ============================================================================
+
+/**
+ * Check a subject before it is saved
+ * Only the fields present in `input` are checked. `others` are the subjects
+ * it will sit beside in its semester, itself excluded.
+ * Returns { grade, errors, warnings }: `grade` holds the normalised values
+ * and is null when any field has an error.
+ */
+export const validateGrade = (
+    input,
+    { profiles = BUILT_IN_PROFILES, others = [], settings = DEFAULT_GRADING_SETTINGS } = {}
+) => {
+    const grade = { ...input };
+    const errors = {};
+    const warnings = {};
+
+    if ('subject' in input) {
+        grade.subject = String(input.subject ?? '').trim();
+        if (!grade.subject) errors.subject = { key: 'validation.required' };
+    }
+
+    if ('coef' in input) {
+        const { value, error } = parseCoef(input.coef);
+        grade.coef = value;
+        if (error) errors.coef = error;
+    }
+
+    const profile = findProfile(profiles, input.profileId);
+    COMPONENTS.forEach(({ key }) => {
+        if (!(key in input)) return;
+        const { value, error } = parseComponent(input[key], { multiple: acceptsMultiple(profile, key), settings });
+        grade[key] = value;
+        if (error) errors[key] = error;
+    });
+
+    const duplicate = grade.subject
+        && others.find(other => normalizeSubject(other.subject) === normalizeSubject(grade.subject));
+    if (duplicate) warnings.subject = { key: 'validation.duplicate', params: { subject: duplicate.subject } };
+
+    const total = getTotalCoef(others) + (errors.coef ? 0 : parseDecimal(grade.coef) || 0);
+    if (total > MAX_TOTAL_COEF) warnings.coef = { key: 'validation.coefTotal', params: { total, max: MAX_TOTAL_COEF } };
+
+    return { grade: Object.keys(errors).length === 0 ? grade : null, errors, warnings };
+};
@@ -0,0 +1,129 @@
+/**
+ * Weighting Profiles
+ * Named rules telling the grading engine how to weight a subject's components.
+ *
+ * A profile lists weighting schemes in priority order. The engine uses the
+ * first scheme whose optional components are all present; components listed
+ * in `required` always count (a missing required grade counts as 0).
+ */
+
+import { createId } from './ids.js';
+
+// ============================================================================
+// COMPONENTS
+// ============================================================================
+
+export const COMPONENTS = [
+    { key: 'cc', label: 'CC' },
+    { key: 'tp', label: 'TP' },
+    { key: 'project', label: 'Projet' },
+    { key: 'exam', label: 'Examen' }
+];
+
+// ============================================================================
+// BUILT-IN PROFILES
+// ============================================================================
+
+export const DEFAULT_PROFILE_ID = 'standard';
+
+export const BUILT_IN_PROFILES = [
+    {
+        id: 'standard',
+        name: 'Standard ESPRIT',
+        required: ['exam'],
+        schemes: [
+            { cc: 0.3, tp: 0.2, exam: 0.5 },
+            { cc: 0.4, exam: 0.6 },
+            { tp: 0.4, exam: 0.6 },
+            { exam: 1 }
+        ]
+    },
+    {
+        id: 'cc-exam',
+        name: 'CC+Exam 50/50',
+        required: ['exam'],
+        schemes: [
+            { cc: 0.5, exam: 0.5 },
+            { exam: 1 }
+        ]
+    },
+    {
+        id: 'multi-cc',
+        name: 'CC multiples + Exam',
+        required: ['exam'],
+        multiple: ['cc'],
+        schemes: [
+            { cc: 0.4, exam: 0.6 },
+            { exam: 1 }
+        ]
+    },
+    {
+        id: 'projet',
+        name: 'Projet',
+        required: ['project'],
+        schemes: [
+            { project: 1 }
+        ]
+    }
+];
+
+// ============================================================================
+// LOOKUP
+// ============================================================================
+
+/**
+ * Find a profile by id, falling back to the default profile
+ */
+export const findProfile = (profiles, id) =>
+    profiles.find(profile => profile.id === id)
+    || BUILT_IN_PROFILES.find(profile => profile.id === DEFAULT_PROFILE_ID);
+
+/**
+ * Components used by any scheme of a profile, in display order
+ */
+export const getProfileComponents = (profile) =>
+    COMPONENTS.filter(({ key }) =>
+        profile.schemes.some(scheme => scheme[key] !== undefined)
+    );
+
+/**
+ * Whether a component accepts several grades (e.g. "12;14.5")
+ */
+export const acceptsMultiple = (profile, key) =>
+    (profile.multiple || []).includes(key);
+
+/**
+ * Human readable summary of a profile's main scheme: "CC 30% · TP 20% · Examen 50%"
+ * `labelOf` names each component, in French by default.
+ */
+export const describeProfile = (profile, labelOf = (key) => COMPONENTS.find(c => c.key === key).label) =>
+    COMPONENTS
+        .filter(({ key }) => profile.schemes[0][key] !== undefined)
+        .map(({ key }) => `${labelOf(key)} ${Math.round(profile.schemes[0][key] * 100)}%`)
+        .join(' · ');
+
+// ============================================================================
+// CUSTOM PROFILES
+// ============================================================================
+
+/**
+ * Build a custom profile from percentage weights, e.g. { cc: 40, exam: 60 }
+ * Weights are normalised so they always sum to 1.
+ * Returns null when no weight is positive.
+ */
+export const createCustomProfile = (name, percentages) => {
+    const entries = Object.entries(percentages)
+        .map(([key, value]) => [key, parseFloat(value)])
+        .filter(([, value]) => !isNaN(value) && value > 0);
+    const total = entries.reduce((acc, [, value]) => acc + value, 0);
+    if (total <= 0) return null;
+
+    const scheme = Object.fromEntries(entries.map(([key, value]) => [key, value / total]));
+    return {
+        id: `custom-${createId()}`,
+        name: name.trim(),
+        custom: true,
+        required: Object.keys(scheme),
+        schemes: [scheme]
+    };
+};
@@ -1,8 +1,23 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import serviceWorkerPlugin from './pwa/serviceWorkerPlugin.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(), tailwindcss()],
+  plugins: [react(), tailwindcss(), serviceWorkerPlugin()],
+  build: {
+    rollupOptions: {
+      // The vanilla app is built too, as external scripts only (see its CSP)
+      input: {
+        main: 'index.html',
+        vanilla: 'grade-calculator/index.html',
+      },
+    },
+  },
+  // Tests sit next to their module (`*.test.js`) and run in Node; DOM tests
+  // opt into jsdom with a `@vitest-environment jsdom` comment
+  test: {
+    environment: 'node',
+  },
 })